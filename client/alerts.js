@@ -0,0 +1,564 @@
+/**
+ * Proof of Intelligence V2 - Credential Alerts
+ *
+ * Notifies someone when a credential needs attention, instead of leaving it
+ * in a log file. Conditions (the config file's `alerts.on`, all by default):
+ *
+ *   expiring    expiresAt is within one of `expiringDays` (default [2, 1])
+ *   grace       expired, grace period running
+ *   decayed     grace period over, or decay triggered on-chain
+ *   failed      a maintenance challenge failed (ChallengeFailed)
+ *   reputation  reputation fell by `reputationDrop` (default 10) from its last high
+ *   revoked     CredentialRevoked
+ *
+ * Sinks (`alerts.sinks`):
+ *
+ *   webhook     JSON POST of the alert to `url`, with optional `headers`
+ *   command     runs `command` with `args` (no shell); alert JSON on stdin, POI_ALERT_* env
+ *   email       SMTP via `host`/`port`, STARTTLS or `secure`, optional AUTH from `userEnv`/`passwordEnv`
+ *
+ * Every alert has a stable id derived from the state change (the expiry it
+ * belongs to, or the event's transaction), and ids already delivered are kept
+ * in ~/.config/0xclaw/poi-alerts-<agent>.json. A condition that stays true
+ * fires once; an alert no sink accepted is retried on the next check.
+ */
+
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const tls = require('tls');
+const { spawn } = require('child_process');
+const { ethers } = require('ethers');
+const { TIMING } = require('./poi-client-v2.js');
+const { silentLogger } = require('./logger.js');
+
+const STATE_DIR = path.join(process.env.HOME || '.', '.config/0xclaw');
+
+const ALERT_KINDS = ['expiring', 'grace', 'decayed', 'failed', 'reputation', 'revoked'];
+const SINK_TYPES = ['webhook', 'command', 'email'];
+
+const DEFAULT_RULES = {
+    on: ALERT_KINDS,
+    expiringDays: [2, 1],
+    reputationDrop: 10,
+};
+
+const LEVELS = {
+    expiring: 'warning',
+    grace: 'critical',
+    decayed: 'critical',
+    failed: 'warning',
+    reputation: 'warning',
+    revoked: 'critical',
+};
+
+// Delivered alert ids kept for de-duplication
+const MAX_SENT = 500;
+
+const DEFAULT_SINK_TIMEOUT = 10000;
+
+const DAY = 24 * 60 * 60;
+
+/**
+ * Merge the config file's `alerts` section with POI_ALERT_* environment overrides
+ * @param {object} config - Resolved config (see config.js)
+ * @param {object} [env] - Environment (defaults to process.env)
+ * @returns {object} { on, expiringDays, reputationDrop, sinks }
+ */
+function resolveAlertConfig(config = {}, env = process.env) {
+    const section = config.alerts || {};
+    const alerts = {
+        ...DEFAULT_RULES,
+        ...section,
+        sinks: [...(section.sinks || [])],
+    };
+    if (env.POI_ALERT_WEBHOOK) alerts.sinks.push({ type: 'webhook', url: env.POI_ALERT_WEBHOOK });
+    if (env.POI_ALERT_COMMAND) alerts.sinks.push({ type: 'command', command: env.POI_ALERT_COMMAND });
+
+    for (const kind of alerts.on) {
+        if (!ALERT_KINDS.includes(kind)) {
+            throw new Error(`Unknown alert "${kind}" (expected ${ALERT_KINDS.join(', ')})`);
+        }
+    }
+    for (const sink of alerts.sinks) {
+        if (!SINK_TYPES.includes(sink.type)) {
+            throw new Error(`Unknown alert sink "${sink.type}" (expected ${SINK_TYPES.join(', ')})`);
+        }
+        if (sink.type === 'webhook' && !sink.url) throw new Error('Webhook alert sink needs a url');
+        if (sink.type === 'command' && !sink.command) throw new Error('Command alert sink needs a command');
+        if (sink.type === 'email' && (!sink.host || !sink.from || !sink.to)) {
+            throw new Error('Email alert sink needs host, from and to');
+        }
+    }
+    alerts.expiringDays = [...alerts.expiringDays].map(Number).sort((a, b) => b - a);
+    return alerts;
+}
+
+/**
+ * Where the credential stands at `now` (seconds)
+ * @param {object[]} [events] - The agent's indexed events; the latest CredentialDecayed or
+ *   CredentialRevoked tells which one cleared `valid`. Without one, a credential cleared
+ *   past its grace period counts as decayed and one cleared earlier as revoked.
+ * @returns {string} 'none' | 'valid' | 'grace' | 'decayed' | 'revoked'
+ */
+function credentialPhase(credential, now, events = []) {
+    const issuedAt = Math.floor(credential.issuedAt.getTime() / 1000);
+    const expiresAt = Math.floor(credential.expiresAt.getTime() / 1000);
+    if (issuedAt === 0) return 'none';
+    if (!credential.valid) {
+        // Reputation can't tell them apart: failed maintenance can take it to 0 before a revocation
+        const cleared = events.filter(e => e.event === 'CredentialDecayed' || e.event === 'CredentialRevoked').pop();
+        if (cleared) return cleared.event === 'CredentialDecayed' ? 'decayed' : 'revoked';
+        return now > expiresAt + TIMING.GRACE_PERIOD ? 'decayed' : 'revoked';
+    }
+    if (now > expiresAt + TIMING.GRACE_PERIOD) return 'decayed';
+    if (now > expiresAt) return 'grace';
+    return 'valid';
+}
+
+/**
+ * Alerts due for one agent's current state and new events (pure)
+ * @param {object} input
+ *   agent, now, blockNumber  - chain time and block of the check
+ *   credential               - formatted credential (see formatCredential)
+ *   events                   - the agent's indexed events, in chain order
+ *   since                    - only events after this block raise alerts
+ *   reputationHigh           - highest reputation since the last reputation alert
+ * @param {object} [rules] - { on, expiringDays, reputationDrop } (see resolveAlertConfig)
+ * @returns {object} { phase, alerts, reputationHigh }
+ */
+function evaluateAlerts({ agent, now, blockNumber, credential, events = [], since = 0, reputationHigh = null }, rules = DEFAULT_RULES) {
+    const expiresAt = Math.floor(credential.expiresAt.getTime() / 1000);
+    const phase = credentialPhase(credential, now, events);
+    const alerts = [];
+    // Disabled kinds are never raised, so they can't explain away a reputation drop either
+    const add = (kind, key, message, details = {}, block = blockNumber) => {
+        if (!rules.on.includes(kind)) return;
+        alerts.push({ id: `${kind}:${key}`, kind, level: LEVELS[kind], agent, message, at: new Date(now * 1000), blockNumber: block, details });
+    };
+
+    // Event-driven: each failed maintenance answer or revocation is its own state change
+    let maintenance = false;
+    for (const e of events) {
+        if (e.event === 'ChallengeIssued') maintenance = e.isMaintenance;
+        if (e.blockNumber <= since) continue;
+        const key = `${e.transactionHash}:${e.logIndex}`;
+        if (e.event === 'ChallengeFailed' && maintenance) {
+            add('failed', key, `Maintenance challenge failed: ${e.reason}`, { reason: e.reason, transactionHash: e.transactionHash }, e.blockNumber);
+        }
+        if (e.event === 'CredentialRevoked') {
+            add('revoked', key, `Credential revoked: ${e.reason}`, { reason: e.reason, transactionHash: e.transactionHash }, e.blockNumber);
+        }
+    }
+
+    // State-driven: keyed by the expiry they belong to, so a renewal starts over
+    const remaining = expiresAt - now;
+    if (phase === 'valid') {
+        const crossed = rules.expiringDays.filter(days => remaining <= days * DAY);
+        if (crossed.length > 0) {
+            const days = crossed[crossed.length - 1];
+            add('expiring', `${expiresAt}:${days}`, `Credential expires in ${(remaining / 3600).toFixed(1)}h`,
+                { expiresAt: new Date(expiresAt * 1000), threshold: days });
+        }
+    } else if (phase === 'grace') {
+        const decaysAt = expiresAt + TIMING.GRACE_PERIOD;
+        add('grace', expiresAt, `Credential expired - in grace period, decays in ${((decaysAt - now) / 3600).toFixed(1)}h`,
+            { expiresAt: new Date(expiresAt * 1000), decaysAt: new Date(decaysAt * 1000) });
+    } else if (phase === 'decayed') {
+        add('decayed', expiresAt, 'Credential decayed - reputation reset to 0, run: node cli.js verify',
+            { expiresAt: new Date(expiresAt * 1000) });
+    }
+
+    // Reputation drops that another alert already explains don't fire separately
+    const reputation = credential.reputation;
+    let high = reputationHigh == null ? reputation : Math.max(reputationHigh, reputation);
+    if (phase !== 'none' && high - reputation >= rules.reputationDrop) {
+        const explained = alerts.some(a => ['failed', 'decayed', 'revoked'].includes(a.kind));
+        if (!explained) {
+            add('reputation', `${blockNumber}:${reputation}`, `Reputation dropped from ${high} to ${reputation}/100`,
+                { from: high, to: reputation });
+        }
+        high = reputation;
+    }
+
+    return { phase, alerts, reputationHigh: high };
+}
+
+/**
+ * POST the alert as JSON
+ */
+async function sendWebhook(sink, alert) {
+    const response = await fetch(sink.url, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', ...(sink.headers || {}) },
+        body: JSON.stringify(alert),
+        signal: AbortSignal.timeout(sink.timeout || DEFAULT_SINK_TIMEOUT),
+    });
+    if (!response.ok) throw new Error(`Webhook returned HTTP ${response.status}`);
+}
+
+/**
+ * Run a local command with the alert on stdin and in POI_ALERT_* variables
+ */
+function runCommand(sink, alert) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(sink.command, sink.args || [], {
+            env: {
+                ...process.env,
+                POI_ALERT_ID: alert.id,
+                POI_ALERT_KIND: alert.kind,
+                POI_ALERT_LEVEL: alert.level,
+                POI_ALERT_AGENT: alert.agent,
+                POI_ALERT_MESSAGE: alert.message,
+            },
+            stdio: ['pipe', 'ignore', 'pipe'],
+            timeout: sink.timeout || DEFAULT_SINK_TIMEOUT,
+        });
+        let stderr = '';
+        child.stderr.on('data', (chunk) => { stderr = (stderr + chunk).slice(-500); });
+        child.stdin.on('error', () => {}); // the command may exit without reading stdin
+        child.on('error', reject);
+        child.on('close', (code, signal) => {
+            if (code === 0) return resolve();
+            const status = signal ? `killed by ${signal}` : `exited with ${code}`;
+            reject(new Error(`${sink.command} ${status}${stderr.trim() ? `: ${stderr.trim()}` : ''}`));
+        });
+        child.stdin.end(JSON.stringify(alert) + '\n');
+    });
+}
+
+/**
+ * One SMTP conversation: commands out, (multi-line) replies in
+ */
+class SmtpConnection {
+    constructor(socket, timeout) {
+        this.replies = [];
+        this.lines = [];
+        this.buffer = '';
+        this.waiting = null;
+        this.failure = null;
+        this.timeout = timeout;
+        this.onData = this.onData.bind(this);
+        this.onError = this.onError.bind(this);
+        this.attach(socket);
+    }
+
+    attach(socket) {
+        if (this.socket) {
+            this.socket.off('data', this.onData);
+            this.socket.off('error', this.onError);
+        }
+        this.socket = socket;
+        socket.setEncoding('utf8');
+        socket.setTimeout(this.timeout, () => socket.destroy(new Error('SMTP server timed out')));
+        socket.on('data', this.onData);
+        socket.on('error', this.onError);
+        socket.on('close', () => this.onError(new Error('SMTP connection closed')));
+    }
+
+    onData(chunk) {
+        this.buffer += chunk;
+        let end;
+        while ((end = this.buffer.indexOf('\n')) !== -1) {
+            const line = this.buffer.slice(0, end).replace(/\r$/, '');
+            this.buffer = this.buffer.slice(end + 1);
+            this.lines.push(line);
+            // "250-..." continues a reply, "250 ..." ends it
+            if (line[3] !== '-') {
+                this.replies.push({ code: Number(line.slice(0, 3)), text: this.lines.map(l => l.slice(4)).join('\n') });
+                this.lines = [];
+            }
+        }
+        this.flush();
+    }
+
+    onError(e) {
+        if (!this.failure) this.failure = e;
+        this.flush();
+    }
+
+    flush() {
+        if (!this.waiting) return;
+        const { resolve, reject } = this.waiting;
+        if (this.replies.length > 0) {
+            this.waiting = null;
+            resolve(this.replies.shift());
+        } else if (this.failure) {
+            this.waiting = null;
+            reject(this.failure);
+        }
+    }
+
+    read() {
+        return new Promise((resolve, reject) => {
+            this.waiting = { resolve, reject };
+            this.flush();
+        });
+    }
+
+    /**
+     * Send a line (or nothing) and expect one of the reply codes
+     */
+    async expect(codes, line, label = line) {
+        if (line != null) this.socket.write(line + '\r\n');
+        const reply = await this.read();
+        if (!codes.includes(reply.code)) {
+            throw new Error(`SMTP ${label ? label.split(' ')[0] : 'greeting'} rejected: ${reply.code} ${reply.text}`);
+        }
+        return reply;
+    }
+
+    /**
+     * Upgrade the connection to TLS in place
+     */
+    async startTls(servername, options) {
+        const socket = tls.connect({ socket: this.socket, servername, ...options });
+        await new Promise((resolve, reject) => {
+            socket.once('secureConnect', resolve);
+            socket.once('error', reject);
+        });
+        this.attach(socket);
+    }
+
+    close() {
+        this.socket.destroy();
+    }
+}
+
+/**
+ * RFC 5322 message for an alert (UTF-8 plain text)
+ */
+function formatEmail(sink, alert) {
+    const to = [].concat(sink.to);
+    const subject = `[PoI ${alert.level}] ${alert.kind}: ${alert.agent}`;
+    const body = [
+        alert.message,
+        '',
+        `Agent:  ${alert.agent}`,
+        `Alert:  ${alert.kind} (${alert.level})`,
+        `Time:   ${alert.at.toISOString()} (block ${alert.blockNumber})`,
+        ...(alert.contract ? [`Contract: ${alert.contract}`] : []),
+        '',
+        JSON.stringify(alert.details, null, 2),
+    ].join('\r\n');
+    return [
+        `From: ${sink.from}`,
+        `To: ${to.join(', ')}`,
+        `Subject: ${/^[\x20-\x7e]*$/.test(subject) ? subject : `=?UTF-8?B?${Buffer.from(subject).toString('base64')}?=`}`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: <${alert.id.replace(/[^\w.-]/g, '.')}.${Date.now()}@${os.hostname()}>`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: 8bit',
+        '',
+        // Dot-stuffing: a line starting with "." would otherwise end the DATA
+        body.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..'),
+    ].join('\r\n');
+}
+
+/**
+ * Deliver the alert over SMTP (STARTTLS when offered, unless `starttls: false`)
+ */
+async function sendEmail(sink, alert, env = process.env) {
+    const secure = Boolean(sink.secure);
+    const port = sink.port || (secure ? 465 : 587);
+    const tlsOptions = sink.tls || {};
+    const socket = secure
+        ? tls.connect({ host: sink.host, port, servername: sink.host, ...tlsOptions })
+        : net.connect({ host: sink.host, port });
+    const smtp = new SmtpConnection(socket, sink.timeout || DEFAULT_SINK_TIMEOUT);
+    const hostname = sink.helo || os.hostname();
+
+    try {
+        await smtp.expect([220], null);
+        let ehlo = await smtp.expect([250], `EHLO ${hostname}`);
+        if (!secure && sink.starttls !== false && /^STARTTLS$/mi.test(ehlo.text)) {
+            await smtp.expect([220], 'STARTTLS');
+            await smtp.startTls(sink.host, tlsOptions);
+            ehlo = await smtp.expect([250], `EHLO ${hostname}`);
+        }
+
+        const user = sink.userEnv ? env[sink.userEnv] : sink.user;
+        if (user) {
+            const password = sink.passwordEnv ? env[sink.passwordEnv] : undefined;
+            if (password == null) throw new Error(`No SMTP password (set ${sink.passwordEnv || 'passwordEnv'})`);
+            const plain = Buffer.from(`\0${user}\0${password}`).toString('base64');
+            await smtp.expect([235], `AUTH PLAIN ${plain}`, 'AUTH');
+        }
+
+        await smtp.expect([250], `MAIL FROM:<${sink.from.replace(/^.*<|>.*$/g, '')}>`);
+        for (const rcpt of [].concat(sink.to)) {
+            await smtp.expect([250, 251], `RCPT TO:<${rcpt.replace(/^.*<|>.*$/g, '')}>`);
+        }
+        await smtp.expect([354], 'DATA');
+        await smtp.expect([250], `${formatEmail(sink, alert)}\r\n.`, 'DATA');
+        await smtp.expect([221], 'QUIT').catch(() => {});
+    } finally {
+        smtp.close();
+    }
+}
+
+const SENDERS = {
+    webhook: sendWebhook,
+    command: runCommand,
+    email: sendEmail,
+};
+
+/**
+ * Deliver one alert to every sink
+ * @returns {Promise<object[]>} [{ sink, ok, error }] in sink order
+ */
+async function sendAlert(alert, sinks) {
+    const settled = await Promise.allSettled(sinks.map(sink => SENDERS[sink.type](sink, alert)));
+    return settled.map((s, i) => ({
+        sink: sinks[i].name || sinks[i].type,
+        ok: s.status === 'fulfilled',
+        error: s.status === 'rejected' ? s.reason.message : null,
+    }));
+}
+
+/**
+ * Checks one agent's credential and delivers new alerts
+ */
+class AlertMonitor {
+    /**
+     * @param {PoIClient} client - Client for the contract (a signer isn't needed)
+     * @param {object} [options] - { address, rules, sinks, indexer, statePath, logger }
+     *   rules/sinks as returned by resolveAlertConfig; without an indexer, only
+     *   state-driven alerts (expiring, grace, decayed, reputation) are raised.
+     */
+    constructor(client, options = {}) {
+        const alerts = options.rules || resolveAlertConfig({});
+        this.client = client;
+        this.address = ethers.getAddress(options.address || client.address);
+        this.rules = alerts;
+        this.sinks = options.sinks || alerts.sinks || [];
+        this.indexer = options.indexer || null;
+        this.statePath = options.statePath ||
+            path.join(STATE_DIR, `poi-alerts-${this.address.toLowerCase()}.json`);
+        this.logger = options.logger || silentLogger;
+    }
+
+    loadState() {
+        const fresh = { agent: this.address, contract: this.client.contract.target, since: null, reputationHigh: null, sent: [] };
+        if (!fs.existsSync(this.statePath)) return fresh;
+
+        const saved = JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+        if (saved.agent !== fresh.agent || saved.contract !== fresh.contract) return fresh;
+        return { ...fresh, ...saved };
+    }
+
+    saveState(state) {
+        fs.mkdirSync(path.dirname(this.statePath), { recursive: true });
+        const tmp = `${this.statePath}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(state, null, 2));
+        fs.renameSync(tmp, this.statePath);
+    }
+
+    /**
+     * Evaluate the rules and deliver alerts not sent before
+     * @returns {Promise<object>} { phase, alerts: [{ ...alert, deliveries }], pending }
+     *   pending counts alerts that no sink accepted (retried next check)
+     */
+    async check() {
+        const state = this.loadState();
+        if (this.indexer) await this.indexer.sync();
+        const [block, status] = await Promise.all([
+            this.client.provider.getBlock('latest'),
+            this.client.getStatus(this.address),
+        ]);
+        const head = this.indexer ? this.indexer.lastBlock : block.number;
+        // History before the first check is not news
+        const since = state.since == null ? head : state.since;
+
+        const { phase, alerts, reputationHigh } = evaluateAlerts({
+            agent: this.address,
+            now: Number(block.timestamp),
+            blockNumber: block.number,
+            credential: status.credential,
+            events: this.indexer ? this.indexer.events(this.address) : [],
+            since,
+            reputationHigh: state.reputationHigh,
+        }, this.rules);
+
+        const sent = new Set(state.sent);
+        const delivered = [];
+        let retryFrom = head;
+        let pending = 0;
+        let keepHigh = false;
+        for (const alert of alerts.filter(a => !sent.has(a.id))) {
+            alert.contract = this.client.contract.target;
+            const deliveries = await sendAlert(alert, this.sinks);
+            for (const d of deliveries.filter(d => !d.ok)) {
+                this.logger.error(`❌ Alert ${alert.id} not delivered to ${d.sink}: ${d.error}`);
+            }
+            if (deliveries.length > 0 && !deliveries.some(d => d.ok)) {
+                pending++;
+                if (alert.details.transactionHash) retryFrom = Math.min(retryFrom, alert.blockNumber - 1);
+                if (alert.kind === 'reputation') keepHigh = true;
+                continue;
+            }
+            sent.add(alert.id);
+            delivered.push({ ...alert, deliveries });
+        }
+
+        this.saveState({
+            ...state,
+            since: retryFrom,
+            reputationHigh: keepHigh ? state.reputationHigh : reputationHigh,
+            sent: [...sent].slice(-MAX_SENT),
+            lastCheckedAt: Number(block.timestamp),
+        });
+        return { phase, alerts: delivered, pending };
+    }
+
+    /**
+     * Send a test alert to every sink, bypassing rules and de-duplication
+     * @returns {Promise<object[]>} per-sink deliveries
+     */
+    async test() {
+        const block = await this.client.provider.getBlock('latest');
+        const alert = {
+            id: `test:${block.number}`,
+            kind: 'test',
+            level: 'info',
+            agent: this.address,
+            message: 'Test alert from node cli.js alerts test',
+            at: new Date(Number(block.timestamp) * 1000),
+            blockNumber: block.number,
+            details: {},
+            contract: this.client.contract.target,
+        };
+        return sendAlert(alert, this.sinks);
+    }
+}
+
+/**
+ * Pretty print the result of a check
+ */
+function printAlerts({ phase, alerts, pending }) {
+    console.log(`🔔 Alerts (credential ${phase})`);
+    console.log('='.repeat(40));
+    if (alerts.length === 0) console.log('No new alerts');
+    for (const alert of alerts) {
+        console.log(`${alert.level === 'critical' ? '🚨' : '⚠️'} ${alert.kind}: ${alert.message}`);
+        for (const d of alert.deliveries) {
+            console.log(`   ${d.ok ? '✅' : '❌'} ${d.sink}${d.error ? ` - ${d.error}` : ''}`);
+        }
+    }
+    if (pending > 0) console.log(`\n${pending} alert(s) not delivered to any sink - retrying next check`);
+}
+
+module.exports = {
+    ALERT_KINDS,
+    SINK_TYPES,
+    DEFAULT_RULES,
+    resolveAlertConfig,
+    credentialPhase,
+    evaluateAlerts,
+    sendAlert,
+    formatEmail,
+    AlertMonitor,
+    printAlerts,
+};
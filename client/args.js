@@ -0,0 +1,45 @@
+/**
+ * Minimal argv parser shared by the CLI scripts
+ *
+ * Supports positionals, `--key value`, `--key=value` and boolean flags.
+ */
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - Arguments (without node and script path)
+ * @param {object} [options] - { boolean: [...flag names that take no value] }
+ * @returns {{ _: string[], flags: object }}
+ */
+function parseArgs(argv, { boolean = [] } = {}) {
+    const result = { _: [], flags: {} };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--') {
+            result._.push(...argv.slice(i + 1));
+            break;
+        }
+        if (!arg.startsWith('--')) {
+            result._.push(arg);
+            continue;
+        }
+
+        const eq = arg.indexOf('=');
+        const key = toCamel(arg.slice(2, eq === -1 ? undefined : eq));
+        if (eq !== -1) {
+            result.flags[key] = arg.slice(eq + 1);
+        } else if (boolean.includes(key) || i + 1 >= argv.length || argv[i + 1].startsWith('--')) {
+            result.flags[key] = true;
+        } else {
+            result.flags[key] = argv[++i];
+        }
+    }
+
+    return result;
+}
+
+function toCamel(name) {
+    return name.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+}
+
+module.exports = { parseArgs };
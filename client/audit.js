@@ -0,0 +1,199 @@
+/**
+ * Proof of Intelligence V2 - Offline Answer Auditor
+ *
+ * Replays the contract's _computeAnswer in JS for a past challenge and
+ * checks that the contract's pass/fail verdict agrees with our solver.
+ *
+ * Records can come from a live node (ChallengeIssued event + submitAnswer tx)
+ * or from archived fixture JSON, so history can be audited without an RPC.
+ */
+
+const { ethers } = require('ethers');
+const fs = require('fs');
+const { solveChallenge, PoI_V2_ABI } = require('./poi-client-v2.js');
+
+const poiInterface = new ethers.Interface(PoI_V2_ABI);
+
+/**
+ * Predict the contract's verdict for a recorded submission
+ * (mirrors the checks in ProofOfIntelligenceV2.submitAnswer)
+ */
+function expectedVerdict(record, expectedAnswer) {
+    if (Number(record.submittedBlock) > Number(record.deadline)) {
+        return { outcome: 'failed', reason: 'Deadline expired' };
+    }
+    if (record.answer.toLowerCase() !== expectedAnswer.toLowerCase()) {
+        return { outcome: 'failed', reason: 'Incorrect answer' };
+    }
+    return { outcome: 'passed', reason: null };
+}
+
+/**
+ * Verify a recorded submission against the JS solver
+ * @param {object} record - { agent, challengeType, seed, deadline, issuedBlock,
+ *                            issuedTimestamp, answer, submittedBlock, verdict }
+ * @returns {object} Audit report; `matches` is null when the contract never ruled
+ */
+function verifyAnswer(record) {
+    const blockState = {
+        number: Number(record.issuedBlock),
+        timestamp: Number(record.issuedTimestamp)
+    };
+    const expectedAnswer = solveChallenge(
+        Number(record.challengeType),
+        record.seed,
+        record.agent,
+        blockState
+    );
+    const expected = expectedVerdict(record, expectedAnswer);
+    const verdict = record.verdict || null;
+
+    let matches = null;
+    if (verdict && verdict.outcome !== 'reverted') {
+        matches = verdict.outcome === expected.outcome &&
+            (verdict.reason || null) === expected.reason;
+    }
+
+    return {
+        agent: record.agent,
+        challengeType: Number(record.challengeType),
+        seed: record.seed,
+        isMaintenance: Boolean(record.isMaintenance),
+        submitTx: record.submitTx || null,
+        answer: record.answer,
+        expectedAnswer,
+        answerCorrect: record.answer.toLowerCase() === expectedAnswer.toLowerCase(),
+        expected,
+        verdict,
+        matches,
+    };
+}
+
+/**
+ * Find the ChallengeIssued event that was active when the answer was submitted
+ */
+async function findIssuedEvent(contract, agent, receipt, { lookback = 50000, chunkSize = 2000 } = {}) {
+    const filter = contract.filters.ChallengeIssued(agent);
+    const floor = Math.max(0, receipt.blockNumber - lookback);
+
+    for (let to = receipt.blockNumber; to >= floor; to -= chunkSize) {
+        const from = Math.max(floor, to - chunkSize + 1);
+        const events = (await contract.queryFilter(filter, from, to)).filter(ev =>
+            ev.blockNumber < receipt.blockNumber ||
+            (ev.blockNumber === receipt.blockNumber && ev.transactionIndex < receipt.index)
+        );
+        if (events.length > 0) return events[events.length - 1];
+    }
+    return null;
+}
+
+/**
+ * Decode the contract's verdict from a submitAnswer receipt
+ */
+function decodeVerdict(receipt, contractAddress) {
+    if (receipt.status === 0) return { outcome: 'reverted', reason: null };
+
+    for (const log of receipt.logs) {
+        if (log.address.toLowerCase() !== contractAddress.toLowerCase()) continue;
+        let parsed;
+        try { parsed = poiInterface.parseLog(log); } catch { continue; }
+        if (!parsed) continue;
+        if (parsed.name === 'ChallengePassed') return { outcome: 'passed', reason: null };
+        if (parsed.name === 'ChallengeFailed') return { outcome: 'failed', reason: parsed.args.reason };
+    }
+    return { outcome: 'unknown', reason: null };
+}
+
+/**
+ * Build an audit record from chain data
+ * @param {ethers.Provider} provider
+ * @param {string} contractAddress - PoI V2 contract
+ * @param {string} agent - Agent that submitted the answer
+ * @param {string} txHash - The submitAnswer transaction
+ */
+async function fetchAuditRecord(provider, contractAddress, agent, txHash, options = {}) {
+    const [tx, receipt] = await Promise.all([
+        provider.getTransaction(txHash),
+        provider.getTransactionReceipt(txHash),
+    ]);
+    if (!tx || !receipt) throw new Error(`Transaction not found: ${txHash}`);
+    if (tx.from.toLowerCase() !== agent.toLowerCase()) {
+        throw new Error(`Transaction ${txHash} was sent by ${tx.from}, not ${agent}`);
+    }
+
+    const call = poiInterface.parseTransaction({ data: tx.data });
+    if (!call || call.name !== 'submitAnswer') {
+        throw new Error(`Transaction ${txHash} is not a submitAnswer call`);
+    }
+
+    const contract = new ethers.Contract(contractAddress, PoI_V2_ABI, provider);
+    const issued = await findIssuedEvent(contract, agent, receipt, options);
+    if (!issued) throw new Error(`No ChallengeIssued event found for ${agent} before ${txHash}`);
+    const issuedBlock = await provider.getBlock(issued.blockNumber);
+
+    return {
+        agent: ethers.getAddress(agent),
+        challengeType: Number(issued.args.challengeType),
+        seed: issued.args.seed,
+        deadline: Number(issued.args.deadline),
+        isMaintenance: issued.args.isMaintenance,
+        issuedBlock: issued.blockNumber,
+        issuedTimestamp: issuedBlock.timestamp,
+        issueTx: issued.transactionHash,
+        submitTx: txHash,
+        submittedBlock: receipt.blockNumber,
+        answer: call.args.answer,
+        verdict: decodeVerdict(receipt, contractAddress),
+    };
+}
+
+/**
+ * Fetch a submission from chain and audit it
+ */
+async function auditSubmission(provider, contractAddress, agent, txHash, options = {}) {
+    const record = await fetchAuditRecord(provider, contractAddress, agent, txHash, options);
+    return verifyAnswer(record);
+}
+
+/**
+ * Load audit records from fixture JSON (a record, an array, or { records: [...] })
+ */
+function loadFixture(filePath) {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (Array.isArray(data)) return data;
+    if (Array.isArray(data.records)) return data.records;
+    return [data];
+}
+
+/**
+ * Pretty print an audit report
+ */
+function printAudit(report) {
+    const verdict = report.verdict
+        ? `${report.verdict.outcome}${report.verdict.reason ? ` (${report.verdict.reason})` : ''}`
+        : 'n/a';
+    const expected = `${report.expected.outcome}${report.expected.reason ? ` (${report.expected.reason})` : ''}`;
+
+    console.log(`\n🔍 Audit: ${report.submitTx || report.seed.slice(0, 18) + '...'}`);
+    console.log('='.repeat(40));
+    console.log(`Agent: ${report.agent}`);
+    console.log(`Type: ${report.challengeType}${report.isMaintenance ? ' (maintenance)' : ''}`);
+    console.log(`Submitted: ${report.answer}`);
+    console.log(`Expected:  ${report.expectedAnswer}`);
+    console.log(`Contract verdict: ${verdict}`);
+    console.log(`Solver verdict:   ${expected}`);
+    if (report.matches === null) {
+        console.log('Result: ⚪ Not comparable');
+    } else {
+        console.log(`Result: ${report.matches ? '✅ Match' : '❌ DIVERGENCE'}`);
+    }
+}
+
+module.exports = {
+    verifyAnswer,
+    fetchAuditRecord,
+    auditSubmission,
+    decodeVerdict,
+    loadFixture,
+    printAudit,
+};
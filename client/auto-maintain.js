@@ -7,38 +7,61 @@
  * - Performs maintenance challenge if needed
  * - Logs results
  * 
- * Add to cron: 0 */12 * * * cd ~/projects/proof-of-intelligence/client && node auto-maintain.js >> /tmp/poi-maintenance.log 2>&1
+ * Add to cron: 0 0,12 * * * cd ~/projects/proof-of-intelligence/client && node auto-maintain.js >> /tmp/poi-maintenance.log 2>&1
+ *
+ * Accepts the same --network/--rpc/--contract/--config options as cli.js.
+ *
+ * When the config file has `alerts.sinks`, every run also sends alerts for
+ * expiry, grace period, decay, failed maintenance, reputation drops and
+ * revocation (see alerts.js), so a problem doesn't sit unread in the log.
+ *
+ * Prefer `node cli.js daemon`, which follows blocks and can't miss the
+ * maintenance window, cooldown or grace period between cron runs.
  */
 
 const { ethers } = require('ethers');
 const { PoIClient, printStatus } = require('./poi-client-v2.js');
-const fs = require('fs');
-const path = require('path');
-
-const POI_V2_ADDRESS = '0x321cd306284b5Dc71E96973c879448cfEcCf334b';
-const RPC_URL = 'https://sepolia.base.org';
+const { resolveConfig } = require('./config.js');
+const { parseArgs } = require('./args.js');
+const { createConsoleLogger } = require('./logger.js');
+const { PoIError, CooldownNotElapsedError } = require('./errors.js');
+const { resolveSignerConfig, loadSigner } = require('./signers.js');
+const { AlertMonitor, resolveAlertConfig } = require('./alerts.js');
+const { PoIIndexer } = require('./indexer.js');
 
 async function main() {
+    const config = resolveConfig(parseArgs(process.argv.slice(2)).flags);
     const now = new Date().toISOString();
     console.log(`\n[${now}] PoI V2 Auto-Maintenance Check`);
     console.log('='.repeat(50));
 
-    // Load wallet
-    const walletPath = path.join(process.env.HOME, '.config/0xclaw/wallet.json');
-    if (!fs.existsSync(walletPath)) {
-        console.error('❌ Wallet not found');
-        process.exit(1);
-    }
-    const walletConfig = JSON.parse(fs.readFileSync(walletPath, 'utf8'));
-    const privateKey = walletConfig.privateKey || walletConfig.private_key;
-
     // Setup
-    const provider = new ethers.JsonRpcProvider(RPC_URL);
-    const wallet = new ethers.Wallet(privateKey, provider);
-    const client = new PoIClient(provider, wallet, POI_V2_ADDRESS);
+    const provider = new ethers.JsonRpcProvider(config.rpcUrl);
+    const wallet = await loadSigner(resolveSignerConfig(config), provider);
+    const client = new PoIClient(provider, wallet, config.contract, {
+        logger: createConsoleLogger(),
+        submission: config.submission,
+    });
 
     console.log(`Agent: ${wallet.address}`);
+    console.log(`Network: ${config.name} (${config.contract})`);
 
+    await maintainIfNeeded(client);
+
+    const rules = resolveAlertConfig(config);
+    if (rules.sinks.length > 0) {
+        const indexer = await new PoIIndexer(provider, config.contract, { deployBlock: config.deployBlock }).open();
+        const monitor = new AlertMonitor(client, { rules, indexer, logger: createConsoleLogger() });
+        const { alerts, pending } = await monitor.check();
+        for (const alert of alerts) console.log(`🔔 Alert sent: ${alert.kind} - ${alert.message}`);
+        if (pending > 0) console.log(`❌ ${pending} alert(s) not delivered, will retry next run`);
+    }
+}
+
+/**
+ * Check the credential and renew it when expiring or in grace
+ */
+async function maintainIfNeeded(client) {
     // Get status
     const status = await client.getStatus();
     
@@ -58,15 +81,18 @@ async function main() {
     if (status.daysUntilExpiry <= 2) {
         console.log('\n🔄 Credential expiring soon - initiating maintenance...');
         try {
-            const success = await client.maintain();
-            if (success) {
+            const result = await client.maintain();
+            if (result.outcome === 'passed') {
                 console.log('✅ Maintenance successful!');
             } else {
-                console.log('❌ Maintenance failed');
+                console.log(`❌ Maintenance ${result.outcome}: ${result.reason || result.revertReason}`);
             }
         } catch (e) {
-            if (e.message.includes('CooldownNotElapsed')) {
-                console.log('⏳ In cooldown, will retry next run');
+            if (e instanceof CooldownNotElapsedError) {
+                console.log(`⏳ ${e.message}, will retry next run`);
+            } else if (e instanceof PoIError) {
+                console.error(`❌ ${e.message}`);
+                console.error(`   ${e.hint}`);
             } else {
                 console.error('❌ Error:', e.message);
             }
@@ -86,5 +112,5 @@ async function main() {
 
 main().catch(e => {
     console.error('❌ Fatal error:', e.message);
-    process.exit(1);
+    process.exit(e.exitCode || 1);
 });
@@ -0,0 +1,302 @@
+/**
+ * Proof of Intelligence - Solver Benchmark
+ *
+ * Times each stage between a challenge being issued and its answer landing,
+ * and compares the percentiles with the challenge windows (in blocks):
+ *
+ *   solve      every challenge type of the profile, on random seeds, agents and block states
+ *   sign       signing a fully populated submitAnswer transaction (no RPC)
+ *   broadcast  eth_sendRawTransaction round trip                   (local node only)
+ *   inclusion  broadcast until the receipt, in ms and in blocks    (local node only)
+ *
+ * Broadcast and inclusion send 0-value transactions to the sender itself, carrying
+ * submitAnswer calldata, from a throwaway key funded by the node's first unlocked
+ * account. They only run against a dev chain (chain id 31337 or 1337).
+ *
+ * Solve, sign and broadcast are converted to blocks with the target network's
+ * block time; inclusion is counted in blocks directly.
+ */
+
+const { ethers } = require('ethers');
+const { getProfile } = require('./challenge-types.js');
+const { silentLogger } = require('./logger.js');
+
+const DEFAULTS = {
+    runs: 2000,
+    signRuns: 500,
+    inclusionRuns: 50,
+    blockTime: 2,
+    pollMs: 20,
+    receiptTimeoutMs: 30000,
+};
+
+const PERCENTILES = [50, 95, 99];
+
+const DEV_CHAIN_IDS = [31337n, 1337n];
+
+const SUBMIT_ANSWER = new ethers.Interface(['function submitAnswer(bytes32 answer) external returns (bool success)']);
+
+/**
+ * Deterministic byte stream for reproducible runs
+ */
+function randomStream(seed) {
+    let state = ethers.id(seed);
+    return () => {
+        state = ethers.keccak256(state);
+        return state;
+    };
+}
+
+/**
+ * Nearest-rank percentile of sorted samples
+ */
+function percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+/**
+ * { count, min, mean, p50, p95, p99, max } of a list of samples
+ */
+function summarize(samples) {
+    const sorted = [...samples].sort((a, b) => a - b);
+    const stats = {
+        count: sorted.length,
+        min: sorted[0] ?? null,
+        mean: sorted.length ? sorted.reduce((sum, x) => sum + x, 0) / sorted.length : null,
+        max: sorted[sorted.length - 1] ?? null,
+    };
+    for (const p of PERCENTILES) stats[`p${p}`] = percentile(sorted, p);
+    return stats;
+}
+
+function elapsedMs(fn) {
+    const start = performance.now();
+    fn();
+    return performance.now() - start;
+}
+
+/**
+ * Solve every type of the profile `runs` times on random inputs
+ * @returns {object[]} [{ type, name, ...summarize(ms) }]
+ */
+function benchSolve(profile, runs, next) {
+    return profile.types().map(({ id, name }) => {
+        const samples = [];
+        for (let i = 0; i < runs; i++) {
+            const seed = next();
+            const agent = ethers.getAddress(ethers.dataSlice(next(), 12));
+            const blockState = {
+                number: Number(BigInt(ethers.dataSlice(next(), 0, 4))),
+                timestamp: Number(BigInt(ethers.dataSlice(next(), 0, 4))),
+            };
+            samples.push(elapsedMs(() => profile.solve(id, seed, agent, blockState)));
+        }
+        return { type: id, name, ...summarize(samples) };
+    });
+}
+
+/**
+ * Sign populated submitAnswer transactions
+ */
+async function benchSign(wallet, runs, next, { chainId = 31337n } = {}) {
+    const samples = [];
+    for (let i = 0; i < runs; i++) {
+        const tx = {
+            to: wallet.address,
+            data: SUBMIT_ANSWER.encodeFunctionData('submitAnswer', [next()]),
+            nonce: i,
+            gasLimit: 60000n,
+            maxFeePerGas: ethers.parseUnits('2', 'gwei'),
+            maxPriorityFeePerGas: ethers.parseUnits('1', 'gwei'),
+            chainId,
+            type: 2,
+        };
+        const start = performance.now();
+        await wallet.signTransaction(tx);
+        samples.push(performance.now() - start);
+    }
+    return summarize(samples);
+}
+
+/**
+ * Poll for a receipt every `pollMs` (the provider's own polling is seconds apart),
+ * failing after `timeoutMs` so a node that doesn't mine can't hang the bench
+ */
+async function waitForReceipt(provider, hash, pollMs, timeoutMs = DEFAULTS.receiptTimeoutMs) {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+        const receipt = await provider.getTransactionReceipt(hash);
+        if (receipt) return receipt;
+        if (Date.now() >= deadline) {
+            throw new Error(`${hash} not mined within ${timeoutMs / 1000}s (is the node mining? anvil --no-mining never includes it)`);
+        }
+        await new Promise(resolve => setTimeout(resolve, pollMs));
+    }
+}
+
+/**
+ * Broadcast and inclusion latency on a local dev node
+ * @returns {Promise<object>} { broadcast, inclusion, inclusionBlocks } (each summarize()d)
+ */
+async function benchInclusion(provider, runs, next, { pollMs = DEFAULTS.pollMs, receiptTimeoutMs = DEFAULTS.receiptTimeoutMs, logger = silentLogger } = {}) {
+    const { chainId } = await provider.getNetwork();
+    if (!DEV_CHAIN_IDS.includes(chainId)) {
+        throw new Error(`Inclusion is only benchmarked on a local dev chain (chain id ${chainId}); use --offline or --network anvil`);
+    }
+
+    // A throwaway key, so the bench never touches a real agent's nonce
+    const wallet = new ethers.Wallet(next(), provider);
+    const funder = await provider.getSigner(0);
+    const funding = await funder.sendTransaction({ to: wallet.address, value: ethers.parseEther('1') });
+    await waitForReceipt(provider, funding.hash, pollMs, receiptTimeoutMs);
+    logger.info(`   Funded throwaway sender ${wallet.address}`);
+
+    const fees = await provider.getFeeData();
+    const maxPriorityFeePerGas = fees.maxPriorityFeePerGas ?? ethers.parseUnits('1', 'gwei');
+    const maxFeePerGas = (fees.maxFeePerGas ?? ethers.parseUnits('2', 'gwei')) * 2n;
+    let nonce = await provider.getTransactionCount(wallet.address, 'pending');
+
+    const broadcast = [];
+    const inclusion = [];
+    const inclusionBlocks = [];
+    for (let i = 0; i < runs; i++) {
+        const signed = await wallet.signTransaction({
+            to: wallet.address,
+            data: SUBMIT_ANSWER.encodeFunctionData('submitAnswer', [next()]),
+            nonce: nonce++,
+            gasLimit: 60000n,
+            maxFeePerGas,
+            maxPriorityFeePerGas,
+            chainId,
+            type: 2,
+        });
+        const head = await provider.getBlockNumber();
+        const start = performance.now();
+        const tx = await provider.broadcastTransaction(signed);
+        const sent = performance.now();
+        const receipt = await waitForReceipt(provider, tx.hash, pollMs, receiptTimeoutMs);
+        broadcast.push(sent - start);
+        inclusion.push(performance.now() - sent);
+        inclusionBlocks.push(receipt.blockNumber - head);
+    }
+    return { broadcast: summarize(broadcast), inclusion: summarize(inclusion), inclusionBlocks: summarize(inclusionBlocks) };
+}
+
+// An answer is mined in a later block than the one it was sent at, at the earliest the next
+const MIN_INCLUSION_BLOCKS = 1;
+
+/**
+ * Per-percentile block budget against each challenge window
+ * @param {object} stages - { solve: [per type], sign, broadcast, inclusion, inclusionBlocks }
+ * @param {object} windows - { initial: blocks, maintenance: blocks }
+ * @param {number} blockTime - Seconds per block on the target network
+ * @returns {object[]} { window, blocks, rows, inclusionMeasured }; without measured inclusion
+ *   each row counts MIN_INCLUSION_BLOCKS for it
+ */
+function budgetAgainstWindows(stages, windows, blockTime) {
+    const blockMs = blockTime * 1000;
+    const budgets = [];
+    for (const [window, blocks] of Object.entries(windows)) {
+        if (!blocks) continue;
+        const rows = PERCENTILES.map((p) => {
+            const key = `p${p}`;
+            // The contract picks the type, so the slowest type sets the budget
+            const used = {
+                solve: Math.max(...stages.solve.map(t => t[key])) / blockMs,
+                sign: stages.sign[key] / blockMs,
+                broadcast: stages.broadcast ? stages.broadcast[key] / blockMs : null,
+                inclusion: stages.inclusionBlocks ? stages.inclusionBlocks[key] : MIN_INCLUSION_BLOCKS,
+            };
+            const total = Object.values(used).reduce((sum, x) => sum + (x || 0), 0);
+            const share = Object.fromEntries(Object.entries(used).map(([stage, x]) => [stage, x == null ? null : x / blocks]));
+            return { percentile: p, usedBlocks: used, totalBlocks: total, marginBlocks: blocks - total, share };
+        });
+        budgets.push({ window, blocks, rows, inclusionMeasured: Boolean(stages.inclusionBlocks) });
+    }
+    return budgets;
+}
+
+/**
+ * Run the benchmark
+ * @param {object} [options] - { profile, runs, signRuns, inclusionRuns, provider, blockTime, seed, pollMs, receiptTimeoutMs, logger }
+ *   Without a provider, broadcast and inclusion are skipped.
+ * @returns {Promise<object>} { profile, seed, blockTime, windows, stages, budgets }
+ */
+async function runBench(options = {}) {
+    const profile = getProfile(options.profile || 'v2');
+    const runs = options.runs || DEFAULTS.runs;
+    const blockTime = options.blockTime || DEFAULTS.blockTime;
+    const seed = options.seed || ethers.hexlify(ethers.randomBytes(8));
+    const logger = options.logger || silentLogger;
+    const next = randomStream(seed);
+
+    logger.info(`⏱️  Solving ${runs} random challenges per type (${profile.name}, seed ${seed})...`);
+    const solve = benchSolve(profile, runs, next);
+
+    logger.info(`⏱️  Signing ${options.signRuns || DEFAULTS.signRuns} submitAnswer transactions...`);
+    const sign = await benchSign(new ethers.Wallet(next()), options.signRuns || DEFAULTS.signRuns, next);
+
+    let inclusion = { broadcast: null, inclusion: null, inclusionBlocks: null };
+    if (options.provider) {
+        const inclusionRuns = options.inclusionRuns || DEFAULTS.inclusionRuns;
+        logger.info(`⏱️  Broadcasting ${inclusionRuns} transactions to the local node...`);
+        inclusion = await benchInclusion(options.provider, inclusionRuns, next, { pollMs: options.pollMs, receiptTimeoutMs: options.receiptTimeoutMs, logger });
+    }
+
+    const stages = { solve, sign, ...inclusion };
+    const windows = { initial: profile.initialWindow, maintenance: profile.maintenanceWindow };
+    return { profile: profile.name, seed, blockTime, windows, stages, budgets: budgetAgainstWindows(stages, windows, blockTime) };
+}
+
+/**
+ * Pretty print a benchmark report
+ */
+function printBench(report) {
+    const ms = (x) => (x == null ? '-' : x < 1 ? `${(x * 1000).toFixed(0)}µs` : `${x.toFixed(2)}ms`);
+    const row = (label, s, fmt = ms) => console.log(
+        `${label.padEnd(40)} ${PERCENTILES.map(p => fmt(s[`p${p}`]).padStart(10)).join('')} ${fmt(s.max).padStart(10)}`);
+
+    console.log(`\n⏱️  PoI Pipeline Benchmark (${report.profile}, seed ${report.seed})`);
+    console.log('='.repeat(82));
+    console.log(`${'Stage'.padEnd(40)} ${PERCENTILES.map(p => `p${p}`.padStart(10)).join('')} ${'max'.padStart(10)}`);
+    for (const t of report.stages.solve) row(`solve type ${t.type} (${t.name})`, t);
+    row('sign', report.stages.sign);
+    if (report.stages.broadcast) {
+        row('broadcast', report.stages.broadcast);
+        row('inclusion', report.stages.inclusion);
+        row('inclusion (blocks)', report.stages.inclusionBlocks, x => String(x));
+    } else {
+        console.log(`${'broadcast / inclusion'.padEnd(40)} skipped (no local node)`);
+    }
+
+    const blocks = (x) => (x == null ? '-' : x.toFixed(x < 0.01 && x > 0 ? 4 : 2));
+    for (const budget of report.budgets) {
+        console.log(`\n📦 ${budget.window} window: ${budget.blocks} blocks (block time ${report.blockTime}s)`);
+        console.log(`${''.padEnd(12)}${['solve', 'sign', 'broadcast', 'inclusion', 'total', 'margin'].map(h => h.padStart(10)).join('')}`);
+        for (const r of budget.rows) {
+            const u = r.usedBlocks;
+            console.log(`${`p${r.percentile}`.padEnd(12)}${[u.solve, u.sign, u.broadcast, u.inclusion, r.totalBlocks, r.marginBlocks]
+                .map(x => blocks(x).padStart(10)).join('')}`);
+        }
+        if (!budget.inclusionMeasured) console.log(`${''.padEnd(12)}inclusion not measured: counted as the minimum, ${MIN_INCLUSION_BLOCKS} block`);
+        const worst = budget.rows[budget.rows.length - 1];
+        const used = worst.totalBlocks / budget.blocks * 100;
+        const icon = worst.marginBlocks < budget.blocks / 2 ? '⚠️' : '✅';
+        console.log(`${icon} p${worst.percentile} uses ${used < 0.01 ? '<0.01' : used.toFixed(2)}% of the window, ${blocks(worst.marginBlocks)} blocks to spare`);
+    }
+}
+
+module.exports = {
+    DEFAULTS,
+    PERCENTILES,
+    MIN_INCLUSION_BLOCKS,
+    summarize,
+    benchSolve,
+    benchSign,
+    waitForReceipt,
+    benchInclusion,
+    budgetAgainstWindows,
+    runBench,
+    printBench,
+};
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+/**
+ * Proof of Intelligence - CommonJS Build
+ *
+ * Writes dist/<name>.cjs for every src/<name>.mjs, and dist/index.d.cts from
+ * src/index.d.mts, so require() gets the same isomorphic client as import.
+ * esbuild translates each source on its own: `ethers` stays a require(), and
+ * imports of sibling sources become require('./<name>.cjs'), so every module
+ * (and every error class) exists once in the build. Sources use named
+ * exports only: a default import of a sibling would get its whole exports
+ * object from require().
+ *
+ * Usage: node build.js   (npm run build; prepare runs it on npm install and
+ * before npm pack and publish, pretest before npm test)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SRC_DIR = path.join(__dirname, 'src');
+const DIST_DIR = path.join(__dirname, 'dist');
+
+/**
+ * dist/ file built from a src/ file, or null if it isn't built
+ */
+function outputName(file) {
+    if (file.endsWith('.d.mts')) return file.replace(/\.d\.mts$/, '.d.cts');
+    if (file.endsWith('.mjs')) return file.replace(/\.mjs$/, '.cjs');
+    return null;
+}
+
+// Sibling imports point at their own build instead of being bundled in
+const siblingsAsCommonJs = {
+    name: 'siblings-as-commonjs',
+    setup(build) {
+        build.onResolve({ filter: /^\.\/[\w-]+\.mjs$/ }, args => ({ path: outputName(args.path), external: true }));
+    },
+};
+
+/**
+ * Rebuild dist/ from `srcDir`
+ * @returns {Promise<string[]>} Files written
+ */
+async function build({ srcDir = SRC_DIR, distDir = DIST_DIR } = {}) {
+    // A devDependency: loading the client never needs it
+    const esbuild = require('esbuild');
+    const files = fs.readdirSync(srcDir).filter(outputName).sort();
+    const sources = files.filter(f => f.endsWith('.mjs'));
+
+    fs.mkdirSync(distDir, { recursive: true });
+    await esbuild.build({
+        entryPoints: sources.map(f => path.join(srcDir, f)),
+        outdir: distDir,
+        outExtension: { '.js': '.cjs' },
+        bundle: true,
+        external: ['ethers'],
+        plugins: [siblingsAsCommonJs],
+        format: 'cjs',
+        platform: 'neutral',
+        banner: { js: '// Generated by build.js from src/ - edit the source' },
+        logLevel: 'silent',
+    });
+    for (const file of files.filter(f => f.endsWith('.d.mts'))) {
+        fs.copyFileSync(path.join(srcDir, file), path.join(distDir, outputName(file)));
+    }
+
+    const written = files.map(outputName);
+    // Outputs of sources that no longer exist
+    for (const file of fs.readdirSync(distDir)) {
+        if (/\.(cjs|d\.cts)$/.test(file) && !written.includes(file)) fs.rmSync(path.join(distDir, file), { force: true });
+    }
+    return written;
+}
+
+module.exports = { SRC_DIR, DIST_DIR, outputName, build };
+
+if (require.main === module) {
+    build().then(
+        (written) => console.log(`📦 Built ${written.length} files into dist/`),
+        (e) => {
+            console.error(`❌ Build failed: ${e.message}`);
+            process.exit(1);
+        },
+    );
+}
@@ -0,0 +1,43 @@
+/**
+ * Proof of Intelligence V2 - Per-type Challenge Statistics
+ *
+ * CommonJS entry for src/challenge-stats.mjs, which is where the code lives.
+ * It is built into dist/ by build.js (npm install and npm test run it), and
+ * load-dist.js refuses to load it when src/ has changed since.
+ * printTypeStats is here rather than in src/, which does no I/O.
+ */
+
+const built = require('./load-dist.js').loadDist('challenge-stats');
+
+const { FAILURE_REASONS, KINDS } = built;
+
+/**
+ * Pretty print challengeTypeStats()
+ */
+function printTypeStats(stats) {
+    const percent = (rate) => (rate == null ? '-' : `${(rate * 100).toFixed(1)}%`);
+    const reasons = [...new Set([...FAILURE_REASONS, ...Object.keys(stats.totals.total.reasons)])];
+    const header = ['Attempts', 'Passed', ...reasons, 'Unanswered', 'Open'];
+    const row = (label, kind, b) => console.log(`${label.padEnd(30)}${kind.padEnd(13)}${[
+        String(b.attempts), percent(b.rates.passed), ...reasons.map(r => percent(b.rates[r] ?? 0)), percent(b.rates.unanswered), String(b.open),
+    ].map((cell, i) => cell.padStart(header[i].length + 2)).join('')}`);
+
+    const scope = stats.agent ? `agent ${stats.agent}` : 'all agents';
+    console.log(`\n📊 Challenge Stats by Type - ${scope}${stats.blockNumber != null ? `, to block ${stats.blockNumber}` : ''}`);
+    console.log('='.repeat(43 + header.reduce((sum, h) => sum + h.length + 2, 0)));
+    console.log(`${'Type'.padEnd(30)}${'Kind'.padEnd(13)}${header.map(h => `  ${h}`).join('')}`);
+    if (stats.types.length === 0) {
+        console.log('No challenges issued');
+        return;
+    }
+    for (const t of stats.types) {
+        for (const kind of KINDS) {
+            if (t[kind].attempts > 0) row(`${t.type} ${t.name}`, kind, t[kind]);
+        }
+    }
+    console.log('-'.repeat(43 + header.reduce((sum, h) => sum + h.length + 2, 0)));
+    for (const kind of [...KINDS, 'total']) row('All types', kind, stats.totals[kind]);
+    console.log('\nRates are of decided attempts (open challenges excluded)');
+}
+
+module.exports = { ...built, printTypeStats };
@@ -0,0 +1,9 @@
+/**
+ * Proof of Intelligence - Challenge Type Registry
+ *
+ * CommonJS entry for src/challenge-types.mjs, which is where the code lives. It is
+ * built into dist/ by build.js (npm install and npm test run it), and
+ * load-dist.js refuses to load it when src/ has changed since.
+ */
+
+module.exports = require('./load-dist.js').loadDist('challenge-types');
@@ -3,86 +3,680 @@
  * PoI V2 CLI - Proof of Intelligence Verification
  * 
  * Usage:
- *   node cli.js status              - Check credential status
- *   node cli.js verify              - Initial verification
- *   node cli.js maintain            - Renew credential
+ *   node cli.js status              - Check credential status (V1 or V2, detected from the contract)
+ *   node cli.js verify              - Initial verification (after a preflight check, skip with --force)
+ *   node cli.js maintain            - Renew credential (after a preflight check, skip with --force)
+ *   node cli.js preflight           - Check whether verify (or --maintenance) would go through
+ *   node cli.js resume              - Answer an already-issued challenge (verify/maintain do this too)
+ *   node cli.js verify --dry-run    - Simulate the attempt without sending anything (also maintain, resume)
  *   node cli.js stats               - Global stats
+ *   node cli.js stats --by-type [agent] - Pass/fail rates per challenge type and failure reason, initial vs maintenance
+ *   node cli.js plan [agent]        - Forecast expiries, reputation and grace-period risk
+ *   node cli.js daemon              - Keep the credential maintained (long-running)
+ *   node cli.js alerts [agent]      - Send alerts for expiry, grace, decay, failures, reputation, revocation
+ *   node cli.js alerts test         - Send a test alert to every configured sink
+ *   node cli.js keeper --dry-run    - List credentials past grace but still valid, and the triggerDecay batches
+ *   node cli.js keeper              - Submit those triggerDecay calls (--batch-gas, --max-fee <gwei>)
+ *   node cli.js metrics             - Prometheus /metrics for watched agents and global stats (--port, --agents, --manifest)
+ *   node cli.js fleet <status|verify|maintain> - Operate every agent in the fleet manifest
+ *   node cli.js bench               - Time solve/sign/broadcast/inclusion against the challenge windows
+ *   node cli.js audit <agent> <tx>  - Audit a past submitAnswer against the JS solver
+ *   node cli.js audit --fixture <f> - Audit archived records without a node
+ *   node cli.js history [agent]     - Timeline of an agent's attempts, renewals and reputation
+ *   node cli.js index [--follow]    - Backfill (and keep following) the local event index
+ *   node cli.js serve               - Read-only HTTP verification API (--port, --host)
+ *   node cli.js attest [--out f]    - Sign an EIP-712 attestation of the credential
+ *   node cli.js check-attestation <file> - Verify an attestation offline (--max-age, --min-reputation)
+ *   node cli.js migrate             - Verify on V2 an agent holding a V1 credential
+ *   node cli.js migrate status      - V1 and V2 credentials side by side
+ *   node cli.js networks            - List network profiles
+ *   node cli.js selftest            - Solve every challenge type on a fixed input (no node needed)
+ *
+ * Network options (see config.js):
+ *   --network <name>  --rpc <url>  --contract <address>  --registry <address>  --v1-contract <address>  --config <file>
+ *
+ * Output:
+ *   --json  Machine-readable output: one JSON object per line (NDJSON), no progress text
+ *
+ * Exit codes: 0 success, 1 error or failed attempt, 2 audit divergence,
+ * 3-11 contract reverts (see errors.js)
  */
 
-const { ethers } = require('ethers');
-const { PoIClient, printStatus } = require('./poi-client-v2.js');
 const fs = require('fs');
-const path = require('path');
+const { ethers } = require('ethers');
+const { PoIClient, printStatus, solveChallenge } = require('./poi-client-v2.js');
+const { getProfile } = require('./challenge-types.js');
+const { printStatusV1 } = require('./poi-client-v1.js');
+const { connectPoI, detectVersion, transitionStatus, migrateAgent, printTransitionStatus } = require('./migration.js');
+const { auditSubmission, verifyAnswer, loadFixture, printAudit } = require('./audit.js');
+const { resolveConfig, resolveNetwork, listNetworks } = require('./config.js');
+const { parseArgs } = require('./args.js');
+const { resolveSignerConfig, loadSigner } = require('./signers.js');
+const { MaintenanceDaemon } = require('./daemon.js');
+const { loadManifest, fleetStatus, runFleet, printFleetStatus, printFleetResults } = require('./fleet.js');
+const { silentLogger, createConsoleLogger } = require('./logger.js');
+const { PoIError } = require('./errors.js');
+const { PoIIndexer, summarizeHistory, printHistory } = require('./indexer.js');
+const { createServer } = require('./server.js');
+const { verifyAttestation, DEFAULT_MAX_AGE } = require('./attestation.js');
+const { printForecast } = require('./forecast.js');
+const { printTypeStats } = require('./challenge-stats.js');
+const { AlertMonitor, resolveAlertConfig, printAlerts } = require('./alerts.js');
+const { MetricsExporter, createMetricsServer } = require('./metrics.js');
+const { runBench, printBench } = require('./bench.js');
+const { knownAgents, runKeeper, printKeeperReport } = require('./keeper.js');
+
+/**
+ * Human or NDJSON output, chosen by --json
+ */
+function createOutput(json) {
+    return {
+        json,
+        // Progress/banner text - suppressed in JSON mode
+        log: (...parts) => { if (!json) console.log(...parts); },
+        // A result: one JSON line, or the human printer
+        result: (data, print) => {
+            if (json) console.log(toJson(data));
+            else if (print) print(data);
+        },
+    };
+}
+
+function toJson(data) {
+    return JSON.stringify(data, (key, value) => (typeof value === 'bigint' ? value.toString() : value));
+}
+
+function printResult(result) {
+    if (result.outcome === 'skipped') return;
+    const { simulation } = result;
+    if (result.outcome === 'simulated') {
+        const predicted = simulation.outcome
+            ? `${simulation.outcome}${simulation.reason ? ` (${simulation.reason})` : ''}` : 'unknown';
+        console.log(`\nPredicted outcome: ${predicted}`);
+        if (simulation.answer) console.log(`Answer matches computeExpectedAnswer: ${simulation.answerMatches ? 'yes' : 'NO'}`);
+        if (simulation.error) console.log(`Hint: ${simulation.error.hint}`);
+        return;
+    }
+    console.log(`\nOutcome: ${result.outcome}${result.reason ? ` (${result.reason})` : ''}`);
+    if (result.submitTx) console.log(`Submit tx: ${result.submitTx.hash} (gas ${result.submitTx.gasUsed})`);
+    if (result.submission && result.submission.replacements > 0) {
+        console.log(`Fee bumps: ${result.submission.replacements}, blocks to spare: ${result.submission.blocksToSpare}`);
+    }
+    if (result.error) console.log(`Hint: ${result.error.hint}`);
+}
+
+function printEligibility(eligibility) {
+    console.log(`🛫 Preflight: ${eligibility.action} at block ${eligibility.blockNumber} (${eligibility.chainTime.toISOString()})`);
+    console.log('='.repeat(40));
+    for (const c of eligibility.checks) {
+        const clears = c.clearsAt ? ` - clears ${c.clearsAt.toISOString()}`
+            : c.clearsAtBlock ? ` - clears at block ${c.clearsAtBlock}` : '';
+        console.log(`${c.ok ? '✅' : '❌'} ${c.name}: ${c.detail}${clears}`);
+    }
+    if (eligibility.activeChallenge) {
+        const { blocksRemaining, deadline } = eligibility.activeChallenge;
+        console.log(`\n⚠️ Active challenge: ${blocksRemaining} blocks left (deadline block ${deadline}) - run: node cli.js resume`);
+    } else if (eligibility.eligible) {
+        console.log(`\nReady to ${eligibility.action}`);
+    } else {
+        console.log(`\nBlocked: ${eligibility.blocker.message}`);
+        console.log(`Hint: ${eligibility.blocker.hint}`);
+    }
+}
+
+function printStats(stats) {
+    console.log('📊 Global Stats');
+    console.log('='.repeat(40));
+    console.log(`Challenges Issued: ${stats.totalChallengesIssued}`);
+    console.log(`Passed: ${stats.totalPassed}`);
+    console.log(`Failed: ${stats.totalFailed}`);
+    console.log(`Renewals: ${stats.totalMaintenanceRenewals}`);
+    console.log(`Decayed: ${stats.totalDecayed}`);
+}
+
+/**
+ * Indexer for the configured contract (see indexer.js)
+ */
+function createIndexer(provider, config, args, logger) {
+    return new PoIIndexer(provider, config.contract, {
+        dir: args.flags.indexDir,
+        deployBlock: config.deployBlock,
+        chunkSize: Number(args.flags.chunkSize) || undefined,
+        confirmations: Number(args.flags.confirmations) || undefined,
+        logger,
+    });
+}
+
+/**
+ * Alert monitor for one agent, reading events from the local index (see alerts.js)
+ */
+async function createAlertMonitor(client, provider, config, args, logger, address) {
+    const rules = resolveAlertConfig(config);
+    const indexer = args.flags.offline ? null : await createIndexer(provider, config, args, logger).open();
+    return new AlertMonitor(client, { address, rules, indexer, statePath: args.flags.alertState, logger });
+}
+
+/**
+ * Agent history from the local event index (synced first unless --offline)
+ */
+async function history(args, out) {
+    const config = resolveConfig(args.flags);
+    const provider = new ethers.JsonRpcProvider(config.rpcUrl);
+    try {
+        const agent = args._[1]
+            ? ethers.getAddress(args._[1])
+            : (await loadSigner(resolveSignerConfig(config), provider)).address;
+        const indexer = await createIndexer(provider, config, args, out.json ? silentLogger : createConsoleLogger()).open();
+
+        if (!args.flags.offline) {
+            out.log(`🔎 Syncing event index from block ${indexer.lastBlock + 1}...`);
+            await indexer.sync();
+        }
+        const events = indexer.events(agent);
+        if (out.json) {
+            events.forEach(e => out.result(e));
+            out.result({ agent, summary: summarizeHistory(events), indexedTo: indexer.lastBlock });
+        } else {
+            printHistory(agent, events);
+            console.log(`Indexed to block ${indexer.lastBlock}`);
+        }
+    } finally {
+        provider.destroy();
+    }
+}
+
+/**
+ * Backfill the event index, then optionally follow new blocks
+ */
+async function index(args, out) {
+    const config = resolveConfig(args.flags);
+    const provider = new ethers.JsonRpcProvider(config.rpcUrl);
+    const logger = out.json ? silentLogger : createConsoleLogger({ timestamps: Boolean(args.flags.follow) });
+    const indexer = await createIndexer(provider, config, args, logger).open();
+
+    out.log(`🔎 Indexing ${config.contract} from block ${indexer.lastBlock + 1} into ${indexer.dir}`);
+    const result = await indexer.sync();
+    out.result({ ...result, events: indexer.events().length, dir: indexer.dir },
+        r => console.log(`Indexed blocks ${r.from}-${r.to}: +${r.added} events (${r.events} total)`));
+
+    if (!args.flags.follow) {
+        provider.destroy();
+        return;
+    }
+    const shutdown = async () => {
+        await indexer.stop();
+        provider.destroy();
+        process.exit(0);
+    };
+    process.once('SIGINT', shutdown);
+    process.once('SIGTERM', shutdown);
+    await indexer.start();
+    out.log('Following new blocks (Ctrl+C to stop)');
+}
+
+/**
+ * Serve the read-only verification API until stopped
+ */
+async function serve(args, out) {
+    const config = resolveConfig(args.flags);
+    const provider = new ethers.JsonRpcProvider(config.rpcUrl);
+    const logger = out.json ? silentLogger : createConsoleLogger({ timestamps: true });
+    const client = new PoIClient(provider, null, config.contract);
+    const server = createServer(client, { blockTtlMs: Number(args.flags.blockTtl) || undefined, logger });
+
+    const port = Number(args.flags.port) || 8080;
+    const host = args.flags.host || '127.0.0.1';
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, resolve);
+    });
+    out.result({ event: 'listening', url: `http://${host}:${port}`, contract: config.contract, network: config.network },
+        r => console.log(`🌐 PoI API for ${r.contract} (${config.name}) at ${r.url}`));
+
+    const shutdown = () => server.close(() => {
+        provider.destroy();
+        process.exit(0);
+    });
+    process.once('SIGINT', shutdown);
+    process.once('SIGTERM', shutdown);
+}
+
+/**
+ * Verify an attestation file against the configured chain and contract (no RPC call)
+ */
+function checkAttestation(args, out) {
+    const file = args._[1];
+    if (!file) throw new Error('Usage: node cli.js check-attestation <file.json> [--max-age <seconds>] [--min-reputation <n>]');
+    const config = resolveConfig(args.flags);
+    const doc = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const result = verifyAttestation(doc, {
+        chainId: config.chainId,
+        contract: config.contract,
+        maxAge: Number(args.flags.maxAge) || DEFAULT_MAX_AGE,
+        minReputation: Number(args.flags.minReputation) || 0,
+    });
+    out.result(result, r => console.log(r.valid
+        ? `✅ Valid attestation for ${r.agent} (reputation ${r.message.reputation}/100, expires ${new Date(r.message.expiresAt * 1000).toISOString()})`
+        : `❌ Invalid attestation: ${r.reason}`));
+    if (!result.valid) process.exitCode = 1;
+}
+
+/**
+ * Benchmark the solve → inclusion pipeline (no wallet needed; inclusion uses a local node)
+ */
+async function bench(args, out) {
+    // Only the RPC and block time: bench never touches the PoI contract
+    const config = resolveNetwork(args.flags);
+    const provider = args.flags.offline ? null : new ethers.JsonRpcProvider(config.rpcUrl);
+    try {
+        const report = await runBench({
+            profile: args.flags.profile,
+            runs: Number(args.flags.runs) || undefined,
+            signRuns: Number(args.flags.signRuns) || undefined,
+            inclusionRuns: Number(args.flags.inclusionRuns) || undefined,
+            blockTime: Number(args.flags.blockTime) || config.blockTime,
+            seed: args.flags.seed,
+            provider,
+            logger: out.json ? silentLogger : createConsoleLogger(),
+        });
+        out.result(report, printBench);
+    } finally {
+        if (provider) provider.destroy();
+    }
+}
+
+/**
+ * Audit past submissions (no wallet needed)
+ */
+async function audit(args, out) {
+    let reports;
+    if (args.flags.fixture) {
+        if (args.flags.fixture === true) throw new Error('Usage: node cli.js audit --fixture <file.json>');
+        reports = loadFixture(args.flags.fixture).map(verifyAnswer);
+    } else {
+        const [agent, txHash] = args._.slice(1);
+        if (!agent || !txHash) throw new Error('Usage: node cli.js audit <agent> <txHash>');
+        const config = resolveConfig(args.flags);
+        const provider = new ethers.JsonRpcProvider(config.rpcUrl);
+        reports = [await auditSubmission(provider, config.contract, agent, txHash)];
+    }
+
+    reports.forEach(report => out.result(report, printAudit));
+    const diverged = reports.filter(r => r.matches === false).length;
+    out.log(`\n${reports.length} audited, ${diverged} divergent`);
+    if (diverged > 0) process.exitCode = 2;
+}
+
+/**
+ * Fleet commands (one signer per manifest entry)
+ */
+async function fleet(args, out) {
+    const action = args._[1] || 'status';
+    const config = resolveConfig(args.flags);
+    const agents = loadManifest(args.flags.manifest);
+    const provider = new ethers.JsonRpcProvider(config.rpcUrl);
+    const options = { concurrency: Number(args.flags.concurrency) || undefined, submission: config.submission };
+
+    out.log(`🧠 Proof of Intelligence V2 - Fleet (${agents.length} agents)`);
+    out.log(`📍 Contract: ${config.contract}`);
+    out.log(`🔗 Network: ${config.name}`);
+
+    try {
+        if (action === 'status') {
+            const rows = await fleetStatus(provider, config.contract, agents, options);
+            if (out.json) rows.forEach(row => out.result(row));
+            else printFleetStatus(rows);
+        } else if (action === 'verify' || action === 'maintain') {
+            const results = await runFleet(provider, config.contract, agents, action, options);
+            if (out.json) results.forEach(r => out.result(r));
+            else printFleetResults(action, results);
+            if (results.some(r => ['failed', 'reverted', 'aborted', 'error'].includes(r.outcome))) process.exitCode = 1;
+        } else {
+            throw new Error('Usage: node cli.js fleet <status|verify|maintain> [--manifest <file>] [--concurrency <n>]');
+        }
+    } finally {
+        provider.destroy();
+    }
+}
 
-// Contract addresses - Base Sepolia
-const POI_V2_ADDRESS = '0x321cd306284b5Dc71E96973c879448cfEcCf334b';
-const REGISTRY_ADDRESS = '0xE0b8fEfbBe7b041dEec12d2aF40A9aBA9A3018d4';
-const RPC_URL = 'https://sepolia.base.org';
+/**
+ * V1 client for the migration commands, after checking both contract versions
+ */
+async function openMigration(provider, wallet, config, logger) {
+    if (!config.v1Contract) {
+        throw new Error(`Network "${config.network}" has no V1 contract (set --v1-contract or POI_V1_CONTRACT)`);
+    }
+    const [v1, version] = await Promise.all([
+        connectPoI(provider, wallet, config.v1Contract, { logger }, 'v1'),
+        detectVersion(provider, config.contract),
+    ]);
+    if (version !== 'v2') throw new Error(`--contract ${config.contract} is a ${version.toUpperCase()} contract, migrate needs V2`);
+    return v1;
+}
 
 async function main() {
-    const cmd = process.argv[2] || 'help';
+    const args = parseArgs(process.argv.slice(2), { boolean: ['json', 'force', 'maintenance', 'offline', 'follow', 'dryRun', 'maintain', 'byType'] });
+    const cmd = args._[0] || 'help';
+    const out = createOutput(Boolean(args.flags.json));
 
-    // Load wallet
-    const walletPath = path.join(process.env.HOME, '.config/0xclaw/wallet.json');
-    if (!fs.existsSync(walletPath)) {
-        console.error('❌ Wallet not found at', walletPath);
-        process.exit(1);
+    if (cmd === 'audit') {
+        return audit(args, out);
+    }
+    if (cmd === 'bench') {
+        return bench(args, out);
+    }
+    if (cmd === 'fleet') {
+        return fleet(args, out);
+    }
+    if (cmd === 'history') {
+        return history(args, out);
+    }
+    if (cmd === 'index') {
+        return index(args, out);
+    }
+    if (cmd === 'serve') {
+        return serve(args, out);
+    }
+    if (cmd === 'check-attestation') {
+        return checkAttestation(args, out);
+    }
+    if (cmd === 'selftest') {
+        const seed = '0x' + '42'.repeat(32);
+        const agent = '0xffA12D92098eB2b72B3c30B62f8da02BA4158c1e';
+        const block = { number: 12345678, timestamp: 1706745600 };
+        for (const { id, name } of getProfile('v2').types()) {
+            const answer = solveChallenge(id, seed, agent, block);
+            out.result({ type: id, name, answer }, () => console.log(`Type ${id} (${name}): ${answer.slice(0, 18)}...`));
+        }
+        return;
     }
-    const walletConfig = JSON.parse(fs.readFileSync(walletPath, 'utf8'));
-    const privateKey = walletConfig.privateKey || walletConfig.private_key;
+    if (cmd === 'networks') {
+        const current = resolveNetwork(args.flags).network;
+        for (const name of listNetworks(args.flags)) {
+            out.result({ network: name, current: name === current },
+                () => console.log(`${name === current ? '*' : ' '} ${name}`));
+        }
+        return;
+    }
+
+    const config = resolveConfig(args.flags);
+
+    // Setup provider and signer (backend chosen by config, see signers.js)
+    const provider = new ethers.JsonRpcProvider(config.rpcUrl);
+    const signerConfig = resolveSignerConfig(config);
+    const wallet = await loadSigner(signerConfig, provider);
+    const logger = out.json ? silentLogger : createConsoleLogger();
+    const client = new PoIClient(provider, wallet, config.contract, { logger, submission: config.submission });
+
+    out.log('🧠 Proof of Intelligence V2');
+    out.log(`📍 Contract: ${config.contract}`);
+    out.log(`👤 Agent: ${wallet.address} (${signerConfig.type})`);
+    out.log(`🔗 Network: ${config.name}\n`);
 
-    // Setup provider and wallet
-    const provider = new ethers.JsonRpcProvider(RPC_URL);
-    const wallet = new ethers.Wallet(privateKey, provider);
-    const client = new PoIClient(provider, wallet, POI_V2_ADDRESS);
+    const finish = (result) => {
+        out.result(result, printResult);
+        const { outcome, error } = result.outcome === 'simulated' ? result.simulation : result;
+        if (!['passed', 'skipped'].includes(outcome)) process.exitCode = error ? error.exitCode : 1;
+    };
 
-    console.log('🧠 Proof of Intelligence V2');
-    console.log(`📍 Contract: ${POI_V2_ADDRESS}`);
-    console.log(`👤 Agent: ${wallet.address}`);
-    console.log(`🔗 Network: Base Sepolia\n`);
+    // Refuse to spend gas on a request the contract would revert, unless --force.
+    // An active challenge is resumed rather than requested, so it isn't a blocker.
+    const preflight = async (maintenance) => {
+        if (args.flags.force) return;
+        const eligibility = await client.checkEligibility({ maintenance });
+        if (!eligibility.eligible && !eligibility.activeChallenge) throw eligibility.blocker;
+    };
 
     switch (cmd) {
-        case 'status':
-            const status = await client.getStatus();
-            printStatus(status);
+        case 'status': {
+            const detected = await connectPoI(provider, wallet, config.contract);
+            out.result(await detected.getStatus(), detected.version === 'v1' ? printStatusV1 : printStatus);
             break;
+        }
+
+        case 'migrate': {
+            const v1 = await openMigration(provider, wallet, config, logger);
+            out.log(`📍 V1 Contract: ${config.v1Contract}\n`);
+            const status = await transitionStatus(v1, client);
+            if (args._[1] === 'status') {
+                out.result(status, printTransitionStatus);
+                break;
+            }
+            if (args._[1]) throw new Error('Usage: node cli.js migrate [status] [--force]');
+            if (status.stage === 'pending') await preflight(false);
+            finish(await migrateAgent(v1, client, { force: Boolean(args.flags.force), logger }));
+            break;
+        }
+
+        case 'preflight': {
+            const eligibility = await client.checkEligibility({ maintenance: Boolean(args.flags.maintenance) });
+            out.result(eligibility, printEligibility);
+            if (!eligibility.eligible) process.exitCode = eligibility.blocker.exitCode;
+            break;
+        }
 
         case 'verify':
-            await client.proveIntelligence();
+            await preflight(false);
+            finish(await (args.flags.dryRun ? client.dryRun() : client.proveIntelligence()));
             break;
 
         case 'maintain':
-            await client.maintain();
+            await preflight(true);
+            finish(await (args.flags.dryRun ? client.dryRun({ maintenance: true }) : client.maintain()));
+            break;
+
+        case 'resume': {
+            const active = await client.getActiveChallenge();
+            finish(await (args.flags.dryRun && active ? client.dryRun() : client.resume(active)));
             break;
+        }
 
         case 'auto':
-            await client.autoMaintain();
+            finish(await client.autoMaintain());
+            break;
+
+        case 'daemon': {
+            const daemonLogger = out.json ? silentLogger : createConsoleLogger({ timestamps: true });
+            const alerts = resolveAlertConfig(config).sinks.length > 0
+                ? await createAlertMonitor(client, provider, config, args, daemonLogger)
+                : null;
+            const daemon = new MaintenanceDaemon(client, {
+                statePath: args.flags.state,
+                logger: daemonLogger,
+                onEvent: (event) => { if (out.json) out.result({ ts: new Date(), ...event }); },
+                alerts,
+            });
+            const shutdown = async () => {
+                await daemon.stop();
+                provider.destroy();
+                process.exit(0);
+            };
+            process.once('SIGINT', shutdown);
+            process.once('SIGTERM', shutdown);
+            await daemon.start();
+            break;
+        }
+
+        case 'stats': {
+            if (!args.flags.byType) {
+                out.result(await client.getStats(), printStats);
+                break;
+            }
+            // Per-type rates join ChallengeIssued with its outcome from the local event index
+            const agent = args._[1] ? ethers.getAddress(args._[1]) : null;
+            const indexer = await createIndexer(provider, config, args, logger).open();
+            if (!args.flags.offline) {
+                out.log(`🔎 Syncing event index from block ${indexer.lastBlock + 1}...`);
+                await indexer.sync();
+            }
+            out.result(await client.getStatsByType({ address: agent, events: indexer.events(agent), toBlock: indexer.lastBlock }), printTypeStats);
             break;
+        }
+
+        case 'metrics': {
+            // Watched agents: --agents a,b | --manifest (fleet.json) | this signer
+            const agents = args.flags.agents
+                ? String(args.flags.agents).split(',').map((address, i) => ({ name: `agent-${i + 1}`, address: ethers.getAddress(address.trim()) }))
+                : args.flags.manifest ? loadManifest(args.flags.manifest) : [{ name: 'self', address: wallet.address }];
+            const metricsLogger = out.json ? silentLogger : createConsoleLogger({ timestamps: true });
+            const exporter = new MetricsExporter(client, agents, { concurrency: Number(args.flags.concurrency) || undefined, logger: metricsLogger });
+            await exporter.start();
+
+            let daemon = null;
+            if (args.flags.maintain) {
+                // Maintain this signer's credential in-process, so its attempts feed the histograms
+                daemon = new MaintenanceDaemon(client, {
+                    statePath: args.flags.state,
+                    logger: metricsLogger,
+                    onEvent: (event) => { if (event.event === 'result') exporter.observeResult(event.result); },
+                });
+                await daemon.start();
+            }
+
+            const server = createMetricsServer(exporter);
+            const port = Number(args.flags.port) || 9464;
+            const host = args.flags.host || '127.0.0.1';
+            await new Promise((resolve, reject) => {
+                server.once('error', reject);
+                server.listen(port, host, resolve);
+            });
+            out.result({ event: 'listening', url: `http://${host}:${port}/metrics`, agents: agents.length, maintain: Boolean(daemon) },
+                r => console.log(`📈 Metrics for ${r.agents} agent(s) at ${r.url}${r.maintain ? ', maintaining this agent' : ''}`));
 
-        case 'stats':
-            const stats = await client.getStats();
-            console.log('📊 Global Stats');
-            console.log('='.repeat(40));
-            console.log(`Challenges Issued: ${stats.totalChallengesIssued}`);
-            console.log(`Passed: ${stats.totalPassed}`);
-            console.log(`Failed: ${stats.totalFailed}`);
-            console.log(`Renewals: ${stats.totalMaintenanceRenewals}`);
-            console.log(`Decayed: ${stats.totalDecayed}`);
+            const shutdown = async () => {
+                await exporter.stop();
+                if (daemon) await daemon.stop();
+                server.close();
+                provider.destroy();
+                process.exit(0);
+            };
+            process.once('SIGINT', shutdown);
+            process.once('SIGTERM', shutdown);
             break;
+        }
+
+        case 'alerts': {
+            const test = args._[1] === 'test';
+            const agent = args._[test ? 2 : 1] ? ethers.getAddress(args._[test ? 2 : 1]) : wallet.address;
+            const monitor = await createAlertMonitor(client, provider, config, args, logger, agent);
+            if (test) {
+                if (monitor.sinks.length === 0) throw new Error('No alert sinks configured (set "alerts.sinks" in the config file)');
+                const deliveries = await monitor.test();
+                deliveries.forEach(d => out.result(d, () => console.log(`${d.ok ? '✅' : '❌'} ${d.sink}${d.error ? ` - ${d.error}` : ''}`)));
+                if (deliveries.some(d => !d.ok)) process.exitCode = 1;
+                break;
+            }
+            if (monitor.indexer) out.log(`🔎 Syncing event index from block ${monitor.indexer.lastBlock + 1}...`);
+            const result = await monitor.check();
+            out.result(result, printAlerts);
+            if (result.pending > 0) process.exitCode = 1;
+            break;
+        }
+
+        case 'keeper': {
+            // Known agents: --agents a,b, or everyone in the event index
+            let agents;
+            if (args.flags.agents) {
+                agents = String(args.flags.agents).split(',').map(address => ethers.getAddress(address.trim()));
+            } else {
+                const indexer = await createIndexer(provider, config, args, logger).open();
+                if (!args.flags.offline) {
+                    out.log(`🔎 Syncing event index from block ${indexer.lastBlock + 1}...`);
+                    await indexer.sync();
+                }
+                agents = knownAgents(indexer.events());
+            }
+            const keeperConfig = config.keeper || {};
+            const report = await runKeeper(client, agents, {
+                dryRun: Boolean(args.flags.dryRun),
+                batchGas: Number(args.flags.batchGas) || keeperConfig.batchGas,
+                maxFeePerGasGwei: args.flags.maxFee != null ? Number(args.flags.maxFee) : keeperConfig.maxFeePerGasGwei,
+                concurrency: Number(args.flags.concurrency) || keeperConfig.concurrency,
+                receiptTimeout: keeperConfig.receiptTimeout,
+                logger,
+            });
+            out.result(report, printKeeperReport);
+            if (report.errors > 0) process.exitCode = 1;
+            break;
+        }
+
+        case 'plan': {
+            const agent = args._[1] ? ethers.getAddress(args._[1]) : wallet.address;
+            const hours = (value) => (value != null ? Number(value) * 3600 : undefined);
+            let history;
+            if (args.flags.failureRate == null) {
+                // Failure rates come from the agent's maintenance history
+                const indexer = await createIndexer(provider, config, args, logger).open();
+                if (!args.flags.offline) {
+                    out.log(`🔎 Syncing event index from block ${indexer.lastBlock + 1}...`);
+                    await indexer.sync();
+                }
+                history = indexer.events(agent);
+            }
+            const forecast = await client.forecast({
+                address: agent,
+                history,
+                renewBefore: hours(args.flags.renewBefore),
+                checkInterval: hours(args.flags.checkInterval),
+                failureRate: args.flags.failureRate != null ? Number(args.flags.failureRate) : undefined,
+                horizon: args.flags.horizon ? Number(args.flags.horizon) * 24 * 3600 : undefined,
+            });
+            out.result(forecast, printForecast);
+            if (forecast.flags.some(f => f.level === 'danger')) process.exitCode = 1;
+            break;
+        }
+
+        case 'attest': {
+            const doc = await client.createAttestation();
+            if (args.flags.out) {
+                fs.writeFileSync(args.flags.out, JSON.stringify(doc, null, 2));
+                out.log(`📝 Attestation at block ${doc.message.blockNumber} written to ${args.flags.out}`);
+            } else {
+                console.log(JSON.stringify(doc, null, out.json ? 0 : 2));
+            }
+            break;
+        }
 
         case 'help':
         default:
             console.log('Commands:');
             console.log('  status   - Check your credential status');
-            console.log('  verify   - Complete initial verification');
-            console.log('  maintain - Renew expiring credential');
+            console.log('  verify   - Complete initial verification (--force skips the preflight check)');
+            console.log('  maintain - Renew expiring credential (--force skips the preflight check)');
+            console.log('  preflight - Check whether verify (or --maintenance) would go through, and when blockers clear');
+            console.log('  resume   - Answer an already-issued challenge before its deadline');
+            console.log('  --dry-run on verify/maintain/resume - Simulate submitAnswer and compare with computeExpectedAnswer, send nothing');
             console.log('  auto     - Auto-maintain if needed');
-            console.log('  stats    - View global statistics');
+            console.log('  daemon   - Keep the credential maintained (runs until stopped, --state <file>); sends alerts when sinks are configured');
+            console.log('  metrics  - Prometheus /metrics for --agents a,b or --manifest (default: you), refreshed per block (--port 9464, --host, --maintain runs the daemon too)');
+            console.log('  alerts   - alerts [agent]: send new expiry/grace/decay/failure/reputation/revocation alerts (--offline, --alert-state <file>); alerts test');
+            console.log('  keeper   - triggerDecay every known credential past its grace period, in gas-capped batches (--dry-run, --batch-gas, --max-fee <gwei>, --agents a,b, --offline)');
+            console.log('  stats    - View global statistics; stats --by-type [agent]: pass rates per challenge type and failure reason, initial vs maintenance (--offline)');
+            console.log('  plan     - plan [agent]: forecast expiries, reputation and grace risk (--renew-before <h>, --check-interval <h>, --failure-rate <0-1>, --horizon <days>, --offline)');
+            console.log('  fleet    - fleet <status|verify|maintain> for every agent in ~/.config/0xclaw/fleet.json (--manifest, --concurrency)');
+            console.log('  bench    - Solve/sign/broadcast/inclusion percentiles vs the 50/25-block windows (--runs, --inclusion-runs, --block-time <s>, --profile v1|v2, --seed; --offline skips the node, otherwise use --network anvil)');
+            console.log('  audit    - Audit a past submission: audit <agent> <txHash> | audit --fixture <file>');
+            console.log('  history  - history [agent]: timeline from the local event index (--offline skips syncing)');
+            console.log('  index    - Backfill the event index (--follow keeps tailing, --chunk-size, --confirmations)');
+            console.log('  serve    - Read-only HTTP API: /agents/:address, /agents/:address/verified, /agents/batch, /stats (--port, --host)');
+            console.log('  attest   - Sign an EIP-712 attestation of your credential (--out <file>)');
+            console.log('  check-attestation - Verify an attestation file offline (--max-age <s>, --min-reputation <n>)');
+            console.log('  migrate  - Verify on V2 with a V1 credential (--force: without one); migrate status shows both');
+            console.log('  networks - List network profiles');
+            console.log('  selftest - Solve every challenge type on a fixed input, without a node');
+            console.log('\nOptions: --network <name> --rpc <url> --contract <address> --v1-contract <address> --config <file> --json');
+            console.log('Signer: set "signer" in the config file or POI_SIGNER (wallet-file, keystore, mnemonic, external)');
             break;
     }
 }
 
 main().catch(e => {
-    console.error('❌ Error:', e.message);
-    process.exit(1);
+    if (process.argv.includes('--json')) {
+        const error = e instanceof PoIError ? e.toJSON() : { message: e.message };
+        console.log(toJson({ error: { ...error, code: e.errorName || e.code || null } }));
+    } else {
+        console.error('❌ Error:', e.message);
+        if (e.hint) console.error(`   ${e.hint}`);
+    }
+    process.exit(e.exitCode || 1);
 });
@@ -0,0 +1,21 @@
+/**
+ * Proof of Intelligence - Concurrency Helpers
+ */
+
+/**
+ * Map with at most `limit` promises in flight, preserving order
+ */
+async function mapLimit(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (next < items.length) {
+            const i = next++;
+            results[i] = await fn(items[i], i);
+        }
+    });
+    await Promise.all(workers);
+    return results;
+}
+
+module.exports = { mapLimit };
@@ -0,0 +1,194 @@
+/**
+ * Proof of Intelligence - Network Configuration
+ *
+ * Resolves which RPC and contracts the tooling talks to. Later sources win:
+ *   1. Built-in network profiles (below)
+ *   2. Config file: $POI_CONFIG or ~/.config/0xclaw/poi.json
+ *   3. Environment: POI_NETWORK, POI_RPC_URL, POI_CONTRACT, POI_REGISTRY, POI_V1_CONTRACT
+ *   4. CLI flags: --network, --rpc, --contract, --registry, --v1-contract, --config
+ *
+ * `v1Contract` is the legacy V1 deployment read by the migration commands.
+ * `blockTime` (seconds) converts latencies to blocks in `cli.js bench`.
+ *
+ * A profile may set `broadcast` to fill in addresses from the Foundry
+ * deployment receipts in broadcast/<script>/<chainId>/run-latest.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+const DEFAULT_CONFIG_PATH = path.join(process.env.HOME || '.', '.config/0xclaw/poi.json');
+const DEFAULT_BROADCAST_ROOT = path.join(__dirname, '..', 'broadcast');
+
+// Built-in network profiles
+const NETWORKS = {
+    'base-sepolia': {
+        name: 'Base Sepolia',
+        chainId: 84532,
+        rpcUrl: 'https://sepolia.base.org',
+        contract: '0x321cd306284b5Dc71E96973c879448cfEcCf334b',
+        registry: '0xE0b8fEfbBe7b041dEec12d2aF40A9aBA9A3018d4',
+        v1Contract: '0xA2B4624598F198Ea1d3a51A6C0De11590AaaFC60',
+        blockTime: 2,
+        broadcast: 'DeployV2Testnet.s.sol',
+    },
+    'anvil': {
+        name: 'Anvil (local)',
+        chainId: 31337,
+        rpcUrl: 'http://127.0.0.1:8545',
+        broadcast: 'DeployV2Testnet.s.sol',
+    },
+};
+
+const DEFAULT_NETWORK = 'base-sepolia';
+
+/**
+ * Read deployed addresses from a Foundry broadcast receipt
+ * @param {string} script - Script name, e.g. 'DeployV2Testnet.s.sol'
+ * @param {number} chainId - Chain the script was broadcast to
+ * @param {string} [root] - broadcast/ directory
+ * @returns {object} { contract, registry, deployBlock, source }
+ */
+function loadBroadcastDeployment(script, chainId, root = DEFAULT_BROADCAST_ROOT) {
+    const file = path.join(root, script, String(chainId), 'run-latest.json');
+    if (!fs.existsSync(file)) {
+        throw new Error(`No deployment receipt at ${file} (run forge script ${script} --broadcast first)`);
+    }
+    const run = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+    const created = (name) => run.transactions.find(tx =>
+        tx.transactionType === 'CREATE' && tx.contractName === name
+    );
+    const poi = created('ProofOfIntelligenceV2');
+    if (!poi) throw new Error(`${file} does not deploy ProofOfIntelligenceV2`);
+
+    // The V2 scripts may reuse an existing registry passed to the constructor
+    const registry = created('MockAgentRegistry');
+    const registryAddress = registry ? registry.contractAddress : (poi.arguments || [])[0];
+
+    const receipt = (run.receipts || []).find(r => r.transactionHash === poi.hash);
+
+    return {
+        contract: ethers.getAddress(poi.contractAddress),
+        registry: registryAddress ? ethers.getAddress(registryAddress) : undefined,
+        deployBlock: receipt ? Number(receipt.blockNumber) : undefined,
+        source: file,
+    };
+}
+
+/**
+ * Load the user config file, if any
+ */
+function loadConfigFile(filePath, env = process.env) {
+    const explicit = Boolean(filePath);
+    const file = filePath || env.POI_CONFIG || DEFAULT_CONFIG_PATH;
+    if (!fs.existsSync(file)) {
+        if (explicit) throw new Error(`Config file not found: ${file}`);
+        return { file: null, data: {} };
+    }
+    return { file, data: JSON.parse(fs.readFileSync(file, 'utf8')) };
+}
+
+/**
+ * Pick the network profile named by flags, env or the config file
+ */
+function selectProfile(flags, env) {
+    const { file, data } = loadConfigFile(flags.config, env);
+    const networks = { ...NETWORKS, ...(data.networks || {}) };
+
+    const network = flags.network || env.POI_NETWORK || data.network || DEFAULT_NETWORK;
+    if (!networks[network]) {
+        throw new Error(`Unknown network "${network}" (available: ${Object.keys(networks).join(', ')})`);
+    }
+    return { file, data, network, profile: { ...(NETWORKS[network] || {}), ...networks[network] } };
+}
+
+/**
+ * Resolve the network and RPC only, for commands that never touch the
+ * contract: no addresses are looked up, so an undeployed chain is fine
+ * @returns {object} { network, name, chainId, rpcUrl, blockTime, configFile, ... }
+ */
+function resolveNetwork(flags = {}, env = process.env) {
+    const { file, data, network, profile } = selectProfile(flags, env);
+    const config = {
+        ...data,
+        ...profile,
+        network,
+        name: profile.name || network,
+        rpcUrl: flags.rpc || env.POI_RPC_URL || profile.rpcUrl,
+        configFile: file,
+    };
+    delete config.networks;
+
+    if (!config.rpcUrl) throw new Error(`Network "${network}" has no rpcUrl`);
+    return config;
+}
+
+/**
+ * Resolve the effective network configuration
+ * @param {object} [flags] - Parsed CLI flags ({ network, rpc, contract, registry, v1Contract, config })
+ * @param {object} [env] - Environment (defaults to process.env)
+ * @returns {object} { network, name, chainId, rpcUrl, contract, registry, v1Contract, deployBlock, configFile, ... }
+ */
+function resolveConfig(flags = {}, env = process.env) {
+    const { file, data, network, profile } = selectProfile(flags, env);
+
+    const contract = flags.contract || env.POI_CONTRACT || profile.contract;
+    const registry = flags.registry || env.POI_REGISTRY || profile.registry;
+
+    // Fill gaps from the Foundry deployment receipts
+    let deployment = {};
+    if (profile.broadcast && (!contract || !registry || !profile.deployBlock)) {
+        const script = typeof profile.broadcast === 'string' ? profile.broadcast : profile.broadcast.script;
+        const chainId = profile.broadcast.chainId || profile.chainId;
+        const root = profile.broadcast.root
+            ? path.resolve(path.dirname(file || '.'), profile.broadcast.root)
+            : DEFAULT_BROADCAST_ROOT;
+        try {
+            deployment = loadBroadcastDeployment(script, chainId, root);
+        } catch (e) {
+            if (!contract) throw e;
+        }
+    }
+
+    const config = {
+        ...data,
+        ...profile,
+        network,
+        name: profile.name || network,
+        rpcUrl: flags.rpc || env.POI_RPC_URL || profile.rpcUrl,
+        contract: contract || deployment.contract,
+        registry: registry || deployment.registry,
+        v1Contract: flags.v1Contract || env.POI_V1_CONTRACT || profile.v1Contract,
+        deployBlock: profile.deployBlock || deployment.deployBlock,
+        configFile: file,
+    };
+    delete config.networks;
+
+    if (!config.rpcUrl) throw new Error(`Network "${network}" has no rpcUrl`);
+    if (!config.contract) throw new Error(`Network "${network}" has no PoI contract address`);
+    config.contract = ethers.getAddress(config.contract);
+    if (config.registry) config.registry = ethers.getAddress(config.registry);
+    if (config.v1Contract) config.v1Contract = ethers.getAddress(config.v1Contract);
+
+    return config;
+}
+
+/**
+ * List available network names (built-in + config file)
+ */
+function listNetworks(flags = {}) {
+    const { data } = loadConfigFile(flags.config);
+    return Object.keys({ ...NETWORKS, ...(data.networks || {}) });
+}
+
+module.exports = {
+    NETWORKS,
+    DEFAULT_NETWORK,
+    DEFAULT_CONFIG_PATH,
+    resolveConfig,
+    resolveNetwork,
+    listNetworks,
+    loadBroadcastDeployment,
+};
@@ -0,0 +1,257 @@
+/**
+ * Proof of Intelligence V2 - Maintenance Daemon
+ *
+ * Long-running replacement for the cron-driven auto-maintain.js:
+ * - Subscribes to new blocks and uses chain time (block.timestamp), like the contract
+ * - Schedules the maintenance attempt for when the window opens (expiresAt - 2 days)
+ * - After CooldownNotElapsed or a failed attempt, retries exactly at lastAttempt + 30 min
+ * - Escalates once the credential is in its grace period
+ * - Checks alert rules after each evaluation when given an AlertMonitor (see alerts.js)
+ * - Persists its schedule so a restart picks up where it left off
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { TIMING } = require('./poi-client-v2.js');
+const { silentLogger } = require('./logger.js');
+const { CooldownNotElapsedError } = require('./errors.js');
+
+const STATE_DIR = path.join(process.env.HOME || '.', '.config/0xclaw');
+
+// Re-read the credential at least this often, in case it changed elsewhere
+const REFRESH_INTERVAL = 60 * 60;
+
+// Back off after RPC/transaction errors that didn't start a cooldown
+const ERROR_BACKOFF = 60;
+
+// Re-read block.timestamp at least every N blocks to keep the chain clock estimate honest
+const CLOCK_CHECK_BLOCKS = 50;
+
+/**
+ * Decide what to do next from on-chain state
+ * @param {object} input - { valid, issuedAt, expiresAt, lastAttempt, now } (seconds)
+ * @returns {object} { phase, action, at, reason }
+ *   phase:  'no-credential' | 'healthy' | 'window' | 'grace' | 'decayed'
+ *   action: 'idle' | 'wait' | 'maintain'
+ */
+function planNextAttempt({ valid, issuedAt, expiresAt, lastAttempt, now }) {
+    if (!valid || issuedAt === 0) {
+        return { phase: 'no-credential', action: 'idle', at: now + REFRESH_INTERVAL, reason: 'No credential - run: node cli.js verify' };
+    }
+
+    const graceEnd = expiresAt + TIMING.GRACE_PERIOD;
+    if (now > graceEnd) {
+        return { phase: 'decayed', action: 'idle', at: now + REFRESH_INTERVAL, reason: 'Credential decayed - run: node cli.js verify' };
+    }
+
+    const windowOpens = expiresAt - TIMING.MAINTENANCE_WINDOW;
+    const cooldownEnds = lastAttempt + TIMING.MAINTENANCE_COOLDOWN;
+    const at = Math.max(windowOpens, cooldownEnds);
+
+    let phase = 'healthy';
+    if (now > expiresAt) phase = 'grace';
+    else if (now >= windowOpens) phase = 'window';
+
+    let reason;
+    if (at <= now) reason = phase === 'grace' ? 'In grace period - maintaining urgently' : 'Maintenance window open';
+    else if (at === cooldownEnds && cooldownEnds > windowOpens) reason = 'Waiting for maintenance cooldown';
+    else reason = 'Waiting for maintenance window';
+
+    return {
+        phase,
+        action: at <= now ? 'maintain' : 'wait',
+        // Don't sleep past the refresh interval, and never past decay
+        at: Math.min(at, now + REFRESH_INTERVAL, graceEnd),
+        reason,
+    };
+}
+
+/**
+ * Block-driven maintenance scheduler for one agent
+ */
+class MaintenanceDaemon {
+    /**
+     * @param {PoIClient} client - Client with a signer
+     * @param {object} [options] - { statePath, logger, onEvent, alerts }
+     *   onEvent receives structured events ({ event, ... }) alongside the log lines
+     *   alerts is an AlertMonitor checked after every evaluation
+     */
+    constructor(client, options = {}) {
+        this.client = client;
+        this.provider = client.provider;
+        this.statePath = options.statePath ||
+            path.join(STATE_DIR, `poi-daemon-${client.address.toLowerCase()}.json`);
+        this.logger = options.logger || silentLogger;
+        this.onEvent = options.onEvent || (() => {});
+        this.alerts = options.alerts || null;
+        this.state = null;
+        this.busy = false;
+        this.clockSkew = 0;       // block.timestamp minus wall clock, seconds
+        this.lastBlockChecked = 0;
+        this.onBlock = this.onBlock.bind(this);
+    }
+
+    loadState() {
+        const fresh = {
+            agent: this.client.address,
+            contract: this.client.contract.target,
+            phase: null,
+            nextAttemptAt: 0,
+            lastCheckedAt: 0,
+            attempts: 0,
+            lastResult: null,
+        };
+        if (!fs.existsSync(this.statePath)) return fresh;
+
+        const saved = JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+        // A state file for another agent/contract is not ours to resume
+        if (saved.agent !== fresh.agent || saved.contract !== fresh.contract) return fresh;
+        return { ...fresh, ...saved };
+    }
+
+    /**
+     * Emit a structured event and its human-readable log line
+     */
+    report(event, data, message, level = 'info') {
+        this.onEvent({ event, agent: this.client.address, ...data });
+        this.logger[level](message);
+    }
+
+    saveState() {
+        fs.mkdirSync(path.dirname(this.statePath), { recursive: true });
+        const tmp = `${this.statePath}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(this.state, null, 2));
+        fs.renameSync(tmp, this.statePath);
+    }
+
+    /**
+     * Start following blocks
+     */
+    async start() {
+        this.state = this.loadState();
+        if (this.state.nextAttemptAt > 0) {
+            const at = new Date(this.state.nextAttemptAt * 1000);
+            this.report('resume', { nextAttemptAt: at }, `Resuming schedule: next check at ${at.toISOString()}`);
+        }
+        const block = await this.provider.getBlock('latest');
+        await this.evaluate(block, { refresh: true });
+        await this.provider.on('block', this.onBlock);
+        this.report('watching', {}, `Watching blocks for ${this.client.address}`);
+    }
+
+    async stop() {
+        await this.provider.off('block', this.onBlock);
+        if (this.state) this.saveState();
+    }
+
+    async onBlock(blockNumber) {
+        if (this.busy) return;
+        // Cheap gate on the estimated chain clock before fetching the block for its timestamp
+        const estimatedNow = Date.now() / 1000 + this.clockSkew;
+        if (estimatedNow < this.state.nextAttemptAt - 60 &&
+            blockNumber - this.lastBlockChecked < CLOCK_CHECK_BLOCKS) return;
+
+        this.busy = true;
+        try {
+            const block = await this.provider.getBlock(blockNumber);
+            if (block) await this.evaluate(block);
+        } catch (e) {
+            this.report('error', { blockNumber, error: e.message }, `❌ Error on block ${blockNumber}: ${e.message}`, 'error');
+        } finally {
+            this.busy = false;
+        }
+    }
+
+    /**
+     * Re-plan from chain state and attempt maintenance when due
+     */
+    async evaluate(block, { refresh = false } = {}) {
+        const now = Number(block.timestamp);
+        this.clockSkew = now - Date.now() / 1000;
+        this.lastBlockChecked = block.number;
+        if (!refresh && now < this.state.nextAttemptAt) return;
+
+        let plan = await this.plan(now);
+        if (plan.action === 'maintain') {
+            const outcome = await this.attempt(block, plan);
+            plan = await this.plan(now);
+            if (outcome === 'error') plan.at = Math.max(plan.at, now + ERROR_BACKOFF);
+        }
+
+        if (plan.phase !== this.state.phase) {
+            const icon = { grace: '⚠️', decayed: '💀', window: '🔄', healthy: '✅' }[plan.phase] || 'ℹ️';
+            const level = plan.phase === 'grace' || plan.phase === 'decayed' ? 'warn' : 'info';
+            this.report('phase', { phase: plan.phase, previous: this.state.phase, reason: plan.reason },
+                `${icon} Phase: ${plan.phase} - ${plan.reason}`, level);
+        }
+        this.state.phase = plan.phase;
+        this.state.nextAttemptAt = plan.at;
+        this.state.lastCheckedAt = now;
+        this.saveState();
+        const at = new Date(plan.at * 1000);
+        this.report('scheduled', { phase: plan.phase, nextAttemptAt: at, reason: plan.reason },
+            `Next check at ${at.toISOString()} (${plan.reason})`);
+        if (this.alerts) await this.checkAlerts();
+    }
+
+    /**
+     * Deliver alerts for the state just evaluated; a failing check never stops maintenance
+     */
+    async checkAlerts() {
+        try {
+            const { alerts } = await this.alerts.check();
+            for (const alert of alerts) {
+                this.report('alert', { alert }, `🔔 Alert sent: ${alert.kind} - ${alert.message}`, alert.level === 'critical' ? 'warn' : 'info');
+            }
+        } catch (e) {
+            this.report('error', { error: e.message }, `❌ Alert check failed: ${e.message}`, 'error');
+        }
+    }
+
+    async plan(now) {
+        const [status, lastAttempt] = await Promise.all([
+            this.client.getStatus(),
+            this.client.getLastAttempt(),
+        ]);
+        return planNextAttempt({
+            valid: status.credential.valid,
+            issuedAt: Math.floor(status.credential.issuedAt.getTime() / 1000),
+            expiresAt: Math.floor(status.credential.expiresAt.getTime() / 1000),
+            lastAttempt,
+            now,
+        });
+    }
+
+    async attempt(block, plan) {
+        this.state.attempts++;
+        const attempt = { attempt: this.state.attempts, phase: plan.phase, blockNumber: block.number };
+        if (plan.phase === 'grace') {
+            this.report('attempt', attempt, `⚠️ IN GRACE PERIOD - attempt #${this.state.attempts} at block ${block.number}`, 'warn');
+        } else {
+            this.report('attempt', attempt, `🔄 Maintenance attempt #${this.state.attempts} at block ${block.number}`);
+        }
+
+        const at = Number(block.timestamp);
+        try {
+            const result = await this.client.maintain();
+            this.state.lastResult = { at, outcome: result.outcome, reason: result.reason || result.revertReason };
+            if (result.outcome === 'passed') {
+                this.report('result', { result }, `✅ Maintenance successful (${result.blocksRemaining} blocks to spare)`);
+            } else {
+                this.report('result', { result }, `❌ Maintenance ${result.outcome} (${this.state.lastResult.reason}) - retrying after cooldown`, 'error');
+            }
+        } catch (e) {
+            const cooldown = e instanceof CooldownNotElapsedError;
+            this.state.lastResult = { at, outcome: cooldown ? 'cooldown' : 'error', error: e.message };
+            if (cooldown) {
+                this.report('cooldown', { retryAt: e.context.retryAt }, `⏳ ${e.message} - rescheduling`);
+            } else {
+                this.report('error', { error: e.message }, `❌ Maintenance error: ${e.message}`, 'error');
+            }
+        }
+        this.saveState();
+        return this.state.lastResult.outcome;
+    }
+}
+
+module.exports = { MaintenanceDaemon, planNextAttempt, REFRESH_INTERVAL };
@@ -0,0 +1,9 @@
+/**
+ * Proof of Intelligence V2 - Typed Contract Errors
+ *
+ * CommonJS entry for src/errors.mjs, which is where the code lives. It is
+ * built into dist/ by build.js (npm install and npm test run it), and
+ * load-dist.js refuses to load it when src/ has changed since.
+ */
+
+module.exports = require('./load-dist.js').loadDist('errors');
@@ -0,0 +1,182 @@
+/**
+ * Proof of Intelligence V2 - Fleet Management
+ *
+ * Operates many agent wallets from one manifest:
+ *
+ *   {
+ *     "agents": [
+ *       { "name": "scout-1", "address": "0x...", "signer": { "type": "keystore", "path": "..." } },
+ *       { "name": "scout-2", "signer": { "type": "mnemonic", "derivationPath": "m/44'/60'/0'/0/1" } }
+ *     ]
+ *   }
+ *
+ * `address` is enough for status; verify/maintain also need a `signer`
+ * (same shape as the config file's, see signers.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { PoIClient } = require('./poi-client-v2.js');
+const { resolveSignerConfig, loadSigner } = require('./signers.js');
+const { mapLimit } = require('./concurrency.js');
+
+const DEFAULT_MANIFEST_PATH = path.join(process.env.HOME || '.', '.config/0xclaw/fleet.json');
+const DEFAULT_CONCURRENCY = 4;
+
+/**
+ * Load and validate a fleet manifest
+ */
+function loadManifest(filePath = DEFAULT_MANIFEST_PATH) {
+    if (!fs.existsSync(filePath)) throw new Error(`Fleet manifest not found at ${filePath}`);
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const agents = Array.isArray(data) ? data : data.agents;
+    if (!Array.isArray(agents) || agents.length === 0) {
+        throw new Error(`Fleet manifest ${filePath} lists no agents`);
+    }
+
+    return agents.map((agent, i) => {
+        if (!agent.address && !agent.signer) {
+            throw new Error(`Fleet agent #${i + 1} needs an address or a signer`);
+        }
+        return {
+            name: agent.name || `agent-${i + 1}`,
+            address: agent.address ? ethers.getAddress(agent.address) : null,
+            signer: agent.signer || null,
+        };
+    });
+}
+
+/**
+ * Load an agent's signer behind a NonceManager, so concurrent flows
+ * don't race each other (or a lagging RPC) for nonces
+ */
+async function loadAgentSigner(agent, provider, env) {
+    if (!agent.signer) throw new Error(`No signer configured for ${agent.name}`);
+    const signer = await loadSigner(resolveSignerConfig({ signer: agent.signer }, {}), provider, env);
+    if (agent.address && signer.address !== agent.address) {
+        throw new Error(`Signer for ${agent.name} is ${signer.address}, manifest says ${agent.address}`);
+    }
+    const managed = new ethers.NonceManager(signer);
+    managed.address = signer.address;
+    return managed;
+}
+
+/**
+ * Query credential state for every agent
+ * @returns {Promise<object[]>} One row per agent; `error` set if the query failed
+ */
+async function fleetStatus(provider, contractAddress, agents, { concurrency = DEFAULT_CONCURRENCY, env = process.env } = {}) {
+    const reader = new PoIClient(provider, null, contractAddress);
+
+    return mapLimit(agents, concurrency, async (agent) => {
+        try {
+            const address = agent.address || (await loadAgentSigner(agent, provider, env)).address;
+            const status = await reader.getStatus(address);
+            return {
+                name: agent.name,
+                address,
+                hasValidPoI: status.hasValidPoI,
+                inGracePeriod: status.inGracePeriod,
+                daysUntilExpiry: status.daysUntilExpiry,
+                reputation: status.credential.reputation,
+                maintenanceCount: status.credential.maintenanceCount,
+                expiresAt: status.credential.issuedAt.getTime() === 0 ? null : status.credential.expiresAt,
+                error: null,
+            };
+        } catch (e) {
+            return { name: agent.name, address: agent.address, error: e.message };
+        }
+    });
+}
+
+/**
+ * Run verify or maintain for every agent concurrently
+ * @param {'verify'|'maintain'} action
+ * @returns {Promise<object[]>} { name, address, outcome: 'passed'|'failed'|'reverted'|'aborted'|'skipped'|'error', detail, result }
+ */
+async function runFleet(provider, contractAddress, agents, action, { concurrency = DEFAULT_CONCURRENCY, env = process.env, submission } = {}) {
+    if (action !== 'verify' && action !== 'maintain') throw new Error(`Unknown fleet action: ${action}`);
+
+    return mapLimit(agents, concurrency, async (agent) => {
+        let address = agent.address;
+        try {
+            const signer = await loadAgentSigner(agent, provider, env);
+            address = signer.address;
+            const client = new PoIClient(provider, signer, contractAddress, { submission });
+
+            if (action === 'verify') {
+                const status = await client.getStatus();
+                if (status.hasValidPoI) return { name: agent.name, address, outcome: 'skipped', detail: 'Already verified' };
+                // A new initial challenge would replace the credential, resetting reputation and renewals
+                if (status.inGracePeriod) return { name: agent.name, address, outcome: 'skipped', detail: 'In grace period - run fleet maintain' };
+                const result = await client.proveIntelligence();
+                return { name: agent.name, address, outcome: result.outcome, detail: result.reason || result.revertReason, result };
+            }
+
+            if (!(await client.needsMaintenance())) {
+                return { name: agent.name, address, outcome: 'skipped', detail: 'Not expiring soon' };
+            }
+            const result = await client.maintain();
+            return { name: agent.name, address, outcome: result.outcome, detail: result.reason || result.revertReason, result };
+        } catch (e) {
+            return { name: agent.name, address, outcome: 'error', detail: e.message };
+        }
+    });
+}
+
+function printTable(headers, rows) {
+    const widths = headers.map((h, i) => Math.max(h.length, ...rows.map(r => String(r[i]).length)));
+    const line = (cells) => cells.map((c, i) => String(c).padEnd(widths[i])).join('  ').trimEnd();
+    console.log(line(headers));
+    console.log(widths.map(w => '-'.repeat(w)).join('  '));
+    rows.forEach(r => console.log(line(r)));
+}
+
+/**
+ * Pretty print fleet status as a table
+ */
+function printFleetStatus(rows) {
+    console.log('\n📋 Fleet Credential Status');
+    console.log('='.repeat(40));
+    printTable(
+        ['Agent', 'Address', 'Valid', 'Grace', 'Days', 'Rep', 'Renewals', 'Expires'],
+        rows.map(r => r.error
+            ? [r.name, r.address || '-', '⚠️ error', '', '', '', '', r.error]
+            : [
+                r.name,
+                r.address,
+                r.hasValidPoI ? '✅' : '❌',
+                r.inGracePeriod ? '⚠️' : '',
+                r.daysUntilExpiry,
+                r.reputation,
+                r.maintenanceCount,
+                r.expiresAt ? r.expiresAt.toISOString() : '-',
+            ])
+    );
+}
+
+/**
+ * Pretty print per-agent results of a fleet run
+ */
+function printFleetResults(action, results) {
+    const icons = { passed: '✅', failed: '❌', reverted: '❌', aborted: '🛑', skipped: '⏭️', error: '⚠️' };
+    console.log(`\n📋 Fleet ${action} results`);
+    console.log('='.repeat(40));
+    printTable(
+        ['Agent', 'Address', 'Outcome', 'Detail'],
+        results.map(r => [r.name, r.address || '-', `${icons[r.outcome]} ${r.outcome}`, r.detail || ''])
+    );
+
+    const counts = results.reduce((acc, r) => ({ ...acc, [r.outcome]: (acc[r.outcome] || 0) + 1 }), {});
+    console.log(`\n${Object.entries(counts).map(([k, v]) => `${v} ${k}`).join(', ')}`);
+}
+
+module.exports = {
+    DEFAULT_MANIFEST_PATH,
+    loadManifest,
+    fleetStatus,
+    runFleet,
+    printFleetStatus,
+    printFleetResults,
+};
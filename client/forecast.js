@@ -0,0 +1,45 @@
+/**
+ * Proof of Intelligence V2 - Reputation Forecast and Maintenance Planner
+ *
+ * CommonJS entry for src/forecast.mjs, which is where the code lives. It is
+ * built into dist/ by build.js (npm install and npm test run it), and
+ * load-dist.js refuses to load it when src/ has changed since.
+ * printForecast is here rather than in src/, which does no I/O.
+ */
+
+const built = require('./load-dist.js').loadDist('forecast');
+
+const { RISK_THRESHOLD } = built;
+
+/**
+ * Pretty print forecastCredential()
+ */
+function printForecast(forecast) {
+    const { assumptions: a } = forecast;
+    const hours = (seconds) => `${Math.round(seconds / 360) / 10}h`;
+    const date = (d) => d.toISOString().slice(0, 16).replace('T', ' ');
+
+    console.log(`\n🔮 PoI Maintenance Plan - ${forecast.agent}`);
+    console.log('='.repeat(72));
+    console.log(`Phase: ${forecast.phase}, reputation ${forecast.start.reputation}/100`);
+    console.log(`Cadence: start ${hours(a.renewBefore)} before expiry, check every ${a.checkInterval ? hours(a.checkInterval) : 'block (daemon)'}, retry after ${hours(a.retryInterval)}`);
+    const source = a.observed && a.observed.attempts > 0 ? ` (observed over ${a.observed.attempts} maintenance attempts)` : '';
+    console.log(`Failure rate: ${Math.round(a.failureRate * 100)}%, incorrect answers: ${Math.round(a.penaltyRate * 100)}%${source}`);
+
+    console.log(`\n${'#'.padEnd(5)}${'Window opens'.padEnd(19)}${'Attempt'.padEnd(19)}${'Expires'.padEnd(19)}Reputation`);
+    for (const c of forecast.cycles) {
+        const risk = c.graceRisk >= RISK_THRESHOLD ? `  ⚠️ ${Math.round(c.graceRisk * 1000) / 10}% grace` : '';
+        console.log(`${String(c.cycle).padEnd(5)}${date(c.windowOpensAt).padEnd(19)}${date(c.attemptAt).padEnd(19)}${date(c.expiresAt).padEnd(19)}${c.reputation}${risk}`);
+    }
+
+    console.log(`\nReputation per cycle: ${forecast.reputationPerCycle > 0 ? '+' : ''}${forecast.reputationPerCycle}`);
+    console.log(forecast.maxReputationAt
+        ? `Reputation 100: ${forecast.maxReputationAt.toISOString()} (${forecast.renewalsToMax} renewals)`
+        : 'Reputation 100: never at this failure rate');
+    console.log(`Grace period risk over the plan: ${Math.round(forecast.graceRisk * 1000) / 10}%, decay risk: ${Math.round(forecast.decayRisk * 1000) / 10}%`);
+
+    const icons = { info: 'ℹ️', warn: '⚠️', danger: '🚨' };
+    for (const f of forecast.flags) console.log(`${icons[f.level]} ${f.message}`);
+}
+
+module.exports = { ...built, printForecast };
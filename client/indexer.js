@@ -0,0 +1,353 @@
+/**
+ * Proof of Intelligence V2 - Event Indexer
+ *
+ * Backfills and tails the contract's events into a local JSONL store so an
+ * agent's history can be read without scanning the chain each time:
+ *
+ *   ~/.config/0xclaw/poi-index/<chainId>-<contract>/
+ *     events.jsonl   one decoded event per line, in chain order
+ *     meta.json      { lastBlock, checkpoints: [{ number, hash }] }
+ *
+ * Reorgs: the hash of each synced range's last block is kept as a checkpoint.
+ * Before syncing, checkpoints are compared with the chain from newest to oldest,
+ * events after the newest surviving one are dropped, and indexing resumes there.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { PoI_V2_ABI } = require('./poi-client-v2.js');
+const { mapLimit } = require('./concurrency.js');
+const { silentLogger } = require('./logger.js');
+
+const DEFAULT_INDEX_DIR = path.join(process.env.HOME || '.', '.config/0xclaw/poi-index');
+
+const INDEXED_EVENTS = [
+    'ChallengeIssued',
+    'ChallengePassed',
+    'ChallengeFailed',
+    'CredentialIssued',
+    'CredentialRenewed',
+    'CredentialDecayed',
+    'CredentialRevoked',
+    'ReputationUpdated',
+];
+
+// Issuing a credential sets reputation to 50 and decay resets it to 0, without ReputationUpdated
+const INITIAL_REPUTATION = 50;
+
+// Checkpoints kept for reorg detection (one per synced range)
+const MAX_CHECKPOINTS = 128;
+
+/**
+ * Decoded event args as JSON-friendly values
+ */
+function formatEventArgs(name, args) {
+    switch (name) {
+        case 'ChallengeIssued':
+            return { challengeType: Number(args.challengeType), seed: args.seed, deadline: Number(args.deadline), isMaintenance: args.isMaintenance };
+        case 'ChallengePassed':
+            return { challengeType: Number(args.challengeType), blockNumber: Number(args.blockNumber), isMaintenance: args.isMaintenance };
+        case 'CredentialIssued':
+            return { expiresAt: Number(args.expiresAt) };
+        case 'CredentialRenewed':
+            return { expiresAt: Number(args.newExpiresAt), maintenanceCount: Number(args.maintenanceCount) };
+        case 'ReputationUpdated':
+            return { reputation: Number(args.newReputation) };
+        default:
+            return { reason: args.reason };
+    }
+}
+
+/**
+ * Append-only JSONL event store with a small metadata file
+ */
+class JsonlStore {
+    constructor(dir) {
+        this.dir = dir;
+        this.eventsPath = path.join(dir, 'events.jsonl');
+        this.metaPath = path.join(dir, 'meta.json');
+        this.events = [];
+        this.meta = null;
+    }
+
+    load(defaults) {
+        this.meta = fs.existsSync(this.metaPath)
+            ? { ...defaults, ...JSON.parse(fs.readFileSync(this.metaPath, 'utf8')) }
+            : { ...defaults };
+        this.events = fs.existsSync(this.eventsPath)
+            ? fs.readFileSync(this.eventsPath, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line))
+            : [];
+        return this;
+    }
+
+    append(events) {
+        if (events.length === 0) return;
+        fs.mkdirSync(this.dir, { recursive: true });
+        fs.appendFileSync(this.eventsPath, events.map(e => JSON.stringify(e) + '\n').join(''));
+        this.events.push(...events);
+    }
+
+    /**
+     * Drop events after a block (reorg rewind); returns how many were dropped
+     */
+    truncateAfter(blockNumber) {
+        const kept = this.events.filter(e => e.blockNumber <= blockNumber);
+        const dropped = this.events.length - kept.length;
+        if (dropped > 0) {
+            this.writeAtomic(this.eventsPath, kept.map(e => JSON.stringify(e) + '\n').join(''));
+            this.events = kept;
+        }
+        return dropped;
+    }
+
+    saveMeta() {
+        this.writeAtomic(this.metaPath, JSON.stringify(this.meta, null, 2));
+    }
+
+    writeAtomic(file, data) {
+        fs.mkdirSync(this.dir, { recursive: true });
+        const tmp = `${file}.tmp`;
+        fs.writeFileSync(tmp, data);
+        fs.renameSync(tmp, file);
+    }
+}
+
+/**
+ * Indexes PoI events for one contract
+ */
+class PoIIndexer {
+    /**
+     * @param {ethers.Provider} provider
+     * @param {string} contractAddress
+     * @param {object} [options] - { dir, deployBlock, chunkSize, confirmations, logger }
+     *   dir defaults to ~/.config/0xclaw/poi-index/<chainId>-<contract> (resolved in open())
+     */
+    constructor(provider, contractAddress, options = {}) {
+        this.provider = provider;
+        this.address = ethers.getAddress(contractAddress);
+        this.iface = new ethers.Interface(PoI_V2_ABI);
+        this.topics = INDEXED_EVENTS.map(name => this.iface.getEvent(name).topicHash);
+        this.dir = options.dir || null;
+        this.deployBlock = options.deployBlock || 0;
+        this.chunkSize = options.chunkSize || 2000;
+        this.confirmations = options.confirmations || 0;
+        this.logger = options.logger || silentLogger;
+        this.store = null;
+        this.busy = false;
+        this.onBlock = this.onBlock.bind(this);
+    }
+
+    /**
+     * Load the local store (call before sync/history)
+     */
+    async open() {
+        if (!this.dir) {
+            const { chainId } = await this.provider.getNetwork();
+            this.dir = path.join(DEFAULT_INDEX_DIR, `${chainId}-${this.address.toLowerCase()}`);
+        }
+        this.store = new JsonlStore(this.dir).load({
+            contract: this.address,
+            lastBlock: this.deployBlock - 1,
+            checkpoints: [],
+        });
+        return this;
+    }
+
+    get lastBlock() {
+        return this.store.meta.lastBlock;
+    }
+
+    /**
+     * Rewind past any reorged blocks
+     * @returns {Promise<number>} Events dropped
+     */
+    async rewindIfReorged() {
+        const checkpoints = this.store.meta.checkpoints;
+        for (let i = checkpoints.length - 1; i >= 0; i--) {
+            const block = await this.provider.getBlock(checkpoints[i].number);
+            if (!block || block.hash !== checkpoints[i].hash) continue;
+            if (i === checkpoints.length - 1) return 0;
+
+            const dropped = this.store.truncateAfter(checkpoints[i].number);
+            this.store.meta.checkpoints = checkpoints.slice(0, i + 1);
+            this.store.meta.lastBlock = checkpoints[i].number;
+            this.store.saveMeta();
+            this.logger.warn(`⚠️ Reorg detected: rewound to block ${checkpoints[i].number} (${dropped} events dropped)`);
+            return dropped;
+        }
+        if (checkpoints.length === 0) return 0;
+
+        // Reorg deeper than every checkpoint: start over
+        const dropped = this.store.truncateAfter(this.deployBlock - 1);
+        this.store.meta.checkpoints = [];
+        this.store.meta.lastBlock = this.deployBlock - 1;
+        this.store.saveMeta();
+        this.logger.warn(`⚠️ Reorg deeper than ${checkpoints.length} checkpoints: re-indexing from block ${this.deployBlock}`);
+        return dropped;
+    }
+
+    /**
+     * Index everything up to the current head (minus confirmations)
+     * @returns {Promise<object>} { from, to, added, dropped }
+     */
+    async sync() {
+        if (!this.store) await this.open();
+        const dropped = await this.rewindIfReorged();
+        const head = (await this.provider.getBlockNumber()) - this.confirmations;
+        const from = this.lastBlock + 1;
+        let added = 0;
+
+        for (let start = from; start <= head; start += this.chunkSize) {
+            const end = Math.min(start + this.chunkSize - 1, head);
+            const [logs, endBlock] = await Promise.all([
+                this.provider.getLogs({ address: this.address, topics: [this.topics], fromBlock: start, toBlock: end }),
+                this.provider.getBlock(end),
+            ]);
+            const events = await this.decodeLogs(logs);
+            this.store.append(events);
+            added += events.length;
+
+            const meta = this.store.meta;
+            meta.lastBlock = end;
+            meta.checkpoints = [...meta.checkpoints, { number: end, hash: endBlock.hash }].slice(-MAX_CHECKPOINTS);
+            this.store.saveMeta();
+            if (head - from > this.chunkSize) this.logger.info(`   Indexed to block ${end} (${added} events)`);
+        }
+
+        return { from, to: Math.max(head, this.lastBlock), added, dropped };
+    }
+
+    async decodeLogs(logs) {
+        const blockNumbers = [...new Set(logs.map(log => log.blockNumber))];
+        const blocks = await mapLimit(blockNumbers, 4, n => this.provider.getBlock(n));
+        const timestamps = new Map(blocks.map(b => [b.number, Number(b.timestamp)]));
+
+        return logs
+            .map(log => {
+                const parsed = this.iface.parseLog(log);
+                return {
+                    event: parsed.name,
+                    agent: parsed.args.agent,
+                    blockNumber: log.blockNumber,
+                    blockHash: log.blockHash,
+                    timestamp: timestamps.get(log.blockNumber),
+                    transactionHash: log.transactionHash,
+                    logIndex: log.index,
+                    ...formatEventArgs(parsed.name, parsed.args),
+                };
+            })
+            .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+    }
+
+    /**
+     * Follow new blocks until stop()
+     */
+    async start() {
+        await this.sync();
+        await this.provider.on('block', this.onBlock);
+    }
+
+    async stop() {
+        await this.provider.off('block', this.onBlock);
+    }
+
+    async onBlock() {
+        if (this.busy) return;
+        this.busy = true;
+        try {
+            const { added, dropped } = await this.sync();
+            if (added > 0 || dropped > 0) this.logger.info(`Indexed to block ${this.lastBlock}: +${added} events`);
+        } catch (e) {
+            this.logger.error(`❌ Index sync failed: ${e.message}`);
+        } finally {
+            this.busy = false;
+        }
+    }
+
+    /**
+     * Indexed events, optionally for one agent, in chain order
+     */
+    events(agent) {
+        if (!agent) return this.store.events;
+        const address = ethers.getAddress(agent);
+        return this.store.events.filter(e => e.agent === address);
+    }
+}
+
+/**
+ * Summarize an agent's events: counts and the latest known state
+ */
+function summarizeHistory(events) {
+    const summary = { attempts: 0, maintenanceAttempts: 0, passed: 0, failed: 0, renewals: 0, decays: 0, revocations: 0, reputation: null, expiresAt: null };
+    for (const e of events) {
+        if (e.event === 'ChallengeIssued') {
+            summary.attempts++;
+            if (e.isMaintenance) summary.maintenanceAttempts++;
+        }
+        if (e.event === 'ChallengePassed') summary.passed++;
+        if (e.event === 'ChallengeFailed') summary.failed++;
+        if (e.event === 'CredentialRenewed') summary.renewals++;
+        if (e.event === 'CredentialDecayed') {
+            summary.decays++;
+            summary.reputation = 0;
+        }
+        if (e.event === 'CredentialRevoked') summary.revocations++;
+        if (e.event === 'ReputationUpdated') summary.reputation = e.reputation;
+        if (e.event === 'CredentialIssued') summary.reputation = INITIAL_REPUTATION;
+        if (e.event === 'CredentialIssued' || e.event === 'CredentialRenewed') summary.expiresAt = e.expiresAt;
+    }
+    return summary;
+}
+
+function describeEvent(e) {
+    const date = (seconds) => new Date(seconds * 1000).toISOString();
+    switch (e.event) {
+        case 'ChallengeIssued':
+            return `🎯 ${e.isMaintenance ? 'Maintenance' : 'Initial'} challenge issued (type ${e.challengeType}, deadline block ${e.deadline})`;
+        case 'ChallengePassed':
+            return `✅ Challenge passed (type ${e.challengeType})`;
+        case 'ChallengeFailed':
+            return `❌ Challenge failed: ${e.reason}`;
+        case 'CredentialIssued':
+            return `🪪 Credential issued, expires ${date(e.expiresAt)} (reputation ${INITIAL_REPUTATION}/100)`;
+        case 'CredentialRenewed':
+            return `🔄 Credential renewed (#${e.maintenanceCount}), expires ${date(e.expiresAt)}`;
+        case 'CredentialDecayed':
+            return `💀 Credential decayed: ${e.reason} (reputation reset to 0)`;
+        case 'CredentialRevoked':
+            return `🚫 Credential revoked: ${e.reason}`;
+        case 'ReputationUpdated':
+            return `⭐ Reputation → ${e.reputation}/100`;
+        default:
+            return e.event;
+    }
+}
+
+/**
+ * Pretty print an agent's timeline
+ */
+function printHistory(agent, events) {
+    console.log(`\n📜 PoI History for ${agent}`);
+    console.log('='.repeat(40));
+    if (events.length === 0) {
+        console.log('No events indexed for this agent');
+        return;
+    }
+    for (const e of events) {
+        console.log(`${new Date(e.timestamp * 1000).toISOString()}  #${e.blockNumber}  ${describeEvent(e)}`);
+    }
+
+    const s = summarizeHistory(events);
+    console.log(`\n${s.attempts} attempts (${s.maintenanceAttempts} maintenance), ${s.passed} passed, ${s.failed} failed, ` +
+        `${s.renewals} renewals, ${s.decays} decays, ${s.revocations} revocations`);
+}
+
+module.exports = {
+    DEFAULT_INDEX_DIR,
+    INDEXED_EVENTS,
+    PoIIndexer,
+    JsonlStore,
+    summarizeHistory,
+    printHistory,
+};
@@ -0,0 +1,224 @@
+/**
+ * Proof of Intelligence V2 - Decay Keeper
+ *
+ * `triggerDecay(agent)` is callable by anyone. Until someone calls it, a
+ * credential past expiresAt + GRACE_PERIOD keeps `valid = true` and its
+ * reputation on-chain and isn't counted in `totalDecayed` (hasValidPoI is
+ * already false). The keeper:
+ *
+ * - Collects agents from the event index (ChallengeIssued / CredentialIssued)
+ * - Reads each credential and keeps those still valid past their grace period
+ * - Estimates triggerDecay gas per agent and packs the calls into batches whose
+ *   summed gas limit stays under `batchGas`; a batch is sent with consecutive
+ *   nonces and fully mined before the next one starts; a failed send doesn't
+ *   use up its nonce, and a receipt that doesn't arrive within `receiptTimeout`
+ *   stops the run (later transactions would only queue behind it)
+ * - Refuses to send while maxFeePerGas (gasPrice on a chain without
+ *   EIP-1559) is above `maxFeePerGasGwei`
+ *
+ * Options (config file `keeper` section, or CLI flags):
+ *   batchGas          2000000   summed gas limit per batch
+ *   maxFeePerGasGwei  null      don't send above this fee (decay is never urgent)
+ *   concurrency       4         parallel credential reads and gas estimates
+ *   receiptTimeout    600       seconds to wait for each batch's receipts
+ */
+
+const { ethers } = require('ethers');
+const { TIMING, formatCredential } = require('./poi-client-v2.js');
+const { mapLimit } = require('./concurrency.js');
+const { silentLogger } = require('./logger.js');
+
+const DEFAULT_KEEPER = {
+    batchGas: 2000000,
+    maxFeePerGasGwei: null,
+    concurrency: 4,
+    receiptTimeout: 600,
+};
+
+// Headroom over the estimate for each transaction's gas limit
+const GAS_LIMIT_PERCENT = 120;
+
+/**
+ * Agents that ever requested a challenge or held a credential, in first-seen order
+ */
+function knownAgents(events) {
+    const agents = new Set();
+    for (const e of events) {
+        if (e.event === 'ChallengeIssued' || e.event === 'CredentialIssued') agents.add(e.agent);
+    }
+    return [...agents];
+}
+
+/**
+ * Credentials still marked valid after their grace period, most overdue first
+ * @param {PoIClient} client - Read-only client is enough
+ * @param {string[]} agents
+ * @param {number} now - Chain time (seconds)
+ * @returns {Promise<object[]>} [{ agent, expiresAt, overdueSeconds, reputation }]
+ */
+async function findDecayable(client, agents, now, { concurrency = DEFAULT_KEEPER.concurrency } = {}) {
+    const rows = await mapLimit(agents, concurrency, async (agent) => {
+        const credential = formatCredential(await client.contract.getCredential(agent));
+        const expiresAt = Math.floor(credential.expiresAt.getTime() / 1000);
+        const decaysAfter = expiresAt + TIMING.GRACE_PERIOD;
+        if (!credential.valid || now <= decaysAfter) return null;
+        return { agent, expiresAt: credential.expiresAt, overdueSeconds: now - decaysAfter, reputation: credential.reputation };
+    });
+    return rows.filter(Boolean).sort((a, b) => b.overdueSeconds - a.overdueSeconds);
+}
+
+/**
+ * Group candidates (with `gasLimit`) so each batch's summed gas limit stays under batchGas.
+ * A call larger than batchGas on its own gets a batch to itself.
+ * @returns {object[][]}
+ */
+function planBatches(candidates, batchGas) {
+    const batches = [];
+    let current = [];
+    let gas = 0n;
+    for (const candidate of candidates) {
+        if (current.length > 0 && gas + candidate.gasLimit > BigInt(batchGas)) {
+            batches.push(current);
+            current = [];
+            gas = 0n;
+        }
+        current.push(candidate);
+        gas += candidate.gasLimit;
+    }
+    if (current.length > 0) batches.push(current);
+    return batches;
+}
+
+/**
+ * Scan, plan and (unless dryRun) submit triggerDecay for every overdue credential
+ * @param {PoIClient} client - Needs a signer unless dryRun
+ * @param {string[]} agents - Addresses to check (see knownAgents)
+ * @param {object} [options] - DEFAULT_KEEPER fields plus { dryRun, logger }
+ * @returns {Promise<object>} { blockNumber, chainTime, scanned, dryRun, fees, batches, candidates, decayed, errors, skipped }
+ *   candidates[].outcome: 'planned' (dry run), 'decayed', 'noop' (already decayed by someone else), 'error'
+ */
+async function runKeeper(client, agents, options = {}) {
+    const opts = { ...DEFAULT_KEEPER };
+    for (const [key, value] of Object.entries(options)) {
+        if (value !== undefined) opts[key] = value;
+    }
+    const log = opts.logger || silentLogger;
+    const block = await client.provider.getBlock('latest');
+    const now = Number(block.timestamp);
+
+    log.info(`🧹 Checking ${agents.length} agents for credentials past their grace period...`);
+    const overdue = await findDecayable(client, agents, now, opts);
+
+    const candidates = await mapLimit(overdue, opts.concurrency, async (c) => {
+        const estimate = await client.contract.triggerDecay.estimateGas(c.agent);
+        return { ...c, gasEstimate: estimate, gasLimit: estimate * BigInt(GAS_LIMIT_PERCENT) / 100n, batch: null, outcome: 'planned', txHash: null, error: null };
+    });
+    const batches = planBatches(candidates, opts.batchGas);
+    batches.forEach((batch, i) => batch.forEach(c => { c.batch = i + 1; }));
+
+    const feeData = await client.provider.getFeeData();
+    // Chains without EIP-1559 get a legacy gasPrice, not type-2 fields
+    const fees = feeData.maxFeePerGas != null
+        ? { maxFeePerGas: feeData.maxFeePerGas, maxPriorityFeePerGas: feeData.maxPriorityFeePerGas }
+        : { gasPrice: feeData.gasPrice };
+    const feePerGas = fees.maxFeePerGas ?? fees.gasPrice;
+    const report = {
+        blockNumber: block.number,
+        chainTime: new Date(now * 1000),
+        scanned: agents.length,
+        dryRun: Boolean(opts.dryRun),
+        fees,
+        batches: batches.map((batch, i) => {
+            const gasLimit = batch.reduce((sum, c) => sum + c.gasLimit, 0n);
+            return { batch: i + 1, agents: batch.length, gasLimit, maxCost: gasLimit * feePerGas };
+        }),
+        candidates,
+        decayed: 0,
+        errors: 0,
+        skipped: null,
+    };
+
+    const cap = opts.maxFeePerGasGwei != null ? ethers.parseUnits(String(opts.maxFeePerGasGwei), 'gwei') : null;
+    if (cap != null && feePerGas > cap) {
+        report.skipped = `${fees.gasPrice != null ? 'gasPrice' : 'maxFeePerGas'} ${ethers.formatUnits(feePerGas, 'gwei')} gwei is above the ${opts.maxFeePerGasGwei} gwei cap`;
+    }
+    if (opts.dryRun || report.skipped || candidates.length === 0) return report;
+
+    // Consecutive nonces without waiting on each transaction. They are assigned
+    // here and only advance on a successful send, so a failed send leaves no gap.
+    const contract = client.contract.connect(client.wallet);
+    const decayedTopic = contract.interface.getEvent('CredentialDecayed').topicHash;
+    let nonce = await client.provider.getTransactionCount(client.address, 'pending');
+    for (const [i, batch] of batches.entries()) {
+        log.info(`   Batch ${i + 1}/${batches.length}: ${batch.length} agents, gas limit ${report.batches[i].gasLimit}`);
+        const sent = [];
+        for (const c of batch) {
+            try {
+                sent.push([c, await contract.triggerDecay(c.agent, { gasLimit: c.gasLimit, nonce, ...fees })]);
+                nonce++;
+            } catch (e) {
+                c.outcome = 'error';
+                c.error = e.shortMessage || e.message;
+            }
+        }
+        let stuck = false;
+        await Promise.all(sent.map(async ([c, tx]) => {
+            c.txHash = tx.hash;
+            try {
+                const receipt = await tx.wait(1, opts.receiptTimeout * 1000);
+                c.gasUsed = receipt.gasUsed;
+                // A no-op when another keeper (or the agent) got there first
+                c.outcome = receipt.logs.some(l => l.topics[0] === decayedTopic) ? 'decayed' : 'noop';
+            } catch (e) {
+                c.outcome = 'error';
+                c.error = e.shortMessage || e.message;
+                if (e.code === 'TIMEOUT') stuck = true;
+            }
+        }));
+        if (stuck) {
+            for (const c of batches.slice(i + 1).flat()) {
+                c.outcome = 'error';
+                c.error = 'Not sent: an earlier triggerDecay is still pending';
+            }
+            break;
+        }
+    }
+
+    report.decayed = candidates.filter(c => c.outcome === 'decayed').length;
+    report.errors = candidates.filter(c => c.outcome === 'error').length;
+    return report;
+}
+
+/**
+ * Pretty print a keeper report
+ */
+function printKeeperReport(report) {
+    const gwei = (wei) => (wei == null ? '-' : `${Number(ethers.formatUnits(wei, 'gwei')).toFixed(3)} gwei`);
+    console.log(`\n🧹 Decay Keeper${report.dryRun ? ' (dry run)' : ''} at block ${report.blockNumber} (${report.chainTime.toISOString()})`);
+    console.log('='.repeat(40));
+    console.log(`Scanned ${report.scanned} agents, ${report.candidates.length} past grace but still valid`);
+    if (report.candidates.length === 0) return;
+
+    for (const c of report.candidates) {
+        const overdue = `${(c.overdueSeconds / 3600).toFixed(1)}h past grace`;
+        const icon = { planned: '📝', decayed: '💀', noop: '➖', error: '❌' }[c.outcome];
+        const detail = c.error ? ` - ${c.error}` : c.txHash ? ` ${c.txHash}` : '';
+        console.log(`${icon} ${c.agent}  batch ${c.batch}  ${overdue}, reputation ${c.reputation}, gas ~${c.gasEstimate}  ${c.outcome}${detail}`);
+    }
+
+    console.log(report.fees.gasPrice != null ? `\ngasPrice: ${gwei(report.fees.gasPrice)}` : `\nmaxFeePerGas: ${gwei(report.fees.maxFeePerGas)}`);
+    for (const b of report.batches) {
+        console.log(`Batch ${b.batch}: ${b.agents} agents, gas limit ${b.gasLimit}, at most ${ethers.formatEther(b.maxCost)} ETH`);
+    }
+    if (report.skipped) console.log(`\n⏸️  Nothing sent: ${report.skipped}`);
+    else if (!report.dryRun) console.log(`\n${report.decayed} decayed, ${report.errors} errors`);
+}
+
+module.exports = {
+    DEFAULT_KEEPER,
+    knownAgents,
+    findDecayable,
+    planBatches,
+    runKeeper,
+    printKeeperReport,
+};
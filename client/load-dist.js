@@ -0,0 +1,54 @@
+/**
+ * Proof of Intelligence - CommonJS Build Loader
+ *
+ * The CommonJS entry points (poi-client-v2.js, errors.js, ...) load the
+ * build in dist/, which git doesn't track: npm install builds it (prepare),
+ * and so must `npm run build` after every pull. Without that, dist/ would
+ * still hold the old solver and client, and cli.js or a cron
+ * auto-maintain.js would run them without a word. So the first load in a
+ * process compares modification times, and fails naming the src/ files that
+ * are newer than their build (or have none). Loading never writes to the
+ * package directory.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { SRC_DIR, DIST_DIR, outputName } = require('./build.js');
+
+let checked = false;
+
+/**
+ * src/ files whose dist/ output is missing or older
+ */
+function staleSources(srcDir = SRC_DIR, distDir = DIST_DIR) {
+    return fs.readdirSync(srcDir).sort().filter((file) => {
+        const target = outputName(file);
+        if (!target) return false;
+        const built = path.join(distDir, target);
+        return !fs.existsSync(built) || fs.statSync(path.join(srcDir, file)).mtimeMs > fs.statSync(built).mtimeMs;
+    });
+}
+
+/**
+ * Throw when dist/ is behind src/
+ */
+function assertBuilt(srcDir = SRC_DIR, distDir = DIST_DIR) {
+    const stale = staleSources(srcDir, distDir);
+    if (stale.length > 0) {
+        throw new Error(`client/dist is out of date (${stale.join(', ')}). Run npm run build in client/.`);
+    }
+}
+
+/**
+ * require() a built module, checking the build once per process
+ * @param {string} name - Module name, e.g. 'poi-client-v2'
+ */
+function loadDist(name) {
+    if (!checked) {
+        assertBuilt();
+        checked = true;
+    }
+    return require(path.join(DIST_DIR, `${name}.cjs`));
+}
+
+module.exports = { staleSources, assertBuilt, loadDist };
@@ -0,0 +1,24 @@
+/**
+ * Proof of Intelligence - Loggers
+ *
+ * Library code logs through an injected `{ info, warn, error }` logger and is
+ * silent by default (silentLogger, from src/logger.mjs); the CLI injects a
+ * console logger.
+ */
+
+const { silentLogger } = require('./load-dist.js').loadDist('logger');
+
+/**
+ * Logger that writes human-readable lines to a stream
+ * @param {object} [options] - { stream, errorStream, timestamps }
+ */
+function createConsoleLogger({ stream = process.stdout, errorStream = process.stderr, timestamps = false } = {}) {
+    const format = (message) => (timestamps ? `[${new Date().toISOString()}] ${message}` : message);
+    return {
+        info: (message) => stream.write(format(message) + '\n'),
+        warn: (message) => stream.write(format(message) + '\n'),
+        error: (message) => errorStream.write(format(message) + '\n'),
+    };
+}
+
+module.exports = { silentLogger, createConsoleLogger };
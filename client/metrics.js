@@ -0,0 +1,222 @@
+/**
+ * Proof of Intelligence V2 - Prometheus Metrics
+ *
+ * Serves GET /metrics in the Prometheus text format (no client library):
+ *
+ *   poi_credential_seconds_until_expiry{agent,name}  expiresAt - block.timestamp (negative once expired)
+ *   poi_credential_valid{agent,name}                 1 if hasValidPoI
+ *   poi_credential_in_grace{agent,name}              1 while in the grace period
+ *   poi_credential_reputation{agent,name}            0-100
+ *   poi_credential_maintenance_count{agent,name}     renewals of the current credential
+ *   poi_challenges_issued_total, poi_challenges_passed_total, poi_challenges_failed_total,
+ *   poi_renewals_total, poi_decays_total             contract-wide, from getStats()
+ *   poi_solve_seconds{action}                        histogram of this process's attempts
+ *   poi_blocks_to_spare{action}                      histogram: deadline minus the block the answer landed in
+ *
+ * Chain values are re-read on every new block, skipping blocks that arrive
+ * while a refresh is in flight. The histograms only see attempts made in the
+ * same process (see `node cli.js metrics --maintain`).
+ */
+
+const http = require('http');
+const { fleetStatus } = require('./fleet.js');
+const { silentLogger } = require('./logger.js');
+
+const SOLVE_BUCKETS = [0.005, 0.01, 0.05, 0.1, 0.5, 1, 5, 10, 30];
+const BLOCKS_TO_SPARE_BUCKETS = [0, 1, 2, 5, 10, 15, 20, 25, 50];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * One metric family: HELP, TYPE and samples ({ labels, value, suffix })
+ */
+function renderFamily(name, type, help, samples) {
+    const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+    for (const { labels = {}, value, suffix = '' } of samples) {
+        lines.push(`${name}${suffix}${formatLabels(labels)} ${value}`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Cumulative histogram keyed by label set
+ */
+class Histogram {
+    constructor(name, help, buckets) {
+        this.name = name;
+        this.help = help;
+        this.buckets = buckets;
+        this.series = new Map(); // JSON labels -> { labels, counts, sum, count }
+    }
+
+    observe(labels, value) {
+        const key = JSON.stringify(labels);
+        if (!this.series.has(key)) {
+            this.series.set(key, { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 });
+        }
+        const series = this.series.get(key);
+        this.buckets.forEach((bound, i) => { if (value <= bound) series.counts[i]++; });
+        series.sum += value;
+        series.count++;
+    }
+
+    render() {
+        const samples = [];
+        for (const { labels, counts, sum, count } of this.series.values()) {
+            this.buckets.forEach((bound, i) => samples.push({ labels: { ...labels, le: bound }, value: counts[i], suffix: '_bucket' }));
+            samples.push({ labels: { ...labels, le: '+Inf' }, value: count, suffix: '_bucket' });
+            samples.push({ labels, value: sum, suffix: '_sum' });
+            samples.push({ labels, value: count, suffix: '_count' });
+        }
+        return renderFamily(this.name, 'histogram', this.help, samples);
+    }
+}
+
+/**
+ * Keeps the latest chain snapshot for the watched agents and renders it
+ */
+class MetricsExporter {
+    /**
+     * @param {PoIClient} client - Read-only client is enough
+     * @param {object[]} agents - [{ name, address }] (see fleet.js loadManifest)
+     * @param {object} [options] - { concurrency, logger }
+     */
+    constructor(client, agents, options = {}) {
+        this.client = client;
+        this.provider = client.provider;
+        this.agents = agents;
+        this.concurrency = options.concurrency;
+        this.logger = options.logger || silentLogger;
+        this.snapshot = null;
+        this.refreshErrors = 0;
+        this.busy = false;
+        this.solveTime = new Histogram('poi_solve_seconds', 'Time to solve a challenge, attempts by this process', SOLVE_BUCKETS);
+        this.blocksToSpare = new Histogram('poi_blocks_to_spare', 'Blocks left before the deadline when the answer landed, attempts by this process', BLOCKS_TO_SPARE_BUCKETS);
+        this.onBlock = this.onBlock.bind(this);
+    }
+
+    /**
+     * Re-read every agent's credential and the global stats
+     */
+    async refresh(blockTag = 'latest') {
+        const [block, stats, rows] = await Promise.all([
+            this.provider.getBlock(blockTag),
+            this.client.getStats(),
+            fleetStatus(this.provider, this.client.contract.target, this.agents, { concurrency: this.concurrency }),
+        ]);
+        // Signer-only manifest entries: keep the resolved address so the signer is loaded once
+        this.agents = this.agents.map((agent, i) => (agent.address || !rows[i].address ? agent : { ...agent, address: rows[i].address }));
+        for (const row of rows.filter(r => r.error)) {
+            this.refreshErrors++;
+            this.logger.error(`❌ Metrics refresh for ${row.name}: ${row.error}`);
+        }
+        this.snapshot = { blockNumber: block.number, timestamp: Number(block.timestamp), stats, rows };
+        return this.snapshot;
+    }
+
+    async start() {
+        await this.refresh();
+        await this.provider.on('block', this.onBlock);
+    }
+
+    async stop() {
+        await this.provider.off('block', this.onBlock);
+    }
+
+    async onBlock(blockNumber) {
+        if (this.busy) return;
+        this.busy = true;
+        try {
+            await this.refresh(blockNumber);
+        } catch (e) {
+            this.refreshErrors++;
+            this.logger.error(`❌ Metrics refresh failed at block ${blockNumber}: ${e.message}`);
+        } finally {
+            this.busy = false;
+        }
+    }
+
+    /**
+     * Record a ChallengeResult from an attempt made by this process
+     */
+    observeResult(result) {
+        const labels = { action: result.action };
+        if (result.solveTimeMs != null) this.solveTime.observe(labels, result.solveTimeMs / 1000);
+        if (result.blocksRemaining != null) this.blocksToSpare.observe(labels, result.blocksRemaining);
+    }
+
+    /**
+     * Prometheus text exposition of the latest snapshot
+     */
+    render() {
+        const families = [];
+        const snapshot = this.snapshot;
+        if (snapshot) {
+            const rows = snapshot.rows.filter(r => !r.error);
+            const agentGauge = (name, help, value) => renderFamily(name, 'gauge', help, rows
+                .filter(r => value(r) != null)
+                .map(r => ({ labels: { agent: r.address, name: r.name }, value: Number(value(r)) })));
+
+            families.push(
+                agentGauge('poi_credential_seconds_until_expiry', 'Seconds until the credential expires (negative once expired)',
+                    r => (r.expiresAt ? Math.floor(r.expiresAt.getTime() / 1000) - snapshot.timestamp : null)),
+                agentGauge('poi_credential_valid', '1 if the agent holds a valid credential (hasValidPoI)', r => r.hasValidPoI),
+                agentGauge('poi_credential_in_grace', '1 while the credential is in its grace period', r => r.inGracePeriod),
+                agentGauge('poi_credential_reputation', 'Credential reputation (0-100)', r => r.reputation),
+                agentGauge('poi_credential_maintenance_count', 'Renewals of the current credential', r => r.maintenanceCount),
+            );
+
+            const counter = (name, help, value) => renderFamily(name, 'counter', help, [{ value: Number(value) }]);
+            const { stats } = snapshot;
+            families.push(
+                counter('poi_challenges_issued_total', 'Challenges issued by the contract', stats.totalChallengesIssued),
+                counter('poi_challenges_passed_total', 'Challenges passed', stats.totalPassed),
+                counter('poi_challenges_failed_total', 'Challenges failed', stats.totalFailed),
+                counter('poi_renewals_total', 'Credential renewals', stats.totalMaintenanceRenewals),
+                counter('poi_decays_total', 'Credentials decayed', stats.totalDecayed),
+                renderFamily('poi_last_refresh_block', 'gauge', 'Block of the last successful refresh', [{ value: snapshot.blockNumber }]),
+                renderFamily('poi_last_refresh_timestamp_seconds', 'gauge', 'block.timestamp of the last successful refresh', [{ value: snapshot.timestamp }]),
+            );
+        }
+        families.push(
+            renderFamily('poi_refresh_errors_total', 'counter', 'Failed chain reads while refreshing', [{ value: this.refreshErrors }]),
+            this.solveTime.render(),
+            this.blocksToSpare.render(),
+        );
+        return families.join('\n') + '\n';
+    }
+}
+
+/**
+ * HTTP server for GET /metrics (call .listen() on the result)
+ */
+function createMetricsServer(exporter) {
+    return http.createServer((req, res) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        if (pathname !== '/metrics') {
+            res.writeHead(404, { 'content-type': 'text/plain' });
+            return res.end(`No route for ${pathname}\n`);
+        }
+        if (req.method !== 'GET') {
+            res.writeHead(405, { 'content-type': 'text/plain' });
+            return res.end(`Use GET for ${pathname}\n`);
+        }
+        res.writeHead(200, { 'content-type': 'text/plain; version=0.0.4; charset=utf-8' });
+        res.end(exporter.render());
+    });
+}
+
+module.exports = {
+    SOLVE_BUCKETS,
+    BLOCKS_TO_SPARE_BUCKETS,
+    Histogram,
+    MetricsExporter,
+    createMetricsServer,
+};
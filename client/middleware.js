@@ -0,0 +1,433 @@
+/**
+ * Proof of Intelligence V2 - Endpoint Gating
+ *
+ * Sign-in with Ethereum (EIP-4361 style) plus a PoI check, for services that
+ * only want to talk to verified agents:
+ *
+ *   1. GET  /poi/nonce?address=0x...  -> { nonce, message, expiresAt }
+ *   2. Agent signs `message` (personal_sign), see createLoginPayload()
+ *   3. POST /poi/login { message, signature } -> { token, address, expiresAt }
+ *   4. Requests send `Authorization: Bearer <token>`; requirePoI() resolves the
+ *      address, checks its credential and sets req.poi = { address, status }
+ *
+ * Rejections are structured JSON: 401 when the caller isn't authenticated,
+ * 403 when the agent's credential doesn't meet the requirements:
+ *
+ *   { "error": "forbidden", "code": "REPUTATION_TOO_LOW", "reason": "...", "agent": "0x...", ... }
+ *
+ * Passing PoI checks are cached until the credential's expiresAt (less the
+ * required days of headroom), failing ones for `negativeCacheSeconds`, and
+ * neither for longer than `statusCacheSeconds`.
+ *
+ * Nonces are stateless (random part + expiry + HMAC), so issuing one stores
+ * nothing; only nonces used in a login are remembered, until they expire.
+ * Used nonces, sessions and cached checks live in memory, so run one instance
+ * or use sticky sessions. Expired entries are pruned on a timer; call close()
+ * when done.
+ */
+
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+
+const DAY = 24 * 60 * 60;
+
+// Nonce layout (hex): 16 random bytes, expiry in ms (12 digits), 16 bytes of HMAC
+const NONCE_RANDOM_HEX = 32;
+const NONCE_EXPIRY_HEX = 12;
+const NONCE_MAC_HEX = 32;
+
+class GateError extends Error {
+    /**
+     * @param {number} status - 401 or 403
+     * @param {string} code - Machine-readable reason, e.g. 'NONCE_EXPIRED'
+     * @param {string} reason - Human-readable explanation
+     * @param {object} [details] - Extra fields for the response body
+     */
+    constructor(status, code, reason, details = {}) {
+        super(reason);
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+
+    toJSON() {
+        return {
+            error: this.status === 401 ? 'unauthorized' : 'forbidden',
+            code: this.code,
+            reason: this.message,
+            ...this.details,
+        };
+    }
+}
+
+// ============ Sign-in messages ============
+
+/**
+ * Build an EIP-4361 sign-in message
+ */
+function createSiweMessage({ domain, address, statement, uri, chainId, nonce, issuedAt, expirationTime }) {
+    return [
+        `${domain} wants you to sign in with your Ethereum account:`,
+        ethers.getAddress(address),
+        '',
+        statement,
+        '',
+        `URI: ${uri}`,
+        'Version: 1',
+        `Chain ID: ${chainId}`,
+        `Nonce: ${nonce}`,
+        `Issued At: ${issuedAt}`,
+        `Expiration Time: ${expirationTime}`,
+    ].join('\n');
+}
+
+/**
+ * Parse the fields of a message built by createSiweMessage()
+ * @returns {object|null} null if it isn't a sign-in message
+ */
+function parseSiweMessage(message) {
+    if (typeof message !== 'string') return null;
+    const lines = message.split('\n');
+    const header = lines[0] && lines[0].match(/^(.+) wants you to sign in with your Ethereum account:$/);
+    if (!header || !ethers.isAddress(lines[1])) return null;
+
+    const field = (name) => {
+        const line = lines.find(l => l.startsWith(`${name}: `));
+        return line ? line.slice(name.length + 2) : null;
+    };
+    return {
+        domain: header[1],
+        address: ethers.getAddress(lines[1]),
+        uri: field('URI'),
+        chainId: Number(field('Chain ID')),
+        nonce: field('Nonce'),
+        issuedAt: field('Issued At'),
+        expirationTime: field('Expiration Time'),
+    };
+}
+
+/**
+ * Agent side: sign the message returned by GET /poi/nonce
+ * @param {ethers.Signer} signer
+ * @param {object} nonceResponse - Body of GET /poi/nonce?address=...
+ * @returns {Promise<object>} { message, signature } for POST /poi/login
+ */
+async function createLoginPayload(signer, nonceResponse) {
+    const parsed = parseSiweMessage(nonceResponse.message);
+    const address = await signer.getAddress();
+    if (!parsed || parsed.address !== address) throw new Error(`Sign-in message is not for ${address}`);
+    return { message: nonceResponse.message, signature: await signer.signMessage(nonceResponse.message) };
+}
+
+// ============ PoI requirements ============
+
+/**
+ * Decide whether a credential meets the requirements
+ * @param {object} status - From PoIClient.getStatus()
+ * @param {object} requirements - { minReputation, minDaysUntilExpiry }
+ * @returns {object} { ok: true } or { ok: false, code, reason }
+ */
+function evaluatePoI(status, { minReputation = 0, minDaysUntilExpiry = 0 } = {}) {
+    const { credential } = status;
+    if (!credential.valid || credential.issuedAt.getTime() === 0) {
+        return { ok: false, code: 'NO_CREDENTIAL', reason: 'Agent has no valid PoI credential' };
+    }
+    if (status.inGracePeriod) {
+        return { ok: false, code: 'IN_GRACE_PERIOD', reason: `Credential expired ${credential.expiresAt.toISOString()} and is in its grace period` };
+    }
+    if (!status.hasValidPoI) {
+        return { ok: false, code: 'CREDENTIAL_EXPIRED', reason: `Credential expired ${credential.expiresAt.toISOString()}` };
+    }
+    if (!status.isVerified) {
+        return { ok: false, code: 'NOT_REGISTERED', reason: 'Agent is not registered in the agent registry' };
+    }
+    if (credential.reputation < minReputation) {
+        return { ok: false, code: 'REPUTATION_TOO_LOW', reason: `Reputation ${credential.reputation} is below ${minReputation}` };
+    }
+    if (status.daysUntilExpiry < minDaysUntilExpiry) {
+        return { ok: false, code: 'EXPIRES_TOO_SOON', reason: `Credential expires in ${status.daysUntilExpiry} days, ${minDaysUntilExpiry} required` };
+    }
+    return { ok: true };
+}
+
+/**
+ * Check one agent's credential on-chain
+ * @param {PoIClient} client - Read-only client is enough
+ * @param {string} address
+ * @param {object} [requirements] - { minReputation, minDaysUntilExpiry }
+ * @returns {Promise<object>} evaluatePoI() result plus { status }
+ */
+async function checkAgent(client, address, requirements) {
+    const status = await client.getStatus(ethers.getAddress(address));
+    return { ...evaluatePoI(status, requirements), status };
+}
+
+// ============ Gate ============
+
+class PoIGate {
+    /**
+     * @param {PoIClient} client - Read-only client is enough
+     * @param {object} options
+     *   domain, uri, chainId      - What sign-in messages must say (required)
+     *   statement                 - Text shown to the signer
+     *   minReputation, minDaysUntilExpiry - Default requirements
+     *   nonceTtlSeconds (300), sessionTtlSeconds (3600), negativeCacheSeconds (60)
+     *   statusCacheSeconds (sessionTtlSeconds) - Longest a PoI check is cached
+     *   nonceSecret               - HMAC key for nonces (default: random per gate)
+     *   pruneIntervalSeconds (60) - How often expired used nonces, sessions and checks are dropped
+     */
+    constructor(client, options = {}) {
+        if (!options.domain || !options.uri || options.chainId == null) {
+            throw new Error('PoIGate needs domain, uri and chainId');
+        }
+        this.client = client;
+        this.domain = options.domain;
+        this.uri = options.uri;
+        this.chainId = Number(options.chainId);
+        this.statement = options.statement || 'Sign in as a Proof of Intelligence verified agent.';
+        this.requirements = {
+            minReputation: options.minReputation || 0,
+            minDaysUntilExpiry: options.minDaysUntilExpiry || 0,
+        };
+        this.nonceTtl = options.nonceTtlSeconds || 300;
+        this.sessionTtl = options.sessionTtlSeconds || 3600;
+        this.negativeCacheTtl = options.negativeCacheSeconds || 60;
+        this.statusCacheTtl = options.statusCacheSeconds || this.sessionTtl;
+        this.nonceSecret = options.nonceSecret || crypto.randomBytes(32);
+        this.usedNonces = new Map(); // nonce -> expiresAt (ms), until it expires
+        this.sessions = new Map();  // token -> { address, expiresAt (ms) }
+        this.statusCache = new Map(); // address -> { status, fetchedAt (ms) }
+        this.pruneTimer = setInterval(() => this.prune(), (options.pruneIntervalSeconds || 60) * 1000);
+        this.pruneTimer.unref();
+    }
+
+    /**
+     * Start a sign-in: a single-use nonce, and the message to sign if the address is known
+     */
+    issueNonce(address) {
+        const now = Date.now();
+        const expiresAt = now + this.nonceTtl * 1000;
+        const body = crypto.randomBytes(NONCE_RANDOM_HEX / 2).toString('hex') + expiresAt.toString(16).padStart(NONCE_EXPIRY_HEX, '0');
+        const nonce = body + this.nonceMac(body);
+
+        const response = { nonce, expiresAt: new Date(expiresAt) };
+        if (address && ethers.isAddress(address)) {
+            response.message = createSiweMessage({
+                domain: this.domain,
+                address,
+                statement: this.statement,
+                uri: this.uri,
+                chainId: this.chainId,
+                nonce,
+                issuedAt: new Date(now).toISOString(),
+                expirationTime: new Date(expiresAt).toISOString(),
+            });
+        }
+        return response;
+    }
+
+    /**
+     * Verify a signed sign-in message and open a session
+     * @returns {object} { token, address, expiresAt }
+     * @throws {GateError} 401 when the message or signature is not acceptable
+     */
+    login(message, signature) {
+        const parsed = parseSiweMessage(message);
+        if (!parsed) throw new GateError(401, 'MALFORMED_MESSAGE', 'Not a sign-in message');
+        if (parsed.domain !== this.domain || parsed.uri !== this.uri) {
+            throw new GateError(401, 'DOMAIN_MISMATCH', `Message is for ${parsed.domain} (${parsed.uri})`);
+        }
+        if (parsed.chainId !== this.chainId) {
+            throw new GateError(401, 'CHAIN_MISMATCH', `Message is for chain ${parsed.chainId}, expected ${this.chainId}`);
+        }
+
+        const nonceExpiry = this.nonceExpiry(parsed.nonce);
+        if (!nonceExpiry || this.usedNonces.has(parsed.nonce)) {
+            throw new GateError(401, 'UNKNOWN_NONCE', 'Nonce was not issued or was already used');
+        }
+        if (Date.now() > nonceExpiry || Date.now() > Date.parse(parsed.expirationTime)) {
+            throw new GateError(401, 'NONCE_EXPIRED', 'Sign-in message has expired; request a new nonce');
+        }
+
+        let signer;
+        try {
+            signer = ethers.verifyMessage(message, signature);
+        } catch {
+            throw new GateError(401, 'INVALID_SIGNATURE', 'Signature could not be verified');
+        }
+        if (signer !== parsed.address) {
+            throw new GateError(401, 'INVALID_SIGNATURE', `Message is for ${parsed.address} but was signed by ${signer}`);
+        }
+
+        this.usedNonces.set(parsed.nonce, nonceExpiry);
+        const token = crypto.randomBytes(32).toString('hex');
+        const expiresAt = Date.now() + this.sessionTtl * 1000;
+        this.sessions.set(token, { address: signer, expiresAt });
+        return { token, address: signer, expiresAt: new Date(expiresAt) };
+    }
+
+    /**
+     * Resolve a bearer token (or Authorization header) to an address
+     * @throws {GateError} 401
+     */
+    authenticate(authorization) {
+        const token = typeof authorization === 'string' ? authorization.replace(/^Bearer\s+/i, '') : null;
+        if (!token) throw new GateError(401, 'MISSING_TOKEN', 'Sign in and send Authorization: Bearer <token>');
+        const session = this.sessions.get(token);
+        if (!session) throw new GateError(401, 'INVALID_TOKEN', 'Unknown session token');
+        if (Date.now() > session.expiresAt) {
+            this.sessions.delete(token);
+            throw new GateError(401, 'SESSION_EXPIRED', 'Session has expired; sign in again');
+        }
+        return session.address;
+    }
+
+    /**
+     * Check an address against the requirements (cached, see header)
+     * @returns {Promise<object>} PoI status
+     * @throws {GateError} 403 with the reason
+     */
+    async authorize(address, requirements = {}) {
+        const required = { ...this.requirements, ...requirements };
+        const status = await this.cachedStatus(address, required);
+        const verdict = evaluatePoI(status, required);
+        if (!verdict.ok) {
+            throw new GateError(403, verdict.code, verdict.reason, {
+                agent: address,
+                reputation: status.credential.reputation,
+                daysUntilExpiry: status.daysUntilExpiry,
+                expiresAt: status.credential.issuedAt.getTime() === 0 ? null : status.credential.expiresAt,
+            });
+        }
+        return status;
+    }
+
+    async cachedStatus(address, required) {
+        const cached = this.statusCache.get(address);
+        if (cached) {
+            const { status, fetchedAt } = cached;
+            const passesUntil = status.credential.expiresAt.getTime() - required.minDaysUntilExpiry * DAY * 1000;
+            const fresh = evaluatePoI(status, required).ok
+                ? Date.now() < passesUntil
+                : Date.now() < fetchedAt + this.negativeCacheTtl * 1000;
+            if (fresh && Date.now() < fetchedAt + this.statusCacheTtl * 1000) return status;
+        }
+
+        const status = await this.client.getStatus(address);
+        this.statusCache.set(address, { status, fetchedAt: Date.now() });
+        return status;
+    }
+
+    nonceMac(body) {
+        return crypto.createHmac('sha256', this.nonceSecret).update(body).digest('hex').slice(0, NONCE_MAC_HEX);
+    }
+
+    /**
+     * Expiry (ms) of a nonce this gate issued, or null if it didn't issue it
+     */
+    nonceExpiry(nonce) {
+        if (typeof nonce !== 'string' || nonce.length !== NONCE_RANDOM_HEX + NONCE_EXPIRY_HEX + NONCE_MAC_HEX || !/^[0-9a-f]+$/.test(nonce)) {
+            return null;
+        }
+        const body = nonce.slice(0, NONCE_RANDOM_HEX + NONCE_EXPIRY_HEX);
+        const mac = Buffer.from(nonce.slice(body.length));
+        if (!crypto.timingSafeEqual(mac, Buffer.from(this.nonceMac(body)))) return null;
+        return parseInt(body.slice(NONCE_RANDOM_HEX), 16);
+    }
+
+    /**
+     * Drop expired used nonces, sessions and cached checks (runs on a timer)
+     */
+    prune() {
+        const now = Date.now();
+        for (const [nonce, expiresAt] of this.usedNonces) if (now > expiresAt) this.usedNonces.delete(nonce);
+        for (const [token, session] of this.sessions) if (now > session.expiresAt) this.sessions.delete(token);
+        for (const [address, { fetchedAt }] of this.statusCache) {
+            if (now >= fetchedAt + this.statusCacheTtl * 1000) this.statusCache.delete(address);
+        }
+    }
+
+    /**
+     * Stop the prune timer
+     */
+    close() {
+        clearInterval(this.pruneTimer);
+    }
+}
+
+// ============ Framework adapters ============
+
+function errorBody(e) {
+    return e instanceof GateError ? [e.status, e.toJSON()] : [502, { error: 'unavailable', reason: 'PoI check failed' }];
+}
+
+/**
+ * Express handlers (login needs express.json())
+ * @returns {object} { nonce, login, requirePoI(requirements) }
+ */
+function expressGate(gate) {
+    const fail = (res, e) => {
+        const [status, body] = errorBody(e);
+        res.status(status).json(body);
+    };
+    return {
+        nonce: (req, res) => res.json(gate.issueNonce(req.query.address)),
+        login: (req, res) => {
+            try {
+                res.json(gate.login((req.body || {}).message, (req.body || {}).signature));
+            } catch (e) {
+                fail(res, e);
+            }
+        },
+        requirePoI: (requirements) => async (req, res, next) => {
+            try {
+                const address = gate.authenticate(req.headers.authorization);
+                req.poi = { address, status: await gate.authorize(address, requirements) };
+                next();
+            } catch (e) {
+                fail(res, e);
+            }
+        },
+    };
+}
+
+/**
+ * Fastify handlers; requirePoI() returns a preHandler hook
+ * @returns {object} { nonce, login, requirePoI(requirements) }
+ */
+function fastifyGate(gate) {
+    const fail = (reply, e) => {
+        const [status, body] = errorBody(e);
+        return reply.code(status).send(body);
+    };
+    return {
+        nonce: async (request) => gate.issueNonce(request.query.address),
+        login: async (request, reply) => {
+            try {
+                return gate.login((request.body || {}).message, (request.body || {}).signature);
+            } catch (e) {
+                return fail(reply, e);
+            }
+        },
+        requirePoI: (requirements) => async (request, reply) => {
+            try {
+                const address = gate.authenticate(request.headers.authorization);
+                request.poi = { address, status: await gate.authorize(address, requirements) };
+            } catch (e) {
+                return fail(reply, e);
+            }
+        },
+    };
+}
+
+module.exports = {
+    PoIGate,
+    GateError,
+    expressGate,
+    fastifyGate,
+    evaluatePoI,
+    checkAgent,
+    createSiweMessage,
+    parseSiweMessage,
+    createLoginPayload,
+};
@@ -0,0 +1,147 @@
+/**
+ * Proof of Intelligence - V1 → V2 Migration
+ *
+ * V1 credentials are permanent and V2 has no way to import them: an agent
+ * migrates by passing V2's initial verification. This module:
+ *
+ * - Detects which contract version lives at an address (detectVersion)
+ * - Opens the matching client for either version (connectPoI)
+ * - Reads an agent's V1 and V2 credentials side by side (transitionStatus)
+ * - Walks an agent holding a V1 credential through V2 verification (migrateAgent)
+ */
+
+const { ethers } = require('ethers');
+const { PoIClient, emptyResult } = require('./poi-client-v2.js');
+const { PoIClientV1 } = require('./poi-client-v1.js');
+const { silentLogger } = require('./logger.js');
+
+// Constants only one version declares
+const VERSION_PROBE_ABI = [
+    'function MAINTENANCE_CHALLENGE_WINDOW() external view returns (uint256)',
+    'function CHALLENGE_WINDOW() external view returns (uint256)',
+];
+
+/**
+ * Which PoI contract version is deployed at `address`
+ * @returns {Promise<'v1'|'v2'>}
+ */
+async function detectVersion(provider, address) {
+    if ((await provider.getCode(address)) === '0x') throw new Error(`No contract at ${address}`);
+    const probe = new ethers.Contract(address, VERSION_PROBE_ABI, provider);
+    const declares = async (constant) => {
+        try {
+            await probe[constant]();
+            return true;
+        } catch (e) {
+            if (e.code === 'CALL_EXCEPTION' || e.code === 'BAD_DATA') return false;
+            throw e;
+        }
+    };
+
+    if (await declares('MAINTENANCE_CHALLENGE_WINDOW')) return 'v2';
+    if (await declares('CHALLENGE_WINDOW')) return 'v1';
+    throw new Error(`${address} is not a Proof of Intelligence contract`);
+}
+
+/**
+ * Client for whichever version is deployed at `address` (PoIClient or
+ * PoIClientV1, told apart by `client.version`)
+ * @param {string} [expected] - Refuse any other version ('v1' or 'v2')
+ */
+async function connectPoI(provider, wallet, address, options = {}, expected) {
+    const version = await detectVersion(provider, address);
+    if (expected && version !== expected) {
+        throw new Error(`${address} is a ${version.toUpperCase()} contract, expected ${expected.toUpperCase()}`);
+    }
+    const Client = version === 'v2' ? PoIClient : PoIClientV1;
+    return new Client(provider, wallet, address, options);
+}
+
+/**
+ * Both credentials of one agent during the transition
+ * @param {PoIClientV1} v1
+ * @param {PoIClient} v2
+ * @param {string} [address] - Defaults to the V2 client's wallet
+ * @returns {Promise<object>} { agent, stage, v1, v2 }
+ *   stage: 'migrated' (V2 credential valid or in its grace period),
+ *   'pending' (only a V1 credential) or 'unverified'
+ */
+async function transitionStatus(v1, v2, address = v2.address) {
+    const [v1Status, v2Status] = await Promise.all([v1.getStatus(address), v2.getStatus(address)]);
+    let stage = 'unverified';
+    if (v2Status.hasValidPoI || v2Status.inGracePeriod) stage = 'migrated';
+    else if (v1Status.hasValidPoI) stage = 'pending';
+    return { agent: address, stage, v1: v1Status, v2: v2Status };
+}
+
+/**
+ * Verify a V1-credentialed agent on V2
+ *
+ * Skips agents already holding a V2 credential, and (unless `force`) agents
+ * without a valid V1 credential, which have nothing to migrate.
+ * @param {object} [options] - { force, logger }
+ * @returns {Promise<ChallengeResult>} V2 result (see poi-client-v2.js) plus `migration`:
+ *   { stageBefore, v1 } with the V1 status read before verifying
+ */
+async function migrateAgent(v1, v2, { force = false, logger = silentLogger } = {}) {
+    const before = await transitionStatus(v1, v2);
+    const migration = { stageBefore: before.stage, v1: before.v1 };
+    const skip = (reason) => {
+        logger.info(`✅ ${reason}`);
+        const result = emptyResult('none', v2.address);
+        result.outcome = 'skipped';
+        result.reason = reason;
+        result.credential = before.v2.credential;
+        return { ...result, migration };
+    };
+
+    if (before.v2.hasValidPoI) return skip('Already verified on V2');
+    if (before.v2.inGracePeriod) return skip('V2 credential is in its grace period - run maintain instead');
+    if (!before.v1.hasValidPoI && !force) {
+        return skip('No valid V1 credential to migrate (verify on V2 directly, or migrate --force)');
+    }
+
+    if (before.v1.hasValidPoI) {
+        logger.info(`🔁 V1 credential issued ${before.v1.credential.issuedAt.toISOString()} - verifying on V2\n`);
+    }
+    return { ...await v2.proveIntelligence(), migration };
+}
+
+/**
+ * Pretty print transitionStatus() as two columns
+ */
+function printTransitionStatus(status) {
+    const { v1, v2 } = status;
+    const yes = (flag) => (flag ? '✅ Yes' : '❌ No');
+    const date = (d) => (d.getTime() > 0 ? d.toISOString() : '-');
+    const rows = [
+        ['Valid', yes(v1.hasValidPoI), yes(v2.hasValidPoI)],
+        ['Verified Agent', yes(v1.isVerified), yes(v2.isVerified)],
+        ['Issued', date(v1.credential.issuedAt), date(v2.credential.issuedAt)],
+        ['Expires', v1.hasValidPoI ? 'never' : '-', date(v2.credential.expiresAt)],
+        ['In Grace Period', 'n/a', v2.inGracePeriod ? '⚠️ Yes' : 'No'],
+        ['Reputation', 'n/a', `${v2.credential.reputation}/100`],
+        ['Challenge Type', v1.credential.challengeType || '-', v2.credential.challengeType || '-'],
+    ];
+
+    console.log(`\n🔁 PoI Migration Status - ${status.agent}`);
+    console.log('='.repeat(72));
+    const line = ([label, a, b]) => console.log(`${String(label).padEnd(18)}${String(a).padEnd(27)}${b}`);
+    line(['', 'V1', 'V2']);
+    rows.forEach(line);
+
+    const next = {
+        migrated: 'Migrated - the V2 credential needs maintenance to stay valid (node cli.js daemon)',
+        pending: 'Pending - run: node cli.js migrate',
+        unverified: 'No credential on either contract - run: node cli.js verify',
+    };
+    console.log(`\n${next[status.stage]}`);
+}
+
+module.exports = {
+    detectVersion,
+    connectPoI,
+    transitionStatus,
+    migrateAgent,
+    printTransitionStatus,
+};
@@ -0,0 +1,377 @@
+/**
+ * Proof of Intelligence V1 - Client for the original contract
+ *
+ * V1 (ProofOfIntelligence.sol) issues permanent credentials: no expiry,
+ * maintenance or reputation. Its getChallenge tuple has no isMaintenance
+ * field and submitAnswer reverts on a late or wrong answer instead of
+ * returning false, so PoIClient can't read it. This client covers what the
+ * V1 → V2 migration needs (see migration.js): credential status, and the
+ * verification flow of solve-challenge.js with PoIClient's result shape.
+ */
+
+const { ethers } = require('ethers');
+const { getProfile } = require('./challenge-types.js');
+const { silentLogger } = require('./logger.js');
+const { PoI_V1_ERRORS, V1_ERROR_NAMES, decodeRevertName, createPoIError } = require('./errors.js');
+const { SubmissionManager } = require('./submission.js');
+const { emptyResult, txSummary } = require('./poi-client-v2.js');
+
+const challengeProfile = getProfile('v1');
+
+const COOLDOWN_PERIOD = 60 * 60;
+
+const PoI_V1_ABI = [
+    'function requestChallenge() external returns (bytes32 seed, uint8 challengeType, uint256 deadline)',
+    'function submitAnswer(bytes32 answer) external',
+    'function hasValidPoI(address agent) external view returns (bool)',
+    'function isVerifiedIntelligentAgent(address agent) external view returns (bool)',
+    'function getCredential(address agent) external view returns (tuple(uint256 issuedAt, uint8 challengeType, uint256 blockSolved, bool valid))',
+    'function getChallenge(address agent) external view returns (tuple(uint8 challengeType, bytes32 seed, uint256 deadline, uint256 issuedBlock, uint256 issuedTimestamp, bool completed))',
+    'function computeExpectedAnswer(uint8 challengeType, bytes32 seed, address agent) external view returns (bytes32)',
+    'function lastAttempt(address agent) external view returns (uint256)',
+    'function totalChallengesIssued() external view returns (uint256)',
+    'function totalPassed() external view returns (uint256)',
+    'function totalFailed() external view returns (uint256)',
+    'function CHALLENGE_WINDOW() external view returns (uint256)',
+    'event ChallengeIssued(address indexed agent, uint8 challengeType, bytes32 seed, uint256 deadline)',
+    'event ChallengePassed(address indexed agent, uint8 challengeType, uint256 blockNumber)',
+    'event ChallengeFailed(address indexed agent, string reason)',
+    'event CredentialRevoked(address indexed agent, string reason)',
+    ...PoI_V1_ERRORS,
+];
+
+/**
+ * Decode a V1 credential tuple into JS types
+ */
+function formatCredentialV1(cred) {
+    return {
+        issuedAt: new Date(Number(cred.issuedAt) * 1000),
+        challengeType: Number(cred.challengeType),
+        blockSolved: Number(cred.blockSolved),
+        valid: cred.valid,
+    };
+}
+
+/**
+ * Decode a V1 challenge tuple into formatChallenge()'s shape (never maintenance)
+ */
+function formatChallengeV1(challenge) {
+    return {
+        type: Number(challenge.challengeType),
+        seed: challenge.seed,
+        deadline: Number(challenge.deadline),
+        issuedBlock: Number(challenge.issuedBlock),
+        issuedTimestamp: Number(challenge.issuedTimestamp),
+        completed: challenge.completed,
+        isMaintenance: false,
+    };
+}
+
+/**
+ * PoI V1 Client Class
+ *
+ * Same constructor and options as PoIClient; `wallet` may be null for reads.
+ */
+class PoIClientV1 {
+    constructor(provider, wallet, contractAddress, options = {}) {
+        this.provider = provider;
+        this.wallet = wallet;
+        this.contract = new ethers.Contract(contractAddress, PoI_V1_ABI, wallet || provider);
+        this.address = wallet ? wallet.address : null;
+        this.version = 'v1';
+        this.logger = options.logger || silentLogger;
+        this.submissionOptions = options.submission || {};
+    }
+
+    /**
+     * Get credential status
+     * @param {string} [address] - Agent to query (defaults to this wallet)
+     * @returns {Promise<object>} { hasValidPoI, isVerified, credential: { issuedAt, challengeType, blockSolved, valid } }
+     */
+    async getStatus(address = this.address) {
+        const [hasValid, isVerified, cred] = await Promise.all([
+            this.contract.hasValidPoI(address),
+            this.contract.isVerifiedIntelligentAgent(address),
+            this.contract.getCredential(address),
+        ]);
+
+        return {
+            hasValidPoI: hasValid,
+            isVerified: isVerified,
+            credential: formatCredentialV1(cred),
+        };
+    }
+
+    /**
+     * The agent's issued, unanswered challenge if its deadline hasn't passed
+     * @returns {Promise<object|null>} formatChallengeV1() fields plus blocksRemaining
+     */
+    async getActiveChallenge() {
+        const [blockNumber, challenge] = await Promise.all([
+            this.provider.getBlockNumber(),
+            this.contract.getChallenge(this.address),
+        ]);
+        const formatted = formatChallengeV1(challenge);
+        if (formatted.completed || formatted.deadline <= blockNumber) return null;
+        return { ...formatted, blocksRemaining: formatted.deadline - blockNumber };
+    }
+
+    /**
+     * Request and complete V1 verification
+     * @returns {Promise<ChallengeResult>} See poi-client-v2.js
+     */
+    async proveIntelligence() {
+        const active = await this.getActiveChallenge();
+        if (active) return this.resume(active);
+
+        const log = this.logger;
+        log.info('🧠 Proof of Intelligence V1 - Verification');
+        log.info('='.repeat(50));
+
+        log.info('\n1️⃣ Requesting challenge...');
+        const receipt = await this._send('requestChallenge');
+
+        const challenge = formatChallengeV1(await this.contract.getChallenge(this.address));
+        log.info(`   Type: ${challenge.type}`);
+        log.info(`   Seed: ${challenge.seed.slice(0, 18)}...`);
+        log.info(`   Deadline: block ${challenge.deadline}`);
+
+        const result = emptyResult('verify', this.address);
+        result.requestTx = txSummary(receipt);
+        return this._solveAndSubmit(challenge, result);
+    }
+
+    /**
+     * Solve and submit an already-issued challenge
+     * @param {object} [active] - From getActiveChallenge() (read if omitted)
+     * @returns {Promise<ChallengeResult>} outcome 'skipped' when there is nothing to resume
+     */
+    async resume(active) {
+        const challenge = active || await this.getActiveChallenge();
+        const result = emptyResult(challenge ? 'verify' : 'none', this.address);
+        if (!challenge) {
+            this.logger.info('✅ No active challenge to resume');
+            result.outcome = 'skipped';
+            result.reason = 'No active challenge';
+            return result;
+        }
+
+        this.logger.warn(`⚠️ Resuming V1 challenge issued at block ${challenge.issuedBlock}: ` +
+            `${challenge.blocksRemaining} blocks left before the deadline (block ${challenge.deadline})`);
+        result.resumed = true;
+        return this._solveAndSubmit(challenge, result);
+    }
+
+    /**
+     * Get global stats (V1 tracks no renewals or decay)
+     */
+    async getStats() {
+        const [issued, passed, failed] = await Promise.all([
+            this.contract.totalChallengesIssued(),
+            this.contract.totalPassed(),
+            this.contract.totalFailed(),
+        ]);
+        return {
+            totalChallengesIssued: Number(issued),
+            totalPassed: Number(passed),
+            totalFailed: Number(failed),
+        };
+    }
+
+    /**
+     * Internal: solve, check with eth_call, then submit before the deadline.
+     * V1 reverts a late or wrong answer, so the check costs nothing and a
+     * predicted revert is never sent.
+     */
+    async _solveAndSubmit(challenge, result) {
+        const log = this.logger;
+        result.challenge = {
+            type: challenge.type,
+            seed: challenge.seed,
+            deadline: challenge.deadline,
+            issuedBlock: challenge.issuedBlock,
+            issuedTimestamp: challenge.issuedTimestamp,
+            isMaintenance: false,
+        };
+
+        log.info('\n2️⃣ Solving challenge...');
+        const startTime = Date.now();
+        result.answer = challengeProfile.solve(
+            challenge.type,
+            challenge.seed,
+            this.address,
+            { number: challenge.issuedBlock, timestamp: challenge.issuedTimestamp }
+        );
+        result.solveTimeMs = Date.now() - startTime;
+        log.info(`   Solved in ${result.solveTimeMs}ms`);
+
+        log.info('\n3️⃣ Simulating submission...');
+        result.simulation = await this._simulateAnswer(challenge, result.answer);
+        const { simulation } = result;
+        if (simulation.outcome !== 'passed') {
+            result.outcome = ['IncorrectAnswer', 'ChallengeExpired'].includes(simulation.reason) ? 'aborted' : 'reverted';
+            result.revertReason = simulation.reason;
+            result.error = simulation.error;
+            if (result.outcome === 'aborted') result.reason = `Simulation predicts "${simulation.reason}" - not submitted`;
+            log.error(`\n❌ ${result.outcome === 'aborted' ? 'ABORTED' : 'Would revert'} - ` +
+                `${simulation.error ? simulation.error.message : simulation.reason}`);
+            return result;
+        }
+
+        log.info('\n4️⃣ Submitting answer...');
+        const manager = new SubmissionManager(this.provider, this.wallet, { ...this.submissionOptions, logger: log });
+        let receipt;
+        try {
+            const tx = await this.contract.submitAnswer.populateTransaction(result.answer);
+            const { receipt: mined, ...submission } = await manager.send(tx, { deadline: challenge.deadline });
+            receipt = mined;
+            result.submission = submission;
+        } catch (e) {
+            const error = await this._decodeError(e, 'submitAnswer', [result.answer]);
+            if (error.code !== 'CALL_EXCEPTION' && !error.errorName) throw error;
+            result.outcome = 'reverted';
+            result.revertReason = error.errorName || error.reason || error.shortMessage || error.message;
+            if (error.errorName) result.error = error.toJSON();
+            log.error(`\n❌ REVERTED - ${error.errorName ? error.message : result.revertReason}`);
+            return result;
+        }
+        if (result.submission.aborted) {
+            result.outcome = 'aborted';
+            result.reason = `Not included before deadline block ${challenge.deadline}`;
+            log.error(`\n❌ ABORTED - ${result.reason}`);
+            return result;
+        }
+
+        // V1 reverts anything but a pass, so a mined answer is a credential
+        result.outcome = 'passed';
+        result.submitTx = txSummary(receipt);
+        result.blocksRemaining = challenge.deadline - receipt.blockNumber;
+        result.credential = formatCredentialV1(await this.contract.getCredential(this.address));
+        log.info('\n✅ VERIFIED on V1 (permanent credential)');
+        return result;
+    }
+
+    /**
+     * Internal: eth_call submitAnswer on the pending block
+     * @returns {Promise<object>} simulateAnswer()'s shape; outcome 'passed' or 'reverted'
+     */
+    async _simulateAnswer(challenge, answer) {
+        const [blockNumber, expectedAnswer] = await Promise.all([
+            this.provider.getBlockNumber(),
+            this.contract.computeExpectedAnswer(challenge.type, challenge.seed, this.address),
+        ]);
+        const prediction = { outcome: 'passed', reason: null, error: null };
+        try {
+            await this.contract.submitAnswer.staticCall(answer, { blockTag: 'pending' });
+        } catch (e) {
+            const error = await this._decodeError(e, 'submitAnswer', [answer], { replay: false, simulated: true });
+            if (!error.errorName) throw error;
+            prediction.outcome = 'reverted';
+            prediction.reason = error.errorName;
+            prediction.error = error.toJSON();
+        }
+        return {
+            method: 'eth_call',
+            blockNumber: blockNumber + 1,
+            ...prediction,
+            answer,
+            expectedAnswer,
+            answerMatches: expectedAnswer.toLowerCase() === answer.toLowerCase(),
+        };
+    }
+
+    /**
+     * Internal: send a transaction and wait for it, turning reverts into typed errors
+     */
+    async _send(method, args = []) {
+        try {
+            const tx = await this.contract[method](...args);
+            return await tx.wait();
+        } catch (e) {
+            throw await this._decodeError(e, method, args);
+        }
+    }
+
+    /**
+     * Internal: map a V1 revert to the typed error of its V2 counterpart, or return it unchanged
+     */
+    async _decodeError(err, method, args, { replay = true, simulated = false } = {}) {
+        if (err.code !== 'CALL_EXCEPTION') return err;
+        const iface = this.contract.interface;
+
+        let name = decodeRevertName(err, iface);
+        if (!name && !err.receipt && replay) {
+            try {
+                await this.contract[method].staticCall(...args);
+            } catch (replayed) {
+                name = decodeRevertName(replayed, iface);
+            }
+        }
+        if (!name) return err;
+
+        const errorName = V1_ERROR_NAMES[name] || name;
+        let context = { agent: this.address };
+        try {
+            context = await this._errorContext(errorName);
+        } catch {
+            // Context is best effort
+        }
+        if (simulated) context.simulated = true;
+        return createPoIError(errorName, context, err) || err;
+    }
+
+    /**
+     * Internal: on-chain facts explaining a revert (times in chain time)
+     */
+    async _errorContext(errorName) {
+        const [block, lastAttempt, challenge] = await Promise.all([
+            this.provider.getBlock('latest'),
+            this.contract.lastAttempt(this.address),
+            this.contract.getChallenge(this.address),
+        ]);
+        const now = Number(block.timestamp);
+        const context = { agent: this.address, blockNumber: block.number, chainTime: new Date(now * 1000) };
+
+        switch (errorName) {
+            case 'CooldownNotElapsed': {
+                const retryAt = Number(lastAttempt) + COOLDOWN_PERIOD;
+                return {
+                    ...context,
+                    lastAttempt: new Date(Number(lastAttempt) * 1000),
+                    cooldownSeconds: COOLDOWN_PERIOD,
+                    retryAt: new Date(retryAt * 1000),
+                    secondsRemaining: retryAt - now,
+                };
+            }
+            case 'ChallengeAlreadyActive':
+            case 'ChallengeExpired': {
+                const deadline = Number(challenge.deadline);
+                return { ...context, deadline, blocksRemaining: Math.max(0, deadline - block.number), isMaintenance: false };
+            }
+            default:
+                return context;
+        }
+    }
+}
+
+/**
+ * Pretty print V1 status
+ */
+function printStatusV1(status) {
+    console.log('\n📋 PoI V1 Credential Status');
+    console.log('='.repeat(40));
+    console.log(`Valid: ${status.hasValidPoI ? '✅ Yes' : '❌ No'}`);
+    console.log(`Verified Agent: ${status.isVerified ? '✅ Yes' : '❌ No'}`);
+    if (status.credential.issuedAt.getTime() > 0) {
+        console.log(`Issued: ${status.credential.issuedAt.toISOString()} (block ${status.credential.blockSolved})`);
+        console.log('Expires: never (V1 credentials are permanent)');
+    }
+}
+
+module.exports = {
+    PoIClientV1,
+    formatCredentialV1,
+    formatChallengeV1,
+    printStatusV1,
+    PoI_V1_ABI,
+};
@@ -0,0 +1,168 @@
+/**
+ * Proof of Intelligence V2 - Read-only Verification API
+ *
+ * Lets relying parties gate on PoI without embedding ethers:
+ *
+ *   GET  /agents/:address            credential, reputation, days until expiry, grace status
+ *   GET  /agents/:address/verified   { verified } (isVerifiedIntelligentAgent)
+ *   POST /agents/batch               { "addresses": [...] } -> status for each (max 100)
+ *   GET  /stats                      global contract stats
+ *   GET  /health                     { ok, blockNumber, contract }
+ *
+ * Responses are cached per block: the block number is re-read at most every
+ * `blockTtlMs`, and cached answers are dropped once it moves.
+ */
+
+const http = require('http');
+const { ethers } = require('ethers');
+const { mapLimit } = require('./concurrency.js');
+const { silentLogger } = require('./logger.js');
+
+const MAX_BATCH = 100;
+const MAX_BODY_BYTES = 64 * 1024;
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+/**
+ * Per-block cache of read results (stores promises so concurrent requests share one RPC call)
+ */
+class BlockCache {
+    constructor(provider, { blockTtlMs = 2000 } = {}) {
+        this.provider = provider;
+        this.blockTtlMs = blockTtlMs;
+        this.block = null;
+        this.blockReadAt = 0;
+        this.entries = new Map();
+    }
+
+    async blockNumber() {
+        if (this.block === null || Date.now() - this.blockReadAt >= this.blockTtlMs) {
+            const block = await this.provider.getBlockNumber();
+            this.blockReadAt = Date.now();
+            if (block !== this.block) {
+                this.block = block;
+                this.entries.clear();
+            }
+        }
+        return this.block;
+    }
+
+    async get(key, load) {
+        const block = await this.blockNumber();
+        if (!this.entries.has(key)) {
+            const pending = load().catch(e => {
+                this.entries.delete(key);
+                throw e;
+            });
+            this.entries.set(key, pending);
+        }
+        return { blockNumber: block, value: await this.entries.get(key) };
+    }
+}
+
+function parseAddress(value) {
+    try {
+        return ethers.getAddress(value);
+    } catch {
+        throw new HttpError(400, `Invalid address: ${value}`);
+    }
+}
+
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        const onData = (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                // Stop reading: the 413 closes the connection rather than draining the rest
+                req.removeListener('data', onData);
+                req.pause();
+                return reject(new HttpError(413, 'Request body too large'));
+            }
+            chunks.push(chunk);
+        };
+        req.on('data', onData);
+        req.on('end', () => {
+            const body = Buffer.concat(chunks).toString('utf8');
+            try {
+                resolve(body ? JSON.parse(body) : {});
+            } catch {
+                reject(new HttpError(400, 'Body is not valid JSON'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Create the HTTP server (call .listen() on the result)
+ * @param {PoIClient} client - Read-only client is enough
+ * @param {object} [options] - { blockTtlMs, logger }
+ * @returns {http.Server}
+ */
+function createServer(client, options = {}) {
+    const logger = options.logger || silentLogger;
+    const cache = new BlockCache(client.provider, options);
+
+    const agentStatus = async (address) => {
+        const { blockNumber, value: status } = await cache.get(`agent:${address}`, () => client.getStatus(address));
+        return { agent: address, blockNumber, ...status };
+    };
+
+    const routes = [
+        ['GET', /^\/health$/, async () => ({
+            ok: true,
+            blockNumber: await cache.blockNumber(),
+            contract: client.contract.target,
+        })],
+        ['GET', /^\/stats$/, async () => {
+            const { blockNumber, value } = await cache.get('stats', () => client.getStats());
+            return { blockNumber, ...value };
+        }],
+        ['GET', /^\/agents\/(?!batch$)([^/]+)$/, ([address]) => agentStatus(parseAddress(address))],
+        ['GET', /^\/agents\/([^/]+)\/verified$/, async ([address]) => {
+            const status = await agentStatus(parseAddress(address));
+            return { agent: status.agent, blockNumber: status.blockNumber, verified: status.isVerified };
+        }],
+        ['POST', /^\/agents\/batch$/, async (params, req) => {
+            const { addresses } = await readJsonBody(req);
+            if (!Array.isArray(addresses) || addresses.length === 0) {
+                throw new HttpError(400, 'Body must be { "addresses": [...] }');
+            }
+            if (addresses.length > MAX_BATCH) throw new HttpError(400, `At most ${MAX_BATCH} addresses per batch`);
+            const agents = await mapLimit(addresses.map(parseAddress), 8, agentStatus);
+            return { blockNumber: await cache.blockNumber(), agents };
+        }],
+    ];
+
+    return http.createServer(async (req, res) => {
+        const send = (status, body) => {
+            res.writeHead(status, { 'content-type': 'application/json' });
+            res.end(JSON.stringify(body));
+        };
+
+        const { pathname } = new URL(req.url, 'http://localhost');
+        try {
+            const route = routes.find(([, pattern]) => pattern.test(pathname));
+            if (!route) throw new HttpError(404, `No route for ${pathname}`);
+            const [method, pattern, handler] = route;
+            if (req.method !== method) throw new HttpError(405, `Use ${method} for ${pathname}`);
+            return send(200, await handler(pathname.match(pattern).slice(1), req));
+        } catch (e) {
+            if (e instanceof HttpError) {
+                if (e.status === 413) res.setHeader('connection', 'close');
+                return send(e.status, { error: e.message });
+            }
+            logger.error(`❌ ${req.method} ${pathname}: ${e.message}`);
+            return send(502, { error: 'Chain read failed' });
+        }
+    });
+}
+
+module.exports = { createServer, BlockCache, MAX_BATCH, MAX_BODY_BYTES };
@@ -0,0 +1,272 @@
+/**
+ * Proof of Intelligence - Signer Backends
+ *
+ * Every backend resolves to an ethers Signer exposing `address`, so PoIClient
+ * doesn't care where the key lives:
+ *
+ *   wallet-file  Legacy plaintext JSON ({ privateKey }) - ~/.config/0xclaw/wallet.json
+ *   keystore     Encrypted ethers/geth JSON keystore, passphrase from env or file
+ *   mnemonic     BIP-39 phrase (env or file) + derivation path
+ *   external     Remote signer speaking JSON-RPC over HTTP or a Unix socket
+ *                (eth_accounts, eth_signTransaction, personal_sign, eth_signTypedData_v4)
+ *
+ * Secrets are read just before the signer is built and never logged. Errors
+ * never include file contents.
+ */
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { ethers } = require('ethers');
+
+const DEFAULT_WALLET_PATH = path.join(process.env.HOME || '.', '.config/0xclaw/wallet.json');
+const DEFAULT_DERIVATION_PATH = "m/44'/60'/0'/0/0";
+
+const SIGNER_TYPES = ['wallet-file', 'keystore', 'mnemonic', 'external'];
+
+/**
+ * Read a secret from an env var or a file (trailing newline stripped)
+ */
+function readSecret({ env: envName, file }, env, label) {
+    if (envName && env[envName]) return env[envName];
+    if (file) {
+        if (!fs.existsSync(file)) throw new Error(`${label} file not found: ${file}`);
+        return fs.readFileSync(file, 'utf8').replace(/\r?\n$/, '');
+    }
+    throw new Error(`No ${label} provided (set ${envName || 'an env var'} or a file)`);
+}
+
+/**
+ * Merge the config file's `signer` section with POI_* environment overrides
+ * @param {object} config - Resolved config (see config.js)
+ * @param {object} [env] - Environment (defaults to process.env)
+ */
+function resolveSignerConfig(config = {}, env = process.env) {
+    const signer = { type: 'wallet-file', ...(config.signer || {}) };
+    if (env.POI_SIGNER) signer.type = env.POI_SIGNER;
+    if (env.POI_WALLET) signer.path = env.POI_WALLET;
+    if (env.POI_KEYSTORE) signer.path = env.POI_KEYSTORE;
+    if (env.POI_KEYSTORE_PASSWORD_FILE) signer.passwordFile = env.POI_KEYSTORE_PASSWORD_FILE;
+    if (env.POI_MNEMONIC_FILE) signer.mnemonicFile = env.POI_MNEMONIC_FILE;
+    if (env.POI_DERIVATION_PATH) signer.derivationPath = env.POI_DERIVATION_PATH;
+    if (env.POI_SIGNER_URL) signer.url = env.POI_SIGNER_URL;
+    if (env.POI_SIGNER_SOCKET) signer.socket = env.POI_SIGNER_SOCKET;
+
+    if (!SIGNER_TYPES.includes(signer.type)) {
+        throw new Error(`Unknown signer type "${signer.type}" (expected ${SIGNER_TYPES.join(', ')})`);
+    }
+    return signer;
+}
+
+// ============ Backends ============
+
+function loadWalletFile(signerConfig) {
+    const walletPath = signerConfig.path || DEFAULT_WALLET_PATH;
+    if (!fs.existsSync(walletPath)) throw new Error(`Wallet not found at ${walletPath}`);
+
+    let privateKey;
+    try {
+        const walletConfig = JSON.parse(fs.readFileSync(walletPath, 'utf8'));
+        privateKey = walletConfig.privateKey || walletConfig.private_key;
+    } catch {
+        throw new Error(`Wallet file ${walletPath} is not valid JSON`);
+    }
+    if (!privateKey) throw new Error(`Wallet file ${walletPath} has no privateKey`);
+    return new ethers.Wallet(privateKey);
+}
+
+async function loadKeystore(signerConfig, env) {
+    if (!signerConfig.path) throw new Error('Keystore signer requires a path');
+    if (!fs.existsSync(signerConfig.path)) throw new Error(`Keystore not found at ${signerConfig.path}`);
+
+    const password = readSecret({
+        env: signerConfig.passwordEnv || 'POI_KEYSTORE_PASSWORD',
+        file: signerConfig.passwordFile,
+    }, env, 'keystore password');
+
+    try {
+        return await ethers.Wallet.fromEncryptedJson(fs.readFileSync(signerConfig.path, 'utf8'), password);
+    } catch {
+        throw new Error(`Could not decrypt keystore ${signerConfig.path} (wrong password or corrupt file)`);
+    }
+}
+
+function loadMnemonic(signerConfig, env) {
+    const phrase = readSecret({
+        env: signerConfig.mnemonicEnv || 'POI_MNEMONIC',
+        file: signerConfig.mnemonicFile,
+    }, env, 'mnemonic');
+    const password = signerConfig.passwordEnv ? env[signerConfig.passwordEnv] : undefined;
+    const derivationPath = signerConfig.derivationPath || DEFAULT_DERIVATION_PATH;
+
+    try {
+        return ethers.HDNodeWallet.fromPhrase(phrase, password, derivationPath);
+    } catch {
+        throw new Error(`Invalid mnemonic or derivation path ${derivationPath}`);
+    }
+}
+
+// ============ External signer ============
+
+/**
+ * JSON-RPC transport over HTTP(S) or a Unix domain socket
+ * @param {object} options - { url } or { socket }
+ * @returns {{ request(method, params): Promise<any> }}
+ */
+function createRpcTransport({ url, socket, timeout = 30000 }) {
+    let nextId = 1;
+    const unwrap = (response) => {
+        if (response.error) {
+            const err = new Error(`External signer error: ${response.error.message || JSON.stringify(response.error)}`);
+            err.code = response.error.code;
+            throw err;
+        }
+        return response.result;
+    };
+
+    if (url) {
+        return {
+            async request(method, params = []) {
+                const req = new ethers.FetchRequest(url);
+                req.timeout = timeout;
+                req.setHeader('content-type', 'application/json');
+                req.body = JSON.stringify({ jsonrpc: '2.0', id: nextId++, method, params });
+                const resp = await req.send();
+                resp.assertOk();
+                return unwrap(resp.bodyJson);
+            },
+        };
+    }
+
+    if (socket) {
+        return {
+            request(method, params = []) {
+                const payload = JSON.stringify({ jsonrpc: '2.0', id: nextId++, method, params });
+                return new Promise((resolve, reject) => {
+                    const conn = net.createConnection(socket);
+                    let buffer = '';
+                    conn.setEncoding('utf8');
+                    conn.setTimeout(timeout, () => conn.destroy(new Error(`External signer timed out after ${timeout}ms`)));
+                    conn.on('connect', () => conn.write(payload + '\n'));
+                    conn.on('data', chunk => {
+                        buffer += chunk;
+                        let response;
+                        try { response = JSON.parse(buffer); } catch { return; }
+                        conn.end();
+                        try { resolve(unwrap(response)); } catch (e) { reject(e); }
+                    });
+                    conn.on('error', reject);
+                    // No-op once settled; otherwise the signer hung up before a full response
+                    conn.on('close', () => reject(new Error('External signer closed the connection')));
+                });
+            },
+        };
+    }
+
+    throw new Error('External signer requires a url or socket');
+}
+
+/**
+ * Convert a populated transaction to JSON-RPC quantities
+ */
+function toRpcTransaction(tx, from) {
+    const q = (v) => (v == null ? undefined : ethers.toQuantity(v));
+    return {
+        from,
+        to: tx.to || undefined,
+        data: tx.data,
+        value: q(tx.value),
+        nonce: q(tx.nonce),
+        gas: q(tx.gasLimit),
+        gasPrice: q(tx.gasPrice),
+        maxFeePerGas: q(tx.maxFeePerGas),
+        maxPriorityFeePerGas: q(tx.maxPriorityFeePerGas),
+        chainId: q(tx.chainId),
+        type: q(tx.type),
+        accessList: tx.accessList && tx.accessList.length ? tx.accessList : undefined,
+    };
+}
+
+/**
+ * Signer that delegates signing to an external process; the key never enters this one
+ */
+class ExternalSigner extends ethers.AbstractSigner {
+    constructor(transport, address, provider) {
+        super(provider);
+        this.transport = transport;
+        this.address = ethers.getAddress(address);
+    }
+
+    /**
+     * Connect to an external signer, using its first account unless one is given
+     */
+    static async create(transport, provider, address) {
+        if (!address) {
+            const accounts = await transport.request('eth_accounts');
+            if (!accounts || accounts.length === 0) throw new Error('External signer exposes no accounts');
+            address = accounts[0];
+        }
+        return new ExternalSigner(transport, address, provider);
+    }
+
+    async getAddress() {
+        return this.address;
+    }
+
+    connect(provider) {
+        return new ExternalSigner(this.transport, this.address, provider);
+    }
+
+    async signTransaction(tx) {
+        const raw = await this.transport.request('eth_signTransaction', [toRpcTransaction(tx, this.address)]);
+        const signed = ethers.Transaction.from(raw);
+        if (ethers.getAddress(signed.from) !== this.address) {
+            throw new Error(`External signer signed as ${signed.from}, expected ${this.address}`);
+        }
+        return raw;
+    }
+
+    async signMessage(message) {
+        const data = typeof message === 'string' ? ethers.toUtf8Bytes(message) : message;
+        return this.transport.request('personal_sign', [ethers.hexlify(data), this.address]);
+    }
+
+    async signTypedData(domain, types, value) {
+        const payload = ethers.TypedDataEncoder.getPayload(domain, types, value);
+        return this.transport.request('eth_signTypedData_v4', [this.address, JSON.stringify(payload)]);
+    }
+}
+
+// ============ Loader ============
+
+/**
+ * Build the configured signer and connect it to a provider
+ * @param {object} signerConfig - From resolveSignerConfig()
+ * @param {ethers.Provider} provider
+ * @param {object} [env] - Environment (defaults to process.env)
+ * @returns {Promise<ethers.Signer>} Signer with a synchronous `address`
+ */
+async function loadSigner(signerConfig, provider, env = process.env) {
+    switch (signerConfig.type) {
+        case 'wallet-file':
+            return loadWalletFile(signerConfig).connect(provider);
+        case 'keystore':
+            return (await loadKeystore(signerConfig, env)).connect(provider);
+        case 'mnemonic':
+            return loadMnemonic(signerConfig, env).connect(provider);
+        case 'external':
+            return ExternalSigner.create(createRpcTransport(signerConfig), provider, signerConfig.address);
+        default:
+            throw new Error(`Unknown signer type "${signerConfig.type}"`);
+    }
+}
+
+module.exports = {
+    SIGNER_TYPES,
+    DEFAULT_WALLET_PATH,
+    DEFAULT_DERIVATION_PATH,
+    resolveSignerConfig,
+    loadSigner,
+    createRpcTransport,
+    ExternalSigner,
+};
@@ -7,100 +7,20 @@
 
 const { ethers } = require('ethers');
 
-// First 50 primes (matching contract)
-const PRIMES = [
-    2, 3, 5, 7, 11, 13, 17, 19, 23, 29,
-    31, 37, 41, 43, 47, 53, 59, 61, 67, 71,
-    73, 79, 83, 89, 97, 101, 103, 107, 109, 113,
-    127, 131, 137, 139, 149, 151, 157, 163, 167, 173,
-    179, 181, 191, 193, 197, 199, 211, 223, 227, 229
-];
+const { getProfile, getNthPrime, getFibonacci } = require('./challenge-types.js');
 
-function getNthPrime(n) {
-    if (n < 1 || n > 50) throw new Error('Prime index out of range');
-    return PRIMES[n - 1];
-}
-
-function getFibonacci(n) {
-    if (n === 0) return 0n;
-    if (n === 1) return 1n;
-    
-    let a = 0n;
-    let b = 1n;
-    for (let i = 2; i <= n; i++) {
-        const temp = a + b;
-        a = b;
-        b = temp;
-    }
-    return b;
-}
+const challengeProfile = getProfile('v1');
 
 /**
  * Solve a PoI challenge
- * @param {number} challengeType - Type of challenge (1-4)
+ * @param {number} challengeType - Type of challenge (see challenge-types.js)
  * @param {string} seed - Challenge seed (bytes32 hex)
  * @param {string} agentAddress - Solver's address
- * @param {object} blockState - Current block state { number, timestamp }
+ * @param {object} blockState - Block state when the challenge was issued { number, timestamp }
  * @returns {string} The answer (bytes32 hex)
  */
 function solveChallenge(challengeType, seed, agentAddress, blockState) {
-    const seedBN = BigInt(seed);
-    
-    switch (challengeType) {
-        case 1: {
-            // Type 1: Hash of seed + prime
-            const primeIndex = Number(seedBN % 20n) + 1;
-            const prime = getNthPrime(primeIndex);
-            
-            return ethers.keccak256(
-                ethers.solidityPacked(['bytes32', 'uint256'], [seed, prime])
-            );
-        }
-        
-        case 2: {
-            // Type 2: Conditional logic based on block state
-            if (blockState.number % 7 < 3) {
-                return ethers.keccak256(
-                    ethers.solidityPacked(['address', 'bytes32'], [agentAddress, seed])
-                );
-            } else if (blockState.timestamp % 2 === 0) {
-                return ethers.keccak256(
-                    ethers.solidityPacked(['uint256', 'bytes32'], [blockState.number, seed])
-                );
-            } else {
-                return ethers.keccak256(
-                    ethers.solidityPacked(['string', 'bytes32', 'address'], ['fallback', seed, agentAddress])
-                );
-            }
-        }
-        
-        case 3: {
-            // Type 3: Fibonacci sequence
-            const fibIndex = Number(seedBN % 20n);
-            const fib = getFibonacci(fibIndex);
-            const xorResult = seedBN ^ fib;
-            
-            return ethers.keccak256(
-                ethers.solidityPacked(['uint256'], [xorResult])
-            );
-        }
-        
-        case 4: {
-            // Type 4: Multi-hash chain
-            const h1 = ethers.keccak256(
-                ethers.solidityPacked(['bytes32', 'address'], [seed, agentAddress])
-            );
-            const h2 = ethers.keccak256(
-                ethers.solidityPacked(['bytes32', 'uint256'], [h1, blockState.number])
-            );
-            return ethers.keccak256(
-                ethers.solidityPacked(['bytes32', 'uint256'], [h2, blockState.timestamp])
-            );
-        }
-        
-        default:
-            throw new Error(`Unknown challenge type: ${challengeType}`);
-    }
+    return challengeProfile.solve(challengeType, seed, agentAddress, blockState);
 }
 
 /**
@@ -111,7 +31,7 @@ async function proveIntelligence(provider, wallet, poiContractAddress) {
         'function requestChallenge() external returns (bytes32 seed, uint8 challengeType, uint256 deadline)',
         'function submitAnswer(bytes32 answer) external',
         'function hasValidPoI(address agent) external view returns (bool)',
-        'function getChallenge(address agent) external view returns (tuple(uint8 challengeType, bytes32 seed, uint256 deadline, bool completed))',
+        'function getChallenge(address agent) external view returns (tuple(uint8 challengeType, bytes32 seed, uint256 deadline, uint256 issuedBlock, uint256 issuedTimestamp, bool completed))',
     ];
     
     const poi = new ethers.Contract(poiContractAddress, PoI_ABI, wallet);
@@ -130,14 +50,14 @@ async function proveIntelligence(provider, wallet, poiContractAddress) {
     console.log(`   Seed: ${challenge.seed}`);
     console.log(`   Deadline: Block ${challenge.deadline}`);
     
-    // Step 2: Get current block state
-    const block = await provider.getBlock('latest');
+    // Step 2: Block state the contract recorded when issuing (what _computeAnswer uses)
     const blockState = {
-        number: Number(block.number),
-        timestamp: Number(block.timestamp)
+        number: Number(challenge.issuedBlock),
+        timestamp: Number(challenge.issuedTimestamp)
     };
-    console.log(`\n2️⃣ Current block: ${blockState.number}, deadline: ${challenge.deadline}`);
-    console.log(`   Time remaining: ~${(Number(challenge.deadline) - blockState.number) * 12} seconds`);
+    const currentBlock = await provider.getBlockNumber();
+    console.log(`\n2️⃣ Issued at block ${blockState.number}, current: ${currentBlock}, deadline: ${challenge.deadline}`);
+    console.log(`   Time remaining: ~${(Number(challenge.deadline) - currentBlock) * 12} seconds`);
     
     // Step 3: Solve challenge (this is where AI speed matters!)
     console.log('\n3️⃣ Solving challenge...');
@@ -178,8 +98,8 @@ if (require.main === module) {
     
     console.log('Testing challenge solvers:\n');
     
-    for (let type = 1; type <= 4; type++) {
-        const answer = solveChallenge(type, testSeed, testAgent, testBlock);
-        console.log(`Type ${type}: ${answer}`);
+    for (const { id } of challengeProfile.types()) {
+        const answer = solveChallenge(id, testSeed, testAgent, testBlock);
+        console.log(`Type ${id}: ${answer}`);
     }
 }
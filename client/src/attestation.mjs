@@ -0,0 +1,111 @@
+/**
+ * Proof of Intelligence V2 - Signed Attestations (EIP-712)
+ *
+ * An agent signs a snapshot of its credential so relying parties can check
+ * it without an RPC call:
+ *
+ *   {
+ *     "domain":      { name, version, chainId, verifyingContract },
+ *     "types":       { "PoIAttestation": [...] },
+ *     "primaryType": "PoIAttestation",
+ *     "message":     { agent, expiresAt, reputation, maintenanceCount, blockNumber, timestamp },
+ *     "signature":   "0x..."
+ *   }
+ *
+ * `timestamp` is the block's timestamp, so freshness is measured in chain time.
+ * Verifiers trust only their own copy of the types and the domain they expect,
+ * never the ones inside the document.
+ */
+
+import { ethers } from 'ethers';
+
+const ATTESTATION_DOMAIN_NAME = 'Proof of Intelligence';
+const ATTESTATION_DOMAIN_VERSION = '2';
+
+const ATTESTATION_TYPES = {
+    PoIAttestation: [
+        { name: 'agent', type: 'address' },
+        { name: 'expiresAt', type: 'uint256' },
+        { name: 'reputation', type: 'uint8' },
+        { name: 'maintenanceCount', type: 'uint256' },
+        { name: 'blockNumber', type: 'uint256' },
+        { name: 'timestamp', type: 'uint256' },
+    ],
+};
+
+// Default freshness window and allowed clock skew for verifiers (seconds)
+const DEFAULT_MAX_AGE = 60 * 60;
+const MAX_CLOCK_SKEW = 60;
+
+/**
+ * EIP-712 domain for a PoI deployment
+ */
+function attestationDomain(chainId, contractAddress) {
+    return {
+        name: ATTESTATION_DOMAIN_NAME,
+        version: ATTESTATION_DOMAIN_VERSION,
+        chainId: Number(chainId),
+        verifyingContract: ethers.getAddress(contractAddress),
+    };
+}
+
+/**
+ * Sign an attestation document
+ * @param {ethers.Signer} signer - The agent's signer
+ * @param {object} domain - From attestationDomain()
+ * @param {object} message - { agent, expiresAt, reputation, maintenanceCount, blockNumber, timestamp }
+ */
+async function signAttestation(signer, domain, message) {
+    const signature = await signer.signTypedData(domain, ATTESTATION_TYPES, message);
+    return { domain, types: ATTESTATION_TYPES, primaryType: 'PoIAttestation', message, signature };
+}
+
+/**
+ * Check an attestation offline
+ * @param {object} doc - Attestation document
+ * @param {object} expected - { chainId, contract, maxAge, minReputation, now }
+ *   chainId and contract are required; now defaults to the wall clock (seconds)
+ * @returns {object} { valid: true, agent, message } or { valid: false, reason }
+ */
+function verifyAttestation(doc, { chainId, contract, maxAge = DEFAULT_MAX_AGE, minReputation = 0, now = Math.floor(Date.now() / 1000) } = {}) {
+    if (chainId == null || !contract) throw new Error('verifyAttestation needs the expected chainId and contract');
+    const fail = (reason) => ({ valid: false, reason });
+
+    if (!doc || typeof doc !== 'object' || !doc.message || !doc.domain || typeof doc.signature !== 'string') {
+        return fail('Malformed attestation');
+    }
+    if (doc.primaryType !== 'PoIAttestation') return fail(`Unexpected primaryType ${doc.primaryType}`);
+
+    const { domain, message } = doc;
+    if (domain.name !== ATTESTATION_DOMAIN_NAME || domain.version !== ATTESTATION_DOMAIN_VERSION) {
+        return fail(`Unexpected domain ${domain.name} v${domain.version}`);
+    }
+    if (Number(domain.chainId) !== Number(chainId)) return fail(`Attested on chain ${domain.chainId}, expected ${chainId}`);
+    if (!domain.verifyingContract || domain.verifyingContract.toLowerCase() !== contract.toLowerCase()) {
+        return fail(`Attested for contract ${domain.verifyingContract}, expected ${contract}`);
+    }
+
+    let signer;
+    try {
+        signer = ethers.verifyTypedData(attestationDomain(chainId, contract), ATTESTATION_TYPES, message, doc.signature);
+    } catch {
+        return fail('Invalid signature');
+    }
+    if (signer !== ethers.getAddress(message.agent)) return fail(`Signed by ${signer}, not the attested agent`);
+
+    const timestamp = Number(message.timestamp);
+    if (timestamp > now + MAX_CLOCK_SKEW) return fail('Attestation timestamp is in the future');
+    if (now - timestamp > maxAge) return fail(`Attestation is ${now - timestamp}s old (max ${maxAge}s)`);
+    if (now > Number(message.expiresAt)) return fail('Credential has expired');
+    if (Number(message.reputation) < minReputation) return fail(`Reputation ${message.reputation} below ${minReputation}`);
+
+    return { valid: true, agent: signer, message };
+}
+
+export {
+    ATTESTATION_TYPES,
+    DEFAULT_MAX_AGE,
+    attestationDomain,
+    signAttestation,
+    verifyAttestation,
+};
@@ -0,0 +1,112 @@
+/**
+ * Proof of Intelligence V2 - Per-type Challenge Statistics
+ *
+ * ChallengeFailed carries no challenge type, so each outcome is joined with
+ * the agent's preceding ChallengeIssued. Attempts are split by type and by
+ * kind (initial / maintenance), and end up as one of:
+ *
+ *   passed       ChallengePassed
+ *   failed       ChallengeFailed, counted per reason ("Incorrect answer",
+ *                "Deadline expired" for an answer mined after the deadline)
+ *   unanswered   no answer by the deadline (a later challenge or the head block shows it)
+ *   open         deadline not reached at `blockNumber`
+ *
+ * Rates are fractions of the decided attempts (open ones excluded).
+ * Outcomes whose ChallengeIssued predates the events given are skipped.
+ */
+
+import { registry } from './challenge-types.mjs';
+
+const KINDS = ['initial', 'maintenance'];
+
+// Known ChallengeFailed reasons, in the order they are reported
+const FAILURE_REASONS = ['Incorrect answer', 'Deadline expired'];
+
+function emptyBucket() {
+    return { attempts: 0, passed: 0, failed: 0, unanswered: 0, open: 0, reasons: Object.fromEntries(FAILURE_REASONS.map(r => [r, 0])), rates: null };
+}
+
+/**
+ * Fill in `rates` from the counts
+ */
+function withRates(bucket) {
+    const decided = bucket.attempts - bucket.open;
+    const rate = (n) => (decided > 0 ? n / decided : null);
+    return {
+        ...bucket,
+        rates: {
+            passed: rate(bucket.passed),
+            failed: rate(bucket.failed),
+            unanswered: rate(bucket.unanswered),
+            ...Object.fromEntries(Object.entries(bucket.reasons).map(([reason, n]) => [reason, rate(n)])),
+        },
+    };
+}
+
+/**
+ * Pass/fail counts and rates per challenge type, initial vs maintenance
+ * @param {object[]} events - Indexed events in chain order (see indexer.js); others are ignored
+ * @param {object} [options] - { agent, blockNumber }
+ *   agent: only this agent's attempts (default: every agent)
+ *   blockNumber: head the events run to; unanswered challenges past their deadline count as unanswered, not open
+ * @returns {object} { agent, blockNumber, types: [{ type, name, initial, maintenance, total }], totals: { initial, maintenance, total } }
+ *   each bucket: { attempts, passed, failed, unanswered, open, reasons: { [reason]: n }, rates }
+ */
+function challengeTypeStats(events, { agent = null, blockNumber = null } = {}) {
+    const byType = new Map(); // type -> { initial, maintenance }
+    const pending = new Map(); // agent -> ChallengeIssued awaiting its outcome
+
+    const record = (issued, outcome, reason) => {
+        if (!byType.has(issued.challengeType)) {
+            byType.set(issued.challengeType, { initial: emptyBucket(), maintenance: emptyBucket() });
+        }
+        const bucket = byType.get(issued.challengeType)[issued.isMaintenance ? 'maintenance' : 'initial'];
+        bucket.attempts++;
+        bucket[outcome]++;
+        if (outcome === 'failed') bucket.reasons[reason] = (bucket.reasons[reason] || 0) + 1;
+    };
+
+    for (const e of events) {
+        if (agent && e.agent.toLowerCase() !== agent.toLowerCase()) continue;
+        if (e.event === 'ChallengeIssued') {
+            // A new challenge means the previous one was never answered
+            if (pending.has(e.agent)) record(pending.get(e.agent), 'unanswered');
+            pending.set(e.agent, e);
+        } else if (e.event === 'ChallengePassed' || e.event === 'ChallengeFailed') {
+            const issued = pending.get(e.agent);
+            if (!issued) continue;
+            pending.delete(e.agent);
+            if (e.event === 'ChallengePassed') record(issued, 'passed');
+            else record(issued, 'failed', e.reason);
+        }
+    }
+    for (const issued of pending.values()) {
+        record(issued, blockNumber != null && blockNumber >= issued.deadline ? 'unanswered' : 'open');
+    }
+
+    const merge = (buckets) => buckets.reduce((sum, b) => {
+        for (const key of ['attempts', 'passed', 'failed', 'unanswered', 'open']) sum[key] += b[key];
+        for (const [reason, n] of Object.entries(b.reasons)) sum.reasons[reason] = (sum.reasons[reason] || 0) + n;
+        return sum;
+    }, emptyBucket());
+
+    const types = [...byType.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([type, kinds]) => ({
+            type,
+            name: registry.has(type) ? registry.get(type).name : `Type ${type}`,
+            initial: withRates(kinds.initial),
+            maintenance: withRates(kinds.maintenance),
+            total: withRates(merge([kinds.initial, kinds.maintenance])),
+        }));
+    const totals = Object.fromEntries(KINDS.map(kind => [kind, withRates(merge(types.map(t => t[kind])))]));
+    totals.total = withRates(merge([totals.initial, totals.maintenance]));
+
+    return { agent, blockNumber, types, totals };
+}
+
+export {
+    FAILURE_REASONS,
+    KINDS,
+    challengeTypeStats,
+};
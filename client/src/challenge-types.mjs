@@ -0,0 +1,261 @@
+/**
+ * Proof of Intelligence - Challenge Type Registry
+ *
+ * Single source of truth for challenge solvers, shared by the V1 and V2 clients.
+ * Each type registers its id, description, required inputs and solver; the
+ * V1/V2 profiles expose the types their contract can issue.
+ *
+ * Adding a new challenge type:
+ *   registry.register({ id: 5, name: '...', inputs: ['seed', 'agent'], profiles: ['v2'], solve });
+ */
+
+import { ethers } from 'ethers';
+
+// First 50 primes (matching contract)
+const PRIMES = [
+    2, 3, 5, 7, 11, 13, 17, 19, 23, 29,
+    31, 37, 41, 43, 47, 53, 59, 61, 67, 71,
+    73, 79, 83, 89, 97, 101, 103, 107, 109, 113,
+    127, 131, 137, 139, 149, 151, 157, 163, 167, 173,
+    179, 181, 191, 193, 197, 199, 211, 223, 227, 229
+];
+
+// Inputs a solver may depend on
+const CHALLENGE_INPUTS = ['seed', 'agent', 'issuedBlock', 'issuedTimestamp'];
+
+function getNthPrime(n) {
+    if (n < 1 || n > 50) throw new Error('Prime index out of range');
+    return PRIMES[n - 1];
+}
+
+function getFibonacci(n) {
+    if (n === 0) return 0n;
+    if (n === 1) return 1n;
+    let a = 0n, b = 1n;
+    for (let i = 2; i <= n; i++) {
+        [a, b] = [b, a + b];
+    }
+    return b;
+}
+
+class UnknownChallengeTypeError extends Error {
+    constructor(challengeType, profile, known) {
+        const scope = profile ? ` for profile ${profile}` : '';
+        super(`Unknown challenge type ${challengeType}${scope} (known types: ${known.join(', ') || 'none'})`);
+        this.name = 'UnknownChallengeTypeError';
+        this.challengeType = challengeType;
+        this.profile = profile || null;
+    }
+}
+
+class MissingChallengeInputError extends Error {
+    constructor(challengeType, missing) {
+        super(`Challenge type ${challengeType} requires ${missing.join(', ')}`);
+        this.name = 'MissingChallengeInputError';
+        this.challengeType = challengeType;
+        this.missing = missing;
+    }
+}
+
+/**
+ * Registry of challenge types: id → { name, description, inputs, profiles, solve }
+ */
+class ChallengeRegistry {
+    constructor() {
+        this.types = new Map();
+    }
+
+    /**
+     * Register a challenge type
+     * @param {object} def - { id, name, description, inputs, profiles, solve(inputs) }
+     */
+    register(def) {
+        if (!Number.isInteger(def.id) || def.id < 1 || def.id > 255) {
+            throw new Error(`Challenge type id must be a uint8 > 0, got ${def.id}`);
+        }
+        if (this.types.has(def.id)) throw new Error(`Challenge type ${def.id} already registered`);
+        if (typeof def.solve !== 'function') throw new Error(`Challenge type ${def.id} has no solver`);
+
+        const unknownInputs = (def.inputs || []).filter(i => !CHALLENGE_INPUTS.includes(i));
+        if (unknownInputs.length > 0) {
+            throw new Error(`Challenge type ${def.id} declares unknown inputs: ${unknownInputs.join(', ')}`);
+        }
+
+        this.types.set(def.id, {
+            id: def.id,
+            name: def.name || `Type ${def.id}`,
+            description: def.description || '',
+            inputs: def.inputs || [],
+            profiles: def.profiles || ['v1', 'v2'],
+            solve: def.solve,
+        });
+        return this;
+    }
+
+    has(id) {
+        return this.types.has(Number(id));
+    }
+
+    /**
+     * Look up a challenge type, failing with the list of known ids
+     */
+    get(id, profile) {
+        const def = this.types.get(Number(id));
+        if (!def || (profile && !def.profiles.includes(profile))) {
+            throw new UnknownChallengeTypeError(id, profile, this.list(profile).map(t => t.id));
+        }
+        return def;
+    }
+
+    list(profile) {
+        return [...this.types.values()]
+            .filter(t => !profile || t.profiles.includes(profile))
+            .sort((a, b) => a.id - b.id);
+    }
+
+    /**
+     * Solve a challenge after checking the type's required inputs are present
+     * @param {number} id - Challenge type
+     * @param {object} inputs - { seed, agent, issuedBlock, issuedTimestamp }
+     * @param {string} [profile] - Restrict to a profile's types
+     */
+    solve(id, inputs, profile) {
+        const def = this.get(id, profile);
+        const missing = def.inputs.filter(i => inputs[i] === undefined || inputs[i] === null);
+        if (missing.length > 0) throw new MissingChallengeInputError(def.id, missing);
+        return def.solve(inputs);
+    }
+}
+
+/**
+ * Contract-specific view of the registry
+ */
+class ChallengeProfile {
+    constructor(registry, { name, contract, initialWindow, maintenanceWindow }) {
+        this.registry = registry;
+        this.name = name;
+        this.contract = contract;
+        this.initialWindow = initialWindow;
+        this.maintenanceWindow = maintenanceWindow || null;
+    }
+
+    supports(id) {
+        return this.registry.has(id) && this.registry.get(id).profiles.includes(this.name);
+    }
+
+    types() {
+        return this.registry.list(this.name);
+    }
+
+    /**
+     * Solve using the clients' historical call shape
+     */
+    solve(challengeType, seed, agentAddress, blockState = {}) {
+        return this.registry.solve(Number(challengeType), {
+            seed,
+            agent: agentAddress,
+            issuedBlock: blockState.number,
+            issuedTimestamp: blockState.timestamp,
+        }, this.name);
+    }
+}
+
+// ============ Built-in challenge types (mirror _computeAnswer) ============
+
+const registry = new ChallengeRegistry()
+    .register({
+        id: 1,
+        name: 'Computational Reasoning',
+        description: 'keccak256(seed, nthPrime(seed % 20 + 1))',
+        inputs: ['seed'],
+        solve: ({ seed }) => {
+            const prime = getNthPrime(Number(BigInt(seed) % 20n) + 1);
+            return ethers.keccak256(
+                ethers.solidityPacked(['bytes32', 'uint256'], [seed, prime])
+            );
+        },
+    })
+    .register({
+        id: 2,
+        name: 'Multi-Step Logic',
+        description: 'Branch on issued block % 7 and issued timestamp parity',
+        inputs: ['seed', 'agent', 'issuedBlock', 'issuedTimestamp'],
+        solve: ({ seed, agent, issuedBlock, issuedTimestamp }) => {
+            if (issuedBlock % 7 < 3) {
+                return ethers.keccak256(
+                    ethers.solidityPacked(['address', 'bytes32'], [agent, seed])
+                );
+            } else if (issuedTimestamp % 2 === 0) {
+                return ethers.keccak256(
+                    ethers.solidityPacked(['uint256', 'bytes32'], [issuedBlock, seed])
+                );
+            }
+            return ethers.keccak256(
+                ethers.solidityPacked(['string', 'bytes32', 'address'], ['fallback', seed, agent])
+            );
+        },
+    })
+    .register({
+        id: 3,
+        name: 'Fibonacci Sequence',
+        description: 'keccak256(seed XOR fib(seed % 20))',
+        inputs: ['seed'],
+        solve: ({ seed }) => {
+            const seedBN = BigInt(seed);
+            const fib = getFibonacci(Number(seedBN % 20n));
+            return ethers.keccak256(
+                ethers.solidityPacked(['uint256'], [seedBN ^ fib])
+            );
+        },
+    })
+    .register({
+        id: 4,
+        name: 'Multi-Hash Chain',
+        description: 'keccak(keccak(keccak(seed, agent), issuedBlock), issuedTimestamp)',
+        inputs: ['seed', 'agent', 'issuedBlock', 'issuedTimestamp'],
+        solve: ({ seed, agent, issuedBlock, issuedTimestamp }) => {
+            const h1 = ethers.keccak256(
+                ethers.solidityPacked(['bytes32', 'address'], [seed, agent])
+            );
+            const h2 = ethers.keccak256(
+                ethers.solidityPacked(['bytes32', 'uint256'], [h1, issuedBlock])
+            );
+            return ethers.keccak256(
+                ethers.solidityPacked(['bytes32', 'uint256'], [h2, issuedTimestamp])
+            );
+        },
+    });
+
+const profiles = {
+    v1: new ChallengeProfile(registry, {
+        name: 'v1',
+        contract: 'ProofOfIntelligence',
+        initialWindow: 50,
+    }),
+    v2: new ChallengeProfile(registry, {
+        name: 'v2',
+        contract: 'ProofOfIntelligenceV2',
+        initialWindow: 50,
+        maintenanceWindow: 25,
+    }),
+};
+
+function getProfile(name) {
+    const profile = profiles[name];
+    if (!profile) throw new Error(`Unknown challenge profile: ${name} (expected ${Object.keys(profiles).join(' or ')})`);
+    return profile;
+}
+
+export {
+    registry,
+    profiles,
+    getProfile,
+    ChallengeRegistry,
+    ChallengeProfile,
+    UnknownChallengeTypeError,
+    MissingChallengeInputError,
+    CHALLENGE_INPUTS,
+    PRIMES,
+    getNthPrime,
+    getFibonacci,
+};
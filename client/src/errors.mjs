@@ -0,0 +1,266 @@
+/**
+ * Proof of Intelligence V2 - Typed Contract Errors
+ *
+ * Maps the contract's custom errors to classes carrying the context needed
+ * to act on them (when a cooldown ends, when the maintenance window opens,
+ * ...) and the exit code the CLI uses for each:
+ *
+ *   1   generic error / failed attempt    7   NoCredentialToMaintain
+ *   2   audit divergence                  8   CredentialAlreadyDecayed
+ *   3   NotRegisteredAgent                9   NoChallengeActive
+ *   4   CooldownNotElapsed               10   ChallengeExpired
+ *   5   ChallengeAlreadyActive           11   IncorrectAnswer
+ *   6   CredentialNotExpiringSoon
+ */
+
+// Custom errors declared by ProofOfIntelligenceV2.sol
+const PoI_V2_ERRORS = [
+    'error NotRegisteredAgent()',
+    'error ChallengeAlreadyActive()',
+    'error NoChallengeActive()',
+    'error ChallengeExpired()',
+    'error IncorrectAnswer()',
+    'error CooldownNotElapsed()',
+    'error CredentialNotExpiringSoon()',
+    'error CredentialAlreadyDecayed()',
+    'error NoCredentialToMaintain()',
+];
+
+// Custom errors declared by ProofOfIntelligence.sol (V1)
+const PoI_V1_ERRORS = [
+    'error NotRegisteredAgent()',
+    'error ChallengeAlreadyActive()',
+    'error NoChallengeActive()',
+    'error ChallengExpired()',
+    'error IncorrectAnswer()',
+    'error CooldownNotElapsed()',
+    'error AlreadyHasCredential()',
+];
+
+// V1 names for errors that V2 renamed (V1 misspells ChallengeExpired)
+const V1_ERROR_NAMES = {
+    ChallengExpired: 'ChallengeExpired',
+};
+
+/**
+ * Human-readable duration, e.g. "1h 5m" or "42s"
+ */
+function formatDuration(seconds) {
+    const s = Math.max(0, Math.round(seconds));
+    const parts = [[Math.floor(s / 86400), 'd'], [Math.floor(s / 3600) % 24, 'h'], [Math.floor(s / 60) % 60, 'm'], [s % 60, 's']]
+        .filter(([n]) => n > 0)
+        .slice(0, 2)
+        .map(([n, unit]) => `${n}${unit}`);
+    return parts.length ? parts.join(' ') : '0s';
+}
+
+/**
+ * Base class for decoded contract reverts
+ *
+ * `errorName` is the Solidity error, `context` holds the on-chain facts that
+ * explain it, `hint` says what to do next.
+ */
+class PoIError extends Error {
+    constructor(message, { context = {}, hint = null, cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = new.target.name;
+        this.errorName = new.target.errorName;
+        this.exitCode = new.target.exitCode;
+        this.context = context;
+        this.hint = hint;
+    }
+
+    toJSON() {
+        return {
+            name: this.name,
+            errorName: this.errorName,
+            message: this.message,
+            hint: this.hint,
+            exitCode: this.exitCode,
+            context: this.context,
+        };
+    }
+}
+PoIError.errorName = null;
+PoIError.exitCode = 1;
+
+class NotRegisteredAgentError extends PoIError {
+    constructor(context = {}, cause) {
+        super(`Agent ${context.agent} is not registered in the agent registry`, {
+            context,
+            hint: 'Register the agent (ERC-8004 identity) before requesting a challenge',
+            cause,
+        });
+    }
+}
+NotRegisteredAgentError.errorName = 'NotRegisteredAgent';
+NotRegisteredAgentError.exitCode = 3;
+
+class CooldownNotElapsedError extends PoIError {
+    constructor(context = {}, cause) {
+        const until = context.retryAt
+            ? ` until ${context.retryAt.toISOString()} (${formatDuration(context.secondsRemaining)} left)`
+            : '';
+        super(`Cooldown has not elapsed${until}`, {
+            context,
+            hint: context.retryAt ? `Retry after ${context.retryAt.toISOString()}` : 'Retry after the cooldown ends',
+            cause,
+        });
+    }
+}
+CooldownNotElapsedError.errorName = 'CooldownNotElapsed';
+CooldownNotElapsedError.exitCode = 4;
+
+class ChallengeAlreadyActiveError extends PoIError {
+    constructor(context = {}, cause) {
+        const until = context.deadline
+            ? ` until block ${context.deadline} (${context.blocksRemaining} blocks left)`
+            : '';
+        super(`A challenge is already active${until}`, {
+            context,
+            hint: 'Resume it (node cli.js resume) or wait for its deadline to pass',
+            cause,
+        });
+    }
+}
+ChallengeAlreadyActiveError.errorName = 'ChallengeAlreadyActive';
+ChallengeAlreadyActiveError.exitCode = 5;
+
+class CredentialNotExpiringSoonError extends PoIError {
+    constructor(context = {}, cause) {
+        const opens = context.windowOpensAt
+            ? `: maintenance window opens ${context.windowOpensAt.toISOString()} (in ${formatDuration(context.secondsRemaining)})`
+            : '';
+        super(`Credential is not expiring soon${opens}`, {
+            context,
+            hint: context.windowOpensAt
+                ? `Run maintain after ${context.windowOpensAt.toISOString()}, or let the daemon schedule it`
+                : 'Maintenance opens 2 days before expiry',
+            cause,
+        });
+    }
+}
+CredentialNotExpiringSoonError.errorName = 'CredentialNotExpiringSoon';
+CredentialNotExpiringSoonError.exitCode = 6;
+
+class NoCredentialToMaintainError extends PoIError {
+    constructor(context = {}, cause) {
+        super('No valid credential to maintain', {
+            context,
+            hint: 'Run: node cli.js verify',
+            cause,
+        });
+    }
+}
+NoCredentialToMaintainError.errorName = 'NoCredentialToMaintain';
+NoCredentialToMaintainError.exitCode = 7;
+
+class CredentialAlreadyDecayedError extends PoIError {
+    constructor(context = {}, cause) {
+        const at = context.decayedAt ? ` at ${context.decayedAt.toISOString()}` : '';
+        super(`Credential decayed${at} (grace period ended)`, {
+            context,
+            hint: 'Run: node cli.js verify',
+            cause,
+        });
+    }
+}
+CredentialAlreadyDecayedError.errorName = 'CredentialAlreadyDecayed';
+CredentialAlreadyDecayedError.exitCode = 8;
+
+class NoChallengeActiveError extends PoIError {
+    constructor(context = {}, cause) {
+        super('No active challenge to answer', {
+            context,
+            hint: 'Request a challenge first (node cli.js verify or maintain)',
+            cause,
+        });
+    }
+}
+NoChallengeActiveError.errorName = 'NoChallengeActive';
+NoChallengeActiveError.exitCode = 9;
+
+class ChallengeExpiredError extends PoIError {
+    constructor(context = {}, cause) {
+        super(`Challenge deadline${context.deadline ? ` (block ${context.deadline})` : ''} has passed`, {
+            context,
+            hint: 'Request a new challenge once the cooldown ends',
+            cause,
+        });
+    }
+}
+ChallengeExpiredError.errorName = 'ChallengeExpired';
+ChallengeExpiredError.exitCode = 10;
+
+class IncorrectAnswerError extends PoIError {
+    constructor(context = {}, cause) {
+        super('Incorrect answer', {
+            context,
+            hint: context.simulated
+                ? 'The local solver disagrees with computeExpectedAnswer - check client/src/challenge-types.mjs for this challenge type'
+                : 'Audit the submission: node cli.js audit <agent> <txHash>',
+            cause,
+        });
+    }
+}
+IncorrectAnswerError.errorName = 'IncorrectAnswer';
+IncorrectAnswerError.exitCode = 11;
+
+const ERROR_CLASSES = Object.fromEntries([
+    NotRegisteredAgentError,
+    CooldownNotElapsedError,
+    ChallengeAlreadyActiveError,
+    CredentialNotExpiringSoonError,
+    NoCredentialToMaintainError,
+    CredentialAlreadyDecayedError,
+    NoChallengeActiveError,
+    ChallengeExpiredError,
+    IncorrectAnswerError,
+].map(cls => [cls.errorName, cls]));
+
+/**
+ * Find the custom error name in an ethers error, if the node returned revert data
+ * @param {Error} err
+ * @param {ethers.Interface} iface - Interface that includes PoI_V2_ERRORS
+ * @returns {string|null}
+ */
+function decodeRevertName(err, iface) {
+    if (err.revert && err.revert.name) return err.revert.name;
+    const data = err.data || (err.info && err.info.error && err.info.error.data) || (err.error && err.error.data);
+    if (typeof data !== 'string' || data.length < 10) return null;
+    try {
+        const parsed = iface.parseError(data);
+        return parsed ? parsed.name : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Instantiate the typed error for a Solidity error name
+ * @returns {PoIError|null} null for unknown names
+ */
+function createPoIError(errorName, context, cause) {
+    const ErrorClass = ERROR_CLASSES[errorName];
+    return ErrorClass ? new ErrorClass(context, cause) : null;
+}
+
+export {
+    PoI_V2_ERRORS,
+    PoI_V1_ERRORS,
+    V1_ERROR_NAMES,
+    PoIError,
+    NotRegisteredAgentError,
+    CooldownNotElapsedError,
+    ChallengeAlreadyActiveError,
+    CredentialNotExpiringSoonError,
+    NoCredentialToMaintainError,
+    CredentialAlreadyDecayedError,
+    NoChallengeActiveError,
+    ChallengeExpiredError,
+    IncorrectAnswerError,
+    ERROR_CLASSES,
+    decodeRevertName,
+    createPoIError,
+    formatDuration,
+};
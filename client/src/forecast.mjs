@@ -0,0 +1,238 @@
+/**
+ * Proof of Intelligence V2 - Reputation Forecast and Maintenance Planner
+ *
+ * Projects a credential forward one maintenance cycle at a time under the
+ * contract's rules:
+ *
+ * - A renewal sets expiresAt to renewal time + 7 days (not old expiry + 7 days),
+ *   so renewing earlier in the 2-day window shortens every cycle
+ * - Reputation starts at 50, gains 5 per renewal (max 100), loses 10 per
+ *   incorrect maintenance answer and resets to 0 on decay
+ * - After a failed attempt the next one waits out the 30-minute cooldown
+ *
+ * The cadence is `renewBefore` (how long before expiry the maintainer starts,
+ * at most the 2-day window; the daemon uses the whole window) and
+ * `checkInterval` (how often it runs: 0 for the daemon, e.g. 6h for cron).
+ * Attempts are placed at the worst case of a cron schedule, one full
+ * interval after the window opens. Failures are projected as expected values
+ * from `failureRate` (attempts that don't renew) and `penaltyRate` (incorrect
+ * answers, which also cost reputation), usually observed from history.
+ */
+
+const REPUTATION = {
+    initial: 50,
+    renewal: 5,
+    failedMaintenance: 10,
+    max: 100,
+};
+
+const DAY = 24 * 60 * 60;
+const DEFAULT_HORIZON = 90 * DAY;
+
+// Flag schedules whose chance of entering the grace period (or decaying) reaches this
+const RISK_THRESHOLD = 0.01;
+
+// Cycles projected past the horizon while looking for reputation 100
+const MAX_CYCLES = 1000;
+
+// A history of failures only still projects (as almost never renewing)
+const MAX_OBSERVED_FAILURE_RATE = 0.99;
+
+/**
+ * Maintenance success rates from an agent's indexed events (see indexer.js)
+ * @param {object[]} events - One agent's events in chain order
+ * @returns {object} { attempts, passed, incorrect, late, failureRate, penaltyRate }
+ *   rates are null without maintenance attempts; unanswered attempts count as failures
+ */
+function observedRates(events) {
+    const rates = { attempts: 0, passed: 0, incorrect: 0, late: 0, failureRate: null, penaltyRate: null };
+    let maintenance = false;
+    for (const e of events) {
+        if (e.event === 'ChallengeIssued') {
+            maintenance = e.isMaintenance;
+            if (maintenance) rates.attempts++;
+        }
+        if (e.event === 'ChallengePassed' && e.isMaintenance) rates.passed++;
+        if (e.event === 'ChallengeFailed' && maintenance) {
+            if (e.reason === 'Incorrect answer') rates.incorrect++;
+            else rates.late++;
+        }
+    }
+    if (rates.attempts > 0) {
+        rates.failureRate = (rates.attempts - rates.passed) / rates.attempts;
+        rates.penaltyRate = rates.incorrect / rates.attempts;
+    }
+    return rates;
+}
+
+/**
+ * Attempts that fit between `from` and `until`, one per retry interval
+ */
+function attemptsBetween(from, until, retry) {
+    return from > until ? 0 : Math.floor((until - from) / retry) + 1;
+}
+
+const clampReputation = (value) => Math.min(REPUTATION.max, Math.max(0, value));
+const round = (value, digits) => Number(value.toFixed(digits));
+const toDate = (seconds) => new Date(Math.round(seconds) * 1000);
+
+/**
+ * Project a credential's expiry dates, maintenance windows and reputation
+ * @param {object} state - { agent, now, credential: { valid, issuedAt, expiresAt, reputation } } (seconds)
+ * @param {object} options
+ *   timing         TIMING from poi-client-v2.mjs
+ *   renewBefore    seconds before expiry the first attempt is made (default: the maintenance window)
+ *   checkInterval  seconds between maintainer runs (default 0)
+ *   failureRate    0 to below 1 (default: observed, else 0)
+ *   penaltyRate    0..failureRate (default: observed, else failureRate)
+ *   horizon        seconds to project (default 90 days)
+ *   observed       observedRates() of the agent's history
+ * @returns {object} { agent, now, phase, start, assumptions, cycles, reputationPerCycle,
+ *   maxReputationAt, renewalsToMax, graceRisk, decayRisk, flags }
+ */
+function forecastCredential(state, options) {
+    const { timing } = options;
+    const renewBefore = options.renewBefore != null ? options.renewBefore : timing.MAINTENANCE_WINDOW;
+    const checkInterval = options.checkInterval || 0;
+    const observed = options.observed && options.observed.failureRate != null ? options.observed : null;
+    let failureRate = options.failureRate;
+    let penaltyRate = options.penaltyRate;
+    if (failureRate == null && observed) {
+        failureRate = Math.min(observed.failureRate, MAX_OBSERVED_FAILURE_RATE);
+        if (penaltyRate == null) penaltyRate = Math.min(observed.penaltyRate, failureRate);
+    }
+    if (failureRate == null) failureRate = 0;
+    if (penaltyRate == null) penaltyRate = failureRate;
+    const horizon = options.horizon || DEFAULT_HORIZON;
+
+    if (renewBefore <= 0 || renewBefore > timing.MAINTENANCE_WINDOW) {
+        throw new Error(`renewBefore must be within the ${timing.MAINTENANCE_WINDOW / 3600}h maintenance window`);
+    }
+    if (!(failureRate >= 0 && failureRate < 1)) throw new Error('failureRate must be at least 0 and below 1');
+    if (!(penaltyRate >= 0 && penaltyRate <= failureRate)) throw new Error('penaltyRate must be between 0 and failureRate');
+
+    const { now, credential } = state;
+    const flags = [];
+    const flag = (level, code, message) => flags.push({ level, code, message });
+
+    // Where the projection starts: the current credential, or a fresh verification now
+    let expiresAt = credential.expiresAt;
+    let reputation = credential.reputation;
+    let phase = 'healthy';
+    if (!credential.valid || credential.issuedAt === 0 || now > credential.expiresAt + timing.GRACE_PERIOD) {
+        phase = credential.issuedAt === 0 ? 'no-credential' : 'decayed';
+        expiresAt = now + timing.CREDENTIAL_VALIDITY_PERIOD;
+        reputation = REPUTATION.initial;
+        flag('info', phase, `${phase === 'decayed' ? 'Credential decayed' : 'No credential'} - projected from a verification now (run: node cli.js verify)`);
+    } else if (now > credential.expiresAt) {
+        phase = 'grace';
+        flag('danger', 'in-grace', `In the grace period - maintain now, the credential decays ${toDate(credential.expiresAt + timing.GRACE_PERIOD).toISOString()}`);
+    } else if (now >= credential.expiresAt - timing.MAINTENANCE_WINDOW) {
+        phase = 'window';
+    }
+    const start = { expiresAt: toDate(expiresAt), reputation };
+
+    const retry = Math.max(timing.MAINTENANCE_COOLDOWN, checkInterval);
+    const expectedFailures = failureRate / (1 - failureRate);
+    const expectedPenalties = penaltyRate / (1 - failureRate);
+    const perCycle = REPUTATION.renewal - REPUTATION.failedMaintenance * expectedPenalties;
+
+    const cycles = [];
+    let t = now;
+    let maxReputationAt = reputation >= REPUTATION.max ? now : null;
+    let renewalsToMax = reputation >= REPUTATION.max ? 0 : null;
+    const worst = { graceRisk: 0, decayRisk: 0, attemptsBeforeExpiry: Infinity };
+    let noGrace = 1;
+    let noDecay = 1;
+
+    for (let n = 1; n <= MAX_CYCLES; n++) {
+        const windowOpens = expiresAt - timing.MAINTENANCE_WINDOW;
+        const scheduledAt = expiresAt - renewBefore + checkInterval;
+        const attemptAt = Math.max(scheduledAt, t);
+        const inHorizon = attemptAt <= now + horizon;
+        if (!inHorizon && (maxReputationAt != null || perCycle <= 0)) break;
+
+        const renewedAt = attemptAt + expectedFailures * retry;
+        const beforeExpiry = attemptsBetween(attemptAt, expiresAt, retry);
+        const beforeDecay = attemptsBetween(attemptAt, expiresAt + timing.GRACE_PERIOD, retry);
+        const graceRisk = beforeExpiry === 0 ? 1 : failureRate ** beforeExpiry;
+        const decayRisk = beforeDecay === 0 ? 1 : failureRate ** beforeDecay;
+        reputation = clampReputation(reputation + perCycle);
+        if (maxReputationAt == null && reputation >= REPUTATION.max) {
+            maxReputationAt = renewedAt;
+            renewalsToMax = n;
+        }
+
+        if (inHorizon) {
+            cycles.push({
+                cycle: n,
+                windowOpensAt: toDate(windowOpens),
+                attemptAt: toDate(attemptAt),
+                renewedAt: toDate(renewedAt),
+                expiresAt: toDate(renewedAt + timing.CREDENTIAL_VALIDITY_PERIOD),
+                attemptsBeforeExpiry: beforeExpiry,
+                graceRisk: round(graceRisk, 6),
+                decayRisk: round(decayRisk, 6),
+                reputation: round(reputation, 1),
+            });
+            noGrace *= 1 - graceRisk;
+            noDecay *= 1 - decayRisk;
+            if (decayRisk > worst.decayRisk) worst.decayRisk = decayRisk;
+            // An overdue credential (attempted now) says nothing about the schedule
+            if (scheduledAt >= t) {
+                if (graceRisk > worst.graceRisk) worst.graceRisk = graceRisk;
+                if (beforeExpiry < worst.attemptsBeforeExpiry) worst.attemptsBeforeExpiry = beforeExpiry;
+            }
+        }
+
+        expiresAt = renewedAt + timing.CREDENTIAL_VALIDITY_PERIOD;
+        t = renewedAt;
+    }
+
+    const hours = (seconds) => `${round(seconds / 3600, 1)}h`;
+    if (worst.attemptsBeforeExpiry === 0) {
+        flag('danger', 'late-schedule', `Attempts start after expiry: renewBefore ${hours(renewBefore)} is shorter than the ${hours(checkInterval)} check interval`);
+    } else if (worst.attemptsBeforeExpiry === 1) {
+        flag('warn', 'single-attempt', `Only one attempt fits before expiry - any failure enters the grace period (renew earlier or check more often)`);
+    }
+    if (worst.decayRisk >= RISK_THRESHOLD) {
+        flag('danger', 'decay-risk', `${round(worst.decayRisk * 100, 2)}% chance per cycle of decaying (reputation resets to 0)`);
+    } else if (worst.graceRisk >= RISK_THRESHOLD) {
+        flag('warn', 'grace-risk', `${round(worst.graceRisk * 100, 2)}% chance per cycle of entering the grace period`);
+    }
+    if (maxReputationAt == null) {
+        flag('warn', 'reputation-stalls', perCycle < 0
+            ? `Reputation falls ${round(-perCycle, 1)} per cycle at this failure rate`
+            : `Reputation does not grow at this failure rate`);
+    }
+
+    return {
+        agent: state.agent,
+        now: toDate(now),
+        phase,
+        start,
+        assumptions: {
+            renewBefore,
+            checkInterval,
+            retryInterval: retry,
+            failureRate: round(failureRate, 4),
+            penaltyRate: round(penaltyRate, 4),
+            horizon,
+            observed: options.observed || null,
+        },
+        cycles,
+        reputationPerCycle: round(perCycle, 2),
+        maxReputationAt: maxReputationAt != null ? toDate(maxReputationAt) : null,
+        renewalsToMax,
+        graceRisk: round(1 - noGrace, 6),
+        decayRisk: round(1 - noDecay, 6),
+        flags,
+    };
+}
+
+export {
+    REPUTATION,
+    RISK_THRESHOLD,
+    observedRates,
+    forecastCredential,
+};
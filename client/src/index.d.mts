@@ -0,0 +1,573 @@
+/**
+ * Proof of Intelligence - Type definitions for the isomorphic client
+ *
+ * Hand-written to match src/*.mjs. build.js copies this file to
+ * dist/index.d.cts for require() users.
+ */
+
+import type { Contract, Interface, Provider, Signer, TransactionReceipt, TransactionRequest } from 'ethers';
+
+// ============ Logging ============
+
+export interface Logger {
+    info(message: string): void;
+    warn(message: string): void;
+    error(message: string): void;
+}
+
+export declare const silentLogger: Readonly<Logger>;
+
+// ============ Contract tuples ============
+
+/** getCredential(agent) as returned by the contract */
+export interface CredentialTuple {
+    issuedAt: bigint;
+    expiresAt: bigint;
+    challengeType: bigint;
+    blockSolved: bigint;
+    valid: boolean;
+    maintenanceCount: bigint;
+    lastMaintained: bigint;
+    reputation: bigint;
+}
+
+/** getChallenge(agent) as returned by the contract */
+export interface ChallengeTuple {
+    challengeType: bigint;
+    seed: string;
+    deadline: bigint;
+    issuedBlock: bigint;
+    issuedTimestamp: bigint;
+    completed: boolean;
+    isMaintenance: boolean;
+}
+
+/** formatCredential() */
+export interface Credential {
+    issuedAt: Date;
+    expiresAt: Date;
+    challengeType: number;
+    blockSolved: number;
+    valid: boolean;
+    maintenanceCount: number;
+    lastMaintained: Date;
+    /** 0-100 */
+    reputation: number;
+}
+
+/** formatChallenge() */
+export interface Challenge {
+    type: number;
+    /** bytes32 hex */
+    seed: string;
+    /** Last block the answer can land in */
+    deadline: number;
+    issuedBlock: number;
+    issuedTimestamp: number;
+    completed: boolean;
+    isMaintenance: boolean;
+}
+
+/** getActiveChallenge() */
+export interface ActiveChallenge extends Challenge {
+    blocksRemaining: number;
+}
+
+export interface BlockState {
+    number?: number;
+    timestamp?: number;
+}
+
+// ============ Results ============
+
+export interface CredentialStatus {
+    hasValidPoI: boolean;
+    inGracePeriod: boolean;
+    isVerified: boolean;
+    daysUntilExpiry: number;
+    credential: Credential;
+}
+
+export interface TxSummary {
+    hash: string;
+    blockNumber: number;
+    /** Decimal string */
+    gasUsed: string;
+}
+
+export interface SubmissionAttempt {
+    hash: string;
+    cancel: boolean;
+    maxFeePerGas: string | null;
+    maxPriorityFeePerGas: string | null;
+    gasPrice: string | null;
+}
+
+/** How an answer was pushed in before the deadline (see submission.mjs) */
+export interface SubmissionReport {
+    aborted: boolean;
+    cancelled: boolean;
+    attempts: SubmissionAttempt[];
+    replacements: number;
+    sentAtBlock: number | null;
+    blocksToSpare: number;
+}
+
+/** PoIError.toJSON() */
+export interface PoIErrorJSON {
+    name: string;
+    errorName: PoIErrorName | null;
+    message: string;
+    hint: string | null;
+    exitCode: number;
+    context: Record<string, unknown>;
+}
+
+/** simulateAnswer(), or the prediction of dryRun() */
+export interface Simulation {
+    method: 'eth_simulateV1' | 'eth_call' | null;
+    blockNumber: number;
+    /** null when the simulation gave no verdict (see reason) */
+    outcome: 'passed' | 'failed' | 'reverted' | null;
+    reason: string | null;
+    error: PoIErrorJSON | null;
+    answer: string | null;
+    expectedAnswer: string | null;
+    answerMatches: boolean | null;
+}
+
+export type ChallengeAction = 'verify' | 'maintain' | 'none';
+export type ChallengeOutcome = 'passed' | 'failed' | 'reverted' | 'aborted' | 'skipped' | 'simulated';
+
+/** proveIntelligence(), maintain(), resume(), autoMaintain() and dryRun() */
+export interface ChallengeResult {
+    action: ChallengeAction;
+    agent: string;
+    outcome: ChallengeOutcome;
+    /** Answered an already-issued challenge instead of requesting one */
+    resumed: boolean;
+    /** ChallengeFailed reason, or why the action was skipped or aborted */
+    reason: string | null;
+    /** Set when submitAnswer reverted */
+    revertReason: string | null;
+    error: PoIErrorJSON | null;
+    challenge: Omit<Challenge, 'completed'> | null;
+    answer: string | null;
+    solveTimeMs: number | null;
+    requestTx: TxSummary | null;
+    submitTx: TxSummary | null;
+    /** Deadline minus the block the answer landed in */
+    blocksRemaining: number | null;
+    submission: SubmissionReport | null;
+    simulation: Simulation | null;
+    /** Credential after the attempt */
+    credential: Credential | null;
+}
+
+export interface EligibilityCheck {
+    name: 'registered' | 'credential' | 'not-decayed' | 'window' | 'cooldown' | 'no-active-challenge';
+    errorName: PoIErrorName;
+    ok: boolean;
+    detail: string;
+    clearsAt: Date | null;
+    clearsAtBlock: number | null;
+}
+
+export interface Eligibility {
+    action: 'verify' | 'maintain';
+    agent: string;
+    eligible: boolean;
+    blockNumber: number;
+    chainTime: Date;
+    /** In the contract's order */
+    checks: EligibilityCheck[];
+    /** Typed error for the first failed check: what the request would revert with */
+    blocker: PoIError | null;
+    /** Challenge that resume() can still answer */
+    activeChallenge: ActiveChallenge | null;
+}
+
+export interface Stats {
+    totalChallengesIssued: number;
+    totalPassed: number;
+    totalFailed: number;
+    totalMaintenanceRenewals: number;
+    totalDecayed: number;
+}
+
+// ============ Client ============
+
+/** Timing rules enforced by the contract (seconds) */
+export declare const TIMING: {
+    readonly COOLDOWN_PERIOD: number;
+    readonly MAINTENANCE_COOLDOWN: number;
+    readonly MAINTENANCE_WINDOW: number;
+    readonly GRACE_PERIOD: number;
+    readonly CREDENTIAL_VALIDITY_PERIOD: number;
+};
+
+/** Human-readable ABI of ProofOfIntelligenceV2, custom errors included */
+export declare const PoI_V2_ABI: string[];
+
+export interface SubmissionOptions {
+    /** Blocks after the first broadcast to replace at (default [2, 4, 6, 9, 12]) */
+    checkpoints?: number[];
+    /** Fee increase per replacement, at least 10 (default 20) */
+    bumpPercent?: number;
+    /** Cap on maxFeePerGas; replacements stop at the cap */
+    maxFeePerGasGwei?: number | null;
+    /** Give up this many blocks before the last includable block (default 0) */
+    abortMargin?: number;
+    cancelOnAbort?: boolean;
+    pollIntervalMs?: number;
+}
+
+export interface PoIClientOptions {
+    logger?: Logger;
+    submission?: SubmissionOptions;
+}
+
+export interface ForecastClientOptions extends Omit<ForecastOptions, 'timing' | 'observed'> {
+    /** Agent to project (defaults to this wallet) */
+    address?: string;
+    /** The agent's indexed events; they supply the failure rates unless given */
+    history?: IndexedEvent[];
+}
+
+export interface TypeStatsClientOptions {
+    /** Only this agent's attempts (default: every agent) */
+    address?: string | null;
+    /** Indexed events to use instead of reading the contract's logs */
+    events?: IndexedEvent[];
+    fromBlock?: number;
+    /** Head the stats run to (default: the latest block) */
+    toBlock?: number;
+}
+
+export declare class PoIClient {
+    /**
+     * @param wallet - Signer exposing `address`, or null for a read-only client
+     */
+    constructor(provider: Provider, wallet: (Signer & { address: string }) | null, contractAddress: string, options?: PoIClientOptions);
+    readonly provider: Provider;
+    readonly wallet: (Signer & { address: string }) | null;
+    readonly contract: Contract;
+    readonly address: string | null;
+    readonly version: 'v2';
+    logger: Logger;
+
+    getStatus(address?: string): Promise<CredentialStatus>;
+    proveIntelligence(): Promise<ChallengeResult>;
+    maintain(): Promise<ChallengeResult>;
+    getActiveChallenge(): Promise<ActiveChallenge | null>;
+    resume(active?: ActiveChallenge): Promise<ChallengeResult>;
+    dryRun(options?: { maintenance?: boolean }): Promise<ChallengeResult>;
+    simulateAnswer(challenge: Omit<Challenge, 'completed'>, answer: string): Promise<Simulation>;
+    checkEligibility(options?: { maintenance?: boolean }): Promise<Eligibility>;
+    getLastAttempt(): Promise<number>;
+    needsMaintenance(): Promise<boolean>;
+    autoMaintain(): Promise<ChallengeResult>;
+    forecast(options?: ForecastClientOptions): Promise<Forecast>;
+    getStats(): Promise<Stats>;
+    getStatsByType(options?: TypeStatsClientOptions): Promise<TypeStats>;
+    createAttestation(): Promise<Attestation>;
+}
+
+/** Solve a V2 challenge; blockState is the block the challenge was issued in */
+export declare function solveChallenge(challengeType: number, seed: string, agentAddress: string, blockState: BlockState): string;
+export declare function formatCredential(cred: CredentialTuple): Credential;
+export declare function formatChallenge(challenge: ChallengeTuple): Challenge;
+export declare function getNthPrime(n: number): number;
+export declare function getFibonacci(n: number): bigint;
+
+// ============ Challenge types ============
+
+export type ChallengeInput = 'seed' | 'agent' | 'issuedBlock' | 'issuedTimestamp';
+
+export interface ChallengeInputs {
+    seed?: string;
+    agent?: string;
+    issuedBlock?: number;
+    issuedTimestamp?: number;
+}
+
+export interface ChallengeTypeDefinition {
+    /** uint8, > 0 */
+    id: number;
+    name?: string;
+    description?: string;
+    inputs?: ChallengeInput[];
+    profiles?: Array<'v1' | 'v2'>;
+    solve(inputs: ChallengeInputs): string;
+}
+
+export interface ChallengeType extends Required<ChallengeTypeDefinition> {}
+
+export declare class ChallengeRegistry {
+    register(def: ChallengeTypeDefinition): this;
+    has(id: number): boolean;
+    get(id: number, profile?: string): ChallengeType;
+    list(profile?: string): ChallengeType[];
+    solve(id: number, inputs: ChallengeInputs, profile?: string): string;
+}
+
+export declare class ChallengeProfile {
+    readonly registry: ChallengeRegistry;
+    readonly name: 'v1' | 'v2';
+    readonly contract: string;
+    /** Blocks to answer an initial challenge */
+    readonly initialWindow: number;
+    /** Blocks to answer a maintenance challenge (null on V1) */
+    readonly maintenanceWindow: number | null;
+    supports(id: number): boolean;
+    types(): ChallengeType[];
+    solve(challengeType: number, seed: string, agentAddress: string, blockState?: BlockState): string;
+}
+
+export declare const registry: ChallengeRegistry;
+export declare function getProfile(name: 'v1' | 'v2'): ChallengeProfile;
+
+export declare class UnknownChallengeTypeError extends Error {
+    challengeType: number;
+    profile: string | null;
+}
+
+export declare class MissingChallengeInputError extends Error {
+    challengeType: number;
+    missing: ChallengeInput[];
+}
+
+// ============ Errors ============
+
+export type PoIErrorName =
+    | 'NotRegisteredAgent'
+    | 'CooldownNotElapsed'
+    | 'ChallengeAlreadyActive'
+    | 'CredentialNotExpiringSoon'
+    | 'NoCredentialToMaintain'
+    | 'CredentialAlreadyDecayed'
+    | 'NoChallengeActive'
+    | 'ChallengeExpired'
+    | 'IncorrectAnswer';
+
+export declare const PoI_V2_ERRORS: string[];
+
+/** A decoded contract revert: on-chain `context`, a `hint`, and the CLI exit code */
+export declare class PoIError extends Error {
+    constructor(message: string, options?: { context?: Record<string, unknown>; hint?: string | null; cause?: unknown });
+    static readonly errorName: PoIErrorName | null;
+    static readonly exitCode: number;
+    readonly errorName: PoIErrorName | null;
+    readonly exitCode: number;
+    context: Record<string, unknown>;
+    hint: string | null;
+    toJSON(): PoIErrorJSON;
+}
+
+declare class TypedPoIError extends PoIError {
+    constructor(context?: Record<string, unknown>, cause?: unknown);
+}
+
+export declare class NotRegisteredAgentError extends TypedPoIError {}
+export declare class CooldownNotElapsedError extends TypedPoIError {}
+export declare class ChallengeAlreadyActiveError extends TypedPoIError {}
+export declare class CredentialNotExpiringSoonError extends TypedPoIError {}
+export declare class NoCredentialToMaintainError extends TypedPoIError {}
+export declare class CredentialAlreadyDecayedError extends TypedPoIError {}
+export declare class NoChallengeActiveError extends TypedPoIError {}
+export declare class ChallengeExpiredError extends TypedPoIError {}
+export declare class IncorrectAnswerError extends TypedPoIError {}
+
+/** Custom error name from an ethers error, if the node returned revert data */
+export declare function decodeRevertName(err: unknown, iface: Interface): string | null;
+/** Typed error for a Solidity error name, or null for unknown names */
+export declare function createPoIError(errorName: string, context?: Record<string, unknown>, cause?: unknown): PoIError | null;
+
+// ============ Attestations ============
+
+export interface AttestationDomain {
+    name: string;
+    version: string;
+    chainId: number;
+    verifyingContract: string;
+}
+
+export interface AttestationMessage {
+    agent: string;
+    expiresAt: number;
+    reputation: number;
+    maintenanceCount: number;
+    blockNumber: number;
+    /** Block timestamp (seconds) */
+    timestamp: number;
+}
+
+export interface Attestation {
+    domain: AttestationDomain;
+    types: typeof ATTESTATION_TYPES;
+    primaryType: 'PoIAttestation';
+    message: AttestationMessage;
+    signature: string;
+}
+
+export interface AttestationExpectations {
+    chainId: number | bigint;
+    contract: string;
+    /** Seconds (default DEFAULT_MAX_AGE) */
+    maxAge?: number;
+    minReputation?: number;
+    /** Seconds (default: wall clock) */
+    now?: number;
+}
+
+export type AttestationVerdict =
+    | { valid: true; agent: string; message: AttestationMessage }
+    | { valid: false; reason: string };
+
+export declare const ATTESTATION_TYPES: {
+    PoIAttestation: Array<{ name: string; type: string }>;
+};
+export declare const DEFAULT_MAX_AGE: number;
+export declare function attestationDomain(chainId: number | bigint, contractAddress: string): AttestationDomain;
+export declare function signAttestation(signer: Signer, domain: AttestationDomain, message: AttestationMessage): Promise<Attestation>;
+export declare function verifyAttestation(doc: unknown, expected: AttestationExpectations): AttestationVerdict;
+
+// ============ Submission ============
+
+export declare const DEFAULT_SUBMISSION: Required<SubmissionOptions>;
+
+export declare class SubmissionManager {
+    constructor(provider: Provider, signer: Signer, options?: SubmissionOptions & { logger?: Logger });
+    /** Send `tx` and get it included by block `deadline`; receipt is null when aborted */
+    send(tx: TransactionRequest, options: { deadline: number }): Promise<SubmissionReport & { receipt: TransactionReceipt | null }>;
+}
+
+// ============ Forecast ============
+
+/** An event from the local index (see indexer.js): the decoded args are spread in */
+export interface IndexedEvent {
+    event: string;
+    agent: string;
+    blockNumber: number;
+    blockHash: string;
+    timestamp: number;
+    transactionHash: string;
+    logIndex: number;
+    [arg: string]: unknown;
+}
+
+export interface ObservedRates {
+    attempts: number;
+    passed: number;
+    incorrect: number;
+    late: number;
+    failureRate: number | null;
+    penaltyRate: number | null;
+}
+
+export interface ForecastOptions {
+    timing: typeof TIMING;
+    /** Seconds before expiry the first attempt is made (default: the maintenance window) */
+    renewBefore?: number;
+    /** Seconds between maintainer runs (default 0, the daemon) */
+    checkInterval?: number;
+    /** 0 to below 1 (default: observed, else 0) */
+    failureRate?: number;
+    /** 0 to failureRate (default: observed, else failureRate) */
+    penaltyRate?: number;
+    /** Seconds to project (default 90 days) */
+    horizon?: number;
+    observed?: ObservedRates | null;
+}
+
+export interface ForecastState {
+    agent: string;
+    /** Seconds */
+    now: number;
+    /** Times in seconds */
+    credential: { valid: boolean; issuedAt: number; expiresAt: number; reputation: number };
+}
+
+export interface ForecastCycle {
+    cycle: number;
+    windowOpensAt: Date;
+    attemptAt: Date;
+    renewedAt: Date;
+    expiresAt: Date;
+    attemptsBeforeExpiry: number;
+    graceRisk: number;
+    decayRisk: number;
+    reputation: number;
+}
+
+export interface ForecastFlag {
+    level: 'info' | 'warn' | 'danger';
+    code: string;
+    message: string;
+}
+
+export interface Forecast {
+    agent: string;
+    now: Date;
+    phase: 'healthy' | 'window' | 'grace' | 'decayed' | 'no-credential';
+    start: { expiresAt: Date; reputation: number };
+    assumptions: {
+        renewBefore: number;
+        checkInterval: number;
+        retryInterval: number;
+        failureRate: number;
+        penaltyRate: number;
+        horizon: number;
+        observed: ObservedRates | null;
+    };
+    cycles: ForecastCycle[];
+    reputationPerCycle: number;
+    maxReputationAt: Date | null;
+    renewalsToMax: number | null;
+    graceRisk: number;
+    decayRisk: number;
+    flags: ForecastFlag[];
+}
+
+export declare const REPUTATION: {
+    readonly initial: number;
+    readonly renewal: number;
+    readonly failedMaintenance: number;
+    readonly max: number;
+};
+export declare function observedRates(events: IndexedEvent[]): ObservedRates;
+export declare function forecastCredential(state: ForecastState, options: ForecastOptions): Forecast;
+
+// ============ Challenge stats ============
+
+export interface TypeStatsBucket {
+    attempts: number;
+    passed: number;
+    failed: number;
+    /** No answer by the deadline */
+    unanswered: number;
+    /** Deadline not reached yet; left out of the rates */
+    open: number;
+    /** Failures per ChallengeFailed reason */
+    reasons: Record<string, number>;
+    /** Fractions of the decided attempts, null when there are none */
+    rates: { passed: number | null; failed: number | null; unanswered: number | null; [reason: string]: number | null };
+}
+
+export interface TypeStatsKinds {
+    initial: TypeStatsBucket;
+    maintenance: TypeStatsBucket;
+    total: TypeStatsBucket;
+}
+
+export interface TypeStats {
+    agent: string | null;
+    blockNumber: number | null;
+    types: Array<TypeStatsKinds & { type: number; name: string }>;
+    totals: TypeStatsKinds;
+}
+
+/** Known ChallengeFailed reasons ("Incorrect answer", "Deadline expired") */
+export declare const FAILURE_REASONS: readonly string[];
+/** Join ChallengeIssued with its ChallengePassed / ChallengeFailed, per type and kind */
+export declare function challengeTypeStats(events: IndexedEvent[], options?: { agent?: string | null; blockNumber?: number | null }): TypeStats;
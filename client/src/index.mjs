@@ -0,0 +1,74 @@
+/**
+ * Proof of Intelligence - Isomorphic Client
+ *
+ * The package entry point: solver, ABI, PoIClient, status formatting, typed
+ * errors, attestations, the forecast and per-type challenge stats. Nothing
+ * here touches Node built-ins, so it runs in Node, Deno, Bun and browser
+ * workers; `ethers` is the only dependency. build.js turns it into dist/index.cjs for require().
+ */
+
+import { PoIClient, solveChallenge, formatCredential, formatChallenge, getNthPrime, getFibonacci, PoI_V2_ABI, TIMING } from './poi-client-v2.mjs';
+import { registry, getProfile, ChallengeRegistry, ChallengeProfile, UnknownChallengeTypeError, MissingChallengeInputError } from './challenge-types.mjs';
+import {
+    PoI_V2_ERRORS,
+    PoIError,
+    NotRegisteredAgentError,
+    CooldownNotElapsedError,
+    ChallengeAlreadyActiveError,
+    CredentialNotExpiringSoonError,
+    NoCredentialToMaintainError,
+    CredentialAlreadyDecayedError,
+    NoChallengeActiveError,
+    ChallengeExpiredError,
+    IncorrectAnswerError,
+    decodeRevertName,
+    createPoIError,
+} from './errors.mjs';
+import { ATTESTATION_TYPES, DEFAULT_MAX_AGE, attestationDomain, signAttestation, verifyAttestation } from './attestation.mjs';
+import { SubmissionManager, DEFAULT_SUBMISSION } from './submission.mjs';
+import { REPUTATION, observedRates, forecastCredential } from './forecast.mjs';
+import { FAILURE_REASONS, challengeTypeStats } from './challenge-stats.mjs';
+import { silentLogger } from './logger.mjs';
+
+export {
+    PoIClient,
+    solveChallenge,
+    formatCredential,
+    formatChallenge,
+    getNthPrime,
+    getFibonacci,
+    PoI_V2_ABI,
+    TIMING,
+    registry,
+    getProfile,
+    ChallengeRegistry,
+    ChallengeProfile,
+    UnknownChallengeTypeError,
+    MissingChallengeInputError,
+    PoI_V2_ERRORS,
+    PoIError,
+    NotRegisteredAgentError,
+    CooldownNotElapsedError,
+    ChallengeAlreadyActiveError,
+    CredentialNotExpiringSoonError,
+    NoCredentialToMaintainError,
+    CredentialAlreadyDecayedError,
+    NoChallengeActiveError,
+    ChallengeExpiredError,
+    IncorrectAnswerError,
+    decodeRevertName,
+    createPoIError,
+    ATTESTATION_TYPES,
+    DEFAULT_MAX_AGE,
+    attestationDomain,
+    signAttestation,
+    verifyAttestation,
+    SubmissionManager,
+    DEFAULT_SUBMISSION,
+    REPUTATION,
+    observedRates,
+    forecastCredential,
+    FAILURE_REASONS,
+    challengeTypeStats,
+    silentLogger,
+};
@@ -0,0 +1,14 @@
+/**
+ * Proof of Intelligence - Silent Logger
+ *
+ * Library code logs through an injected `{ info, warn, error }` logger and is
+ * silent by default. The console logger is Node-only and lives in logger.js.
+ */
+
+const silentLogger = Object.freeze({
+    info() {},
+    warn() {},
+    error() {},
+});
+
+export { silentLogger };
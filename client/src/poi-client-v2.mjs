@@ -0,0 +1,997 @@
+/**
+ * Proof of Intelligence V2 - Client with Continuous Verification
+ * 
+ * Features:
+ * - Initial verification
+ * - Credential status checking
+ * - Maintenance/renewal challenges
+ * - Reputation tracking
+ *
+ * Runs anywhere ethers does (Node, Deno, Bun, browser workers); the CLI
+ * lives in cli.js.
+ */
+
+import { ethers } from 'ethers';
+import { getProfile, getNthPrime, getFibonacci } from './challenge-types.mjs';
+import { silentLogger } from './logger.mjs';
+import { PoI_V2_ERRORS, IncorrectAnswerError, ChallengeExpiredError, decodeRevertName, createPoIError } from './errors.mjs';
+import { attestationDomain, signAttestation } from './attestation.mjs';
+import { SubmissionManager } from './submission.mjs';
+import { observedRates, forecastCredential } from './forecast.mjs';
+import { challengeTypeStats } from './challenge-stats.mjs';
+
+const challengeProfile = getProfile('v2');
+
+const REGISTRY_ABI = ['function balanceOf(address owner) external view returns (uint256)'];
+
+// Events joined by getStatsByType()
+const CHALLENGE_EVENTS = ['ChallengeIssued', 'ChallengePassed', 'ChallengeFailed'];
+
+// Timing rules enforced by the contract (seconds)
+const TIMING = {
+    COOLDOWN_PERIOD: 60 * 60,               // between initial challenges
+    MAINTENANCE_COOLDOWN: 30 * 60,          // between maintenance challenges
+    MAINTENANCE_WINDOW: 2 * 24 * 60 * 60,   // renewals open this long before expiresAt
+    GRACE_PERIOD: 24 * 60 * 60,             // after expiresAt, before decay
+    CREDENTIAL_VALIDITY_PERIOD: 7 * 24 * 60 * 60,
+};
+
+const PoI_V2_ABI = [
+    'function requestChallenge() external returns (bytes32 seed, uint8 challengeType, uint256 deadline)',
+    'function requestMaintenanceChallenge() external returns (bytes32 seed, uint8 challengeType, uint256 deadline)',
+    'function submitAnswer(bytes32 answer) external returns (bool success)',
+    'function hasValidPoI(address agent) external view returns (bool)',
+    'function isInGracePeriod(address agent) external view returns (bool)',
+    'function isVerifiedIntelligentAgent(address agent) external view returns (bool)',
+    'function daysUntilExpiry(address agent) external view returns (uint256)',
+    'function getCredential(address agent) external view returns (tuple(uint256 issuedAt, uint256 expiresAt, uint8 challengeType, uint256 blockSolved, bool valid, uint256 maintenanceCount, uint256 lastMaintained, uint8 reputation))',
+    'function getChallenge(address agent) external view returns (tuple(uint8 challengeType, bytes32 seed, uint256 deadline, uint256 issuedBlock, uint256 issuedTimestamp, bool completed, bool isMaintenance))',
+    'function lastAttempt(address agent) external view returns (uint256)',
+    'function agentRegistry() external view returns (address)',
+    'function getStats() external view returns (uint256 issued, uint256 passed, uint256 failed, uint256 renewals, uint256 decayed)',
+    'function computeExpectedAnswer(uint8 challengeType, bytes32 seed, address agent) external view returns (bytes32)',
+    'function triggerDecay(address agent) external',
+    'event ChallengeIssued(address indexed agent, uint8 challengeType, bytes32 seed, uint256 deadline, bool isMaintenance)',
+    'event ChallengePassed(address indexed agent, uint8 challengeType, uint256 blockNumber, bool isMaintenance)',
+    'event ChallengeFailed(address indexed agent, string reason)',
+    'event CredentialIssued(address indexed agent, uint256 expiresAt)',
+    'event CredentialRenewed(address indexed agent, uint256 newExpiresAt, uint256 maintenanceCount)',
+    'event CredentialDecayed(address indexed agent, string reason)',
+    'event CredentialRevoked(address indexed agent, string reason)',
+    'event ReputationUpdated(address indexed agent, uint8 newReputation)',
+    ...PoI_V2_ERRORS,
+];
+
+/**
+ * Solve a PoI challenge (delegates to the V2 challenge-type profile)
+ * @param {number} challengeType - Type of challenge
+ * @param {string} seed - Challenge seed (bytes32 hex)
+ * @param {string} agentAddress - Solver's address
+ * @param {object} blockState - Block state when the challenge was issued { number, timestamp }
+ * @returns {string} The answer (bytes32 hex)
+ */
+function solveChallenge(challengeType, seed, agentAddress, blockState) {
+    return challengeProfile.solve(challengeType, seed, agentAddress, blockState);
+}
+
+/**
+ * Decode a credential tuple into JS types
+ */
+function formatCredential(cred) {
+    return {
+        issuedAt: new Date(Number(cred.issuedAt) * 1000),
+        expiresAt: new Date(Number(cred.expiresAt) * 1000),
+        challengeType: Number(cred.challengeType),
+        blockSolved: Number(cred.blockSolved),
+        valid: cred.valid,
+        maintenanceCount: Number(cred.maintenanceCount),
+        lastMaintained: new Date(Number(cred.lastMaintained) * 1000),
+        reputation: Number(cred.reputation),
+    };
+}
+
+/**
+ * Decode a challenge tuple into JS types
+ */
+function formatChallenge(challenge) {
+    return {
+        type: Number(challenge.challengeType),
+        seed: challenge.seed,
+        deadline: Number(challenge.deadline),
+        issuedBlock: Number(challenge.issuedBlock),
+        issuedTimestamp: Number(challenge.issuedTimestamp),
+        completed: challenge.completed,
+        isMaintenance: challenge.isMaintenance,
+    };
+}
+
+/**
+ * Whether an RPC error means the node doesn't implement the method
+ */
+function isUnsupportedMethod(err) {
+    const inner = err.error || (err.info && err.info.error) || {};
+    if (inner.code === -32601 || err.code === 'UNSUPPORTED_OPERATION') return true;
+    return /method .*(not found|not supported|not available|does not exist)|unsupported method/i.test(inner.message || err.message || '');
+}
+
+/**
+ * Summarize a mined transaction
+ */
+function txSummary(receipt) {
+    return {
+        hash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString(),
+    };
+}
+
+/**
+ * @typedef {object} ChallengeResult
+ * @property {'verify'|'maintain'|'none'} action
+ * @property {string} agent
+ * @property {'passed'|'failed'|'reverted'|'aborted'|'skipped'|'simulated'} outcome
+ * @property {boolean} resumed            - Answered an already-issued challenge instead of requesting one
+ * @property {string|null} reason        - ChallengeFailed reason, or why the action was skipped
+ * @property {string|null} revertReason  - Set when submitAnswer reverted
+ * @property {object|null} error         - Typed error (see errors.mjs) when the revert was decoded
+ * @property {object|null} challenge     - { type, seed, deadline, issuedBlock, issuedTimestamp, isMaintenance }
+ * @property {string|null} answer
+ * @property {number|null} solveTimeMs
+ * @property {object|null} requestTx     - { hash, blockNumber, gasUsed }
+ * @property {object|null} submitTx      - { hash, blockNumber, gasUsed }
+ * @property {number|null} blocksRemaining - Deadline minus the block the answer landed in
+ * @property {object|null} submission    - { aborted, cancelled, replacements, attempts, sentAtBlock, blocksToSpare }
+ * @property {object|null} simulation    - Predicted submitAnswer outcome (see simulateAnswer())
+ * @property {object|null} credential    - Credential after the attempt
+ */
+
+function emptyResult(action, agent) {
+    return {
+        action,
+        agent,
+        outcome: null,
+        resumed: false,
+        reason: null,
+        revertReason: null,
+        error: null,
+        challenge: null,
+        answer: null,
+        solveTimeMs: null,
+        requestTx: null,
+        submitTx: null,
+        blocksRemaining: null,
+        submission: null,
+        simulation: null,
+        credential: null,
+    };
+}
+
+/**
+ * PoI V2 Client Class
+ *
+ * `wallet` may be any ethers Signer exposing `address` (see signers.js),
+ * or null for a read-only client. Progress is reported through
+ * `options.logger` ({ info, warn, error }); the default is silent.
+ * `options.submission` tunes how answers are pushed in before the
+ * deadline (see submission.mjs).
+ */
+class PoIClient {
+    constructor(provider, wallet, contractAddress, options = {}) {
+        this.provider = provider;
+        this.wallet = wallet;
+        this.contract = new ethers.Contract(contractAddress, PoI_V2_ABI, wallet || provider);
+        this.address = wallet ? wallet.address : null;
+        this.version = 'v2';
+        this.logger = options.logger || silentLogger;
+        this.submissionOptions = options.submission || {};
+        this.registry = null;
+    }
+
+    /**
+     * Get credential status
+     * @param {string} [address] - Agent to query (defaults to this wallet)
+     */
+    async getStatus(address = this.address) {
+        const [hasValid, inGrace, isVerified, daysLeft, cred] = await Promise.all([
+            this.contract.hasValidPoI(address),
+            this.contract.isInGracePeriod(address),
+            this.contract.isVerifiedIntelligentAgent(address),
+            this.contract.daysUntilExpiry(address),
+            this.contract.getCredential(address),
+        ]);
+
+        return {
+            hasValidPoI: hasValid,
+            inGracePeriod: inGrace,
+            isVerified: isVerified,
+            daysUntilExpiry: Number(daysLeft),
+            credential: formatCredential(cred),
+        };
+    }
+
+    /**
+     * Request and complete initial verification
+     * @returns {Promise<ChallengeResult>}
+     */
+    async proveIntelligence() {
+        const active = await this.getActiveChallenge();
+        if (active) return this.resume(active);
+
+        const log = this.logger;
+        log.info('🧠 Proof of Intelligence V2 - Initial Verification');
+        log.info('='.repeat(50));
+
+        // Request challenge
+        log.info('\n1️⃣ Requesting challenge...');
+        const receipt = await this._send('requestChallenge', { maintenance: false });
+
+        // Get challenge details
+        const challenge = formatChallenge(await this.contract.getChallenge(this.address));
+        log.info(`   Type: ${challenge.type}`);
+        log.info(`   Seed: ${challenge.seed.slice(0, 18)}...`);
+        log.info(`   Window: ${challengeProfile.initialWindow} blocks (~10 min)`);
+
+        // Solve and submit
+        const result = emptyResult('verify', this.address);
+        result.requestTx = txSummary(receipt);
+        return this._solveAndSubmit(challenge, result);
+    }
+
+    /**
+     * Request and complete maintenance challenge
+     * @returns {Promise<ChallengeResult>}
+     */
+    async maintain() {
+        const active = await this.getActiveChallenge();
+        if (active) return this.resume(active);
+
+        const log = this.logger;
+        log.info('🔄 Proof of Intelligence V2 - Maintenance');
+        log.info('='.repeat(50));
+
+        // Request maintenance challenge
+        log.info('\n1️⃣ Requesting maintenance challenge...');
+        const receipt = await this._send('requestMaintenanceChallenge', { maintenance: true });
+
+        // Get challenge details
+        const challenge = formatChallenge(await this.contract.getChallenge(this.address));
+        log.info(`   Type: ${challenge.type}`);
+        log.info(`   Seed: ${challenge.seed.slice(0, 18)}...`);
+        log.info(`   Window: ${challengeProfile.maintenanceWindow} blocks (~5 min) ⚡ TIGHTER!`);
+
+        // Solve and submit
+        const result = emptyResult('maintain', this.address);
+        result.requestTx = txSummary(receipt);
+        return this._solveAndSubmit(challenge, result);
+    }
+
+    /**
+     * The agent's issued, unanswered challenge if its deadline hasn't passed
+     * @returns {Promise<object|null>} formatChallenge() fields plus blocksRemaining
+     */
+    async getActiveChallenge() {
+        const [blockNumber, challenge] = await Promise.all([
+            this.provider.getBlockNumber(),
+            this.contract.getChallenge(this.address),
+        ]);
+        const formatted = formatChallenge(challenge);
+        if (formatted.completed || formatted.deadline <= blockNumber) return null;
+        return { ...formatted, blocksRemaining: formatted.deadline - blockNumber };
+    }
+
+    /**
+     * Solve and submit an already-issued challenge, e.g. after a crash
+     * between requestChallenge() and submitAnswer()
+     * @param {object} [active] - From getActiveChallenge() (read if omitted)
+     * @returns {Promise<ChallengeResult>} outcome 'skipped' when there is nothing to resume
+     */
+    async resume(active) {
+        const challenge = active || await this.getActiveChallenge();
+        if (!challenge) {
+            this.logger.info('✅ No active challenge to resume');
+            const result = emptyResult('none', this.address);
+            result.outcome = 'skipped';
+            result.reason = 'No active challenge';
+            return result;
+        }
+
+        const log = this.logger;
+        const kind = challenge.isMaintenance ? 'maintenance' : 'initial';
+        log.info('⏯️ Proof of Intelligence V2 - Resume');
+        log.info('='.repeat(50));
+        log.warn(`\n⚠️ Resuming ${kind} challenge issued at block ${challenge.issuedBlock}: ` +
+            `${challenge.blocksRemaining} blocks left before the deadline (block ${challenge.deadline})`);
+        log.info(`   Type: ${challenge.type}`);
+        log.info(`   Seed: ${challenge.seed.slice(0, 18)}...`);
+
+        const result = emptyResult(challenge.isMaintenance ? 'maintain' : 'verify', this.address);
+        result.resumed = true;
+        return this._solveAndSubmit(challenge, result);
+    }
+
+    /**
+     * Predict an attempt without broadcasting anything. The active challenge
+     * is solved and its submitAnswer simulated; with no active challenge,
+     * nodes that support eth_simulateV1 simulate the request as well.
+     * @param {object} [options] - { maintenance }
+     * @returns {Promise<ChallengeResult>} outcome 'simulated'; the prediction is in `simulation`
+     */
+    async dryRun({ maintenance = false } = {}) {
+        const log = this.logger;
+        log.info('🧪 Proof of Intelligence V2 - Dry Run');
+        log.info('='.repeat(50));
+
+        const result = emptyResult(maintenance ? 'maintain' : 'verify', this.address);
+        result.outcome = 'simulated';
+
+        const active = await this.getActiveChallenge();
+        if (active) {
+            log.warn(`\n⚠️ Simulating the active ${active.isMaintenance ? 'maintenance' : 'initial'} challenge: ` +
+                `${active.blocksRemaining} blocks left (deadline block ${active.deadline})`);
+            result.action = active.isMaintenance ? 'maintain' : 'verify';
+            result.resumed = true;
+            this._solve(active, result);
+            result.simulation = await this.simulateAnswer(active, result.answer);
+        } else {
+            result.simulation = await this._simulateAttempt(maintenance, result);
+        }
+
+        const { simulation } = result;
+        if (simulation.outcome === 'passed') {
+            log.info(`\n✅ Would pass (simulated at block ${simulation.blockNumber} via ${simulation.method})`);
+        } else if (simulation.outcome) {
+            log.error(`\n❌ Would ${simulation.outcome === 'reverted' ? 'revert' : 'fail'}: ${simulation.reason}`);
+        } else {
+            log.warn(`\n⚠️ ${simulation.reason}`);
+        }
+        if (simulation.answerMatches === false) {
+            log.error(`   Local answer ${simulation.answer} != computeExpectedAnswer ${simulation.expectedAnswer}`);
+        }
+        return result;
+    }
+
+    /**
+     * Simulate submitAnswer(answer) for an issued challenge on top of the latest
+     * block, and compare the answer with the contract's computeExpectedAnswer view.
+     * Uses eth_simulateV1 to read the emitted events, or eth_call on the pending
+     * block where it isn't available.
+     * @param {object} challenge - From formatChallenge()
+     * @param {string} answer - bytes32 hex
+     * @returns {Promise<object>} { method, blockNumber, outcome, reason, error, answer, expectedAnswer, answerMatches }
+     *   outcome is 'passed', 'failed' (reason from ChallengeFailed) or 'reverted' (typed error JSON in `error`)
+     */
+    async simulateAnswer(challenge, answer) {
+        const [expectedAnswer, simulated] = await Promise.all([
+            this.contract.computeExpectedAnswer(challenge.type, challenge.seed, this.address),
+            this._simulate([this._call('submitAnswer', [answer])]),
+        ]);
+        const prediction = simulated
+            ? { blockNumber: simulated.blockNumber, ...await this._interpretCall(simulated.calls[0], challenge.isMaintenance) }
+            : await this._callSubmitAnswer(challenge, answer);
+        return {
+            method: simulated ? 'eth_simulateV1' : 'eth_call',
+            ...prediction,
+            answer,
+            expectedAnswer,
+            answerMatches: expectedAnswer.toLowerCase() === answer.toLowerCase(),
+        };
+    }
+
+    /**
+     * Internal: simulate request + answer in one pinned block (needs eth_simulateV1)
+     */
+    async _simulateAttempt(maintenance, result) {
+        const iface = this.contract.interface;
+        const request = maintenance ? 'requestMaintenanceChallenge' : 'requestChallenge';
+        const latest = await this.provider.getBlock('latest');
+
+        // Pin the simulated block so the challenge solved after the first run
+        // is the one issued in the second
+        const issuedBlock = latest.number + 1;
+        const issuedTimestamp = latest.timestamp + 1;
+        const blockOverrides = {
+            number: ethers.toQuantity(issuedBlock),
+            time: ethers.toQuantity(issuedTimestamp),
+            prevRandao: latest.prevRandao || ethers.ZeroHash,
+        };
+
+        const empty = { answer: null, expectedAnswer: null, answerMatches: null };
+        const issued = await this._simulate([this._call(request)], blockOverrides);
+        if (!issued) {
+            return {
+                method: null, blockNumber: latest.number, outcome: null, error: null, ...empty,
+                reason: 'Node has no eth_simulateV1, so only an issued challenge can be simulated ' +
+                    '(request one, then: node cli.js resume --dry-run)',
+            };
+        }
+        const requested = await this._interpretCall(issued.calls[0], maintenance);
+        if (requested.outcome === 'reverted') {
+            return { method: 'eth_simulateV1', blockNumber: issued.blockNumber, ...requested, ...empty };
+        }
+
+        const [seed, challengeType, deadline] = iface.decodeFunctionResult(request, issued.calls[0].returnData);
+        const challenge = {
+            type: Number(challengeType),
+            seed,
+            deadline: Number(deadline),
+            issuedBlock,
+            issuedTimestamp,
+            isMaintenance: maintenance,
+        };
+        this._solve(challenge, result);
+
+        const answered = await this._simulate([
+            this._call(request),
+            this._call('computeExpectedAnswer', [challenge.type, seed, this.address]),
+            this._call('submitAnswer', [result.answer]),
+        ], blockOverrides);
+        const [reissuedSeed] = iface.decodeFunctionResult(request, answered.calls[0].returnData);
+        if (reissuedSeed !== seed) {
+            return {
+                method: 'eth_simulateV1', blockNumber: answered.blockNumber, outcome: null, error: null, ...empty,
+                reason: 'The node ignored the pinned block, so the simulated seed changed between runs',
+            };
+        }
+        const [expectedAnswer] = iface.decodeFunctionResult('computeExpectedAnswer', answered.calls[1].returnData);
+        return {
+            method: 'eth_simulateV1',
+            blockNumber: answered.blockNumber,
+            ...await this._interpretCall(answered.calls[2], maintenance),
+            answer: result.answer,
+            expectedAnswer,
+            answerMatches: expectedAnswer.toLowerCase() === result.answer.toLowerCase(),
+        };
+    }
+
+    /**
+     * Internal: run calls from this agent in one simulated block on top of latest
+     * @returns {Promise<object|null>} { blockNumber, calls }, or null if the node lacks eth_simulateV1
+     */
+    async _simulate(calls, blockOverrides) {
+        let blocks;
+        try {
+            blocks = await this.provider.send('eth_simulateV1', [{
+                blockStateCalls: [{ ...(blockOverrides ? { blockOverrides } : {}), calls }],
+                validation: false,
+            }, 'latest']);
+        } catch (e) {
+            if (isUnsupportedMethod(e)) return null;
+            throw e;
+        }
+        return { blockNumber: Number(blocks[0].number), calls: blocks[0].calls };
+    }
+
+    _call(method, args = []) {
+        return {
+            from: this.address,
+            to: this.contract.target,
+            data: this.contract.interface.encodeFunctionData(method, args),
+        };
+    }
+
+    /**
+     * Internal: outcome of one eth_simulateV1 call result
+     * @returns {Promise<object>} { outcome, reason, error }; outcome is null for a call without a verdict
+     */
+    async _interpretCall(call, maintenance) {
+        const iface = this.contract.interface;
+        if (Number(call.status) !== 1) {
+            const data = call.error && call.error.data;
+            const errorName = decodeRevertName({ data }, iface);
+            const error = errorName ? await this._typedError(errorName, maintenance) : null;
+            return {
+                outcome: 'reverted',
+                reason: errorName || (call.error && call.error.message) || 'Reverted',
+                error: error ? error.toJSON() : null,
+            };
+        }
+        for (const entry of call.logs || []) {
+            let parsed;
+            try { parsed = iface.parseLog(entry); } catch { continue; }
+            if (!parsed) continue;
+            if (parsed.name === 'ChallengePassed') return { outcome: 'passed', reason: null, error: null };
+            if (parsed.name === 'ChallengeFailed') return { outcome: 'failed', reason: parsed.args.reason, error: null };
+        }
+        return { outcome: null, reason: null, error: null };
+    }
+
+    /**
+     * Internal: eth_call fallback for simulateAnswer. Only the return value is
+     * available, so the failure reason is inferred from the deadline.
+     */
+    async _callSubmitAnswer(challenge, answer) {
+        const blockNumber = await this.provider.getBlockNumber() + 1;
+        try {
+            const passed = await this.contract.submitAnswer.staticCall(answer, { blockTag: 'pending' });
+            if (passed) return { blockNumber, outcome: 'passed', reason: null, error: null };
+            const reason = blockNumber > challenge.deadline ? 'Deadline expired' : 'Incorrect answer';
+            return { blockNumber, outcome: 'failed', reason, error: null };
+        } catch (e) {
+            const error = await this._decodeError(e, 'submitAnswer', { maintenance: challenge.isMaintenance, args: [answer] });
+            if (!error.errorName) throw error;
+            return { blockNumber, outcome: 'reverted', reason: error.errorName, error: error.toJSON() };
+        }
+    }
+
+    /**
+     * Internal: solve a challenge into `result` using the block state from when it was issued
+     */
+    _solve(challenge, result) {
+        const log = this.logger;
+        result.challenge = {
+            type: challenge.type,
+            seed: challenge.seed,
+            deadline: challenge.deadline,
+            issuedBlock: challenge.issuedBlock,
+            issuedTimestamp: challenge.issuedTimestamp,
+            isMaintenance: challenge.isMaintenance,
+        };
+
+        log.info('\n2️⃣ Solving challenge...');
+        const startTime = Date.now();
+        result.answer = solveChallenge(
+            challenge.type,
+            challenge.seed,
+            this.address,
+            { number: challenge.issuedBlock, timestamp: challenge.issuedTimestamp }
+        );
+        result.solveTimeMs = Date.now() - startTime;
+        log.info(`   Solved in ${result.solveTimeMs}ms`);
+    }
+
+    /**
+     * Internal: solve challenge and submit answer
+     * @param {object} challenge - From formatChallenge()
+     * @param {ChallengeResult} result - Partially filled result to complete
+     */
+    async _solveAndSubmit(challenge, result) {
+        const log = this.logger;
+        const { isMaintenance } = challenge;
+        this._solve(challenge, result);
+
+        // A wrong answer is recorded as a failed attempt (and costs 10 reputation
+        // on maintenance), and a late one fails with "Deadline expired", so check first
+        log.info('\n3️⃣ Simulating submission...');
+        try {
+            result.simulation = await this.simulateAnswer(challenge, result.answer);
+        } catch (e) {
+            log.warn(`   ⚠️ Simulation unavailable (${e.shortMessage || e.message}) - submitting anyway`);
+        }
+        const { simulation } = result;
+        if (simulation && simulation.outcome === 'reverted') {
+            result.outcome = 'reverted';
+            result.revertReason = simulation.reason;
+            result.error = simulation.error;
+            log.error(`\n❌ Would revert - ${simulation.error ? simulation.error.message : simulation.reason}`);
+            return result;
+        }
+        if (simulation && simulation.outcome === 'failed') {
+            const context = { agent: this.address, deadline: challenge.deadline, simulated: true };
+            const error = simulation.reason === 'Deadline expired'
+                ? new ChallengeExpiredError(context)
+                : new IncorrectAnswerError({ ...context, answer: simulation.answer, expectedAnswer: simulation.expectedAnswer });
+            result.outcome = 'aborted';
+            result.reason = `Simulation predicts "${simulation.reason}" - not submitted`;
+            result.error = error.toJSON();
+            log.error(`\n❌ ABORTED - ${result.reason}`);
+            return result;
+        }
+
+        // Submit
+        log.info('\n4️⃣ Submitting answer...');
+        let receipt;
+        try {
+            const { receipt: mined, ...submission } = await this._sendBefore(challenge.deadline, 'submitAnswer', {
+                maintenance: isMaintenance,
+                args: [result.answer],
+            });
+            receipt = mined;
+            result.submission = submission;
+        } catch (e) {
+            if (e.code !== 'CALL_EXCEPTION' && !e.errorName) throw e;
+            result.outcome = 'reverted';
+            result.revertReason = e.errorName || e.reason || e.shortMessage || e.message;
+            if (e.errorName) result.error = e.toJSON();
+            const failedReceipt = e.receipt || (e.cause && e.cause.receipt);
+            if (failedReceipt) result.submitTx = txSummary(failedReceipt);
+            log.error(`\n❌ REVERTED - ${e.errorName ? e.message : result.revertReason}`);
+            return result;
+        }
+        if (result.submission.aborted) {
+            // Never mined (or cancelled), so the contract saw no answer
+            result.outcome = 'aborted';
+            result.reason = `Not included before deadline block ${challenge.deadline}`;
+            log.error(`\n❌ ABORTED - ${result.reason}${result.submission.cancelled ? ' (cancelled)' : ''}`);
+            return result;
+        }
+        result.submitTx = txSummary(receipt);
+        result.blocksRemaining = challenge.deadline - receipt.blockNumber;
+
+        // Check result from the ChallengePassed/ChallengeFailed events (more reliable than view call)
+        for (const entry of receipt.logs) {
+            let parsed;
+            try { parsed = this.contract.interface.parseLog(entry); } catch { continue; }
+            if (!parsed) continue;
+            if (parsed.name === 'ChallengePassed') result.outcome = 'passed';
+            if (parsed.name === 'ChallengeFailed') {
+                result.outcome = 'failed';
+                result.reason = parsed.args.reason;
+            }
+        }
+        if (!result.outcome) result.outcome = 'failed';
+
+        result.credential = formatCredential(await this.contract.getCredential(this.address));
+        if (result.outcome === 'passed') {
+            log.info(`\n✅ ${isMaintenance ? 'RENEWED' : 'VERIFIED'}!`);
+            log.info(`   Reputation: ${result.credential.reputation}/100`);
+            log.info(`   Maintenance count: ${result.credential.maintenanceCount}`);
+            log.info(`   Expires: ${result.credential.expiresAt.toISOString()}`);
+            log.info(`   Blocks to spare: ${result.blocksRemaining}`);
+        } else {
+            log.error(`\n❌ FAILED - ${result.reason || 'Check logs'}`);
+        }
+
+        return result;
+    }
+
+    /**
+     * Internal: send a transaction and wait for it, turning contract reverts
+     * into typed errors (see errors.mjs)
+     * @param {string} method - Contract method
+     * @param {object} options - { maintenance, args }
+     */
+    async _send(method, { maintenance = false, args = [] } = {}) {
+        try {
+            const tx = await this.contract[method](...args);
+            return await tx.wait();
+        } catch (e) {
+            throw await this._decodeError(e, method, { maintenance, args });
+        }
+    }
+
+    /**
+     * Internal: like _send, but escalate fees until the transaction lands
+     * before `deadline`, or give up (see submission.mjs)
+     * @returns {Promise<object>} SubmissionManager report with `receipt`
+     */
+    async _sendBefore(deadline, method, { maintenance = false, args = [] } = {}) {
+        const manager = new SubmissionManager(this.provider, this.wallet, {
+            ...this.submissionOptions,
+            logger: this.logger,
+        });
+        try {
+            const tx = await this.contract[method].populateTransaction(...args);
+            return await manager.send(tx, { deadline });
+        } catch (e) {
+            throw await this._decodeError(e, method, { maintenance, args });
+        }
+    }
+
+    /**
+     * Internal: map a revert to its typed error, or return it unchanged
+     */
+    async _decodeError(err, method, { maintenance, args }) {
+        if (err.code !== 'CALL_EXCEPTION') return err;
+        const iface = this.contract.interface;
+
+        let errorName = decodeRevertName(err, iface);
+        if (!errorName && !err.receipt) {
+            // Some nodes drop the revert data from eth_estimateGas; replay as eth_call to recover it
+            try {
+                await this.contract[method].staticCall(...args);
+            } catch (replayed) {
+                errorName = decodeRevertName(replayed, iface);
+            }
+        }
+        if (!errorName) return err;
+        return await this._typedError(errorName, maintenance, err) || err;
+    }
+
+    /**
+     * Internal: typed error for a decoded Solidity error name, with context from chain state
+     * @returns {Promise<PoIError|null>}
+     */
+    async _typedError(errorName, maintenance, cause) {
+        let context;
+        try {
+            context = this._errorContext(errorName, maintenance, await this._readState());
+        } catch {
+            context = { agent: this.address };
+        }
+        return createPoIError(errorName, context, cause);
+    }
+
+    /**
+     * Internal: snapshot of the on-chain state the request functions check
+     * @returns {Promise<object>} { now, blockNumber, lastAttempt, issuedAt, expiresAt, valid, challenge, registered }
+     *   (times in seconds of chain time; `registered` only with { registry: true })
+     */
+    async _readState({ registry = false } = {}) {
+        const [block, lastAttempt, cred, challenge, registered] = await Promise.all([
+            this.provider.getBlock('latest'),
+            this.contract.lastAttempt(this.address),
+            this.contract.getCredential(this.address),
+            this.contract.getChallenge(this.address),
+            registry ? this._isRegistered() : null,
+        ]);
+        return {
+            now: Number(block.timestamp),
+            blockNumber: block.number,
+            lastAttempt: Number(lastAttempt),
+            issuedAt: Number(cred.issuedAt),
+            expiresAt: Number(cred.expiresAt),
+            valid: cred.valid,
+            challenge: formatChallenge(challenge),
+            registered,
+        };
+    }
+
+    /**
+     * Internal: whether the agent holds an identity in the contract's agent registry
+     */
+    async _isRegistered() {
+        if (!this.registry) {
+            this.registry = new ethers.Contract(await this.contract.agentRegistry(), REGISTRY_ABI, this.provider);
+        }
+        return (await this.registry.balanceOf(this.address)) > 0n;
+    }
+
+    /**
+     * Internal: on-chain facts explaining a revert (times in chain time)
+     */
+    _errorContext(errorName, maintenance, state) {
+        const { now, blockNumber, lastAttempt, expiresAt, challenge } = state;
+        const toDate = (seconds) => new Date(seconds * 1000);
+        const context = { agent: this.address, blockNumber, chainTime: toDate(now) };
+
+        switch (errorName) {
+            case 'CooldownNotElapsed': {
+                const cooldown = maintenance ? TIMING.MAINTENANCE_COOLDOWN : TIMING.COOLDOWN_PERIOD;
+                const retryAt = lastAttempt + cooldown;
+                return {
+                    ...context,
+                    lastAttempt: toDate(lastAttempt),
+                    cooldownSeconds: cooldown,
+                    retryAt: toDate(retryAt),
+                    secondsRemaining: retryAt - now,
+                };
+            }
+            case 'CredentialNotExpiringSoon': {
+                const windowOpens = expiresAt - TIMING.MAINTENANCE_WINDOW;
+                return {
+                    ...context,
+                    expiresAt: toDate(expiresAt),
+                    windowOpensAt: toDate(windowOpens),
+                    secondsRemaining: windowOpens - now,
+                };
+            }
+            case 'CredentialAlreadyDecayed':
+                return { ...context, expiresAt: toDate(expiresAt), decayedAt: toDate(expiresAt + TIMING.GRACE_PERIOD) };
+            case 'ChallengeAlreadyActive':
+            case 'ChallengeExpired':
+                return {
+                    ...context,
+                    deadline: challenge.deadline,
+                    blocksRemaining: Math.max(0, challenge.deadline - blockNumber),
+                    isMaintenance: challenge.isMaintenance,
+                };
+            default:
+                return context;
+        }
+    }
+
+    /**
+     * Check, without sending anything, whether requestChallenge() or
+     * requestMaintenanceChallenge() would go through
+     *
+     * Checks run in the contract's order, so `blocker` is the error the
+     * request would revert with.
+     * @param {object} [options] - { maintenance }
+     * @returns {Promise<object>} { action, agent, eligible, blockNumber, chainTime, checks, blocker, activeChallenge }
+     *   checks:  [{ name, errorName, ok, detail, clearsAt, clearsAtBlock }]
+     *   blocker: typed error (see errors.mjs) for the first failed check, or null
+     *   activeChallenge: challenge that resume() can still answer, or null
+     */
+    async checkEligibility({ maintenance = false } = {}) {
+        const state = await this._readState({ registry: true });
+        const { now, blockNumber, expiresAt, challenge } = state;
+        const toDate = (seconds) => new Date(seconds * 1000);
+        const checks = [];
+        const check = (name, errorName, ok, detail, clears = {}) => checks.push({
+            name,
+            errorName,
+            ok,
+            detail,
+            clearsAt: !ok && clears.at != null ? toDate(clears.at) : null,
+            clearsAtBlock: !ok && clears.block != null ? clears.block : null,
+        });
+
+        check('registered', 'NotRegisteredAgent', state.registered,
+            state.registered ? 'Registered in the agent registry' : 'Not registered in the agent registry');
+
+        if (maintenance) {
+            const hasCredential = state.valid && state.issuedAt !== 0;
+            check('credential', 'NoCredentialToMaintain', hasCredential,
+                hasCredential ? `Credential expires ${toDate(expiresAt).toISOString()}` : 'No valid credential');
+
+            if (hasCredential) {
+                const decaysAt = expiresAt + TIMING.GRACE_PERIOD;
+                check('not-decayed', 'CredentialAlreadyDecayed', now <= decaysAt,
+                    now <= decaysAt ? `Decays ${toDate(decaysAt).toISOString()}` : `Decayed ${toDate(decaysAt).toISOString()}`);
+
+                const windowOpens = expiresAt - TIMING.MAINTENANCE_WINDOW;
+                check('window', 'CredentialNotExpiringSoon', now >= windowOpens,
+                    now >= windowOpens ? `Maintenance window open since ${toDate(windowOpens).toISOString()}` : 'Maintenance window not open yet',
+                    { at: windowOpens });
+            }
+        }
+
+        const cooldownEnds = state.lastAttempt + (maintenance ? TIMING.MAINTENANCE_COOLDOWN : TIMING.COOLDOWN_PERIOD);
+        let cooldownDetail = `Last attempt ${toDate(state.lastAttempt).toISOString()}`;
+        if (state.lastAttempt === 0) cooldownDetail = 'No previous attempt';
+        else if (now >= cooldownEnds) cooldownDetail = `Cooldown ended ${toDate(cooldownEnds).toISOString()}`;
+        check('cooldown', 'CooldownNotElapsed', now >= cooldownEnds, cooldownDetail, { at: cooldownEnds });
+
+        const active = challenge.deadline > blockNumber && !challenge.completed;
+        check('no-active-challenge', 'ChallengeAlreadyActive', !active,
+            active ? `Challenge active (${challenge.deadline - blockNumber} blocks left)` : 'No active challenge',
+            { block: challenge.deadline });
+
+        const failed = checks.find(c => !c.ok);
+        return {
+            action: maintenance ? 'maintain' : 'verify',
+            agent: this.address,
+            eligible: !failed,
+            blockNumber,
+            chainTime: toDate(now),
+            checks,
+            blocker: failed ? createPoIError(failed.errorName, this._errorContext(failed.errorName, maintenance, state)) : null,
+            activeChallenge: active ? { ...challenge, blocksRemaining: challenge.deadline - blockNumber } : null,
+        };
+    }
+
+    /**
+     * Timestamp (seconds) of the last challenge request, used for cooldowns
+     */
+    async getLastAttempt() {
+        return Number(await this.contract.lastAttempt(this.address));
+    }
+
+    /**
+     * Check if maintenance is needed (within 2 days of expiry)
+     */
+    async needsMaintenance() {
+        const status = await this.getStatus();
+        if (!status.credential.valid) return false;
+        return status.daysUntilExpiry <= 2;
+    }
+
+    /**
+     * Auto-maintain: check if needed and do it
+     * @returns {Promise<ChallengeResult>} outcome 'skipped' when nothing was needed
+     */
+    async autoMaintain() {
+        const needs = await this.needsMaintenance();
+        if (needs) {
+            this.logger.warn('⚠️ Credential expiring soon - maintaining...');
+            return this.maintain();
+        }
+        this.logger.info('✅ Credential still valid - no maintenance needed');
+        const result = emptyResult('none', this.address);
+        result.outcome = 'skipped';
+        result.reason = 'Credential still valid';
+        return result;
+    }
+
+    /**
+     * Project expiry dates, maintenance windows and reputation (see forecast.mjs)
+     * @param {object} [options] - forecastCredential() options (renewBefore, checkInterval,
+     *   failureRate, penaltyRate, horizon) plus { address, history }; `history` is the
+     *   agent's indexed events, which supply the failure rates unless they are given
+     * @returns {Promise<object>} forecastCredential() result
+     */
+    async forecast({ address = this.address, history, ...options } = {}) {
+        const [block, status] = await Promise.all([this.provider.getBlock('latest'), this.getStatus(address)]);
+        const { credential } = status;
+        return forecastCredential({
+            agent: address,
+            now: Number(block.timestamp),
+            credential: {
+                valid: credential.valid,
+                issuedAt: credential.issuedAt.getTime() / 1000,
+                expiresAt: credential.expiresAt.getTime() / 1000,
+                reputation: credential.reputation,
+            },
+        }, { ...options, observed: history ? observedRates(history) : null, timing: TIMING });
+    }
+
+    /**
+     * Get global stats
+     */
+    async getStats() {
+        const [issued, passed, failed, renewals, decayed] = await this.contract.getStats();
+        return {
+            totalChallengesIssued: Number(issued),
+            totalPassed: Number(passed),
+            totalFailed: Number(failed),
+            totalMaintenanceRenewals: Number(renewals),
+            totalDecayed: Number(decayed),
+        };
+    }
+
+    /**
+     * Pass/fail rates per challenge type, initial vs maintenance (see challenge-stats.mjs)
+     *
+     * Without `events` the challenge logs are read in a single getLogs call;
+     * pass the indexer's events instead for long histories.
+     * @param {object} [options] - { address, events, fromBlock, toBlock }; `address` limits
+     *   the stats to one agent (default: every agent), `toBlock` defaults to the latest block
+     * @returns {Promise<object>} challengeTypeStats() result
+     */
+    async getStatsByType({ address = null, events, fromBlock = 0, toBlock } = {}) {
+        const head = toBlock ?? await this.provider.getBlockNumber();
+        if (!events) {
+            const iface = this.contract.interface;
+            const logs = await this.provider.getLogs({
+                address: this.contract.target,
+                topics: [
+                    CHALLENGE_EVENTS.map(name => iface.getEvent(name).topicHash),
+                    address ? ethers.zeroPadValue(address, 32) : null,
+                ],
+                fromBlock,
+                toBlock: head,
+            });
+            events = logs.map(log => {
+                const { name, args } = iface.parseLog(log);
+                const event = { event: name, agent: args.agent, blockNumber: log.blockNumber, logIndex: log.index };
+                if (name === 'ChallengeIssued') {
+                    Object.assign(event, { challengeType: Number(args.challengeType), deadline: Number(args.deadline), isMaintenance: args.isMaintenance });
+                } else if (name === 'ChallengeFailed') {
+                    event.reason = args.reason;
+                }
+                return event;
+            });
+        }
+        return challengeTypeStats(events, { agent: address, blockNumber: head });
+    }
+
+    /**
+     * Sign an EIP-712 attestation of the current credential (see attestation.mjs)
+     *
+     * Reads are pinned to one block so the snapshot is consistent; refuses
+     * unless the agent is a verified intelligent agent at that block.
+     * @returns {Promise<object>} { domain, types, primaryType, message, signature }
+     */
+    async createAttestation() {
+        if (!this.wallet) throw new Error('createAttestation needs a signer');
+        const [block, network] = await Promise.all([this.provider.getBlock('latest'), this.provider.getNetwork()]);
+        const overrides = { blockTag: block.number };
+        const [verified, cred] = await Promise.all([
+            this.contract.isVerifiedIntelligentAgent(this.address, overrides),
+            this.contract.getCredential(this.address, overrides),
+        ]);
+        if (!verified) throw new Error(`${this.address} is not a verified intelligent agent at block ${block.number}`);
+
+        return signAttestation(this.wallet, attestationDomain(network.chainId, this.contract.target), {
+            agent: this.address,
+            expiresAt: Number(cred.expiresAt),
+            reputation: Number(cred.reputation),
+            maintenanceCount: Number(cred.maintenanceCount),
+            blockNumber: block.number,
+            timestamp: Number(block.timestamp),
+        });
+    }
+}
+
+export {
+    PoIClient,
+    solveChallenge,
+    formatCredential,
+    formatChallenge,
+    emptyResult,
+    txSummary,
+    getNthPrime,
+    getFibonacci,
+    PoI_V2_ABI,
+    TIMING,
+};
@@ -0,0 +1,234 @@
+/**
+ * Proof of Intelligence V2 - Deadline-aware Transaction Submission
+ *
+ * A maintenance challenge gives 25 blocks. An answer stuck in the mempool
+ * past the deadline is wasted (and counts as a failure if it lands late), so
+ * instead of waiting on tx.wait() indefinitely the manager:
+ *
+ * - Watches the current block against the challenge deadline
+ * - At each checkpoint (blocks since the first broadcast) without inclusion,
+ *   re-sends the same nonce with EIP-1559 fees bumped by `bumpPercent`
+ * - Once the answer can no longer land by the deadline, stops and (optionally)
+ *   cancels the nonce with a 0-value self-transfer so a late answer can't land
+ *
+ * Options (config file `submission` section or PoIClient options.submission):
+ *   checkpoints     [2, 4, 6, 9, 12]  blocks after the first broadcast to replace at
+ *   bumpPercent     20                fee increase per replacement (min 10, the mempool minimum)
+ *   maxFeePerGasGwei                  cap on maxFeePerGas; replacements stop at the cap
+ *   abortMargin     0                 give up this many blocks before the last includable block
+ *   cancelOnAbort   true
+ *   pollIntervalMs  1000
+ */
+
+import { ethers } from 'ethers';
+import { silentLogger } from './logger.mjs';
+
+const DEFAULT_SUBMISSION = {
+    checkpoints: [2, 4, 6, 9, 12],
+    bumpPercent: 20,
+    maxFeePerGasGwei: null,
+    abortMargin: 0,
+    cancelOnAbort: true,
+    pollIntervalMs: 1000,
+};
+
+// Nodes reject replacements that raise fees by less than this
+const MIN_BUMP_PERCENT = 10;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function bump(value, percent) {
+    return value == null ? null : (value * BigInt(100 + percent) + 99n) / 100n;
+}
+
+function capped(fees, cap) {
+    if (cap == null) return fees;
+    const clamp = (v) => (v == null ? null : (v > cap ? cap : v));
+    return {
+        ...fees,
+        maxFeePerGas: clamp(fees.maxFeePerGas),
+        maxPriorityFeePerGas: clamp(fees.maxPriorityFeePerGas),
+        gasPrice: clamp(fees.gasPrice),
+    };
+}
+
+/**
+ * Sends a transaction that must be included by a given block
+ */
+class SubmissionManager {
+    /**
+     * @param {ethers.Provider} provider
+     * @param {ethers.Signer} signer - May be a NonceManager (replacements bypass it to reuse the nonce)
+     * @param {object} [options] - See header; plus { logger }
+     */
+    constructor(provider, signer, options = {}) {
+        this.provider = provider;
+        this.signer = signer;
+        this.options = { ...DEFAULT_SUBMISSION, ...options };
+        this.options.bumpPercent = Math.max(MIN_BUMP_PERCENT, this.options.bumpPercent);
+        this.maxFeeCap = this.options.maxFeePerGasGwei != null
+            ? ethers.parseUnits(String(this.options.maxFeePerGasGwei), 'gwei')
+            : null;
+        this.logger = options.logger || silentLogger;
+    }
+
+    async initialFees() {
+        const feeData = await this.provider.getFeeData();
+        const fees = feeData.maxFeePerGas != null
+            ? { maxFeePerGas: feeData.maxFeePerGas, maxPriorityFeePerGas: feeData.maxPriorityFeePerGas }
+            : { gasPrice: feeData.gasPrice };
+        return capped(fees, this.maxFeeCap);
+    }
+
+    bumpFees(fees) {
+        const { bumpPercent } = this.options;
+        const bumped = capped({
+            maxFeePerGas: bump(fees.maxFeePerGas, bumpPercent),
+            maxPriorityFeePerGas: bump(fees.maxPriorityFeePerGas, bumpPercent),
+            gasPrice: bump(fees.gasPrice, bumpPercent),
+        }, this.maxFeeCap);
+        return Object.fromEntries(Object.entries(bumped).filter(([, v]) => v != null));
+    }
+
+    async broadcast(tx, fees, nonce) {
+        const base = this.signer instanceof ethers.NonceManager ? this.signer.signer : this.signer;
+        // The first broadcast goes through the signer (a NonceManager assigns the nonce);
+        // replacements reuse it directly
+        return nonce == null
+            ? this.signer.sendTransaction({ ...tx, ...fees })
+            : base.sendTransaction({ ...tx, ...fees, nonce });
+    }
+
+    /**
+     * Send `tx` and get it included by block `deadline`
+     * @param {object} tx - Populated { to, data, gasLimit? }
+     * @param {object} options - { deadline }
+     * @returns {Promise<object>} { receipt, aborted, cancelled, attempts, replacements, sentAtBlock, blocksToSpare }
+     *   receipt is null when aborted; reverted receipts throw CALL_EXCEPTION
+     */
+    async send(tx, { deadline }) {
+        const log = this.logger;
+        const { checkpoints, abortMargin, pollIntervalMs } = this.options;
+        const lastSendable = deadline - 1 - abortMargin;
+
+        let blockNumber = await this.provider.getBlockNumber();
+        if (blockNumber > lastSendable) {
+            return this.report({ aborted: true, attempts: [], sentAtBlock: null, blockNumber, deadline });
+        }
+
+        const request = { to: tx.to, data: tx.data, value: tx.value || 0n };
+        request.gasLimit = tx.gasLimit || await this.signer.estimateGas(request);
+
+        let fees = await this.initialFees();
+        const first = await this.broadcast(request, fees);
+        const nonce = first.nonce;
+        const sentAtBlock = blockNumber;
+        const attempts = [{ hash: first.hash, block: blockNumber, ...fees }];
+        let nextCheckpoint = 0;
+
+        for (;;) {
+            const receipt = await this.findReceipt(attempts);
+            if (receipt) return this.finish(receipt, { attempts, sentAtBlock, deadline });
+
+            blockNumber = await this.provider.getBlockNumber();
+            if (blockNumber > lastSendable) {
+                log.warn(`   ⚠️ Not included by block ${blockNumber}, deadline ${deadline} - giving up`);
+                const cancelled = this.options.cancelOnAbort
+                    ? await this.cancel(nonce, fees, attempts)
+                    : false;
+                // The answer may still have won the race against the cancellation
+                const late = await this.findReceipt(attempts);
+                if (late) return this.finish(late, { attempts, sentAtBlock, deadline });
+                return this.report({ aborted: true, cancelled, attempts, sentAtBlock, blockNumber, deadline });
+            }
+
+            let reached = nextCheckpoint;
+            while (reached < checkpoints.length && blockNumber - sentAtBlock >= checkpoints[reached]) reached++;
+            if (reached > nextCheckpoint) {
+                // Several checkpoints passed between polls still mean a single replacement
+                nextCheckpoint = reached;
+                const next = this.bumpFees(fees);
+                if ((next.maxFeePerGas || next.gasPrice) <= (fees.maxFeePerGas || fees.gasPrice)) {
+                    log.warn('   ⚠️ Fee cap reached - not replacing');
+                } else {
+                    try {
+                        const replacement = await this.broadcast(request, next, nonce);
+                        fees = next;
+                        attempts.push({ hash: replacement.hash, block: blockNumber, ...fees });
+                        log.info(`   ⛽ Replaced at block ${blockNumber} (${deadline - blockNumber} blocks left), ` +
+                            `maxFee ${ethers.formatUnits(fees.maxFeePerGas || fees.gasPrice, 'gwei')} gwei`);
+                    } catch (e) {
+                        // Usually "nonce too low": an earlier attempt was just mined
+                        log.warn(`   ⚠️ Replacement not accepted: ${e.shortMessage || e.message}`);
+                    }
+                }
+            }
+
+            await sleep(pollIntervalMs);
+        }
+    }
+
+    async findReceipt(attempts) {
+        for (const attempt of attempts) {
+            const receipt = await this.provider.getTransactionReceipt(attempt.hash);
+            if (receipt) return receipt;
+        }
+        return null;
+    }
+
+    /**
+     * Replace the nonce with a 0-value self-transfer so a late answer can't land
+     */
+    async cancel(nonce, fees, attempts) {
+        const to = await this.signer.getAddress();
+        // Uncapped: the cancellation must outbid the last attempt to replace it
+        const next = Object.fromEntries(Object.entries({
+            maxFeePerGas: bump(fees.maxFeePerGas, this.options.bumpPercent),
+            maxPriorityFeePerGas: bump(fees.maxPriorityFeePerGas, this.options.bumpPercent),
+            gasPrice: bump(fees.gasPrice, this.options.bumpPercent),
+        }).filter(([, v]) => v != null));
+        try {
+            const response = await this.broadcast({ to, data: '0x', value: 0n, gasLimit: 21000n }, next, nonce);
+            attempts.push({ hash: response.hash, cancel: true, ...next });
+            this.logger.warn(`   🛑 Sent cancellation ${response.hash}`);
+            return true;
+        } catch (e) {
+            this.logger.warn(`   ⚠️ Cancellation not accepted: ${e.shortMessage || e.message}`);
+            return false;
+        }
+    }
+
+    finish(receipt, { attempts, sentAtBlock, deadline }) {
+        const mined = attempts.find(a => a.hash === receipt.hash);
+        if (mined && mined.cancel) {
+            return this.report({ aborted: true, cancelled: true, attempts, sentAtBlock, blockNumber: receipt.blockNumber, deadline });
+        }
+        if (receipt.status === 0) {
+            throw ethers.makeError('transaction execution reverted', 'CALL_EXCEPTION', {
+                action: 'sendTransaction', data: null, reason: null, invocation: null, revert: null,
+                transaction: { to: receipt.to, from: receipt.from, data: '' }, receipt,
+            });
+        }
+        return { ...this.report({ aborted: false, attempts, sentAtBlock, blockNumber: receipt.blockNumber, deadline }), receipt };
+    }
+
+    report({ aborted, cancelled = false, attempts, sentAtBlock, blockNumber, deadline }) {
+        return {
+            receipt: null,
+            aborted,
+            cancelled,
+            attempts: attempts.map(a => ({
+                hash: a.hash,
+                cancel: Boolean(a.cancel),
+                maxFeePerGas: a.maxFeePerGas != null ? a.maxFeePerGas.toString() : null,
+                maxPriorityFeePerGas: a.maxPriorityFeePerGas != null ? a.maxPriorityFeePerGas.toString() : null,
+                gasPrice: a.gasPrice != null ? a.gasPrice.toString() : null,
+            })),
+            replacements: attempts.filter(a => !a.cancel).length - 1,
+            sentAtBlock,
+            blocksToSpare: deadline - blockNumber,
+        };
+    }
+}
+
+export { SubmissionManager, DEFAULT_SUBMISSION };
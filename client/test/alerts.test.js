@@ -0,0 +1,314 @@
+/**
+ * Alerts: sinks against local servers, and AlertMonitor against anvil
+ *
+ * The sink suite needs no chain. The monitor suite walks one credential
+ * through expiry, grace, decay, a failed maintenance answer and revocation,
+ * and checks that each state change is delivered exactly once.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const { PoIClient } = require('../poi-client-v2.js');
+const { PoIIndexer } = require('../indexer.js');
+const { AlertMonitor, DEFAULT_RULES, resolveAlertConfig, sendAlert, credentialPhase, evaluateAlerts } = require('../alerts.js');
+const { unavailableReason, startAnvil, deployContracts, warp } = require('./anvil.js');
+
+const DAY = 24 * 60 * 60;
+const skip = unavailableReason() || false;
+
+const ALERT = {
+    id: 'grace:1700000000',
+    kind: 'grace',
+    level: 'critical',
+    agent: '0x70997970C51812dc3A010C7d01b50e0d17dc79C8',
+    message: 'Credential expired - in grace period',
+    at: new Date(1700000000 * 1000),
+    blockNumber: 42,
+    details: {},
+};
+
+/**
+ * HTTP server recording JSON bodies; answers with the queued status codes, then 200
+ */
+async function startWebhook() {
+    const hook = { received: [], statuses: [] };
+    hook.server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => {
+            hook.received.push(JSON.parse(body));
+            res.writeHead(hook.statuses.shift() || 200);
+            res.end();
+        });
+    });
+    await new Promise(resolve => hook.server.listen(0, '127.0.0.1', resolve));
+    hook.url = `http://127.0.0.1:${hook.server.address().port}/alerts`;
+    return hook;
+}
+
+/**
+ * Just enough SMTP to accept one message; records the client's lines
+ */
+async function startSmtp() {
+    const smtp = { lines: [] };
+    smtp.server = net.createServer((socket) => {
+        let buffer = '';
+        let data = false;
+        socket.write('220 test ESMTP\r\n');
+        socket.on('data', (chunk) => {
+            buffer += chunk;
+            let end;
+            while ((end = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, end);
+                buffer = buffer.slice(end + 2);
+                smtp.lines.push(line);
+                if (data) {
+                    if (line === '.') {
+                        data = false;
+                        socket.write('250 queued\r\n');
+                    }
+                } else if (line.startsWith('EHLO')) socket.write('250-test\r\n250 AUTH PLAIN\r\n');
+                else if (line.startsWith('AUTH')) socket.write('235 ok\r\n');
+                else if (line === 'DATA') {
+                    data = true;
+                    socket.write('354 go ahead\r\n');
+                } else if (line === 'QUIT') socket.end('221 bye\r\n');
+                else socket.write('250 ok\r\n');
+            }
+        });
+    });
+    await new Promise(resolve => smtp.server.listen(0, '127.0.0.1', resolve));
+    smtp.port = smtp.server.address().port;
+    return smtp;
+}
+
+describe('alert rules', () => {
+    const AGENT = ALERT.agent;
+    const EXPIRES = 1700000000;
+    const credential = (fields) => ({
+        issuedAt: new Date((EXPIRES - 7 * DAY) * 1000),
+        expiresAt: new Date(EXPIRES * 1000),
+        valid: true,
+        reputation: 50,
+        ...fields,
+    });
+    const event = (name, blockNumber, fields = {}) => ({ event: name, agent: AGENT, blockNumber, transactionHash: `0x${blockNumber}`, logIndex: 0, ...fields });
+
+    it('tells a revocation from a decay by the events, not the reputation', () => {
+        const revoked = credential({ valid: false, reputation: 0 });
+        const events = [event('CredentialDecayed', 1, { reason: 'Grace period expired' }), event('CredentialRevoked', 5, { reason: 'Compromised key' })];
+        assert.equal(credentialPhase(revoked, EXPIRES - DAY, events), 'revoked');
+        assert.equal(credentialPhase(revoked, EXPIRES + 2 * DAY, events), 'revoked');
+        assert.equal(credentialPhase(revoked, EXPIRES + 2 * DAY, events.slice(0, 1)), 'decayed');
+    });
+
+    it('without events, decides by the grace period', () => {
+        const cleared = credential({ valid: false, reputation: 0 });
+        assert.equal(credentialPhase(cleared, EXPIRES - DAY), 'revoked');
+        assert.equal(credentialPhase(cleared, EXPIRES + DAY + 1), 'decayed');
+        assert.equal(credentialPhase(credential(), EXPIRES + DAY + 1), 'decayed');
+        assert.equal(credentialPhase(credential(), EXPIRES + 1), 'grace');
+        assert.equal(credentialPhase(credential({ issuedAt: new Date(0) }), EXPIRES), 'none');
+    });
+
+    it('a revoked credential at reputation 0 raises revoked, not decayed', () => {
+        const result = evaluateAlerts({
+            agent: AGENT,
+            now: EXPIRES - DAY,
+            blockNumber: 10,
+            credential: credential({ valid: false, reputation: 0 }),
+            events: [event('CredentialRevoked', 9, { reason: 'Compromised key' })],
+            since: 5,
+            reputationHigh: 20,
+        });
+        assert.equal(result.phase, 'revoked');
+        assert.deepEqual(result.alerts.map(a => a.kind), ['revoked']);
+    });
+
+    it('a disabled alert does not suppress the reputation drop it would explain', () => {
+        const input = {
+            agent: AGENT,
+            now: EXPIRES - 3 * DAY,
+            blockNumber: 10,
+            credential: credential({ reputation: 40 }),
+            events: [event('ChallengeIssued', 8, { isMaintenance: true }), event('ChallengeFailed', 9, { reason: 'Incorrect answer' })],
+            since: 5,
+            reputationHigh: 50,
+        };
+        assert.deepEqual(evaluateAlerts(input).alerts.map(a => a.kind), ['failed']);
+        const rules = { ...DEFAULT_RULES, on: DEFAULT_RULES.on.filter(kind => kind !== 'failed') };
+        const { alerts, reputationHigh } = evaluateAlerts(input, rules);
+        assert.deepEqual(alerts.map(a => a.kind), ['reputation']);
+        assert.equal(reputationHigh, 40);
+    });
+});
+
+describe('alert sinks', () => {
+    let dir;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'poi-alerts-'));
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('resolveAlertConfig validates sinks and adds env sinks', () => {
+        const rules = resolveAlertConfig({ alerts: { expiringDays: [1, 3] } }, { POI_ALERT_WEBHOOK: 'http://hook' });
+        assert.deepEqual(rules.expiringDays, [3, 1]);
+        assert.deepEqual(rules.sinks, [{ type: 'webhook', url: 'http://hook' }]);
+        assert.throws(() => resolveAlertConfig({ alerts: { sinks: [{ type: 'pager' }] } }, {}), /Unknown alert sink "pager"/);
+        assert.throws(() => resolveAlertConfig({ alerts: { on: ['expired'] } }, {}), /Unknown alert "expired"/);
+    });
+
+    it('webhook, command and email sinks deliver the alert', async () => {
+        const hook = await startWebhook();
+        const smtp = await startSmtp();
+        const out = path.join(dir, 'command.json');
+        process.env.POI_TEST_SMTP_PASSWORD = 'secret';
+        const script = 'let s="";process.stdin.on("data",c=>s+=c).on("end",()=>' +
+            `require("fs").writeFileSync(${JSON.stringify(out)},JSON.stringify({stdin:JSON.parse(s),kind:process.env.POI_ALERT_KIND})))`;
+        try {
+            const deliveries = await sendAlert(ALERT, [
+                { type: 'webhook', url: hook.url },
+                { type: 'command', command: process.execPath, args: ['-e', script] },
+                { type: 'email', host: '127.0.0.1', port: smtp.port, from: 'PoI <poi@example.com>', to: 'ops@example.com', user: 'poi', passwordEnv: 'POI_TEST_SMTP_PASSWORD' },
+            ]);
+            assert.deepEqual(deliveries.map(d => d.ok), [true, true, true]);
+
+            assert.equal(hook.received[0].id, ALERT.id);
+            const command = JSON.parse(fs.readFileSync(out, 'utf8'));
+            assert.equal(command.kind, 'grace');
+            assert.equal(command.stdin.agent, ALERT.agent);
+            assert.ok(smtp.lines.includes(`AUTH PLAIN ${Buffer.from('\0poi\0secret').toString('base64')}`));
+            assert.ok(smtp.lines.includes('MAIL FROM:<poi@example.com>'));
+            assert.ok(smtp.lines.includes('RCPT TO:<ops@example.com>'));
+            assert.ok(smtp.lines.includes(`Subject: [PoI critical] grace: ${ALERT.agent}`));
+        } finally {
+            hook.server.close();
+            smtp.server.close();
+            delete process.env.POI_TEST_SMTP_PASSWORD;
+        }
+    });
+
+    it('a failing sink is reported without failing the others', async () => {
+        const deliveries = await sendAlert(ALERT, [
+            { type: 'command', command: process.execPath, args: ['-e', 'process.exit(3)'] },
+            { type: 'command', command: process.execPath, args: ['-e', ''] },
+        ]);
+        assert.equal(deliveries[0].ok, false);
+        assert.match(deliveries[0].error, /exited with 3/);
+        assert.equal(deliveries[1].ok, true);
+    });
+});
+
+describe('AlertMonitor', { skip }, () => {
+    let chain;
+    let client;
+    let poi;
+    let hook;
+    let monitor;
+    let dir;
+
+    const kinds = (result) => result.alerts.map(a => a.kind);
+
+    async function warpToExpiry(offset) {
+        const { credential } = await client.getStatus();
+        const now = (await chain.provider.getBlock('latest')).timestamp;
+        await warp(chain.provider, Math.floor(credential.expiresAt.getTime() / 1000) + offset - now);
+    }
+
+    before(async () => {
+        chain = await startAnvil();
+        const agent = new ethers.Wallet(chain.keys[1], chain.provider);
+        ({ poi } = await deployContracts(chain.provider, chain.keys[0], [agent.address]));
+        client = new PoIClient(chain.provider, agent, await poi.getAddress());
+        hook = await startWebhook();
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'poi-alerts-'));
+        monitor = new AlertMonitor(client, {
+            rules: resolveAlertConfig({ alerts: { sinks: [{ type: 'webhook', url: hook.url }] } }, {}),
+            indexer: await new PoIIndexer(chain.provider, client.contract.target, { dir: path.join(dir, 'index') }).open(),
+            statePath: path.join(dir, 'alerts.json'),
+        });
+    });
+
+    after(async () => {
+        if (hook) hook.server.close();
+        if (dir) fs.rmSync(dir, { recursive: true, force: true });
+        if (chain) await chain.stop();
+    });
+
+    it('a healthy credential raises nothing', async () => {
+        assert.equal((await client.proveIntelligence()).outcome, 'passed');
+        const result = await monitor.check();
+        assert.equal(result.phase, 'valid');
+        assert.deepEqual(result.alerts, []);
+    });
+
+    it('each expiry threshold fires once', async () => {
+        await warpToExpiry(-1.5 * DAY);
+        const first = await monitor.check();
+        assert.deepEqual(kinds(first), ['expiring']);
+        assert.equal(first.alerts[0].details.threshold, 2);
+        assert.deepEqual(kinds(await monitor.check()), []);
+
+        await warpToExpiry(-DAY / 2);
+        const second = await monitor.check();
+        assert.equal(second.alerts[0].details.threshold, 1);
+        assert.equal(hook.received.length, 2);
+    });
+
+    it('an undelivered grace alert is retried, then not repeated', async () => {
+        await warpToExpiry(3600);
+        hook.statuses.push(500);
+        const failed = await monitor.check();
+        assert.deepEqual(kinds(failed), []);
+        assert.equal(failed.pending, 1);
+
+        assert.deepEqual(kinds(await monitor.check()), ['grace']);
+        assert.deepEqual(kinds(await monitor.check()), []);
+    });
+
+    it('decay fires once, whether lazy or triggered', async () => {
+        await warpToExpiry(DAY + 60);
+        assert.deepEqual(kinds(await monitor.check()), ['decayed']);
+
+        await (await client.contract.triggerDecay(client.address)).wait();
+        const result = await monitor.check();
+        assert.equal(result.phase, 'decayed');
+        assert.deepEqual(kinds(result), []);
+    });
+
+    it('a failed maintenance answer fires without a separate reputation alert', async () => {
+        assert.equal((await client.proveIntelligence()).outcome, 'passed');
+        assert.deepEqual(kinds(await monitor.check()), []);
+
+        await warpToExpiry(-DAY);
+        const agentPoi = poi.connect(new ethers.Wallet(chain.keys[1], chain.provider));
+        await (await agentPoi.requestMaintenanceChallenge({ gasLimit: 500000 })).wait();
+        await (await agentPoi.submitAnswer(ethers.ZeroHash, { gasLimit: 500000 })).wait();
+
+        const result = await monitor.check();
+        assert.deepEqual(kinds(result).sort(), ['expiring', 'failed']);
+        assert.match(result.alerts.find(a => a.kind === 'failed').message, /Incorrect answer/);
+        assert.equal((await client.getStatus()).credential.reputation, 40);
+    });
+
+    it('CredentialRevoked fires a revoked alert', async () => {
+        // Not in the client ABI; the contract has no access control on it yet
+        const admin = new ethers.Contract(poi.target, ['function revokeCredential(address agent, string reason)'], poi.runner);
+        await (await admin.revokeCredential(client.address, 'Compromised key')).wait();
+        const result = await monitor.check();
+        assert.equal(result.phase, 'revoked');
+        assert.deepEqual(kinds(result), ['revoked']);
+        assert.equal(result.alerts[0].details.reason, 'Compromised key');
+        assert.deepEqual(kinds(await monitor.check()), []);
+    });
+});
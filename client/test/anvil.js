@@ -0,0 +1,140 @@
+/**
+ * Test harness: a throwaway anvil chain with the Foundry-built contracts
+ *
+ * Needs `anvil` on PATH (or ANVIL_BIN) and the artifacts from `forge build`
+ * in out/ (or POI_ARTIFACTS). Suites that need a chain are skipped with the
+ * reason from unavailableReason() when either is missing.
+ */
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { spawn, spawnSync } = require('child_process');
+const { ethers } = require('ethers');
+
+const ANVIL_BIN = process.env.ANVIL_BIN || 'anvil';
+const ARTIFACTS_DIR = process.env.POI_ARTIFACTS || path.join(__dirname, '..', '..', 'out');
+const ANVIL_MNEMONIC = 'test test test test test test test test test test test junk';
+const STARTUP_TIMEOUT_MS = 15000;
+
+function artifactPath(contractName) {
+    return path.join(ARTIFACTS_DIR, `${contractName}.sol`, `${contractName}.json`);
+}
+
+/**
+ * Why the chain suites can't run here, or null if they can
+ */
+function unavailableReason() {
+    const probe = spawnSync(ANVIL_BIN, ['--version'], { encoding: 'utf8' });
+    if (probe.error || probe.status !== 0) return `${ANVIL_BIN} not found (install Foundry or set ANVIL_BIN)`;
+    for (const name of ['MockAgentRegistry', 'ProofOfIntelligenceV2', 'ProofOfIntelligence']) {
+        if (!fs.existsSync(artifactPath(name))) return `No ${name} artifact in ${ARTIFACTS_DIR} (run forge build)`;
+    }
+    return null;
+}
+
+function loadArtifact(contractName) {
+    const artifact = JSON.parse(fs.readFileSync(artifactPath(contractName), 'utf8'));
+    const bytecode = typeof artifact.bytecode === 'string' ? artifact.bytecode : artifact.bytecode.object;
+    return { abi: artifact.abi, bytecode };
+}
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.unref();
+        server.on('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * Start anvil on a free port
+ * @returns {Promise<object>} { url, provider, keys, stop }
+ */
+async function startAnvil() {
+    const port = await freePort();
+    const child = spawn(ANVIL_BIN, ['--port', String(port), '--mnemonic', ANVIL_MNEMONIC, '--silent'], {
+        stdio: 'ignore',
+    });
+    let exited = null;
+    child.once('exit', (code) => { exited = code; });
+
+    const url = `http://127.0.0.1:${port}`;
+    const provider = new ethers.JsonRpcProvider(url, 31337, { staticNetwork: true, pollingInterval: 100, cacheTimeout: -1 });
+
+    const startedAt = Date.now();
+    for (;;) {
+        if (exited !== null) throw new Error(`anvil exited with code ${exited}`);
+        try {
+            await provider.send('eth_chainId', []);
+            break;
+        } catch {
+            if (Date.now() - startedAt > STARTUP_TIMEOUT_MS) {
+                child.kill();
+                throw new Error(`anvil did not answer on ${url}`);
+            }
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+    }
+
+    const keys = Array.from({ length: 10 }, (_, i) =>
+        ethers.HDNodeWallet.fromPhrase(ANVIL_MNEMONIC, undefined, `m/44'/60'/0'/0/${i}`).privateKey
+    );
+
+    const stop = async () => {
+        provider.destroy();
+        if (exited !== null) return;
+        await new Promise(resolve => {
+            child.once('exit', resolve);
+            child.kill();
+        });
+    };
+
+    return { url, provider, keys, stop };
+}
+
+/**
+ * Deploy MockAgentRegistry and ProofOfIntelligenceV2 (plus V1 on the same
+ * registry with { v1: true }), and register `agents`
+ * @returns {Promise<object>} { registry, poi, poiV1 } (ethers Contracts connected to the deployer)
+ */
+async function deployContracts(provider, deployerKey, agents = [], { v1 = false } = {}) {
+    const deployer = new ethers.NonceManager(new ethers.Wallet(deployerKey, provider));
+    const deploy = async (name, args) => {
+        const { abi, bytecode } = loadArtifact(name);
+        const contract = await new ethers.ContractFactory(abi, bytecode, deployer).deploy(...args);
+        await contract.waitForDeployment();
+        return contract;
+    };
+
+    const registry = await deploy('MockAgentRegistry', []);
+    const poi = await deploy('ProofOfIntelligenceV2', [await registry.getAddress()]);
+    const poiV1 = v1 ? await deploy('ProofOfIntelligence', [await registry.getAddress()]) : null;
+    for (const agent of agents) await (await registry.registerAgent(agent)).wait();
+    return { registry, poi, poiV1 };
+}
+
+/**
+ * Move chain time forward and mine a block
+ */
+async function warp(provider, seconds) {
+    await provider.send('evm_increaseTime', [ethers.toQuantity(seconds)]);
+    await provider.send('evm_mine', []);
+}
+
+async function mine(provider, blocks = 1) {
+    for (let i = 0; i < blocks; i++) await provider.send('evm_mine', []);
+}
+
+module.exports = {
+    unavailableReason,
+    startAnvil,
+    deployContracts,
+    loadArtifact,
+    warp,
+    mine,
+};
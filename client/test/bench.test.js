@@ -0,0 +1,82 @@
+/**
+ * Pipeline benchmark: percentile budgets, and inclusion timing on anvil
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { MIN_INCLUSION_BLOCKS, summarize, budgetAgainstWindows, waitForReceipt, runBench } = require('../bench.js');
+const { unavailableReason, startAnvil } = require('./anvil.js');
+
+const skip = unavailableReason() || false;
+
+describe('bench budgets', () => {
+    it('summarize uses nearest-rank percentiles', () => {
+        const stats = summarize(Array.from({ length: 100 }, (_, i) => 100 - i));
+        assert.equal(stats.p50, 50);
+        assert.equal(stats.p95, 95);
+        assert.equal(stats.p99, 99);
+        assert.equal(stats.max, 100);
+        assert.equal(stats.mean, 50.5);
+    });
+
+    it('the slowest challenge type and the inclusion blocks set the budget', () => {
+        const flat = (ms) => ({ p50: ms, p95: ms, p99: ms });
+        const [initial, maintenance] = budgetAgainstWindows({
+            solve: [flat(100), flat(1000)],
+            sign: flat(500),
+            broadcast: flat(500),
+            inclusionBlocks: flat(2),
+        }, { initial: 50, maintenance: 25 }, 2);
+
+        const p99 = maintenance.rows.find(r => r.percentile === 99);
+        assert.deepEqual(p99.usedBlocks, { solve: 0.5, sign: 0.25, broadcast: 0.25, inclusion: 2 });
+        assert.equal(p99.totalBlocks, 3);
+        assert.equal(p99.marginBlocks, 22);
+        assert.equal(p99.share.inclusion, 2 / 25);
+        assert.equal(initial.rows[0].marginBlocks, 47);
+    });
+
+    it('runBench without a node skips broadcast and inclusion', async () => {
+        const report = await runBench({ runs: 20, signRuns: 5, seed: 'bench-test' });
+        assert.deepEqual(report.stages.solve.map(t => t.type), [1, 2, 3, 4]);
+        assert.equal(report.stages.solve[0].count, 20);
+        assert.equal(report.stages.broadcast, null);
+        assert.deepEqual(report.budgets.map(b => [b.window, b.blocks, b.inclusionMeasured]), [['initial', 50, false], ['maintenance', 25, false]]);
+    });
+
+    it('skipped inclusion still costs the minimum block', () => {
+        const flat = (ms) => ({ p50: ms, p95: ms, p99: ms });
+        const [budget] = budgetAgainstWindows({ solve: [flat(100)], sign: flat(100), broadcast: null, inclusionBlocks: null }, { maintenance: 25 }, 2);
+        const p99 = budget.rows.find(r => r.percentile === 99);
+        assert.deepEqual(p99.usedBlocks, { solve: 0.05, sign: 0.05, broadcast: null, inclusion: MIN_INCLUSION_BLOCKS });
+        assert.equal(p99.totalBlocks, 1.1);
+        assert.equal(p99.marginBlocks, 23.9);
+    });
+
+    it('waitForReceipt gives up on a node that never mines', async () => {
+        let polls = 0;
+        const provider = { getTransactionReceipt: async () => { polls++; return null; } };
+        await assert.rejects(waitForReceipt(provider, '0xabc', 5, 50), /0xabc not mined within 0.05s/);
+        assert.ok(polls > 1);
+    });
+});
+
+describe('bench inclusion', { skip }, () => {
+    let chain;
+
+    before(async () => {
+        chain = await startAnvil();
+    });
+
+    after(async () => {
+        if (chain) await chain.stop();
+    });
+
+    it('times broadcast and inclusion on the local node', async () => {
+        const report = await runBench({ runs: 5, signRuns: 5, inclusionRuns: 5, provider: chain.provider });
+        assert.equal(report.stages.broadcast.count, 5);
+        assert.ok(report.stages.inclusion.p50 > 0);
+        assert.ok(report.stages.inclusionBlocks.min >= 1);
+        assert.ok(report.budgets[1].rows.every(r => r.marginBlocks < 25));
+    });
+});
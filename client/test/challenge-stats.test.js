@@ -0,0 +1,148 @@
+/**
+ * Per-type challenge stats: the issued/outcome join, and the client against anvil
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const { PoIClient } = require('../poi-client-v2.js');
+const { PoIIndexer } = require('../indexer.js');
+const { challengeTypeStats } = require('../challenge-stats.js');
+const { registry } = require('../challenge-types.js');
+const { unavailableReason, startAnvil, deployContracts, warp, mine } = require('./anvil.js');
+
+const DAY = 24 * 60 * 60;
+const skip = unavailableReason() || false;
+
+const A = '0x00000000000000000000000000000000000000aA';
+const B = '0x00000000000000000000000000000000000000bB';
+
+const issued = (agent, challengeType, deadline, isMaintenance = false) => ({ event: 'ChallengeIssued', agent, challengeType, deadline, isMaintenance });
+const passed = (agent) => ({ event: 'ChallengePassed', agent });
+const failed = (agent, reason) => ({ event: 'ChallengeFailed', agent, reason });
+
+describe('challengeTypeStats', () => {
+    const events = [
+        issued(A, 1, 10), passed(A),
+        issued(B, 1, 12), failed(B, 'Deadline expired'),
+        issued(A, 2, 100, true), failed(A, 'Incorrect answer'),
+        issued(B, 2, 110, true),
+        issued(B, 2, 140, true), passed(B),
+        issued(A, 1, 200),
+        { event: 'CredentialIssued', agent: A },
+    ];
+
+    it('joins each outcome with the agent\'s preceding challenge', () => {
+        const stats = challengeTypeStats(events, { blockNumber: 150 });
+        assert.deepEqual(stats.types.map(t => [t.type, t.initial.attempts, t.maintenance.attempts]), [[1, 3, 0], [2, 0, 3]]);
+
+        const [one, two] = stats.types;
+        assert.deepEqual(
+            { passed: one.initial.passed, failed: one.initial.failed, open: one.initial.open, reasons: one.initial.reasons },
+            { passed: 1, failed: 1, open: 1, reasons: { 'Incorrect answer': 0, 'Deadline expired': 1 } },
+        );
+        // Superseded by a new challenge: never answered
+        assert.deepEqual([two.maintenance.passed, two.maintenance.failed, two.maintenance.unanswered], [1, 1, 1]);
+        assert.equal(two.maintenance.reasons['Incorrect answer'], 1);
+    });
+
+    it('rates are of decided attempts, by type, kind and overall', () => {
+        const { types, totals } = challengeTypeStats(events, { blockNumber: 150 });
+        assert.equal(types[0].initial.rates.passed, 0.5);
+        assert.equal(types[0].initial.rates['Deadline expired'], 0.5);
+        assert.equal(types[0].maintenance.rates.passed, null);
+        assert.equal(types[1].total.rates.unanswered, 1 / 3);
+        assert.deepEqual([totals.initial.attempts, totals.maintenance.attempts, totals.total.attempts], [3, 3, 6]);
+        assert.equal(totals.total.passed, 2);
+        assert.equal(totals.total.rates.failed, 2 / 5);
+    });
+
+    it('an open challenge becomes unanswered once the head passes its deadline', () => {
+        const { totals } = challengeTypeStats(events, { blockNumber: 200 });
+        assert.equal(totals.initial.open, 0);
+        assert.equal(totals.initial.unanswered, 1);
+    });
+
+    it('filters by agent and skips outcomes issued before the events start', () => {
+        const stats = challengeTypeStats([failed(A, 'Incorrect answer'), ...events], { agent: A.toLowerCase() });
+        assert.equal(stats.agent, A.toLowerCase());
+        assert.deepEqual([stats.totals.total.attempts, stats.totals.total.passed, stats.totals.total.failed], [3, 1, 1]);
+        assert.deepEqual(stats.types.map(t => t.name), [registry.get(1).name, registry.get(2).name]);
+    });
+
+    it('counts nothing without challenges', () => {
+        const stats = challengeTypeStats([], {});
+        assert.deepEqual(stats.types, []);
+        assert.equal(stats.totals.total.attempts, 0);
+        assert.equal(stats.totals.total.rates.passed, null);
+    });
+});
+
+describe('PoIClient.getStatsByType', { skip }, () => {
+    let chain;
+    let poi;
+    let passer;
+    let reader;
+    let dir;
+
+    before(async () => {
+        chain = await startAnvil();
+        const wallets = [1, 2, 3].map(i => new ethers.Wallet(chain.keys[i], chain.provider));
+        ({ poi } = await deployContracts(chain.provider, chain.keys[0], wallets.map(w => w.address)));
+        const address = await poi.getAddress();
+        passer = new PoIClient(chain.provider, wallets[0], address);
+        reader = new PoIClient(chain.provider, null, address);
+
+        // passes the initial challenge, then fails a maintenance one
+        assert.equal((await passer.proveIntelligence()).outcome, 'passed');
+        await warp(chain.provider, 6 * DAY);
+        const passerPoi = poi.connect(wallets[0]);
+        await (await passerPoi.requestMaintenanceChallenge({ gasLimit: 500000 })).wait();
+        await (await passerPoi.submitAnswer(ethers.ZeroHash, { gasLimit: 500000 })).wait();
+
+        // answers after the 50-block deadline
+        const latePoi = poi.connect(wallets[1]);
+        await (await latePoi.requestChallenge({ gasLimit: 500000 })).wait();
+        await mine(chain.provider, 51);
+        await (await latePoi.submitAnswer(ethers.ZeroHash, { gasLimit: 500000 })).wait();
+
+        // still inside its window
+        await (await poi.connect(wallets[2]).requestChallenge({ gasLimit: 500000 })).wait();
+
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'poi-stats-'));
+    });
+
+    after(async () => {
+        if (dir) fs.rmSync(dir, { recursive: true, force: true });
+        if (chain) await chain.stop();
+    });
+
+    it('reads the challenge logs and splits them by kind and reason', async () => {
+        const { totals, types } = await reader.getStatsByType();
+        assert.deepEqual(
+            [totals.initial.attempts, totals.initial.passed, totals.initial.reasons['Deadline expired'], totals.initial.open],
+            [3, 1, 1, 1],
+        );
+        assert.deepEqual([totals.maintenance.attempts, totals.maintenance.reasons['Incorrect answer']], [1, 1]);
+        assert.equal(totals.initial.rates.passed, 0.5);
+        assert.equal(types.reduce((sum, t) => sum + t.total.attempts, 0), 4);
+
+        const global = await reader.getStats();
+        assert.equal(totals.total.passed, global.totalPassed);
+        assert.equal(totals.total.failed, global.totalFailed);
+    });
+
+    it('matches the stats from indexed events, for one agent too', async () => {
+        const indexer = await new PoIIndexer(chain.provider, poi.target, { dir }).open();
+        await indexer.sync();
+        const fromLogs = await reader.getStatsByType({ toBlock: indexer.lastBlock });
+        assert.deepEqual(await reader.getStatsByType({ events: indexer.events(), toBlock: indexer.lastBlock }), fromLogs);
+
+        const own = await reader.getStatsByType({ address: passer.address, events: indexer.events(passer.address), toBlock: indexer.lastBlock });
+        assert.deepEqual(own, await reader.getStatsByType({ address: passer.address, toBlock: indexer.lastBlock }));
+        assert.deepEqual([own.totals.initial.passed, own.totals.maintenance.failed, own.totals.total.attempts], [1, 1, 2]);
+    });
+});
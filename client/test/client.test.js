@@ -0,0 +1,179 @@
+/**
+ * End-to-end tests: PoIClient against ProofOfIntelligenceV2 on anvil
+ *
+ * Each step builds on the previous one's chain state (one chain per suite).
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { PoIClient } = require('../poi-client-v2.js');
+const { getProfile } = require('../challenge-types.js');
+const { CredentialNotExpiringSoonError, CredentialAlreadyDecayedError, NotRegisteredAgentError } = require('../errors.js');
+const { unavailableReason, startAnvil, deployContracts, warp } = require('./anvil.js');
+
+const DAY = 24 * 60 * 60;
+const skip = unavailableReason() || false;
+
+async function chainTime(provider) {
+    return (await provider.getBlock('latest')).timestamp;
+}
+
+/**
+ * Warp to `offset` seconds relative to the agent's expiresAt
+ */
+async function warpToExpiry(client, offset) {
+    const { credential } = await client.getStatus();
+    const target = Math.floor(credential.expiresAt.getTime() / 1000) + offset;
+    await warp(client.provider, target - await chainTime(client.provider));
+}
+
+describe('PoIClient lifecycle', { skip }, () => {
+    let chain;
+    let client;
+
+    before(async () => {
+        chain = await startAnvil();
+        const agent = new ethers.Wallet(chain.keys[1], chain.provider);
+        const { poi } = await deployContracts(chain.provider, chain.keys[0], [agent.address]);
+        client = new PoIClient(chain.provider, agent, await poi.getAddress());
+    });
+
+    after(async () => {
+        if (chain) await chain.stop();
+    });
+
+    it('proveIntelligence issues a credential', async () => {
+        const result = await client.proveIntelligence();
+        assert.equal(result.outcome, 'passed');
+        assert.equal(result.action, 'verify');
+        assert.ok(result.blocksRemaining > 0);
+        assert.equal(result.simulation.outcome, 'passed');
+        assert.equal(result.simulation.answerMatches, true);
+
+        const status = await client.getStatus();
+        assert.equal(status.hasValidPoI, true);
+        assert.equal(status.isVerified, true);
+        assert.equal(status.credential.reputation, 50);
+        assert.ok(status.daysUntilExpiry >= 6);
+    });
+
+    it('forecast projects renewals from the maintenance window', async () => {
+        const { credential } = await client.getStatus();
+        const forecast = await client.forecast();
+        assert.equal(forecast.phase, 'healthy');
+        assert.equal(forecast.cycles[0].attemptAt.getTime(), credential.expiresAt.getTime() - 2 * DAY * 1000);
+        assert.equal(forecast.renewalsToMax, 10);
+        assert.deepEqual(forecast.flags, []);
+
+        const late = await client.forecast({ renewBefore: 3600, checkInterval: 2 * 3600, failureRate: 0.1 });
+        assert.equal(late.cycles[0].graceRisk, 1);
+        assert.ok(late.flags.some(f => f.code === 'late-schedule'));
+        // Each renewal +5, minus 10 for the expected 0.1 / 0.9 incorrect answers before it
+        assert.equal(late.reputationPerCycle, 3.89);
+    });
+
+    it('maintain is refused before the maintenance window', async () => {
+        await assert.rejects(client.maintain(), CredentialNotExpiringSoonError);
+    });
+
+    it('autoMaintain skips a credential that is not expiring', async () => {
+        const result = await client.autoMaintain();
+        assert.equal(result.outcome, 'skipped');
+        assert.equal(result.action, 'none');
+    });
+
+    it('autoMaintain renews inside the window', async () => {
+        await warpToExpiry(client, -DAY);
+        assert.equal(await client.needsMaintenance(), true);
+
+        const result = await client.autoMaintain();
+        assert.equal(result.outcome, 'passed');
+        assert.equal(result.action, 'maintain');
+        assert.equal(result.credential.maintenanceCount, 1);
+        assert.equal(result.credential.reputation, 55);
+    });
+
+    it('maintain renews during the grace period', async () => {
+        await warpToExpiry(client, DAY / 2);
+        const before = await client.getStatus();
+        assert.equal(before.hasValidPoI, false);
+        assert.equal(before.inGracePeriod, true);
+        assert.equal(before.isVerified, false);
+
+        const result = await client.maintain();
+        assert.equal(result.outcome, 'passed');
+        assert.equal(result.credential.maintenanceCount, 2);
+
+        const after = await client.getStatus();
+        assert.equal(after.hasValidPoI, true);
+        assert.equal(after.inGracePeriod, false);
+    });
+
+    it('a credential decays after the grace period', async () => {
+        await warpToExpiry(client, DAY + 60);
+        await assert.rejects(client.maintain(), CredentialAlreadyDecayedError);
+
+        // The revert rolled the in-line decay back; anyone can trigger it
+        await (await client.contract.triggerDecay(client.address)).wait();
+        const status = await client.getStatus();
+        assert.equal(status.credential.valid, false);
+        assert.equal(status.credential.reputation, 0);
+        assert.equal(await client.needsMaintenance(), false);
+        assert.equal((await client.getStats()).totalDecayed, 1);
+    });
+
+    it('a decayed agent can verify again from scratch', async () => {
+        const result = await client.proveIntelligence();
+        assert.equal(result.outcome, 'passed');
+        assert.equal(result.credential.valid, true);
+        assert.equal(result.credential.maintenanceCount, 0);
+        assert.equal(result.credential.reputation, 50);
+    });
+});
+
+describe('PoIClient guards', { skip }, () => {
+    let chain;
+    let poiAddress;
+
+    before(async () => {
+        chain = await startAnvil();
+        const registered = new ethers.Wallet(chain.keys[1], chain.provider);
+        const { poi } = await deployContracts(chain.provider, chain.keys[0], [registered.address]);
+        poiAddress = await poi.getAddress();
+    });
+
+    after(async () => {
+        if (chain) await chain.stop();
+    });
+
+    const clientFor = (index) => new PoIClient(chain.provider, new ethers.Wallet(chain.keys[index], chain.provider), poiAddress);
+
+    it('an unregistered agent gets NotRegisteredAgentError', async () => {
+        await assert.rejects(clientFor(2).proveIntelligence(), NotRegisteredAgentError);
+    });
+
+    it('a wrong answer is caught by the simulation and never sent', async () => {
+        const client = clientFor(1);
+        const profile = getProfile('v2');
+        const solve = profile.solve;
+        profile.solve = () => ethers.ZeroHash;
+        let result;
+        try {
+            result = await client.proveIntelligence();
+        } finally {
+            profile.solve = solve;
+        }
+
+        assert.equal(result.outcome, 'aborted');
+        assert.equal(result.error.errorName, 'IncorrectAnswer');
+        assert.equal(result.simulation.answerMatches, false);
+        assert.equal(result.submitTx, null);
+        assert.equal((await client.getStats()).totalFailed, 0);
+
+        // The challenge is still open, so it can be answered correctly
+        const resumed = await client.resume();
+        assert.equal(resumed.resumed, true);
+        assert.equal(resumed.outcome, 'passed');
+    });
+});
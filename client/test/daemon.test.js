@@ -0,0 +1,88 @@
+/**
+ * Maintenance daemon: when planNextAttempt spends gas, by chain time
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { TIMING } = require('../poi-client-v2.js');
+const { planNextAttempt, REFRESH_INTERVAL } = require('../daemon.js');
+
+const HOUR = 60 * 60;
+const DAY = 24 * HOUR;
+const EXPIRES = 1700000000;
+const WINDOW_OPENS = EXPIRES - TIMING.MAINTENANCE_WINDOW;
+const GRACE_ENDS = EXPIRES + TIMING.GRACE_PERIOD;
+
+const plan = ({ now, lastAttempt = 0, valid = true, issuedAt = EXPIRES - TIMING.CREDENTIAL_VALIDITY_PERIOD }) =>
+    planNextAttempt({ valid, issuedAt, expiresAt: EXPIRES, lastAttempt, now });
+
+describe('planNextAttempt', () => {
+    const cases = [
+        {
+            name: 'days before the window: wait, re-reading hourly',
+            input: { now: WINDOW_OPENS - DAY },
+            expected: { phase: 'healthy', action: 'wait', at: WINDOW_OPENS - DAY + REFRESH_INTERVAL, reason: 'Waiting for maintenance window' },
+        },
+        {
+            name: 'just before the window: wake when it opens',
+            input: { now: WINDOW_OPENS - 600 },
+            expected: { phase: 'healthy', action: 'wait', at: WINDOW_OPENS, reason: 'Waiting for maintenance window' },
+        },
+        {
+            name: 'the window opening block: maintain',
+            input: { now: WINDOW_OPENS },
+            expected: { phase: 'window', action: 'maintain', at: WINDOW_OPENS, reason: 'Maintenance window open' },
+        },
+        {
+            name: 'inside the window, last attempt long ago: maintain',
+            input: { now: EXPIRES - DAY, lastAttempt: EXPIRES - DAY - 2 * HOUR },
+            expected: { phase: 'window', action: 'maintain', at: EXPIRES - DAY - 2 * HOUR + TIMING.MAINTENANCE_COOLDOWN, reason: 'Maintenance window open' },
+        },
+        {
+            name: 'at expiry: still the window',
+            input: { now: EXPIRES },
+            expected: { phase: 'window', action: 'maintain', at: WINDOW_OPENS, reason: 'Maintenance window open' },
+        },
+        {
+            name: 'inside the window, attempted 10 minutes ago: back off until the cooldown ends',
+            input: { now: EXPIRES - DAY, lastAttempt: EXPIRES - DAY - 600 },
+            expected: { phase: 'window', action: 'wait', at: EXPIRES - DAY - 600 + TIMING.MAINTENANCE_COOLDOWN, reason: 'Waiting for maintenance cooldown' },
+        },
+        {
+            name: 'in the grace period: maintain urgently',
+            input: { now: EXPIRES + HOUR },
+            expected: { phase: 'grace', action: 'maintain', at: WINDOW_OPENS, reason: 'In grace period - maintaining urgently' },
+        },
+        {
+            name: 'in the grace period, backing off: never sleep past decay',
+            input: { now: GRACE_ENDS - 300, lastAttempt: GRACE_ENDS - 360 },
+            expected: { phase: 'grace', action: 'wait', at: GRACE_ENDS, reason: 'Waiting for maintenance cooldown' },
+        },
+        {
+            name: 'the last block of grace: maintain',
+            input: { now: GRACE_ENDS },
+            expected: { phase: 'grace', action: 'maintain', at: WINDOW_OPENS, reason: 'In grace period - maintaining urgently' },
+        },
+        {
+            name: 'past grace, not yet decayed on-chain: idle, re-verify',
+            input: { now: GRACE_ENDS + 1 },
+            expected: { phase: 'decayed', action: 'idle', at: GRACE_ENDS + 1 + REFRESH_INTERVAL, reason: 'Credential decayed - run: node cli.js verify' },
+        },
+        {
+            name: 'decayed on-chain: idle, re-verify',
+            input: { now: EXPIRES - DAY, valid: false },
+            expected: { phase: 'no-credential', action: 'idle', at: EXPIRES - DAY + REFRESH_INTERVAL, reason: 'No credential - run: node cli.js verify' },
+        },
+        {
+            name: 'never verified: idle',
+            input: { now: EXPIRES, issuedAt: 0 },
+            expected: { phase: 'no-credential', action: 'idle', at: EXPIRES + REFRESH_INTERVAL, reason: 'No credential - run: node cli.js verify' },
+        },
+    ];
+
+    for (const { name, input, expected } of cases) {
+        it(name, () => {
+            assert.deepEqual(plan(input), expected);
+        });
+    }
+});
@@ -0,0 +1,147 @@
+/**
+ * Fleet: status, verify and maintain over a manifest, against a stand-in provider
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const { PoIClient, PoI_V2_ABI } = require('../poi-client-v2.js');
+const { fleetStatus, runFleet } = require('../fleet.js');
+
+const CONTRACT = ethers.getAddress('0x' + 'cc'.repeat(20));
+const NOW = 1700000000;
+const DAY = 24 * 60 * 60;
+
+// On-chain view of each agent
+const STATES = {
+    healthy: { hasValidPoI: true, inGrace: false, days: 5, valid: true, issuedAt: NOW - 2 * DAY, reputation: 60, maintenanceCount: 2 },
+    expiring: { hasValidPoI: true, inGrace: false, days: 1, valid: true, issuedAt: NOW - 6 * DAY, reputation: 55, maintenanceCount: 1 },
+    grace: { hasValidPoI: false, inGrace: true, days: 0, valid: true, issuedAt: NOW - 7 * DAY - 3600, reputation: 50, maintenanceCount: 0 },
+    unverified: { hasValidPoI: false, inGrace: false, days: 0, valid: false, issuedAt: 0, reputation: 0, maintenanceCount: 0 },
+};
+
+/**
+ * Provider answering the credential views from `byAddress`; unknown agents revert
+ */
+function standInProvider(byAddress) {
+    const iface = new ethers.Interface(PoI_V2_ABI);
+    return {
+        call: async ({ data }) => {
+            const { name, fragment, args } = iface.parseTransaction({ data });
+            const s = byAddress.get(args[0]);
+            if (!s) throw new Error('execution reverted');
+            const value = {
+                hasValidPoI: s.hasValidPoI,
+                isInGracePeriod: s.inGrace,
+                isVerifiedIntelligentAgent: s.hasValidPoI,
+                daysUntilExpiry: s.days,
+                getCredential: {
+                    issuedAt: s.issuedAt,
+                    expiresAt: s.issuedAt ? s.issuedAt + 7 * DAY : 0,
+                    challengeType: 1,
+                    blockSolved: 1,
+                    valid: s.valid,
+                    maintenanceCount: s.maintenanceCount,
+                    lastMaintained: 0,
+                    reputation: s.reputation,
+                },
+            }[name];
+            return iface.encodeFunctionResult(fragment, [value]);
+        },
+    };
+}
+
+describe('fleet', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'poi-fleet-'));
+    const byAddress = new Map();
+    const agents = {};
+    const provider = standInProvider(byAddress);
+
+    before(() => {
+        Object.keys(STATES).forEach((name, i) => {
+            const wallet = new ethers.Wallet('0x' + String(i + 1).padStart(2, '0').repeat(32));
+            const walletPath = path.join(dir, `${name}.json`);
+            fs.writeFileSync(walletPath, JSON.stringify({ privateKey: wallet.privateKey }));
+            byAddress.set(wallet.address, STATES[name]);
+            agents[name] = { name, address: wallet.address, signer: { type: 'wallet-file', path: walletPath } };
+        });
+    });
+
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    /**
+     * Replace the chain-writing flows with stand-ins that record who ran them
+     */
+    function standInFlows(t, outcome = 'passed') {
+        const ran = [];
+        for (const method of ['proveIntelligence', 'maintain']) {
+            t.mock.method(PoIClient.prototype, method, async function () {
+                ran.push([method, this.address]);
+                return { outcome, reason: outcome === 'passed' ? null : 'Simulation predicts "IncorrectAnswer"' };
+            });
+        }
+        return ran;
+    }
+
+    it('status reads each agent by address or by its signer, and reports failed reads', async () => {
+        const stranger = { name: 'stranger', address: ethers.getAddress('0x' + 'ee'.repeat(20)), signer: null };
+        const bySigner = { ...agents.healthy, name: 'by-signer', address: null };
+        const rows = await fleetStatus(provider, CONTRACT, [agents.healthy, agents.grace, agents.unverified, bySigner, stranger]);
+
+        assert.deepEqual(rows.map(r => [r.name, r.hasValidPoI, r.inGracePeriod, r.daysUntilExpiry, r.reputation]), [
+            ['healthy', true, false, 5, 60],
+            ['grace', false, true, 0, 50],
+            ['unverified', false, false, 0, 0],
+            ['by-signer', true, false, 5, 60],
+            ['stranger', undefined, undefined, undefined, undefined],
+        ]);
+        assert.equal(rows[0].expiresAt.getTime(), (STATES.healthy.issuedAt + 7 * DAY) * 1000);
+        assert.equal(rows[2].expiresAt, null);
+        assert.equal(rows[3].address, agents.healthy.address);
+        assert.match(rows[4].error, /execution reverted/);
+    });
+
+    it('verify proves only agents without a credential, and leaves the grace period to maintain', async (t) => {
+        const ran = standInFlows(t);
+        const results = await runFleet(provider, CONTRACT, [agents.healthy, agents.grace, agents.unverified], 'verify');
+
+        assert.deepEqual(results.map(r => [r.name, r.outcome, r.detail]), [
+            ['healthy', 'skipped', 'Already verified'],
+            ['grace', 'skipped', 'In grace period - run fleet maintain'],
+            ['unverified', 'passed', undefined],
+        ]);
+        assert.deepEqual(ran, [['proveIntelligence', agents.unverified.address]]);
+    });
+
+    it('maintain renews credentials expiring soon or in grace', async (t) => {
+        const ran = standInFlows(t);
+        const results = await runFleet(provider, CONTRACT, [agents.healthy, agents.expiring, agents.grace, agents.unverified], 'maintain');
+
+        assert.deepEqual(results.map(r => [r.name, r.outcome]), [
+            ['healthy', 'skipped'],
+            ['expiring', 'passed'],
+            ['grace', 'passed'],
+            ['unverified', 'skipped'],
+        ]);
+        assert.deepEqual(ran.map(([method, address]) => [method, address]), [
+            ['maintain', agents.expiring.address],
+            ['maintain', agents.grace.address],
+        ]);
+    });
+
+    it('reports flow outcomes and per-agent errors without stopping the run', async (t) => {
+        standInFlows(t, 'failed');
+        const impostor = { ...agents.expiring, name: 'impostor', address: agents.healthy.address };
+        const unsigned = { name: 'unsigned', address: agents.expiring.address, signer: null };
+        const results = await runFleet(provider, CONTRACT, [agents.expiring, impostor, unsigned], 'maintain', { concurrency: 1 });
+
+        assert.deepEqual(results.map(r => [r.name, r.outcome]), [['expiring', 'failed'], ['impostor', 'error'], ['unsigned', 'error']]);
+        assert.match(results[0].detail, /IncorrectAnswer/);
+        assert.match(results[1].detail, /manifest says/);
+        assert.equal(results[2].detail, 'No signer configured for unsigned');
+        await assert.rejects(runFleet(provider, CONTRACT, [], 'decay'), /Unknown fleet action: decay/);
+    });
+});
@@ -0,0 +1,125 @@
+/**
+ * Forecast: start phases, schedule flags, observed rates and option checks (no chain)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { TIMING } = require('../poi-client-v2.js');
+const { REPUTATION, observedRates, forecastCredential } = require('../forecast.js');
+
+const HOUR = 60 * 60;
+const DAY = 24 * HOUR;
+const NOW = 1700000000;
+
+/**
+ * Forecast a credential issued `age` seconds ago (7-day validity)
+ */
+function forecast({ age = 0, valid = true, issued = true, reputation = 60 } = {}, options = {}) {
+    const issuedAt = issued ? NOW - age : 0;
+    return forecastCredential({
+        agent: '0xagent',
+        now: NOW,
+        credential: { valid, issuedAt, expiresAt: issued ? issuedAt + TIMING.CREDENTIAL_VALIDITY_PERIOD : 0, reputation },
+    }, { timing: TIMING, ...options });
+}
+
+const codes = (result) => result.flags.map(f => f.code);
+
+describe('forecastCredential start phase', () => {
+    it('in the grace period: flags it and attempts right away', () => {
+        const result = forecast({ age: 7 * DAY + HOUR });
+        assert.equal(result.phase, 'grace');
+        assert.ok(codes(result).includes('in-grace'));
+        assert.equal(result.flags.find(f => f.code === 'in-grace').level, 'danger');
+        assert.equal(result.start.reputation, 60);
+        assert.equal(result.cycles[0].attemptAt.getTime(), NOW * 1000);
+    });
+
+    it('decayed, lazily or on-chain: projects from a fresh verification now', () => {
+        for (const credential of [{ age: 8 * DAY + HOUR }, { age: DAY, valid: false }]) {
+            const result = forecast(credential);
+            assert.equal(result.phase, 'decayed');
+            assert.deepEqual(result.start, { expiresAt: new Date((NOW + TIMING.CREDENTIAL_VALIDITY_PERIOD) * 1000), reputation: REPUTATION.initial });
+            assert.deepEqual(result.flags[0], { level: 'info', code: 'decayed', message: result.flags[0].message });
+        }
+        assert.equal(forecast({ issued: false }).phase, 'no-credential');
+    });
+
+    it('healthy, then inside the maintenance window', () => {
+        assert.equal(forecast({ age: DAY }).phase, 'healthy');
+        assert.equal(forecast({ age: 6 * DAY }).phase, 'window');
+        assert.deepEqual(codes(forecast({ age: DAY })), []);
+    });
+});
+
+describe('forecastCredential schedule flags', () => {
+    it('late-schedule when the check interval outlasts renewBefore', () => {
+        const result = forecast({ age: DAY }, { renewBefore: 2 * HOUR, checkInterval: 6 * HOUR });
+        assert.ok(codes(result).includes('late-schedule'));
+        assert.equal(result.cycles[0].attemptsBeforeExpiry, 0);
+        assert.equal(result.cycles[0].graceRisk, 1);
+    });
+
+    it('single-attempt when only one run fits before expiry', () => {
+        const result = forecast({ age: DAY }, { renewBefore: 6 * HOUR, checkInterval: 5 * HOUR });
+        assert.ok(codes(result).includes('single-attempt'));
+        assert.ok(!codes(result).includes('late-schedule'));
+        assert.equal(result.cycles[0].attemptsBeforeExpiry, 1);
+    });
+
+    it('the daemon cadence fits many attempts and raises nothing', () => {
+        const result = forecast({ age: DAY }, { failureRate: 0.1 });
+        assert.deepEqual(codes(result), []);
+        assert.equal(result.cycles[0].attemptsBeforeExpiry, TIMING.MAINTENANCE_WINDOW / TIMING.MAINTENANCE_COOLDOWN + 1);
+    });
+});
+
+describe('observedRates', () => {
+    const issued = (isMaintenance) => ({ event: 'ChallengeIssued', isMaintenance });
+
+    it('counts maintenance attempts only, unanswered ones as failures', () => {
+        const rates = observedRates([
+            issued(false), { event: 'ChallengePassed', isMaintenance: false },
+            issued(false), { event: 'ChallengeFailed', reason: 'Incorrect answer' },
+            issued(true), { event: 'ChallengePassed', isMaintenance: true },
+            issued(true), { event: 'ChallengeFailed', reason: 'Incorrect answer' },
+            issued(true), { event: 'ChallengeFailed', reason: 'Deadline expired' },
+            issued(true),
+        ]);
+        assert.deepEqual(rates, { attempts: 4, passed: 1, incorrect: 1, late: 1, failureRate: 0.75, penaltyRate: 0.25 });
+        assert.equal(observedRates([issued(false)]).failureRate, null);
+    });
+
+    it('an all-failure history is clamped below 1 so it still projects', () => {
+        const observed = observedRates([
+            issued(true), { event: 'ChallengeFailed', reason: 'Incorrect answer' },
+            issued(true), { event: 'ChallengeFailed', reason: 'Incorrect answer' },
+        ]);
+        assert.equal(observed.failureRate, 1);
+        const result = forecast({ age: DAY }, { observed });
+        assert.equal(result.assumptions.failureRate, 0.99);
+        assert.equal(result.assumptions.penaltyRate, 0.99);
+        assert.ok(codes(result).includes('reputation-stalls'));
+    });
+
+    it('explicit rates win over observed ones', () => {
+        const observed = { attempts: 10, passed: 5, incorrect: 5, late: 0, failureRate: 0.5, penaltyRate: 0.5 };
+        const { assumptions } = forecast({ age: DAY }, { observed, failureRate: 0.2 });
+        assert.deepEqual([assumptions.failureRate, assumptions.penaltyRate], [0.2, 0.2]);
+    });
+});
+
+describe('forecastCredential options', () => {
+    it('renewBefore must be inside the maintenance window', () => {
+        assert.throws(() => forecast({}, { renewBefore: 0 }), /renewBefore must be within the 48h maintenance window/);
+        assert.throws(() => forecast({}, { renewBefore: TIMING.MAINTENANCE_WINDOW + 1 }), /renewBefore/);
+        assert.doesNotThrow(() => forecast({}, { renewBefore: TIMING.MAINTENANCE_WINDOW }));
+    });
+
+    it('failureRate must be in [0, 1) and penaltyRate at most failureRate', () => {
+        assert.throws(() => forecast({}, { failureRate: 1 }), /failureRate must be at least 0 and below 1/);
+        assert.throws(() => forecast({}, { failureRate: -0.1 }), /failureRate/);
+        assert.throws(() => forecast({}, { failureRate: NaN }), /failureRate/);
+        assert.throws(() => forecast({}, { failureRate: 0.1, penaltyRate: 0.2 }), /penaltyRate must be between 0 and failureRate/);
+    });
+});
@@ -0,0 +1,120 @@
+/**
+ * Event indexer: incremental sync and the reorg rewind, against a stand-in chain
+ */
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const { PoI_V2_ABI } = require('../poi-client-v2.js');
+const { PoIIndexer } = require('../indexer.js');
+
+const CONTRACT = ethers.getAddress('0x' + 'cc'.repeat(20));
+const AGENT = ethers.getAddress('0x' + 'aa'.repeat(20));
+
+/**
+ * Stand-in chain whose blocks can be replaced from any height. Each block may
+ * hold one ChallengeFailed, its reason naming the fork and block ("a:6").
+ */
+function standInChain() {
+    const iface = new ethers.Interface(PoI_V2_ABI);
+    const blocks = [];
+    let fork = 'a';
+
+    const chain = {
+        /** Mine up to `head`, with an event in each of `withEvents` */
+        mine(head, withEvents = []) {
+            while (blocks.length <= head) {
+                const number = blocks.length;
+                blocks.push({ number, hash: ethers.id(`${fork}:${number}`), timestamp: 1000 + number * 12, event: withEvents.includes(number) ? `${fork}:${number}` : null });
+            }
+        },
+        /** Replace every block from `number` on with a new fork */
+        reorg(number, name) {
+            blocks.length = number;
+            fork = name;
+        },
+        provider: {
+            getBlockNumber: async () => blocks.length - 1,
+            getBlock: async (n) => blocks[n] || null,
+            getLogs: async ({ fromBlock, toBlock }) => blocks.slice(fromBlock, toBlock + 1).filter(b => b.event).map(b => ({
+                ...iface.encodeEventLog('ChallengeFailed', [AGENT, b.event]),
+                address: CONTRACT,
+                blockNumber: b.number,
+                blockHash: b.hash,
+                transactionHash: ethers.id(`tx:${b.event}`),
+                index: 0,
+            })),
+        },
+    };
+    return chain;
+}
+
+describe('PoIIndexer', () => {
+    const dirs = [];
+    const indexer = (chain) => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'poi-indexer-'));
+        dirs.push(dir);
+        return new PoIIndexer(chain.provider, CONTRACT, { dir, chunkSize: 5 }).open();
+    };
+    const reasons = (idx) => idx.events().map(e => e.reason);
+
+    after(() => dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+    it('syncs in chunks, checkpointing the end of each, then only new blocks', async () => {
+        const chain = standInChain();
+        chain.mine(12, [2, 6, 11]);
+        const idx = await indexer(chain);
+        assert.deepEqual(await idx.sync(), { from: 0, to: 12, added: 3, dropped: 0 });
+        assert.deepEqual(idx.store.meta.checkpoints.map(c => c.number), [4, 9, 12]);
+        assert.deepEqual(idx.events().map(e => [e.reason, e.blockNumber, e.timestamp]), [['a:2', 2, 1024], ['a:6', 6, 1072], ['a:11', 11, 1132]]);
+
+        chain.mine(14, [13]);
+        assert.deepEqual(await idx.sync(), { from: 13, to: 14, added: 1, dropped: 0 });
+        assert.deepEqual(reasons(idx), ['a:2', 'a:6', 'a:11', 'a:13']);
+    });
+
+    it('drops events after the newest surviving checkpoint and re-syncs the new fork', async () => {
+        const chain = standInChain();
+        chain.mine(12, [2, 6, 11]);
+        const idx = await indexer(chain);
+        await idx.sync();
+
+        // Blocks 8 on are replaced: checkpoints 12 and 9 no longer match, 4 does
+        chain.reorg(8, 'b');
+        chain.mine(14, [8, 10, 13]);
+        assert.deepEqual(await idx.sync(), { from: 5, to: 14, added: 4, dropped: 2 });
+        assert.deepEqual(reasons(idx), ['a:2', 'a:6', 'b:8', 'b:10', 'b:13']);
+        assert.deepEqual(idx.store.meta.checkpoints.map(c => c.number), [4, 9, 14]);
+        assert.equal(idx.store.meta.checkpoints[1].hash, ethers.id('b:9'));
+
+        // The rewind is on disk too
+        assert.deepEqual(reasons(await new PoIIndexer(chain.provider, CONTRACT, { dir: idx.dir }).open()), reasons(idx));
+    });
+
+    it('a reorg past every checkpoint re-indexes from the deploy block', async () => {
+        const chain = standInChain();
+        chain.mine(9, [1, 3, 7]);
+        const idx = await indexer(chain);
+        await idx.sync();
+
+        chain.reorg(2, 'b');
+        chain.mine(9, [2, 5]);
+        assert.deepEqual(await idx.sync(), { from: 0, to: 9, added: 3, dropped: 3 });
+        assert.deepEqual(reasons(idx), ['a:1', 'b:2', 'b:5']);
+    });
+
+    it('a reorg that only replaces a checkpoint block rewinds to the one before', async () => {
+        const chain = standInChain();
+        chain.mine(9, [4, 9]);
+        const idx = await indexer(chain);
+        await idx.sync();
+
+        chain.reorg(9, 'b');
+        chain.mine(9);
+        assert.deepEqual(await idx.sync(), { from: 5, to: 9, added: 0, dropped: 1 });
+        assert.deepEqual(reasons(idx), ['a:4']);
+    });
+});
@@ -0,0 +1,163 @@
+/**
+ * Decay keeper: batch planning, and a dry run then a real run against anvil
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const { PoIClient, PoI_V2_ABI } = require('../poi-client-v2.js');
+const { PoIIndexer } = require('../indexer.js');
+const { knownAgents, planBatches, runKeeper } = require('../keeper.js');
+const { unavailableReason, startAnvil, deployContracts, warp } = require('./anvil.js');
+
+const DAY = 24 * 60 * 60;
+const skip = unavailableReason() || false;
+
+describe('planBatches', () => {
+    it('keeps each batch under the gas cap, oversized calls on their own', () => {
+        const batches = planBatches([40000n, 40000n, 40000n, 150000n, 10000n].map(gasLimit => ({ gasLimit })), 100000);
+        assert.deepEqual(batches.map(b => b.map(c => Number(c.gasLimit))), [[40000, 40000], [40000], [150000], [10000]]);
+    });
+
+    it('knownAgents lists each issued or credentialed agent once', () => {
+        const events = [
+            { event: 'ChallengeIssued', agent: '0xA' },
+            { event: 'ChallengePassed', agent: '0xA' },
+            { event: 'CredentialIssued', agent: '0xA' },
+            { event: 'CredentialIssued', agent: '0xB' },
+            { event: 'CredentialDecayed', agent: '0xC' },
+        ];
+        assert.deepEqual(knownAgents(events), ['0xA', '0xB']);
+    });
+});
+
+/**
+ * Stand-in client: every agent is past grace; `onSend(agent, overrides)` may throw,
+ * and `onWait(agent)` returns the receipt logs or throws
+ */
+function standInClient({ onSend = () => {}, onWait = () => null, feeData = { maxFeePerGas: 1n, maxPriorityFeePerGas: 1n } } = {}) {
+    const iface = new ethers.Interface(PoI_V2_ABI);
+    const decayed = [{ topics: [iface.getEvent('CredentialDecayed').topicHash] }];
+    const sent = [];
+    const contract = {
+        interface: iface,
+        connect() { return contract; },
+        getCredential: async () => ({ issuedAt: 1n, expiresAt: 1000n, challengeType: 1n, blockSolved: 1n, valid: true, maintenanceCount: 0n, lastMaintained: 0n, reputation: 50n }),
+        triggerDecay: Object.assign(async (agent, overrides) => {
+            onSend(agent, overrides);
+            sent.push({ agent, nonce: overrides.nonce });
+            return { hash: `0x${sent.length}`, wait: async () => ({ gasUsed: 30000n, logs: onWait(agent) || decayed }) };
+        }, { estimateGas: async () => 40000n }),
+    };
+    const provider = {
+        getBlock: async () => ({ number: 100, timestamp: 10 * DAY }),
+        getFeeData: async () => feeData,
+        getTransactionCount: async () => 7,
+    };
+    return { client: { address: '0x' + '11'.repeat(20), wallet: {}, contract, provider }, sent };
+}
+
+describe('runKeeper sends', () => {
+    const agents = ['0xA', '0xB', '0xC'];
+
+    it('a failed send leaves no nonce gap for the rest of the batch', async () => {
+        const { client, sent } = standInClient({ onSend: (agent) => { if (agent === '0xB') throw new Error('insufficient funds'); } });
+        const report = await runKeeper(client, agents);
+        assert.deepEqual(sent, [{ agent: '0xA', nonce: 7 }, { agent: '0xC', nonce: 8 }]);
+        assert.deepEqual(report.candidates.map(c => c.outcome), ['decayed', 'error', 'decayed']);
+        assert.equal(report.candidates[1].error, 'insufficient funds');
+        assert.deepEqual([report.decayed, report.errors], [2, 1]);
+    });
+
+    it('stops after a batch whose receipt times out', async () => {
+        const timeout = Object.assign(new Error('timeout'), { code: 'TIMEOUT' });
+        const { client, sent } = standInClient({ onWait: (agent) => { if (agent === '0xA') throw timeout; } });
+        const report = await runKeeper(client, agents, { batchGas: 100000, receiptTimeout: 1 });
+        assert.equal(report.batches.length, 2);
+        assert.deepEqual(sent.map(s => s.agent), ['0xA', '0xB']);
+        assert.deepEqual(report.candidates.map(c => c.outcome), ['error', 'decayed', 'error']);
+        assert.match(report.candidates[2].error, /still pending/);
+    });
+
+    it('sends a legacy gasPrice on a chain without EIP-1559', async () => {
+        const overrides = [];
+        const feeData = { maxFeePerGas: null, maxPriorityFeePerGas: null, gasPrice: ethers.parseUnits('5', 'gwei') };
+        const { client } = standInClient({ feeData, onSend: (agent, o) => overrides.push(o) });
+        const report = await runKeeper(client, agents);
+        assert.deepEqual(overrides.map(o => Object.keys(o).sort()), Array(3).fill(['gasLimit', 'gasPrice', 'nonce']));
+        assert.equal(overrides[0].gasPrice, feeData.gasPrice);
+        assert.deepEqual(report.fees, { gasPrice: feeData.gasPrice });
+        assert.equal(report.batches[0].maxCost, 3n * 48000n * feeData.gasPrice);
+
+        const capped = await runKeeper(standInClient({ feeData }).client, agents, { maxFeePerGasGwei: 2 });
+        assert.equal(capped.skipped, 'gasPrice 5.0 gwei is above the 2 gwei cap');
+    });
+});
+
+describe('runKeeper', { skip }, () => {
+    let chain;
+    let keeper;
+    let early;
+    let late;
+    let agents;
+    let dir;
+
+    before(async () => {
+        chain = await startAnvil();
+        const wallets = [1, 2].map(i => new ethers.Wallet(chain.keys[i], chain.provider));
+        const { poi } = await deployContracts(chain.provider, chain.keys[0], wallets.map(w => w.address));
+        const address = await poi.getAddress();
+        [early, late] = wallets.map(w => new PoIClient(chain.provider, w, address));
+        // Any account can keep; this one never verifies
+        keeper = new PoIClient(chain.provider, new ethers.Wallet(chain.keys[3], chain.provider), address);
+
+        assert.equal((await early.proveIntelligence()).outcome, 'passed');
+        await warp(chain.provider, 3 * DAY);
+        assert.equal((await late.proveIntelligence()).outcome, 'passed');
+        // early: past expiry + grace; late: still valid
+        await warp(chain.provider, 5 * DAY + 3600);
+
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'poi-keeper-'));
+        const indexer = await new PoIIndexer(chain.provider, address, { dir }).open();
+        await indexer.sync();
+        agents = knownAgents(indexer.events());
+    });
+
+    after(async () => {
+        if (dir) fs.rmSync(dir, { recursive: true, force: true });
+        if (chain) await chain.stop();
+    });
+
+    it('a dry run lists the overdue credential and sends nothing', async () => {
+        assert.deepEqual(agents, [early.address, late.address]);
+        const report = await runKeeper(keeper, agents, { dryRun: true });
+        assert.deepEqual(report.candidates.map(c => c.agent), [early.address]);
+        assert.equal(report.candidates[0].outcome, 'planned');
+        assert.ok(report.candidates[0].overdueSeconds > 0);
+        assert.equal(report.batches.length, 1);
+        assert.equal((await early.getStatus()).credential.valid, true);
+    });
+
+    it('refuses to send above the fee cap', async () => {
+        const report = await runKeeper(keeper, agents, { maxFeePerGasGwei: 0.001 });
+        assert.match(report.skipped, /above the 0.001 gwei cap/);
+        assert.equal((await early.getStatus()).credential.valid, true);
+    });
+
+    it('decays the overdue credential, then has nothing left to do', async () => {
+        const report = await runKeeper(keeper, agents);
+        assert.equal(report.decayed, 1);
+        assert.equal(report.candidates[0].outcome, 'decayed');
+
+        const { credential } = await early.getStatus();
+        assert.equal(credential.valid, false);
+        assert.equal(credential.reputation, 0);
+        assert.equal((await late.getStatus()).credential.valid, true);
+        assert.equal((await keeper.getStats()).totalDecayed, 1);
+
+        assert.deepEqual((await runKeeper(keeper, agents)).candidates, []);
+    });
+});
@@ -0,0 +1,103 @@
+/**
+ * Prometheus exporter: histogram rendering, and /metrics against anvil
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { PoIClient } = require('../poi-client-v2.js');
+const { Histogram, MetricsExporter, createMetricsServer } = require('../metrics.js');
+const { unavailableReason, startAnvil, deployContracts } = require('./anvil.js');
+
+const skip = unavailableReason() || false;
+
+/**
+ * Sample values by metric name and label string, from the text format
+ */
+function parseMetrics(text) {
+    const samples = new Map();
+    for (const line of text.split('\n')) {
+        if (!line || line.startsWith('#')) continue;
+        const [, name, labels = '', value] = line.match(/^(\w+)(\{.*\})? (\S+)$/);
+        samples.set(`${name}${labels}`, Number(value));
+    }
+    return samples;
+}
+
+describe('Histogram', () => {
+    it('renders cumulative buckets, sum and count per label set', () => {
+        const histogram = new Histogram('poi_test_seconds', 'Test', [1, 5]);
+        histogram.observe({ action: 'verify' }, 0.5);
+        histogram.observe({ action: 'verify' }, 3);
+        histogram.observe({ action: 'verify' }, 9);
+
+        const samples = parseMetrics(histogram.render());
+        assert.equal(samples.get('poi_test_seconds_bucket{action="verify",le="1"}'), 1);
+        assert.equal(samples.get('poi_test_seconds_bucket{action="verify",le="5"}'), 2);
+        assert.equal(samples.get('poi_test_seconds_bucket{action="verify",le="+Inf"}'), 3);
+        assert.equal(samples.get('poi_test_seconds_sum{action="verify"}'), 12.5);
+        assert.equal(samples.get('poi_test_seconds_count{action="verify"}'), 3);
+    });
+});
+
+describe('MetricsExporter', { skip }, () => {
+    let chain;
+    let client;
+    let exporter;
+    let server;
+    let url;
+    let agents;
+
+    before(async () => {
+        chain = await startAnvil();
+        const agent = new ethers.Wallet(chain.keys[1], chain.provider);
+        const { poi } = await deployContracts(chain.provider, chain.keys[0], [agent.address]);
+        client = new PoIClient(chain.provider, agent, await poi.getAddress());
+        agents = [
+            { name: 'scout-1', address: agent.address },
+            { name: 'idle', address: new ethers.Wallet(chain.keys[2]).address },
+        ];
+        exporter = new MetricsExporter(client, agents);
+        server = createMetricsServer(exporter);
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        url = `http://127.0.0.1:${server.address().port}/metrics`;
+    });
+
+    after(async () => {
+        if (server) server.close();
+        if (chain) await chain.stop();
+    });
+
+    const scrape = async () => parseMetrics(await (await fetch(url)).text());
+
+    it('exports credential gauges, global counters and attempt histograms', async () => {
+        const result = await client.proveIntelligence();
+        assert.equal(result.outcome, 'passed');
+        exporter.observeResult(result);
+        await exporter.refresh();
+
+        const samples = await scrape();
+        const self = `{agent="${agents[0].address}",name="scout-1"}`;
+        const idle = `{agent="${agents[1].address}",name="idle"}`;
+        assert.equal(samples.get(`poi_credential_valid${self}`), 1);
+        assert.equal(samples.get(`poi_credential_in_grace${self}`), 0);
+        assert.equal(samples.get(`poi_credential_reputation${self}`), 50);
+        assert.equal(samples.get(`poi_credential_maintenance_count${self}`), 0);
+        assert.ok(samples.get(`poi_credential_seconds_until_expiry${self}`) > 6 * 24 * 3600);
+        // No credential: flags are exported, expiry is not
+        assert.equal(samples.get(`poi_credential_valid${idle}`), 0);
+        assert.equal(samples.has(`poi_credential_seconds_until_expiry${idle}`), false);
+
+        assert.equal(samples.get('poi_challenges_issued_total'), 1);
+        assert.equal(samples.get('poi_challenges_passed_total'), 1);
+        assert.equal(samples.get('poi_decays_total'), 0);
+        assert.equal(samples.get('poi_blocks_to_spare_count{action="verify"}'), 1);
+        assert.equal(samples.get('poi_blocks_to_spare_bucket{action="verify",le="+Inf"}'), 1);
+        assert.equal(samples.get('poi_solve_seconds_count{action="verify"}'), 1);
+    });
+
+    it('only serves /metrics', async () => {
+        assert.equal((await fetch(url.replace('/metrics', '/'))).status, 404);
+        assert.equal((await fetch(url, { method: 'POST' })).status, 405);
+    });
+});
@@ -0,0 +1,161 @@
+/**
+ * Endpoint gating: credential requirements, and the nonce / login / session path
+ */
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { PoIGate, GateError, evaluatePoI, createLoginPayload } = require('../middleware.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function status({ valid = true, issued = true, hasValidPoI = true, inGracePeriod = false, isVerified = true, reputation = 60, daysUntilExpiry = 5 } = {}) {
+    const now = Date.now();
+    return {
+        hasValidPoI,
+        inGracePeriod,
+        isVerified,
+        daysUntilExpiry,
+        credential: {
+            valid,
+            reputation,
+            issuedAt: new Date(issued ? now - DAY_MS : 0),
+            expiresAt: new Date(now + daysUntilExpiry * DAY_MS),
+        },
+    };
+}
+
+describe('evaluatePoI', () => {
+    const code = (s, requirements) => evaluatePoI(s, requirements).code;
+
+    it('passes a valid, registered credential that meets the requirements', () => {
+        assert.deepEqual(evaluatePoI(status(), { minReputation: 60, minDaysUntilExpiry: 5 }), { ok: true });
+        assert.deepEqual(evaluatePoI(status()), { ok: true });
+    });
+
+    it('names the first requirement a credential misses', () => {
+        assert.equal(code(status({ issued: false })), 'NO_CREDENTIAL');
+        assert.equal(code(status({ valid: false, hasValidPoI: false })), 'NO_CREDENTIAL');
+        assert.equal(code(status({ hasValidPoI: false, inGracePeriod: true })), 'IN_GRACE_PERIOD');
+        assert.equal(code(status({ hasValidPoI: false })), 'CREDENTIAL_EXPIRED');
+        assert.equal(code(status({ isVerified: false })), 'NOT_REGISTERED');
+        assert.equal(code(status({ reputation: 40 }), { minReputation: 50 }), 'REPUTATION_TOO_LOW');
+        assert.equal(code(status({ daysUntilExpiry: 1 }), { minDaysUntilExpiry: 2 }), 'EXPIRES_TOO_SOON');
+    });
+});
+
+describe('PoIGate sign-in', () => {
+    const wallet = new ethers.Wallet('0x' + '01'.repeat(32));
+    const other = new ethers.Wallet('0x' + '02'.repeat(32));
+    const options = { domain: 'api.example.com', uri: 'https://api.example.com', chainId: 31337, minReputation: 50 };
+    const statuses = new Map();
+    const client = { getStatus: async (address) => statuses.get(address) || status() };
+    const gates = [];
+    const newGate = (extra = {}) => {
+        const gate = new PoIGate(client, { ...options, ...extra });
+        gates.push(gate);
+        return gate;
+    };
+
+    after(() => gates.forEach(g => g.close()));
+
+    const rejects = (fn, code) => assert.throws(fn, (e) => e instanceof GateError && e.status === 401 && e.code === code);
+
+    it('logs in once per nonce and resolves the session to the signer', async () => {
+        const gate = newGate();
+        const { message, signature } = await createLoginPayload(wallet, gate.issueNonce(wallet.address));
+        const session = gate.login(message, signature);
+        assert.equal(session.address, wallet.address);
+        assert.equal(gate.authenticate(`Bearer ${session.token}`), wallet.address);
+        assert.equal((await gate.authorize(session.address)).credential.reputation, 60);
+
+        rejects(() => gate.login(message, signature), 'UNKNOWN_NONCE');
+    });
+
+    it('issuing nonces stores nothing', () => {
+        const gate = newGate();
+        for (let i = 0; i < 1000; i++) gate.issueNonce(wallet.address);
+        assert.equal(gate.usedNonces.size, 0);
+        assert.equal(gate.sessions.size, 0);
+    });
+
+    it('rejects nonces it did not issue, tampered or from another gate', async () => {
+        const gate = newGate();
+        const { nonce, message } = gate.issueNonce(wallet.address);
+        const flipped = nonce.slice(0, 40) + (nonce[40] === '0' ? '1' : '0') + nonce.slice(41);
+        const tampered = message.replace(nonce, flipped);
+        rejects(() => gate.login(tampered, wallet.signMessageSync(tampered)), 'UNKNOWN_NONCE');
+
+        const foreign = newGate().issueNonce(wallet.address).message;
+        rejects(() => gate.login(foreign, wallet.signMessageSync(foreign)), 'UNKNOWN_NONCE');
+
+        const made = message.replace(nonce, 'a'.repeat(76));
+        rejects(() => gate.login(made, wallet.signMessageSync(made)), 'UNKNOWN_NONCE');
+    });
+
+    it('rejects expired nonces and wrong signers without using up the nonce', (t) => {
+        const gate = newGate();
+        const { message } = gate.issueNonce(wallet.address);
+        rejects(() => gate.login(message, other.signMessageSync(message)), 'INVALID_SIGNATURE');
+        rejects(() => gate.login(message, '0x1234'), 'INVALID_SIGNATURE');
+
+        const now = Date.now();
+        t.mock.method(Date, 'now', () => now + 301 * 1000);
+        rejects(() => gate.login(message, wallet.signMessageSync(message)), 'NONCE_EXPIRED');
+        t.mock.restoreAll();
+
+        assert.equal(gate.login(message, wallet.signMessageSync(message)).address, wallet.address);
+    });
+
+    it('rejects messages for another service or chain', () => {
+        const gate = newGate();
+        const elsewhere = newGate({ domain: 'evil.example.com' }).issueNonce(wallet.address).message;
+        rejects(() => gate.login(elsewhere, wallet.signMessageSync(elsewhere)), 'DOMAIN_MISMATCH');
+        const chain = newGate({ chainId: 1 }).issueNonce(wallet.address).message;
+        rejects(() => gate.login(chain, wallet.signMessageSync(chain)), 'CHAIN_MISMATCH');
+        rejects(() => gate.login('hello', wallet.signMessageSync('hello')), 'MALFORMED_MESSAGE');
+    });
+
+    it('prune drops used nonces and sessions once they expire', (t) => {
+        const gate = newGate();
+        const { message } = gate.issueNonce(wallet.address);
+        const { token } = gate.login(message, wallet.signMessageSync(message));
+        gate.prune();
+        assert.equal(gate.usedNonces.size, 1);
+
+        const now = Date.now();
+        t.mock.method(Date, 'now', () => now + 3601 * 1000);
+        gate.prune();
+        assert.equal(gate.usedNonces.size, 0);
+        assert.equal(gate.sessions.size, 0);
+        rejects(() => gate.authenticate(token), 'INVALID_TOKEN');
+    });
+
+    it('cached checks are re-read and pruned once older than statusCacheSeconds', async (t) => {
+        let reads = 0;
+        const gate = new PoIGate({ getStatus: async () => { reads++; return status(); } }, { ...options, statusCacheSeconds: 600 });
+        gates.push(gate);
+        await gate.authorize(wallet.address);
+        await gate.authorize(wallet.address);
+        assert.equal(reads, 1);
+
+        const now = Date.now();
+        t.mock.method(Date, 'now', () => now + 599 * 1000);
+        gate.prune();
+        assert.equal(gate.statusCache.size, 1);
+
+        t.mock.method(Date, 'now', () => now + 601 * 1000);
+        await gate.authorize(wallet.address);
+        assert.equal(reads, 2);
+        t.mock.method(Date, 'now', () => now + 1202 * 1000);
+        gate.prune();
+        assert.equal(gate.statusCache.size, 0);
+    });
+
+    it('authorize refuses a credential below the requirements with 403', async () => {
+        const gate = newGate();
+        statuses.set(other.address, status({ reputation: 30 }));
+        await assert.rejects(gate.authorize(other.address), (e) => e.status === 403 && e.code === 'REPUTATION_TOO_LOW' && e.toJSON().reputation === 30);
+        rejects(() => gate.authenticate(undefined), 'MISSING_TOKEN');
+    });
+});
@@ -0,0 +1,106 @@
+/**
+ * End-to-end tests: V1 → V2 migration against both contracts on anvil
+ *
+ * V1 and V2 share one registry; each step builds on the previous one's state.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { PoIClient } = require('../poi-client-v2.js');
+const { PoIClientV1 } = require('../poi-client-v1.js');
+const { detectVersion, connectPoI, transitionStatus, migrateAgent } = require('../migration.js');
+const { getProfile } = require('../challenge-types.js');
+const { unavailableReason, startAnvil, deployContracts } = require('./anvil.js');
+
+const skip = unavailableReason() || false;
+
+describe('V1 → V2 migration', { skip }, () => {
+    let chain;
+    let agent;
+    let v1Address;
+    let v2Address;
+    let v1;
+    let v2;
+
+    before(async () => {
+        chain = await startAnvil();
+        agent = new ethers.Wallet(chain.keys[1], chain.provider);
+        const { poi, poiV1 } = await deployContracts(chain.provider, chain.keys[0], [agent.address], { v1: true });
+        v1Address = await poiV1.getAddress();
+        v2Address = await poi.getAddress();
+        v1 = new PoIClientV1(chain.provider, agent, v1Address);
+        v2 = new PoIClient(chain.provider, agent, v2Address);
+    });
+
+    after(async () => {
+        if (chain) await chain.stop();
+    });
+
+    it('detectVersion tells the contracts apart', async () => {
+        assert.equal(await detectVersion(chain.provider, v1Address), 'v1');
+        assert.equal(await detectVersion(chain.provider, v2Address), 'v2');
+        await assert.rejects(detectVersion(chain.provider, agent.address), /No contract/);
+
+        assert.ok(await connectPoI(chain.provider, agent, v1Address) instanceof PoIClientV1);
+        assert.ok(await connectPoI(chain.provider, agent, v2Address) instanceof PoIClient);
+        await assert.rejects(connectPoI(chain.provider, agent, v1Address, {}, 'v2'), /is a V1 contract/);
+    });
+
+    it('an agent without a V1 credential has nothing to migrate', async () => {
+        assert.equal((await transitionStatus(v1, v2)).stage, 'unverified');
+        const result = await migrateAgent(v1, v2);
+        assert.equal(result.outcome, 'skipped');
+        assert.equal(result.migration.stageBefore, 'unverified');
+        assert.equal((await v2.getStatus()).credential.valid, false);
+    });
+
+    it('a wrong V1 answer is caught by the simulation and never sent', async () => {
+        const profile = getProfile('v1');
+        const solve = profile.solve;
+        profile.solve = () => ethers.ZeroHash;
+        let result;
+        try {
+            result = await v1.proveIntelligence();
+        } finally {
+            profile.solve = solve;
+        }
+
+        assert.equal(result.outcome, 'aborted');
+        assert.equal(result.error.errorName, 'IncorrectAnswer');
+        assert.equal(result.simulation.answerMatches, false);
+        assert.equal((await v1.getStats()).totalFailed, 0);
+    });
+
+    it('PoIClientV1 answers the open challenge and gets a permanent credential', async () => {
+        const result = await v1.proveIntelligence();
+        assert.equal(result.resumed, true);
+        assert.equal(result.outcome, 'passed');
+        assert.equal(result.credential.valid, true);
+
+        const status = await transitionStatus(v1, v2);
+        assert.equal(status.stage, 'pending');
+        assert.equal(status.v1.isVerified, true);
+        assert.equal(status.v2.hasValidPoI, false);
+    });
+
+    it('migrateAgent verifies the V1 agent on V2', async () => {
+        const result = await migrateAgent(v1, v2);
+        assert.equal(result.outcome, 'passed');
+        assert.equal(result.action, 'verify');
+        assert.equal(result.migration.stageBefore, 'pending');
+        assert.equal(result.migration.v1.hasValidPoI, true);
+        assert.equal(result.credential.reputation, 50);
+
+        const status = await transitionStatus(v1, v2);
+        assert.equal(status.stage, 'migrated');
+        assert.equal(status.v1.hasValidPoI, true);
+        assert.equal(status.v2.hasValidPoI, true);
+    });
+
+    it('a migrated agent is skipped', async () => {
+        const result = await migrateAgent(v1, v2);
+        assert.equal(result.outcome, 'skipped');
+        assert.equal(result.reason, 'Already verified on V2');
+    });
+});
@@ -0,0 +1,147 @@
+/**
+ * Isomorphic package: the CommonJS build mirrors the ESM sources, and the
+ * sources stay free of Node built-ins (Deno, Bun and browser workers load them)
+ *
+ * dist/ is built by `npm test` (pretest) before the suites run.
+ */
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { build } = require('../build.js');
+const { staleSources, assertBuilt } = require('../load-dist.js');
+
+const SRC_DIR = path.join(__dirname, '..', 'src');
+const sources = fs.readdirSync(SRC_DIR).filter(f => f.endsWith('.mjs'));
+
+const SEED = '0x' + '42'.repeat(32);
+const AGENT = '0xffA12D92098eB2b72B3c30B62f8da02BA4158c1e';
+const BLOCK = { number: 12345678, timestamp: 1706745600 };
+
+describe('build', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'poi-build-'));
+    const srcDir = path.join(dir, 'src');
+    const distDir = path.join(dir, 'dist');
+    fs.mkdirSync(srcDir);
+
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it('translates each source on its own, requiring ethers and sibling builds', async () => {
+        fs.writeFileSync(path.join(srcDir, 'base.mjs'), 'export class Base extends Error {}\nexport const answer = 42;\n');
+        fs.writeFileSync(path.join(srcDir, 'user.mjs'), [
+            "import { answer, Base as Parent } from './base.mjs';",
+            "import * as ethers from 'ethers';",
+            'export const isAddress = (a) => ethers.isAddress(a);',
+            'export class Child extends Parent {}',
+            'export { answer };',
+            '',
+        ].join('\n'));
+        fs.writeFileSync(path.join(srcDir, 'user.d.mts'), 'export declare const answer: number;\n');
+        fs.mkdirSync(distDir);
+        fs.writeFileSync(path.join(distDir, 'removed.cjs'), '');
+
+        assert.deepEqual((await build({ srcDir, distDir })).sort(), ['base.cjs', 'user.cjs', 'user.d.cts']);
+        assert.deepEqual(fs.readdirSync(distDir).sort(), ['base.cjs', 'user.cjs', 'user.d.cts']);
+        const output = fs.readFileSync(path.join(distDir, 'user.cjs'), 'utf8');
+        assert.match(output, /require\("\.\/base\.cjs"\)/);
+        assert.doesNotMatch(output, /class Base/);
+
+        // ethers resolves from the client, as it would next to dist/
+        fs.symlinkSync(path.join(__dirname, '..', 'node_modules'), path.join(dir, 'node_modules'));
+        const user = require(path.join(distDir, 'user.cjs'));
+        assert.equal(user.answer, 42);
+        assert.ok(new user.Child() instanceof require(path.join(distDir, 'base.cjs')).Base);
+        assert.equal(user.isAddress('0x' + '11'.repeat(20)), true);
+    });
+
+    it('fails on a source it cannot parse', async () => {
+        fs.writeFileSync(path.join(srcDir, 'broken.mjs'), 'export const = 1;\n');
+        await assert.rejects(build({ srcDir, distDir }), /broken\.mjs/);
+        fs.rmSync(path.join(srcDir, 'broken.mjs'));
+    });
+});
+
+describe('stale build check', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'poi-dist-'));
+    const srcDir = path.join(dir, 'src');
+    const distDir = path.join(dir, 'dist');
+    fs.mkdirSync(srcDir);
+    fs.mkdirSync(distDir);
+    const touch = (file, seconds) => {
+        fs.writeFileSync(file, '');
+        fs.utimesSync(file, seconds, seconds);
+    };
+
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it('lists sources newer than their build, or without one', () => {
+        touch(path.join(srcDir, 'a.mjs'), 1000);
+        touch(path.join(distDir, 'a.cjs'), 2000);
+        touch(path.join(srcDir, 'b.mjs'), 3000);
+        touch(path.join(distDir, 'b.cjs'), 2000);
+        touch(path.join(srcDir, 'c.mjs'), 1000);
+        touch(path.join(srcDir, 'index.d.mts'), 1000);
+        touch(path.join(distDir, 'index.d.cts'), 1000);
+        touch(path.join(srcDir, 'notes.txt'), 5000);
+        assert.deepEqual(staleSources(srcDir, distDir), ['b.mjs', 'c.mjs']);
+    });
+
+    it('loading a stale build fails naming the sources, and never rebuilds', () => {
+        assert.throws(() => assertBuilt(srcDir, distDir), /dist is out of date \(b\.mjs, c\.mjs\)\. Run npm run build in client\//);
+        assert.deepEqual(fs.readdirSync(distDir).sort(), ['a.cjs', 'b.cjs', 'index.d.cts']);
+
+        touch(path.join(distDir, 'b.cjs'), 4000);
+        touch(path.join(distDir, 'c.cjs'), 4000);
+        assert.doesNotThrow(() => assertBuilt(srcDir, distDir));
+    });
+
+    it('the checked-out build is current', () => {
+        assert.deepEqual(staleSources(), []);
+    });
+});
+
+describe('isomorphic sources', () => {
+    for (const file of sources) {
+        it(`${file} only imports ethers and sibling modules, exports by name, and uses no Node globals or console`, () => {
+            const code = fs.readFileSync(path.join(SRC_DIR, file), 'utf8')
+                .replace(/\/\*[\s\S]*?\*\//g, '')
+                .replace(/\/\/.*$/gm, '');
+            for (const [, specifier] of code.matchAll(/^import [\s\S]*? from '([^']+)';$/gm)) {
+                assert.ok(specifier === 'ethers' || /^\.\/[\w-]+\.mjs$/.test(specifier), `imports ${specifier}`);
+            }
+            assert.doesNotMatch(code, /^export default\b/m);
+            // Printing belongs to the CommonJS layer and the CLI
+            assert.doesNotMatch(code, /\bconsole\./);
+            const globals = code.match(/\b(process|Buffer|require|module|__dirname|__filename|global)\b/);
+            assert.equal(globals, null, globals && `uses ${globals[0]}`);
+        });
+    }
+});
+
+describe('ESM and CommonJS entry points', () => {
+    it('export the same names and solve alike', async () => {
+        const esm = await import('../src/index.mjs');
+        const cjs = require('../dist/index.cjs');
+        assert.deepEqual(Object.keys(cjs).sort(), Object.keys(esm).sort());
+        for (const { id } of esm.getProfile('v2').types()) {
+            assert.equal(cjs.solveChallenge(id, SEED, AGENT, BLOCK), esm.solveChallenge(id, SEED, AGENT, BLOCK));
+        }
+        assert.deepEqual(cjs.TIMING, esm.TIMING);
+    });
+
+    it('the package resolves to the right build for require and import', async () => {
+        const pkg = require('../package.json');
+        const { require: cjsEntry, import: esmEntry } = pkg.exports['.'];
+        assert.equal(require(path.join(__dirname, '..', cjsEntry.default)), require('../dist/index.cjs'));
+        assert.equal(await import(path.join(__dirname, '..', esmEntry.default)), await import('../src/index.mjs'));
+    });
+
+    it('the type definitions declare every export', () => {
+        const types = fs.readFileSync(path.join(SRC_DIR, 'index.d.mts'), 'utf8');
+        const declared = [...types.matchAll(/^export declare (?:const|function|class) (\w+)/gm)].map(m => m[1]);
+        const exported = Object.keys(require('../dist/index.cjs'));
+        assert.deepEqual([...new Set(declared)].sort(), exported.sort());
+    });
+});
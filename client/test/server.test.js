@@ -0,0 +1,103 @@
+/**
+ * Verification API: routes, per-block caching and error responses, against a stand-in client
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { createServer, MAX_BATCH, MAX_BODY_BYTES } = require('../server.js');
+
+const AGENT = ethers.getAddress('0x' + 'aa'.repeat(20));
+const BROKEN = ethers.getAddress('0x' + 'bb'.repeat(20));
+
+/**
+ * Stand-in client: every agent is verified, except BROKEN whose read fails
+ */
+function standInClient() {
+    const reads = [];
+    const client = {
+        block: 100,
+        provider: { getBlockNumber: async () => client.block },
+        contract: { target: '0x' + 'cc'.repeat(20) },
+        getStatus: async (address) => {
+            reads.push(address);
+            if (address === BROKEN) throw new Error('execution reverted');
+            return { isVerified: true, hasValidPoI: true, inGracePeriod: false, daysUntilExpiry: 5 };
+        },
+        getStats: async () => ({ totalAgents: 2, totalPassed: 3, totalFailed: 1 }),
+    };
+    return { client, reads };
+}
+
+describe('verification API', () => {
+    const { client, reads } = standInClient();
+    let server;
+    let base;
+
+    const get = async (path, init) => {
+        const res = await fetch(base + path, init);
+        return { status: res.status, body: await res.json() };
+    };
+    const post = (path, body) => get(path, { method: 'POST', body: typeof body === 'string' ? body : JSON.stringify(body) });
+
+    before(async () => {
+        server = createServer(client, { blockTtlMs: 0 });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        base = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    it('health and stats report the block they were read at', async () => {
+        assert.deepEqual(await get('/health'), { status: 200, body: { ok: true, blockNumber: 100, contract: client.contract.target } });
+        assert.deepEqual(await get('/stats'), { status: 200, body: { blockNumber: 100, totalAgents: 2, totalPassed: 3, totalFailed: 1 } });
+    });
+
+    it('agent status and verified, read once per block', async () => {
+        reads.length = 0;
+        const { status, body } = await get(`/agents/${AGENT.toLowerCase()}`);
+        assert.equal(status, 200);
+        assert.equal(body.agent, AGENT);
+        assert.equal(body.blockNumber, 100);
+        assert.equal(body.daysUntilExpiry, 5);
+        assert.deepEqual((await get(`/agents/${AGENT}/verified`)).body, { agent: AGENT, blockNumber: 100, verified: true });
+        assert.equal(reads.length, 1);
+
+        client.block = 101;
+        assert.equal((await get(`/agents/${AGENT}`)).body.blockNumber, 101);
+        assert.equal(reads.length, 2);
+    });
+
+    it('batch returns each status in order', async () => {
+        const { status, body } = await post('/agents/batch', { addresses: [AGENT, AGENT.toLowerCase()] });
+        assert.equal(status, 200);
+        assert.deepEqual(body.agents.map(a => a.agent), [AGENT, AGENT]);
+    });
+
+    it('rejects bad addresses and bodies with 400', async () => {
+        assert.deepEqual(await get('/agents/0x1234'), { status: 400, body: { error: 'Invalid address: 0x1234' } });
+        assert.equal((await post('/agents/batch', { addresses: [AGENT, 'nope'] })).status, 400);
+        assert.equal((await post('/agents/batch', {})).status, 400);
+        assert.deepEqual(await post('/agents/batch', '{"addresses":'), { status: 400, body: { error: 'Body is not valid JSON' } });
+    });
+
+    it('caps the batch size', async () => {
+        const { status, body } = await post('/agents/batch', { addresses: Array(MAX_BATCH + 1).fill(AGENT) });
+        assert.deepEqual({ status, body }, { status: 400, body: { error: `At most ${MAX_BATCH} addresses per batch` } });
+        assert.equal((await post('/agents/batch', { addresses: Array(MAX_BATCH).fill(AGENT) })).status, 200);
+    });
+
+    it('answers an oversized body with 413 and closes the connection', async () => {
+        const res = await fetch(`${base}/agents/batch`, { method: 'POST', body: 'x'.repeat(2 * MAX_BODY_BYTES) });
+        assert.equal(res.status, 413);
+        assert.equal(res.headers.get('connection'), 'close');
+        assert.deepEqual(await res.json(), { error: 'Request body too large' });
+    });
+
+    it('unknown routes, wrong methods and failed reads', async () => {
+        assert.equal((await get('/agents')).status, 404);
+        assert.equal((await get('/agents/batch')).status, 405);
+        assert.equal((await post('/stats', {})).status, 405);
+        assert.deepEqual(await get(`/agents/${BROKEN}`), { status: 502, body: { error: 'Chain read failed' } });
+    });
+});
@@ -0,0 +1,190 @@
+/**
+ * External signer: stand-in signers over HTTP and a Unix socket, backed by a local key
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const { loadSigner, createRpcTransport } = require('../signers.js');
+
+const KEY = '0x' + '01'.repeat(32);
+const OTHER_KEY = '0x' + '02'.repeat(32);
+
+const TX = {
+    to: '0x000000000000000000000000000000000000dEaD',
+    data: '0x1234',
+    nonce: 3,
+    gasLimit: 60000n,
+    maxFeePerGas: ethers.parseUnits('2', 'gwei'),
+    maxPriorityFeePerGas: ethers.parseUnits('1', 'gwei'),
+    chainId: 31337n,
+    type: 2,
+};
+
+/**
+ * Answer the signer JSON-RPC methods with `wallet`
+ */
+async function standIn(wallet, { id, method, params }) {
+    try {
+        switch (method) {
+            case 'eth_accounts':
+                return { jsonrpc: '2.0', id, result: [wallet.address] };
+            case 'eth_signTransaction': {
+                const [tx] = params;
+                const result = await wallet.signTransaction({
+                    to: tx.to,
+                    data: tx.data,
+                    nonce: Number(tx.nonce),
+                    gasLimit: tx.gas,
+                    maxFeePerGas: tx.maxFeePerGas,
+                    maxPriorityFeePerGas: tx.maxPriorityFeePerGas,
+                    chainId: tx.chainId,
+                    type: Number(tx.type),
+                });
+                return { jsonrpc: '2.0', id, result };
+            }
+            case 'personal_sign':
+                return { jsonrpc: '2.0', id, result: await wallet.signMessage(ethers.getBytes(params[0])) };
+            case 'eth_signTypedData_v4': {
+                const { domain, types, message } = JSON.parse(params[1]);
+                delete types.EIP712Domain;
+                return { jsonrpc: '2.0', id, result: await wallet.signTypedData(domain, types, message) };
+            }
+            default:
+                return { jsonrpc: '2.0', id, error: { code: -32601, message: `${method} not supported` } };
+        }
+    } catch (e) {
+        return { jsonrpc: '2.0', id, error: { code: -32000, message: e.message } };
+    }
+}
+
+function listen(server, address) {
+    return new Promise(resolve => server.listen(address, resolve));
+}
+
+function close(server) {
+    return new Promise(resolve => server.close(resolve));
+}
+
+/**
+ * Unix-socket server reading one newline-terminated request per connection
+ */
+function socketServer(onRequest) {
+    return net.createServer((conn) => {
+        let buffer = '';
+        conn.setEncoding('utf8');
+        conn.on('data', (chunk) => {
+            buffer += chunk;
+            if (buffer.endsWith('\n')) onRequest(JSON.parse(buffer), conn);
+        });
+    });
+}
+
+function signsLike(getSigner, wallet) {
+    it('uses the signer\'s first account', async () => {
+        assert.equal((await getSigner()).address, wallet.address);
+    });
+
+    it('signs transactions, messages and typed data as that account', async () => {
+        const signer = await getSigner();
+        const raw = await signer.signTransaction(TX);
+        assert.equal(ethers.Transaction.from(raw).from, wallet.address);
+        assert.equal(raw, await wallet.signTransaction(TX));
+
+        assert.equal(ethers.verifyMessage('hello', await signer.signMessage('hello')), wallet.address);
+
+        const domain = { name: 'PoI', version: '1', chainId: 31337 };
+        const types = { Check: [{ name: 'agent', type: 'address' }, { name: 'n', type: 'uint256' }] };
+        const value = { agent: wallet.address, n: 7 };
+        const signature = await signer.signTypedData(domain, types, value);
+        assert.equal(ethers.verifyTypedData(domain, types, value, signature), wallet.address);
+    });
+}
+
+describe('external signer over HTTP', () => {
+    const wallet = new ethers.Wallet(KEY);
+    let server;
+    let url;
+    let impostor = false;
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', (chunk) => { body += chunk; });
+            req.on('end', async () => {
+                const response = await standIn(impostor ? new ethers.Wallet(OTHER_KEY) : wallet, JSON.parse(body));
+                res.setHeader('content-type', 'application/json');
+                res.end(JSON.stringify(response));
+            });
+        });
+        await listen(server, 0);
+        url = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => close(server));
+
+    signsLike(() => loadSigner({ type: 'external', url }, null), wallet);
+
+    it('rejects a transaction signed by another key', async () => {
+        const signer = await loadSigner({ type: 'external', url, address: wallet.address }, null);
+        impostor = true;
+        try {
+            await assert.rejects(signer.signTransaction(TX), /signed as 0x.*, expected/);
+        } finally {
+            impostor = false;
+        }
+    });
+});
+
+describe('external signer over a Unix socket', { skip: process.platform === 'win32' && 'no Unix sockets' }, () => {
+    const wallet = new ethers.Wallet(KEY);
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'poi-signer-'));
+    const socket = path.join(dir, 'signer.sock');
+    let server;
+
+    before(async () => {
+        server = socketServer(async (request, conn) => conn.end(JSON.stringify(await standIn(wallet, request))));
+        await listen(server, socket);
+    });
+
+    after(async () => {
+        await close(server);
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    signsLike(() => loadSigner({ type: 'external', socket }, null), wallet);
+
+    it('surfaces JSON-RPC errors', async () => {
+        const transport = createRpcTransport({ socket });
+        await assert.rejects(transport.request('eth_sendTransaction'), /External signer error: eth_sendTransaction not supported/);
+    });
+
+    it('rejects when the signer hangs up without a full response', async () => {
+        const hangUp = path.join(dir, 'hang-up.sock');
+        const partial = socketServer((request, conn) => conn.end('{"jsonrpc":"2.0","id":'));
+        await listen(partial, hangUp);
+        try {
+            await assert.rejects(createRpcTransport({ socket: hangUp }).request('eth_accounts'), /External signer closed the connection/);
+        } finally {
+            await close(partial);
+        }
+    });
+
+    it('times out when the signer never answers', async () => {
+        const silent = path.join(dir, 'silent.sock');
+        const open = new Set();
+        const mute = socketServer((request, conn) => open.add(conn));
+        await listen(mute, silent);
+        try {
+            await assert.rejects(createRpcTransport({ socket: silent, timeout: 50 }).request('eth_accounts'), /timed out after 50ms/);
+        } finally {
+            for (const conn of open) conn.destroy();
+            await close(mute);
+        }
+    });
+});
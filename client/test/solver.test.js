@@ -0,0 +1,102 @@
+/**
+ * Property tests: the JS solvers agree with the contract's _computeAnswer
+ *
+ * For random seeds, agents and issued block states, computeExpectedAnswer is
+ * called with the agent's stored challenge overridden (eth_call state override),
+ * and compared with solveChallenge() for every V2 challenge type.
+ *
+ * POI_TEST_SEED reproduces a run; POI_PROPERTY_RUNS sets the cases per type.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { solveChallenge } = require('../poi-client-v2.js');
+const { getProfile } = require('../challenge-types.js');
+const { unavailableReason, startAnvil, deployContracts } = require('./anvil.js');
+
+const RUNS = Number(process.env.POI_PROPERTY_RUNS) || 64;
+const TEST_SEED = process.env.POI_TEST_SEED || ethers.hexlify(ethers.randomBytes(8));
+
+// Storage slot of the `challenges` mapping and the Challenge fields the answer reads
+const CHALLENGES_SLOT = 0n;
+const ISSUED_BLOCK_OFFSET = 3n;
+const ISSUED_TIMESTAMP_OFFSET = 4n;
+
+/**
+ * Deterministic byte stream for reproducible cases
+ */
+function randomStream(seed) {
+    let state = ethers.id(seed);
+    return () => {
+        state = ethers.keccak256(state);
+        return state;
+    };
+}
+
+function randomCase(next) {
+    return {
+        seed: next(),
+        agent: ethers.getAddress(ethers.dataSlice(next(), 12)),
+        // Within Number's safe range, as formatChallenge() hands them to the solver
+        issuedBlock: Number(BigInt(ethers.dataSlice(next(), 0, 6))),
+        issuedTimestamp: Number(BigInt(ethers.dataSlice(next(), 0, 5))),
+    };
+}
+
+// Boundaries of the seed % 20 lookups and the type 2 branches
+const EDGE_CASES = [
+    { seed: ethers.ZeroHash, agent: ethers.ZeroAddress, issuedBlock: 0, issuedTimestamp: 0 },
+    { seed: '0x' + 'ff'.repeat(32), agent: ethers.getAddress('0x' + 'ff'.repeat(20)), issuedBlock: 2, issuedTimestamp: 1 },
+    { seed: ethers.toBeHex(19, 32), agent: '0x0000000000000000000000000000000000000001', issuedBlock: 3, issuedTimestamp: 2 },
+    { seed: ethers.toBeHex(20, 32), agent: '0x0000000000000000000000000000000000000001', issuedBlock: 6, issuedTimestamp: 3 },
+    { seed: ethers.toBeHex(21, 32), agent: '0x0000000000000000000000000000000000000001', issuedBlock: 7, issuedTimestamp: 1706745600 },
+];
+
+function challengeOverride(agent, { issuedBlock, issuedTimestamp }) {
+    const base = BigInt(ethers.keccak256(
+        ethers.AbiCoder.defaultAbiCoder().encode(['address', 'uint256'], [agent, CHALLENGES_SLOT])
+    ));
+    return {
+        [ethers.toBeHex(base + ISSUED_BLOCK_OFFSET, 32)]: ethers.toBeHex(issuedBlock, 32),
+        [ethers.toBeHex(base + ISSUED_TIMESTAMP_OFFSET, 32)]: ethers.toBeHex(issuedTimestamp, 32),
+    };
+}
+
+const skip = unavailableReason() || false;
+
+describe(`solveChallenge matches computeExpectedAnswer (POI_TEST_SEED=${TEST_SEED})`, { skip }, () => {
+    let chain;
+    let poi;
+
+    before(async () => {
+        chain = await startAnvil();
+        ({ poi } = await deployContracts(chain.provider, chain.keys[0]));
+    });
+
+    after(async () => {
+        if (chain) await chain.stop();
+    });
+
+    const expectedAnswer = async (challengeType, c) => {
+        const target = await poi.getAddress();
+        const data = poi.interface.encodeFunctionData('computeExpectedAnswer', [challengeType, c.seed, c.agent]);
+        const result = await chain.provider.send('eth_call', [
+            { to: target, data },
+            'latest',
+            { [target]: { stateDiff: challengeOverride(c.agent, c) } },
+        ]);
+        return poi.interface.decodeFunctionResult('computeExpectedAnswer', result)[0];
+    };
+
+    for (const { id, name } of getProfile('v2').types()) {
+        it(`type ${id} (${name})`, async () => {
+            const next = randomStream(`${TEST_SEED}:${id}`);
+            const cases = [...EDGE_CASES, ...Array.from({ length: RUNS }, () => randomCase(next))];
+            for (const c of cases) {
+                const local = solveChallenge(id, c.seed, c.agent, { number: c.issuedBlock, timestamp: c.issuedTimestamp });
+                assert.equal(local, await expectedAnswer(id, c), `type ${id} disagrees for ${JSON.stringify(c)}`);
+            }
+        });
+    }
+});
@@ -0,0 +1,105 @@
+/**
+ * Deadline-aware submission: fee escalation, the fee cap and cancellation, against a stand-in chain
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { SubmissionManager } = require('../submission.js');
+
+const ADDRESS = '0x' + '11'.repeat(20);
+const TX = { to: '0x' + '22'.repeat(20), data: '0xabcd', gasLimit: 100000n };
+const gwei = (n) => ethers.parseUnits(String(n), 'gwei');
+
+/**
+ * Stand-in provider and signer: every block number read advances the chain by one,
+ * and `mined(tx, sent)` decides whether a sent transaction has a receipt yet
+ */
+function standInChain({ block = 100, mined = () => false, rejects = () => false } = {}) {
+    const sent = [];
+    const provider = {
+        getBlockNumber: async () => block++,
+        getFeeData: async () => ({ maxFeePerGas: gwei(10), maxPriorityFeePerGas: gwei(1) }),
+        getTransactionReceipt: async (hash) => {
+            const tx = sent.find(s => s.hash === hash);
+            return mined(tx, sent) ? { hash, status: 1, blockNumber: block - 1, to: tx.to, from: ADDRESS } : null;
+        },
+    };
+    const signer = {
+        getAddress: async () => ADDRESS,
+        estimateGas: async () => 50000n,
+        sendTransaction: async (tx) => {
+            if (rejects(tx)) throw new Error('replacement transaction underpriced');
+            const response = { ...tx, nonce: tx.nonce ?? 5, hash: `0x${sent.length + 1}`, block: block - 1 };
+            sent.push(response);
+            return response;
+        },
+    };
+    return { provider, signer, sent };
+}
+
+const manager = (chain, options) => new SubmissionManager(chain.provider, chain.signer, { pollIntervalMs: 0, ...options });
+const isCancel = (tx) => tx.data === '0x';
+
+describe('SubmissionManager', () => {
+    it('bumps the fees and replaces a stuck transaction at each checkpoint', async () => {
+        const chain = standInChain({ mined: (tx) => tx.maxFeePerGas === gwei(14.4) });
+        const result = await manager(chain).send(TX, { deadline: 125 });
+
+        assert.deepEqual(chain.sent.map(s => [s.block, s.nonce, s.maxFeePerGas, s.maxPriorityFeePerGas]), [
+            [100, 5, gwei(10), gwei(1)],
+            [102, 5, gwei(12), gwei(1.2)],
+            [104, 5, gwei(14.4), gwei(1.44)],
+        ]);
+        assert.equal(result.receipt.hash, '0x3');
+        assert.deepEqual([result.aborted, result.cancelled, result.replacements, result.sentAtBlock], [false, false, 2, 100]);
+        assert.equal(result.blocksToSpare, 125 - result.receipt.blockNumber);
+    });
+
+    it('stops replacing at the fee cap', async () => {
+        const chain = standInChain();
+        const result = await manager(chain, { maxFeePerGasGwei: 13, cancelOnAbort: false }).send(TX, { deadline: 110 });
+
+        assert.deepEqual(chain.sent.map(s => s.maxFeePerGas), [gwei(10), gwei(12), gwei(13)]);
+        assert.deepEqual([result.aborted, result.cancelled, result.replacements, result.receipt], [true, false, 2, null]);
+    });
+
+    it('cancels with an uncapped self-transfer once past the last sendable block', async () => {
+        const chain = standInChain({ mined: isCancel });
+        const result = await manager(chain, { maxFeePerGasGwei: 12, abortMargin: 2 }).send(TX, { deadline: 108 });
+
+        // Last sendable block is deadline - 1 - abortMargin
+        const cancel = chain.sent.at(-1);
+        assert.ok(chain.sent.slice(0, -1).every(s => !isCancel(s) && s.block <= 105));
+        assert.deepEqual(
+            [cancel.block, cancel.to, cancel.value, cancel.gasLimit, cancel.nonce, cancel.maxFeePerGas],
+            [106, ADDRESS, 0n, 21000n, 5, gwei(14.4)],
+        );
+        assert.deepEqual([result.aborted, result.cancelled, result.receipt], [true, true, null]);
+        assert.deepEqual(result.attempts.map(a => a.cancel), [false, false, true]);
+        assert.equal(result.replacements, 1);
+    });
+
+    it('reports the answer when a replacement mined after all', async () => {
+        const chain = standInChain({ mined: (tx, sent) => tx.maxFeePerGas === gwei(12) && sent.some(isCancel) });
+        const result = await manager(chain).send(TX, { deadline: 104 });
+
+        assert.ok(chain.sent.some(isCancel));
+        assert.equal(result.receipt.hash, '0x2');
+        assert.deepEqual([result.aborted, result.cancelled, result.replacements], [false, false, 1]);
+    });
+
+    it('reports a cancellation the node refused', async () => {
+        const chain = standInChain({ rejects: isCancel });
+        const result = await manager(chain).send(TX, { deadline: 103 });
+        assert.deepEqual([result.aborted, result.cancelled], [true, false]);
+        assert.ok(!chain.sent.some(isCancel));
+    });
+
+    it('sends nothing once the deadline cannot be met', async () => {
+        const chain = standInChain({ block: 110 });
+        const result = await manager(chain).send(TX, { deadline: 110 });
+        assert.deepEqual(chain.sent, []);
+        assert.deepEqual([result.aborted, result.sentAtBlock, result.attempts], [true, null, []]);
+    });
+});
@@ -9,10 +9,10 @@ if [ $? -eq 0 ]; then
   echo ""
   echo "✅ Verification successful!"
   echo ""
-  echo "To set up auto-maintenance, add to crontab:"
-  echo "  crontab -e"
+  echo "To keep your credential maintained, run the daemon (e.g. under systemd or tmux):"
+  echo "  node cli.js daemon"
   echo ""
-  echo "Add this line (runs every 12 hours):"
+  echo "Or, with cron (runs every 12 hours):"
   echo "  0 */12 * * * cd ~/projects/proof-of-intelligence/client && node auto-maintain.js >> /tmp/poi-maintenance.log 2>&1"
 else
   echo ""